@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+/**
+ * bpmn-autolayout command-line entry point (see src/cli.js)
+ */
+
+import { runCLI } from '../src/cli.js';
+
+process.exitCode = runCLI(process.argv.slice(2));
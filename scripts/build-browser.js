@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/**
+ * Browser Build
+ *
+ * Bundles the layouter with all dependencies (pathfinding) for browsers and Web Workers:
+ * - dist/bpmn-autolayout.esm.js     ES module (import { layoutBPMN } from ...)
+ * - dist/bpmn-autolayout.umd.js     UMD (AMD, CommonJS or global BpmnAutoLayout)
+ * - dist/bpmn-autolayout.worker.js  Worker script (see src/layout-worker.js)
+ *
+ * Usage: npm run build
+ */
+
+import { build } from 'esbuild';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const repoRoot = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+const GLOBAL_NAME = 'BpmnAutoLayout';
+
+// UMD wrapper around the IIFE build (esbuild has no UMD format)
+const UMD_BANNER = `(function (root, factory) {
+  if (typeof define === 'function' && define.amd) define([], factory);
+  else if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.${GLOBAL_NAME} = factory();
+})(typeof self !== 'undefined' ? self : this, function () {`;
+const UMD_FOOTER = `return ${GLOBAL_NAME};
+});`;
+
+export const BUNDLES = [
+  { file: 'bpmn-autolayout.esm.js', entry: 'src/index.js', format: 'esm' },
+  {
+    file: 'bpmn-autolayout.umd.js',
+    entry: 'src/index.js',
+    format: 'iife',
+    globalName: GLOBAL_NAME,
+    banner: { js: UMD_BANNER },
+    footer: { js: UMD_FOOTER }
+  },
+  { file: 'bpmn-autolayout.worker.js', entry: 'src/layout-worker.js', format: 'iife' }
+];
+
+/**
+ * Build all browser bundles
+ * @param {Object} options - {outdir (default: dist), write (default: true)}
+ * @returns {Promise<Object>} - file name → bundle source
+ */
+export async function buildBrowserBundles({ outdir = join(repoRoot, 'dist'), write = true } = {}) {
+  const bundles = {};
+
+  for (const { file, entry, ...options } of BUNDLES) {
+    const result = await build({
+      entryPoints: [join(repoRoot, entry)],
+      outfile: join(outdir, file),
+      bundle: true,
+      platform: 'browser',
+      target: 'es2020',
+      logLevel: 'warning',
+      write,
+      ...options
+    });
+    bundles[file] = write ? null : result.outputFiles[0].text;
+  }
+
+  return bundles;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  await buildBrowserBundles();
+  for (const { file } of BUNDLES) {
+    console.log(`dist/${file}`);
+  }
+}
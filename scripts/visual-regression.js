@@ -0,0 +1,449 @@
+#!/usr/bin/env node
+/**
+ * Visual Regression Harness
+ *
+ * Lays out every fixture in test-data/ and test-data/real-world/ and compares the
+ * result with a stored baseline (tests/visual-baseline/<fixture>.json):
+ * - quality metrics: edge crossings, bends, shape overlaps, area, edge length, diagnostics
+ * - structural diff: moved, resized, added and removed shapes and swimlanes, rerouted flows
+ *
+ * The HTML report shows the baseline and the current layout side by side (svg-renderer.js),
+ * highlights the changed elements and flags regressions (a metric got worse or the layout failed).
+ *
+ * Usage:
+ *   npm run test:visual                   Compare, write visual-report.html, exit 1 on regressions
+ *   npm run test:visual:update            Store the current layouts as the new baseline
+ *   node scripts/visual-regression.js [--update] [--report <file.html>] [fixtures ...]
+ */
+
+import { readFileSync, writeFileSync, readdirSync, existsSync, mkdirSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import { computeLayout } from '../src/index.js';
+import { renderSVG } from '../src/svg-renderer.js';
+
+const repoRoot = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+export const FIXTURES_DIR = join(repoRoot, 'test-data');
+export const BASELINE_DIR = join(repoRoot, 'tests/visual-baseline');
+const FIXTURE_SUBDIRS = ['', 'real-world'];
+
+// Compared metrics; relative: allowed growth before it counts as worse (0.05 = 5%)
+export const COMPARED_METRICS = [
+  { key: 'edgeCrossings', label: 'Edge crossings' },
+  { key: 'bends', label: 'Bends' },
+  { key: 'overlaps', label: 'Shape overlaps' },
+  { key: 'errors', label: 'Diagnostic errors' },
+  { key: 'warnings', label: 'Diagnostic warnings' },
+  { key: 'area', label: 'Area', relative: 0.05 },
+  { key: 'totalEdgeLength', label: 'Edge length', relative: 0.05 }
+];
+
+// Moves below this distance (px) are rounding noise
+const POSITION_TOLERANCE = 1;
+
+// Layout parts stored in the baseline (enough to diff and to render the SVG again)
+const SNAPSHOT_KEYS = ['orientation', 'elements', 'flows', 'lanes', 'pools', 'coordinates', 'flowWaypoints', 'laneBounds', 'poolBounds', 'labelBounds'];
+
+const STATUS_ORDER = ['regressed', 'failed', 'new', 'changed', 'improved', 'unchanged'];
+
+/**
+ * All BPMN fixtures
+ * @returns {Array} - Paths relative to test-data (e.g. "real-world/input-4outputs.bpmn")
+ */
+export function listFixtures() {
+  return FIXTURE_SUBDIRS.flatMap(dir => readdirSync(join(FIXTURES_DIR, dir))
+    .filter(file => file.endsWith('.bpmn'))
+    .sort()
+    .map(file => (dir ? `${dir}/${file}` : file)));
+}
+
+/**
+ * Round all numbers to 2 decimals (stable, compact baselines)
+ * @param {*} value - JSON-compatible value
+ * @returns {*} - Copy with rounded numbers
+ */
+function roundNumbers(value) {
+  return JSON.parse(JSON.stringify(value, (key, v) => (typeof v === 'number' ? Math.round(v * 100) / 100 : v)));
+}
+
+/**
+ * Lay out BPMN XML and keep what the comparison needs
+ * @param {string} bpmnXml - BPMN XML
+ * @param {Object} config - computeLayout config
+ * @returns {Object} - {success, errors?, metrics?, diagnostics?, layout?}
+ */
+export function createSnapshot(bpmnXml, config = {}) {
+  const result = computeLayout(bpmnXml, config);
+  if (!result.success) {
+    return { success: false, errors: result.errors };
+  }
+
+  const count = severity => result.diagnostics.filter(diagnostic => diagnostic.severity === severity).length;
+  const layout = Object.fromEntries(SNAPSHOT_KEYS.map(key => [key, result.layout[key]]));
+
+  return roundNumbers({
+    success: true,
+    metrics: { ...result.qualityMetrics, errors: count('error'), warnings: count('warning') },
+    diagnostics: result.diagnostics.map(({ severity, code, message }) => ({ severity, code, message })),
+    layout
+  });
+}
+
+/**
+ * Compare two boxes (beyond POSITION_TOLERANCE)
+ * @param {Object} before - Baseline bounds {x, y, width, height}
+ * @param {Object} after - Current bounds
+ * @returns {Object} - {moved, resized}
+ */
+function boxChanges(before, after) {
+  const moved = Math.abs(before.x - after.x) > POSITION_TOLERANCE || Math.abs(before.y - after.y) > POSITION_TOLERANCE;
+  const resized = Math.abs(before.width - after.width) > POSITION_TOLERANCE || Math.abs(before.height - after.height) > POSITION_TOLERANCE;
+  return { moved, resized };
+}
+
+/**
+ * Check whether a flow was rerouted (beyond POSITION_TOLERANCE)
+ * @param {Array} before - Baseline waypoints
+ * @param {Array} after - Current waypoints
+ * @returns {boolean} - True if the number or position of the waypoints changed
+ */
+function waypointsDiffer(before, after) {
+  if (before.length !== after.length) return true;
+  return before.some((point, i) =>
+    Math.abs(point.x - after[i].x) > POSITION_TOLERANCE || Math.abs(point.y - after[i].y) > POSITION_TOLERANCE);
+}
+
+/**
+ * Structural diff of two layouts
+ * @param {Object} before - Baseline layout snapshot
+ * @param {Object} after - Current layout snapshot
+ * @returns {Object} - {moved, resized, added, removed, rerouted} (moved/resized: [{id, from, to}], others: [id])
+ */
+export function diffLayouts(before, after) {
+  const changes = { moved: [], resized: [], added: [], removed: [], rerouted: [] };
+  const boxesOf = layout => ({ ...layout.poolBounds, ...layout.laneBounds, ...layout.coordinates });
+  const beforeBoxes = boxesOf(before);
+  const afterBoxes = boxesOf(after);
+
+  for (const [id, from] of Object.entries(beforeBoxes)) {
+    const to = afterBoxes[id];
+    if (!to) {
+      changes.removed.push(id);
+      continue;
+    }
+    const { moved, resized } = boxChanges(from, to);
+    const entry = { id, from: { x: from.x, y: from.y, width: from.width, height: from.height }, to: { x: to.x, y: to.y, width: to.width, height: to.height } };
+    if (moved) changes.moved.push(entry);
+    if (resized) changes.resized.push(entry);
+  }
+  for (const id of Object.keys(afterBoxes)) {
+    if (!beforeBoxes[id]) changes.added.push(id);
+  }
+
+  for (const [id, waypoints] of Object.entries(before.flowWaypoints)) {
+    const current = after.flowWaypoints[id];
+    if (!current) {
+      changes.removed.push(id);
+    } else if (waypointsDiffer(waypoints, current)) {
+      changes.rerouted.push(id);
+    }
+  }
+  for (const id of Object.keys(after.flowWaypoints)) {
+    if (!before.flowWaypoints[id]) changes.added.push(id);
+  }
+
+  return changes;
+}
+
+/**
+ * Compare a layout with its baseline
+ * @param {Object|null} baseline - Stored snapshot (null: no baseline yet)
+ * @param {Object} current - Snapshot of the current layout
+ * @returns {Object} - {status, metrics: [{key, label, before, after, worse, better}], regressions: [message], changes}
+ */
+export function compareSnapshots(baseline, current) {
+  const comparison = { status: 'unchanged', metrics: [], regressions: [], changes: null };
+
+  if (!baseline) {
+    comparison.status = current.success ? 'new' : 'failed';
+    return comparison;
+  }
+  if (!current.success) {
+    if (baseline.success) {
+      comparison.status = 'regressed';
+      comparison.regressions.push(`Layout failed: ${current.errors.join('; ')}`);
+    } else if (baseline.errors.join('\n') !== current.errors.join('\n')) {
+      comparison.status = 'changed'; // Fails as before, for another reason
+    }
+    return comparison;
+  }
+  if (!baseline.success) {
+    comparison.status = 'improved';
+    return comparison;
+  }
+
+  for (const { key, label, relative = 0 } of COMPARED_METRICS) {
+    const before = baseline.metrics[key] ?? 0;
+    const after = current.metrics[key] ?? 0;
+    const allowed = before * relative;
+    const worse = after - before > allowed;
+    const better = before - after > allowed;
+    comparison.metrics.push({ key, label, before, after, worse, better });
+    if (worse) comparison.regressions.push(`${label}: ${before} → ${after}`);
+  }
+
+  comparison.changes = diffLayouts(baseline.layout, current.layout);
+  const changed = Object.values(comparison.changes).some(list => list.length > 0);
+
+  if (comparison.regressions.length > 0) {
+    comparison.status = 'regressed';
+  } else if (comparison.metrics.some(metric => metric.better)) {
+    comparison.status = 'improved';
+  } else if (changed) {
+    comparison.status = 'changed';
+  }
+  return comparison;
+}
+
+// ============================================================================
+// HTML report
+// ============================================================================
+
+/**
+ * Escape text for HTML content and attributes
+ * @param {*} text - Text
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * CSS that colors the shapes and flows of some element IDs inside one panel
+ * @param {string} panelId - ID of the panel element
+ * @param {Array} ids - Element and flow IDs
+ * @param {string} color - Stroke color
+ * @returns {string} - CSS rules ('' without IDs)
+ */
+function highlightRules(panelId, ids, color) {
+  if (ids.length === 0) return '';
+  const selectors = ids.map(id => `#${panelId} [data-element-id="${id.replace(/["\\]/g, '\\$&')}"] > *`);
+  return `${selectors.join(',\n')} { stroke: ${color}; }\n`;
+}
+
+/**
+ * Metrics table of a fixture (worse and better rows are colored)
+ * @param {Array} metrics - [{label, before, after, worse, better}]
+ * @returns {string} - HTML
+ */
+function renderMetricsTable(metrics) {
+  const rows = metrics.map(({ label, before, after, worse, better }) => {
+    const delta = after - before;
+    const className = worse ? 'worse' : (better ? 'better' : '');
+    return `<tr class="${className}"><td>${label}</td><td>${before}</td><td>${after}</td><td>${delta > 0 ? '+' : ''}${Math.round(delta * 100) / 100}</td></tr>`;
+  }).join('\n');
+  return `<table class="metrics"><tr><th>Metric</th><th>Baseline</th><th>Current</th><th>Δ</th></tr>\n${rows}</table>`;
+}
+
+/**
+ * List of the structural changes of a fixture
+ * @param {Object} changes - diffLayouts() result
+ * @returns {string} - HTML
+ */
+function renderChangeList(changes) {
+  const items = [
+    ['Moved', changes.moved.map(change => `${change.id} (${change.from.x},${change.from.y} → ${change.to.x},${change.to.y})`)],
+    ['Resized', changes.resized.map(change => `${change.id} (${change.from.width}×${change.from.height} → ${change.to.width}×${change.to.height})`)],
+    ['Added', changes.added],
+    ['Removed', changes.removed],
+    ['Rerouted', changes.rerouted]
+  ].filter(([, list]) => list.length > 0);
+
+  if (items.length === 0) return '<p>No structural changes.</p>';
+  return `<ul class="changes">${items.map(([label, list]) => `<li><b>${label} (${list.length}):</b> ${escapeHtml(list.join(', '))}</li>`).join('')}</ul>`;
+}
+
+/**
+ * Panel with the SVG of one layout, or why there is none
+ * @param {string} panelId - ID of the panel element
+ * @param {string} title - Panel title
+ * @param {Object|null} snapshot - Layout snapshot (null: no baseline)
+ * @returns {string} - HTML
+ */
+function renderPanel(panelId, title, snapshot) {
+  const content = snapshot?.success
+    ? renderSVG(snapshot.layout)
+    : `<p class="error">${escapeHtml(snapshot ? `Layout failed: ${snapshot.errors.join('; ')}` : 'No baseline')}</p>`;
+  return `<div class="panel" id="${panelId}"><h3>${title}</h3>${content}</div>`;
+}
+
+/**
+ * Report section of one fixture: regressions, metrics, changes and both layouts
+ * @param {Object} result - {fixture, baseline, current, comparison}
+ * @param {number} index - Position in the results (unique element IDs)
+ * @returns {string} - HTML
+ */
+function renderFixture(result, index) {
+  const { fixture, baseline, current, comparison } = result;
+  const { status, changes } = comparison;
+  let styles = '';
+  if (changes) {
+    const changedIds = [...changes.moved, ...changes.resized].map(change => change.id).concat(changes.rerouted);
+    styles = highlightRules(`before-${index}`, [...changedIds, ...changes.removed], '#d62728') +
+      highlightRules(`after-${index}`, changedIds, '#ff7f0e') +
+      highlightRules(`after-${index}`, changes.added, '#2ca02c');
+  }
+
+  return `<details id="fixture-${index}" class="fixture ${status}"${status === 'unchanged' ? '' : ' open'}>
+<summary><span class="status">${status}</span> ${escapeHtml(fixture)}</summary>
+${styles ? `<style>\n${styles}</style>` : ''}
+${comparison.regressions.length > 0 ? `<ul class="regressions">${comparison.regressions.map(message => `<li>${escapeHtml(message)}</li>`).join('')}</ul>` : ''}
+${comparison.metrics.length > 0 ? renderMetricsTable(comparison.metrics) : ''}
+${changes ? renderChangeList(changes) : ''}
+<div class="side-by-side">
+${renderPanel(`before-${index}`, 'Baseline', baseline)}
+${renderPanel(`after-${index}`, 'Current', current)}
+</div>
+</details>`;
+}
+
+/**
+ * Render the comparison of all fixtures as a standalone HTML page
+ * @param {Array} results - [{fixture, baseline, current, comparison}]
+ * @returns {string} - HTML
+ */
+export function renderReport(results) {
+  const counts = Object.fromEntries(STATUS_ORDER.map(status => [status, 0]));
+  for (const { comparison } of results) counts[comparison.status]++;
+
+  const ordered = results
+    .map((result, index) => ({ result, index }))
+    .sort((a, b) => STATUS_ORDER.indexOf(a.result.comparison.status) - STATUS_ORDER.indexOf(b.result.comparison.status) || a.index - b.index);
+
+  const summary = ordered.map(({ result, index }) =>
+    `<tr class="${result.comparison.status}"><td><a href="#fixture-${index}">${escapeHtml(result.fixture)}</a></td><td>${result.comparison.status}</td><td>${escapeHtml(result.comparison.regressions.join('; '))}</td></tr>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>BPMN Auto-Layout: Visual Regression Report</title>
+<style>
+body { font-family: Arial, sans-serif; margin: 20px; color: #222; }
+table { border-collapse: collapse; margin: 8px 0; }
+td, th { border: 1px solid #ccc; padding: 3px 8px; text-align: left; }
+tr.regressed td, tr.failed td, tr.worse td { background: #fde0e0; }
+tr.improved td, tr.better td { background: #e0f5e0; }
+tr.changed td, tr.new td { background: #fff4d6; }
+.fixture { border: 1px solid #ccc; margin: 12px 0; padding: 8px; }
+.fixture > summary { cursor: pointer; font-weight: bold; }
+.fixture.regressed, .fixture.failed { border-color: #d62728; }
+.status { display: inline-block; min-width: 80px; text-transform: uppercase; font-size: 11px; }
+.regressions { color: #d62728; font-weight: bold; }
+.side-by-side { display: flex; gap: 12px; align-items: flex-start; }
+.panel { flex: 1; min-width: 0; border: 1px solid #eee; }
+.panel h3 { margin: 4px 8px; font-size: 13px; }
+.panel svg { width: 100%; height: auto; }
+.error { color: #d62728; padding: 8px; }
+</style>
+</head>
+<body>
+<h1>Visual Regression Report</h1>
+<p>${STATUS_ORDER.map(status => `${counts[status]} ${status}`).join(' · ')}</p>
+<p>Highlighted: <span style="color:#d62728">changed/removed in the baseline</span>,
+<span style="color:#ff7f0e">changed</span> and <span style="color:#2ca02c">added</span> in the current layout.</p>
+<table><tr><th>Fixture</th><th>Status</th><th>Regressions</th></tr>
+${summary}
+</table>
+${ordered.map(({ result, index }) => renderFixture(result, index)).join('\n')}
+</body>
+</html>
+`;
+}
+
+// ============================================================================
+// Runner
+// ============================================================================
+
+/**
+ * Baseline file of a fixture
+ * @param {string} baselineDir - Baseline directory
+ * @param {string} fixture - Fixture path relative to the fixtures directory
+ * @returns {string} - Path of the JSON baseline
+ */
+function baselinePath(baselineDir, fixture) {
+  return join(baselineDir, fixture.replace(/\.bpmn$/, '.json'));
+}
+
+/**
+ * Lay out fixtures and compare them with (or store them as) the baseline
+ * @param {Object} options - {fixtures (default: all), update, baselineDir, fixturesDir, config, reportFile}
+ * @returns {Object} - {results: [{fixture, baseline, current, comparison}], regressions}
+ */
+export function runVisualRegression({
+  fixtures = listFixtures(),
+  update = false,
+  baselineDir = BASELINE_DIR,
+  fixturesDir = FIXTURES_DIR,
+  config = {},
+  reportFile = null
+} = {}) {
+  const results = [];
+
+  for (const fixture of fixtures) {
+    const file = baselinePath(baselineDir, fixture);
+    const baseline = existsSync(file) ? JSON.parse(readFileSync(file, 'utf-8')) : null;
+    const current = createSnapshot(readFileSync(join(fixturesDir, fixture), 'utf-8'), config);
+
+    if (update) {
+      mkdirSync(dirname(file), { recursive: true });
+      writeFileSync(file, JSON.stringify(current, null, 2) + '\n');
+    }
+    results.push({ fixture, baseline, current, comparison: compareSnapshots(baseline, current) });
+  }
+
+  if (reportFile) {
+    writeFileSync(reportFile, renderReport(results));
+  }
+
+  return {
+    results,
+    regressions: results.filter(result => result.comparison.status === 'regressed').length
+  };
+}
+
+const STATUS_ICONS = { regressed: '❌', failed: '❌', new: '🆕', changed: '⚠️ ', improved: '✅', unchanged: '✅' };
+
+/**
+ * Command line entry point
+ * @param {Array} argv - Arguments without node and script path
+ * @returns {number} - Exit code (1: regressions)
+ */
+function main(argv) {
+  const update = argv.includes('--update');
+  const reportIndex = argv.indexOf('--report');
+  const reportFile = resolve(reportIndex !== -1 ? argv[reportIndex + 1] : join(repoRoot, 'visual-report.html'));
+  const fixtures = argv.filter((arg, i) => !arg.startsWith('--') && argv[i - 1] !== '--report');
+
+  const { results, regressions } = runVisualRegression({
+    fixtures: fixtures.length > 0 ? fixtures : undefined,
+    update,
+    reportFile
+  });
+
+  for (const { fixture, comparison } of results) {
+    const details = comparison.regressions.length > 0 ? `: ${comparison.regressions.join('; ')}` : '';
+    console.log(`${STATUS_ICONS[comparison.status]} ${comparison.status.padEnd(9)} ${fixture}${details}`);
+  }
+  console.log(`\nReport: ${reportFile}`);
+  if (update) {
+    console.log(`Baseline updated: ${results.length} fixture(s)`);
+    return 0;
+  }
+  return regressions > 0 ? 1 : 0;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  process.exitCode = main(process.argv.slice(2));
+}
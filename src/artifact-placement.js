@@ -0,0 +1,277 @@
+/**
+ * Artifact Placement
+ *
+ * Runs after Phase 3 (and after sub-process layouts are merged), so all
+ * activities and sequence flows already have their final pixel coordinates:
+ * - Data object / data store references go into the free corridor above or below
+ *   the activity they are associated with (horizontal), or into the gap
+ *   before/after it next to the flow line (vertical)
+ * - Text annotations are offset from the element (or flow) they annotate
+ * - Associations and data associations become short connectors
+ *
+ * Candidate positions are tried in order; the first one that neither overlaps
+ * an element or another artifact nor crosses a flow wins.
+ */
+
+const DATA_TYPES = ['dataObject', 'dataObjectReference', 'dataStore', 'dataStoreReference'];
+const ARTIFACT_TYPES = ['textAnnotation', 'group'];
+const CONNECTION_TYPES = ['association', 'dataInputAssociation', 'dataOutputAssociation'];
+
+// Placed artifact sizes (data shapes scaled down to fit the 50px corridor
+// between an element and the lane border, BPMN default is 36x50 / 50x50)
+// dataObject/dataStore definitions and groups have no shape of their own.
+const ARTIFACT_SIZES = {
+  dataObjectReference: { width: 29, height: 40 },
+  dataStoreReference: { width: 40, height: 40 },
+  textAnnotation: { width: 100, height: 30 }
+};
+
+const ARTIFACT_GAP = 7;         // Distance between artifact and its element
+const FLOW_LINE_OFFSET = 10;    // Distance from the flow line (vertical orientation)
+const ARTIFACT_SPACING = 20;    // Distance between artifacts sharing an element
+const UNCONNECTED_OFFSET = 40;  // Distance of unconnected artifacts below the diagram
+
+/**
+ * Check if element is a data element or artifact (not part of the sequence flow graph)
+ * @param {Object} element - Element from Phase 1
+ * @returns {boolean}
+ */
+export function isArtifact(element) {
+  return Boolean(element) && (DATA_TYPES.includes(element.type) || ARTIFACT_TYPES.includes(element.type));
+}
+
+/**
+ * Check if artifact gets a shape of its own (definitions and groups do not)
+ * @param {Object} element - Element from Phase 1
+ * @returns {boolean}
+ */
+export function hasArtifactShape(element) {
+  return Boolean(element) && Boolean(ARTIFACT_SIZES[element.type]);
+}
+
+/**
+ * Check if flow is an association or data association
+ * @param {Object} flow - Flow from Phase 1
+ * @returns {boolean}
+ */
+export function isArtifactConnection(flow) {
+  return Boolean(flow) && CONNECTION_TYPES.includes(flow.type);
+}
+
+/**
+ * Box of an element, or a zero-size box at the middle of a flow
+ */
+function getAnchorBox(ref, coordinates, flowWaypoints) {
+  if (coordinates.has(ref)) return coordinates.get(ref);
+
+  const waypoints = flowWaypoints.get(ref);
+  if (!waypoints || waypoints.length < 2) return null;
+
+  // Middle of the middle segment
+  const i = Math.floor((waypoints.length - 1) / 2);
+  const a = waypoints[i];
+  const b = waypoints[i + 1];
+  return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, width: 0, height: 0 };
+}
+
+/**
+ * First placed element or flow the artifact is associated with
+ */
+function findAnchor(artifactId, elements, flows, coordinates, flowWaypoints) {
+  for (const flow of flows.values()) {
+    if (!isArtifactConnection(flow)) continue;
+
+    let otherRef = null;
+    if (flow.sourceRef === artifactId) otherRef = flow.targetRef;
+    else if (flow.targetRef === artifactId) otherRef = flow.sourceRef;
+    if (!otherRef || isArtifact(elements.get(otherRef))) continue;
+
+    const box = getAnchorBox(otherRef, coordinates, flowWaypoints);
+    if (box) return box;
+  }
+  return null;
+}
+
+/**
+ * Candidate boxes around an anchor, in order of preference
+ * Horizontal: above/below the anchor, overlapping its right or left part.
+ * Vertical: after/before the anchor, right or left of the flow line.
+ */
+function getCandidates(anchor, size, isAnnotation, isHorizontal) {
+  const candidates = [];
+
+  if (isHorizontal) {
+    const xs = isAnnotation
+      ? [anchor.x + anchor.width * 0.6, anchor.x + anchor.width * 0.4 - size.width]
+      : [anchor.x + anchor.width - size.width, anchor.x];
+    const ys = [anchor.y - ARTIFACT_GAP - size.height, anchor.y + anchor.height + ARTIFACT_GAP];
+    const step = size.width + ARTIFACT_SPACING;
+
+    // Further candidates move away from the anchor along the lane
+    for (let k = 0; k < 3; k++) {
+      for (const y of ys) candidates.push({ x: xs[0] + k * step, y });
+      for (const y of ys) candidates.push({ x: xs[1] - k * step, y });
+    }
+  } else {
+    const centerX = anchor.x + anchor.width / 2;
+    const xs = [centerX + FLOW_LINE_OFFSET, centerX - FLOW_LINE_OFFSET - size.width];
+    const ys = [anchor.y + anchor.height + ARTIFACT_GAP, anchor.y - ARTIFACT_GAP - size.height];
+    const step = size.width + ARTIFACT_SPACING;
+
+    for (let k = 0; k < 3; k++) {
+      for (const y of ys) candidates.push({ x: xs[0] + k * step, y });
+      for (const y of ys) candidates.push({ x: xs[1] - k * step, y });
+    }
+  }
+
+  return candidates.map(c => ({ x: c.x, y: c.y, width: size.width, height: size.height }));
+}
+
+function boxesOverlap(a, b) {
+  return a.x < b.x + b.width && b.x < a.x + a.width &&
+         a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+function segmentCrossesBox(p1, p2, box) {
+  const segmentBox = {
+    x: Math.min(p1.x, p2.x),
+    y: Math.min(p1.y, p2.y),
+    width: Math.abs(p2.x - p1.x),
+    height: Math.abs(p2.y - p1.y)
+  };
+  // Orthogonal segments: bounding box test is exact (zero width/height still counts)
+  return segmentBox.x <= box.x + box.width && box.x <= segmentBox.x + segmentBox.width &&
+         segmentBox.y <= box.y + box.height && box.y <= segmentBox.y + segmentBox.height;
+}
+
+function isFree(box, obstacles, segments) {
+  if (obstacles.some(obstacle => boxesOverlap(box, obstacle))) return false;
+  return !segments.some(([p1, p2]) => segmentCrossesBox(p1, p2, box));
+}
+
+/**
+ * Connector between an artifact and its element
+ * Straight vertical/horizontal line where the boxes overlap, otherwise
+ * a straight line between the facing sides.
+ * @returns {Array} - [{x, y}, {x, y}] from source to target
+ */
+function connectBoxes(from, to) {
+  const overlapLeft = Math.max(from.x, to.x);
+  const overlapRight = Math.min(from.x + from.width, to.x + to.width);
+  const overlapTop = Math.max(from.y, to.y);
+  const overlapBottom = Math.min(from.y + from.height, to.y + to.height);
+  const fromAbove = from.y + from.height <= to.y;
+  const fromBelow = to.y + to.height <= from.y;
+  const fromLeft = from.x + from.width <= to.x;
+  const fromRight = to.x + to.width <= from.x;
+
+  if (overlapLeft <= overlapRight && (fromAbove || fromBelow)) {
+    const x = (overlapLeft + overlapRight) / 2;
+    return fromAbove
+      ? [{ x, y: from.y + from.height }, { x, y: to.y }]
+      : [{ x, y: from.y }, { x, y: to.y + to.height }];
+  }
+
+  if (overlapTop <= overlapBottom && (fromLeft || fromRight)) {
+    const y = (overlapTop + overlapBottom) / 2;
+    return fromLeft
+      ? [{ x: from.x + from.width, y }, { x: to.x, y }]
+      : [{ x: from.x, y }, { x: to.x + to.width, y }];
+  }
+
+  // Diagonal: leave/enter through the sides facing each other vertically
+  const fromCenterX = from.x + from.width / 2;
+  const toCenterX = to.x + to.width / 2;
+  if (fromAbove || fromBelow) {
+    return fromAbove
+      ? [{ x: fromCenterX, y: from.y + from.height }, { x: toCenterX, y: to.y }]
+      : [{ x: fromCenterX, y: from.y }, { x: toCenterX, y: to.y + to.height }];
+  }
+  const fromCenterY = from.y + from.height / 2;
+  const toCenterY = to.y + to.height / 2;
+  return [{ x: fromCenterX, y: fromCenterY }, { x: toCenterX, y: toCenterY }];
+}
+
+/**
+ * Place data references and text annotations, and route their associations
+ * @param {Map} elements - Element map
+ * @param {Map} flows - Flow map
+ * @param {Map} coordinates - Element coordinates (updated in place)
+ * @param {Map} flowWaypoints - Flow waypoints (updated in place)
+ * @param {Map} laneBounds - Lane bounds (unconnected artifacts go below the lanes)
+ * @param {Object} directions - Direction mappings
+ */
+export function placeArtifacts(elements, flows, coordinates, flowWaypoints, laneBounds, directions) {
+  const isHorizontal = directions.alongLane === 'right';
+
+  // Obstacles: all placed shapes and all routed flow segments
+  const obstacles = [];
+  for (const [elementId, coord] of coordinates) {
+    const element = elements.get(elementId);
+    // Expanded sub-processes contain other elements, only their content counts
+    if (element && element.isExpanded) continue;
+    obstacles.push(coord);
+  }
+  const segments = [];
+  for (const [flowId, waypoints] of flowWaypoints) {
+    if (isArtifactConnection(flows.get(flowId))) continue;
+    for (let i = 0; i < waypoints.length - 1; i++) {
+      segments.push([waypoints[i], waypoints[i + 1]]);
+    }
+  }
+
+  const unconnected = [];
+
+  for (const [elementId, element] of elements) {
+    if (!ARTIFACT_SIZES[element.type] || coordinates.has(elementId)) continue;
+    const size = element.layoutSize || ARTIFACT_SIZES[element.type];
+
+    const anchor = findAnchor(elementId, elements, flows, coordinates, flowWaypoints);
+    if (!anchor) {
+      unconnected.push(elementId);
+      continue;
+    }
+
+    const candidates = getCandidates(anchor, size, element.type === 'textAnnotation', isHorizontal);
+    const box = candidates.find(candidate => isFree(candidate, obstacles, segments)) || candidates[0];
+
+    coordinates.set(elementId, box);
+    obstacles.push(box);
+  }
+
+  // Unconnected artifacts: one row below the diagram
+  if (unconnected.length > 0) {
+    let left = Infinity;
+    let bottom = -Infinity;
+    for (const coord of coordinates.values()) {
+      left = Math.min(left, coord.x);
+      bottom = Math.max(bottom, coord.y + coord.height);
+    }
+    for (const bounds of laneBounds.values()) {
+      if (bounds.y !== undefined && bounds.height !== undefined) {
+        bottom = Math.max(bottom, bounds.y + bounds.height);
+      }
+    }
+    if (!isFinite(left)) left = 0;
+    if (!isFinite(bottom)) bottom = 0;
+
+    let x = left;
+    for (const elementId of unconnected) {
+      const element = elements.get(elementId);
+      const size = element.layoutSize || ARTIFACT_SIZES[element.type];
+      coordinates.set(elementId, { x, y: bottom + UNCONNECTED_OFFSET, width: size.width, height: size.height });
+      x += size.width + ARTIFACT_SPACING;
+    }
+  }
+
+  // Connectors
+  for (const [flowId, flow] of flows) {
+    if (!isArtifactConnection(flow)) continue;
+
+    const source = getAnchorBox(flow.sourceRef, coordinates, flowWaypoints);
+    const target = getAnchorBox(flow.targetRef, coordinates, flowWaypoints);
+    if (!source || !target) continue;
+
+    flowWaypoints.set(flowId, connectBoxes(source, target));
+  }
+}
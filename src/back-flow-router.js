@@ -11,10 +11,11 @@ import { isVerticalPathClear, isExitSideAvailable, getTargetVerticalPosition } f
 import { calculateConnectionPoint } from './phase3.js';
 import { routeManhattan } from './manhattan-router.js';
 import { routeBackFlowCascade } from './backflow-cascade-router.js';
+import { getMetrics } from './layout-metrics.js';
+import { getLogger } from './logger.js';
+
+const log = getLogger('routing');
 
-// Constants from phase3
-const CORRIDOR_OFFSET = 25;
-const LAYER_OFFSET = 100;
 
 /**
  * Route a back-flow with smart path selection
@@ -75,6 +76,7 @@ export function routeBackFlowSmart(flowInfo, coordinates, positions, lanes, dire
  * @returns {Array} - Waypoints
  */
 function routeCorridorPath(flowInfo, sourceCoord, targetCoord, sourcePos, targetPos, exitDirection, directions, positions, laneBounds) {
+  const { corridorOffset, layerOffset } = getMetrics(directions);
   const waypoints = [];
   
   // Step 1: Exit source element
@@ -91,21 +93,21 @@ function routeCorridorPath(flowInfo, sourceCoord, targetCoord, sourcePos, target
   
   let corridorY;
   if (!sourceLaneBounds) {
-    console.error(`Lane bounds not found for lane: ${sourcePos.lane}`);
+    log.error(`Lane bounds not found for lane: ${sourcePos.lane}`);
     // Fallback to element-based calculation
     corridorY = exitDirection === "up"
-      ? sourceCoord.y - 25
-      : sourceCoord.y + sourceCoord.height + 25;
+      ? sourceCoord.y - corridorOffset
+      : sourceCoord.y + sourceCoord.height + corridorOffset;
   } else {
     // Use nearest corridor (between rows or at lane edge)
-    const corridors = getCorridorsInLane(sourceLaneBounds);
+    const corridors = getCorridorsInLane(sourceLaneBounds, getMetrics(directions));
     corridorY = findNearestCorridor(sourceCoord.y, corridors, exitDirection);
   }
   
   waypoints.push({ x: exitPoint.x, y: corridorY });
   
   // Step 3: Move left in corridor to before target X
-  const targetX = targetCoord.x - LAYER_OFFSET / 2;
+  const targetX = targetCoord.x - layerOffset / 2;
   waypoints.push({
     x: targetX,
     y: corridorY
@@ -134,6 +136,7 @@ function routeCorridorPath(flowInfo, sourceCoord, targetCoord, sourcePos, target
  * @returns {Array} - Waypoints
  */
 function routeDirectPath(sourceCoord, targetCoord, exitSide, directions, verticalDirection) {
+  const { corridorOffset, layerOffset } = getMetrics(directions);
   const waypoints = [];
   
   // Exit source
@@ -142,8 +145,8 @@ function routeDirectPath(sourceCoord, targetCoord, exitSide, directions, vertica
   
   // Move to corridor (just above/below target)
   const corridorY = verticalDirection === "up" 
-    ? targetCoord.y - CORRIDOR_OFFSET 
-    : targetCoord.y + targetCoord.height + CORRIDOR_OFFSET;
+    ? targetCoord.y - corridorOffset 
+    : targetCoord.y + targetCoord.height + corridorOffset;
   
   waypoints.push({
     x: exitPoint.x,
@@ -151,7 +154,7 @@ function routeDirectPath(sourceCoord, targetCoord, exitSide, directions, vertica
   });
   
   // Move left to target X
-  const targetX = targetCoord.x - LAYER_OFFSET / 2;
+  const targetX = targetCoord.x - layerOffset / 2;
   waypoints.push({
     x: targetX,
     y: corridorY
@@ -178,6 +181,7 @@ function routeDirectPath(sourceCoord, targetCoord, exitSide, directions, vertica
  * @returns {Array} - Waypoints
  */
 function routeRightAroundPath(sourceCoord, targetCoord, directions, verticalDirection) {
+  const { corridorOffset, layerOffset } = getMetrics(directions);
   const waypoints = [];
   
   // Exit source to the right
@@ -185,7 +189,7 @@ function routeRightAroundPath(sourceCoord, targetCoord, directions, verticalDire
   waypoints.push(exitPoint);
   
   // Move right to corridor between columns
-  const corridorX = sourceCoord.x + sourceCoord.width + LAYER_OFFSET / 2;
+  const corridorX = sourceCoord.x + sourceCoord.width + layerOffset / 2;
   waypoints.push({
     x: corridorX,
     y: exitPoint.y
@@ -193,8 +197,8 @@ function routeRightAroundPath(sourceCoord, targetCoord, directions, verticalDire
   
   // Move up/down to target level
   const corridorY = verticalDirection === "up"
-    ? targetCoord.y - CORRIDOR_OFFSET
-    : targetCoord.y + targetCoord.height + CORRIDOR_OFFSET;
+    ? targetCoord.y - corridorOffset
+    : targetCoord.y + targetCoord.height + corridorOffset;
   
   waypoints.push({
     x: corridorX,
@@ -202,7 +206,7 @@ function routeRightAroundPath(sourceCoord, targetCoord, directions, verticalDire
   });
   
   // Move left to target X
-  const targetX = targetCoord.x - LAYER_OFFSET / 2;
+  const targetX = targetCoord.x - layerOffset / 2;
   waypoints.push({
     x: targetX,
     y: corridorY
@@ -11,26 +11,34 @@
 
 import { calculateConnectionPoint } from './phase3.js';
 import { hasWaypointCollision } from './waypoint-collision.js';
-import { getCorridorsInLane, findNearestCorridor } from './manhattan-router.js';
+import { getCorridorsInLane, findNearestCorridor, routeTransposed } from './manhattan-router.js';
+import { getMetrics } from './layout-metrics.js';
+import { getLogger } from './logger.js';
 
-const CORRIDOR_OFFSET = 25;
-const LAYER_OFFSET = 100;
+const log = getLogger('routing');
 
 /**
  * Route back-flow with cascading strategy
  */
 export function routeBackFlowCascade(flowInfo, sourceCoord, targetCoord, sourcePos, targetPos, directions, laneBounds, positions, coordinates, flowWaypoints = null) {
+  // The strategies are written for horizontal lanes
+  if (directions.alongLane !== 'right') {
+    return routeTransposed(flowInfo, directions, laneBounds, coordinates, flowWaypoints, frame => routeBackFlowCascade(
+      flowInfo, frame.transpose(sourceCoord), frame.transpose(targetCoord), sourcePos, targetPos,
+      frame.directions, frame.laneBounds, positions, frame.coordinates, frame.flowWaypoints
+    ));
+  }
   
   const sourceLaneBounds = laneBounds.get(sourcePos.lane);
   const targetLaneBounds = laneBounds.get(targetPos.lane);
   
   if (!sourceLaneBounds || !targetLaneBounds) {
-    console.error('Lane bounds not found for back-flow cascade routing');
+    log.error('Lane bounds not found for back-flow cascade routing');
     return [];
   }
   
   // Get available corridors
-  const sourceCorridors = getCorridorsInLane(sourceLaneBounds);
+  const sourceCorridors = getCorridorsInLane(sourceLaneBounds, getMetrics(directions));
   
   // Try each strategy in order of priority
   const strategies = [
@@ -53,18 +61,18 @@ export function routeBackFlowCascade(flowInfo, sourceCoord, targetCoord, sourceP
       const hasCollision = hasWaypointCollision(waypoints, flowWaypoints, flowInfo.flowId);
       if (!hasCollision) {
         // Success! Use this strategy
-        console.log(`✅ Back-flow ${flowInfo.flowId} using: ${strategy.name}`);
+        log.info(`Back-flow ${flowInfo.flowId} using: ${strategy.name}`);
         return waypoints;
       }
     } else {
       // No collision detection - use first valid strategy
-      console.log(`✅ Back-flow ${flowInfo.flowId} using: ${strategy.name}`);
+      log.info(`Back-flow ${flowInfo.flowId} using: ${strategy.name}`);
       return waypoints;
     }
   }
   
   // Fallback: Use shortest path (current logic)
-  console.log(`⚠️  Back-flow ${flowInfo.flowId} using fallback (all strategies blocked)`);
+  log.info(`Back-flow ${flowInfo.flowId} using fallback (all strategies blocked)`);
   return calculateFallbackPath(flowInfo, sourceCoord, targetCoord, sourcePos, targetPos, directions, sourceCorridors);
 }
 
@@ -72,6 +80,7 @@ export function routeBackFlowCascade(flowInfo, sourceCoord, targetCoord, sourceP
  * Calculate waypoints for a specific strategy
  */
 function calculateWaypointsForStrategy(strategy, flowInfo, sourceCoord, targetCoord, sourcePos, targetPos, directions, sourceLaneBounds, targetLaneBounds, sourceCorridors) {
+  const { layerOffset } = getMetrics(directions);
   const waypoints = [];
   
   // Step 1: Exit source
@@ -96,7 +105,7 @@ function calculateWaypointsForStrategy(strategy, flowInfo, sourceCoord, targetCo
     waypoints.push({ x: exitPoint.x, y: corridorY });
   } else if (strategy.exitDir === 'right') {
     // Move right first, then down to corridor
-    const corridorX = sourceCoord.x + sourceCoord.width + LAYER_OFFSET / 2;
+    const corridorX = sourceCoord.x + sourceCoord.width + layerOffset / 2;
     waypoints.push({ x: corridorX, y: exitPoint.y });
     
     // Then down to corridor
@@ -120,7 +129,7 @@ function calculateWaypointsForStrategy(strategy, flowInfo, sourceCoord, targetCo
     
   } else if (strategy.entryDir === 'left') {
     // Entry from left: go to left of target, then approach from left
-    const targetX = targetCoord.x - LAYER_OFFSET / 2;
+    const targetX = targetCoord.x - layerOffset / 2;
     waypoints.push({ x: targetX, y: corridorY });
     
     // Move vertically to target level
@@ -140,6 +149,7 @@ function calculateWaypointsForStrategy(strategy, flowInfo, sourceCoord, targetCo
  * Fallback path calculation (shortest path)
  */
 function calculateFallbackPath(flowInfo, sourceCoord, targetCoord, sourcePos, targetPos, directions, sourceCorridors) {
+  const { layerOffset } = getMetrics(directions);
   const waypoints = [];
   
   // Simple fallback: exit down, go left, enter left
@@ -150,7 +160,7 @@ function calculateFallbackPath(flowInfo, sourceCoord, targetCoord, sourcePos, ta
   const corridorY = findNearestCorridor(sourceCoord.y, sourceCorridors, 'down');
   waypoints.push({ x: exitPoint.x, y: corridorY });
   
-  const targetX = targetCoord.x - LAYER_OFFSET / 2;
+  const targetX = targetCoord.x - layerOffset / 2;
   waypoints.push({ x: targetX, y: corridorY });
   
   const entryPoint = calculateConnectionPoint(targetCoord, directions.oppAlongLane);
@@ -0,0 +1,513 @@
+/**
+ * Command-Line Interface
+ *
+ * Wraps layoutBPMN() for batch use:
+ *   bpmn-autolayout [options] [files or globs ...]
+ *
+ * - Inputs: files, globs (*, ?, ** for any number of directories) or stdin ("-" or no arguments)
+ * - Outputs: stdout (single input), --output <file> or --out-dir <dir>
+ * - --format svg: write an SVG preview instead of the BPMN XML
+ * - --check: exit non-zero when a layout fails or the collision detectors report problems
+ * - --report: write diagnostics and quality metrics of all inputs as JSON (for CI)
+ *
+ * Every layoutBPMN config key is available as a flag (see CONFIG_FLAGS),
+ * other keys can be passed with --set key=value or --config <file.json>.
+ */
+
+import { readFileSync, writeFileSync, readdirSync, statSync, mkdirSync, existsSync } from 'fs';
+import { join, basename, resolve } from 'path';
+import { layoutBPMN, computeLayout } from './index.js';
+import { renderSVG } from './svg-renderer.js';
+import { METRICS_PRESETS } from './layout-metrics.js';
+import { LOG_CATEGORIES } from './logger.js';
+
+// Flags that map onto layoutBPMN config keys
+// Boolean flags also accept --no-<flag> and --<flag>=false, list flags take comma-separated values
+export const CONFIG_FLAGS = {
+  'orientation': { key: 'laneOrientation', type: 'string', values: ['horizontal', 'vertical'] },
+  'lane-orientation': { key: 'laneOrientation', type: 'string', values: ['horizontal', 'vertical'] },
+  'hide-merge-gateways': { key: 'hideXorMergeGateways', type: 'boolean' },
+  'show-merge-gateways': { key: 'hideXorMergeGateways', type: 'boolean', negate: true },
+  'xor-merge-gateways': { key: 'xorMergeGateways', type: 'boolean' },
+  'collapse-sub-processes': { key: 'collapseSubProcesses', type: 'boolean' },
+  'preserve-element-sizes': { key: 'preserveElementSizes', type: 'boolean' },
+  'stable-layout': { key: 'stableLayout', type: 'boolean' },
+  'minimize-crossings': { key: 'minimizeCrossings', type: 'boolean' },
+  'compact-layout': { key: 'compactLayout', type: 'boolean' },
+  'variable-column-widths': { key: 'variableColumnWidths', type: 'boolean' },
+  'optimize-lane-order': { key: 'optimizeLaneOrder', type: 'boolean' },
+  'pin-lanes': { key: 'pinnedLanes', type: 'list' },
+  'metrics': { key: 'layoutMetrics', type: 'string', values: Object.keys(METRICS_PRESETS) }
+};
+
+// Output formats
+const FORMATS = ['xml', 'svg'];
+
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;   // Layout failed or --check found problems
+const EXIT_USAGE = 2;    // Invalid arguments
+
+const USAGE = `Usage: bpmn-autolayout [options] [files or globs ...]
+
+Reads BPMN XML from the given files (or stdin) and writes it with layout (BPMN DI).
+
+Output:
+  -o, --output <file>         Write the result to a file (single input only)
+  -d, --out-dir <dir>         Write each result to <dir>/<input file name>
+                              (default: stdout, single input only;
+                              inputs with the same file name fail)
+  -f, --format <format>       xml: BPMN XML with DI (default)
+                              svg: SVG preview of the layout (.svg files with -d)
+
+Layout:
+  --orientation <dir>         Lane orientation: horizontal (default) | vertical
+  --hide-merge-gateways       Hide XOR merge gateways in the DI (default)
+  --show-merge-gateways       Draw XOR merge gateways
+  --xor-merge-gateways        Keep XOR merge gateways (--no-xor-merge-gateways removes them)
+  --collapse-sub-processes    Keep sub-processes collapsed
+  --preserve-element-sizes    Keep element sizes from the input DI, only recompute positions
+  --stable-layout             Keep positions from the input DI where the model allows it
+  --minimize-crossings        Reorder rows within lanes and layers to reduce flow crossings
+  --compact-layout            Move elements to earlier layers and remove empty layers and rows
+  --variable-column-widths    Fit each layer's width to its content and gateway flow labels
+  --optimize-lane-order       Reorder lanes to shorten flows between lanes
+  --pin-lanes <ids>           Lanes that keep their position with --optimize-lane-order
+                              (comma-separated lane IDs)
+  --metrics <preset>          Spacing: default | compact | spacious
+                              (single values: --set 'layoutMetrics={"columnWidth":180}')
+  --set <key>=<value>         Set any other config key (value parsed as JSON if possible)
+  --config <file.json>        Read config from a JSON file (flags override it)
+
+Checks:
+  --check                     Exit with code 1 if a layout fails or has collisions
+                              (no output is written unless -o/-d is given)
+  --report <file.json>        Write diagnostics and quality metrics of all inputs
+
+General:
+  -v, --verbose               Show the layouter's messages (on stderr)
+  --debug <categories>        Also show debug output (implies --verbose): all or a list of
+                              layout, phase2, path, collision, gateway, merge, routing,
+                              validation (e.g. --debug merge,gateway)
+  -q, --quiet                 Only report problems
+  -h, --help                  Show this help
+  --version                   Show the version
+`;
+
+/**
+ * Error for invalid command-line arguments
+ */
+export class CliUsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CliUsageError';
+  }
+}
+
+/**
+ * Convert a --set value: JSON where possible (true, 42, "x", {...}), plain string otherwise
+ */
+function parseValue(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+}
+
+/**
+ * Parse command-line arguments
+ * @param {Array} argv - Arguments (without node and script path)
+ * @returns {Object} - {inputs, output, outDir, format, check, report, verbose, quiet, help, version, config}
+ */
+export function parseArgs(argv) {
+  const options = {
+    inputs: [],
+    output: null,
+    outDir: null,
+    format: 'xml',
+    check: false,
+    report: null,
+    verbose: false,
+    quiet: false,
+    help: false,
+    version: false,
+    configFile: null,
+    config: {}
+  };
+  const flagConfig = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '-' || !arg.startsWith('-')) {
+      options.inputs.push(arg);
+      continue;
+    }
+    if (arg === '--') {
+      options.inputs.push(...argv.slice(i + 1));
+      break;
+    }
+
+    // --name=value or --name value
+    const eq = arg.indexOf('=');
+    const name = eq === -1 ? arg : arg.slice(0, eq);
+    const inlineValue = eq === -1 ? undefined : arg.slice(eq + 1);
+    const takeValue = () => {
+      if (inlineValue !== undefined) return inlineValue;
+      if (i + 1 >= argv.length) throw new CliUsageError(`Missing value for ${name}`);
+      return argv[++i];
+    };
+
+    switch (name) {
+      case '-o':
+      case '--output':
+        options.output = takeValue();
+        continue;
+      case '-d':
+      case '--out-dir':
+        options.outDir = takeValue();
+        continue;
+      case '-f':
+      case '--format':
+        options.format = takeValue();
+        if (!FORMATS.includes(options.format)) {
+          throw new CliUsageError(`Invalid value '${options.format}' for ${name} (expected ${FORMATS.join(' | ')})`);
+        }
+        continue;
+      case '--check':
+        options.check = true;
+        continue;
+      case '--report':
+        options.report = takeValue();
+        continue;
+      case '-v':
+      case '--verbose':
+        options.verbose = true;
+        continue;
+      case '--debug': {
+        const categories = takeValue();
+        if (categories === 'all') {
+          flagConfig.debug = true;
+        } else {
+          flagConfig.debug = categories.split(',');
+          const unknown = flagConfig.debug.filter(category => !LOG_CATEGORIES[category]);
+          if (unknown.length > 0) {
+            throw new CliUsageError(`Unknown debug category '${unknown.join(', ')}' (expected all | ${Object.keys(LOG_CATEGORIES).join(' | ')})`);
+          }
+        }
+        options.verbose = true;
+        continue;
+      }
+      case '-q':
+      case '--quiet':
+        options.quiet = true;
+        continue;
+      case '-h':
+      case '--help':
+        options.help = true;
+        continue;
+      case '--version':
+        options.version = true;
+        continue;
+      case '--config':
+        options.configFile = takeValue();
+        continue;
+      case '--set': {
+        const assignment = takeValue();
+        const sep = assignment.indexOf('=');
+        if (sep <= 0) throw new CliUsageError(`Expected key=value for --set, got '${assignment}'`);
+        flagConfig[assignment.slice(0, sep)] = parseValue(assignment.slice(sep + 1));
+        continue;
+      }
+    }
+
+    // Config flags
+    const flagName = name.slice(2);
+    const negated = flagName.startsWith('no-') && CONFIG_FLAGS[flagName.slice(3)];
+    const flag = negated ? CONFIG_FLAGS[flagName.slice(3)] : CONFIG_FLAGS[flagName];
+    if (!name.startsWith('--') || !flag) {
+      throw new CliUsageError(`Unknown option '${name}'`);
+    }
+
+    if (flag.type === 'boolean') {
+      if (negated && inlineValue !== undefined) {
+        throw new CliUsageError(`${name} does not take a value`);
+      }
+      let value = true;
+      if (inlineValue !== undefined) {
+        if (inlineValue !== 'true' && inlineValue !== 'false') {
+          throw new CliUsageError(`Expected true or false for ${name}, got '${inlineValue}'`);
+        }
+        value = inlineValue === 'true';
+      }
+      if (negated) value = !value;
+      if (flag.negate) value = !value;
+      flagConfig[flag.key] = value;
+    } else {
+      const value = takeValue();
+      if (flag.values && !flag.values.includes(value)) {
+        throw new CliUsageError(`Invalid value '${value}' for ${name} (expected ${flag.values.join(' | ')})`);
+      }
+      flagConfig[flag.key] = flag.type === 'list' ? value.split(',') : value;
+    }
+  }
+
+  if (options.output && options.outDir) {
+    throw new CliUsageError('Use either --output or --out-dir, not both');
+  }
+
+  options.config = flagConfig;
+  return options;
+}
+
+/**
+ * Convert a glob pattern to a regular expression
+ * Supports ** (any number of directories), * and ? (within one path segment).
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" matches zero or more directories
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * All files below a directory (relative paths with "/" separators)
+ * node_modules and hidden directories are skipped.
+ */
+function listFiles(dir, prefix = '') {
+  const files = [];
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name === 'node_modules' || entry.name.startsWith('.')) continue;
+    const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...listFiles(join(dir, entry.name), relativePath));
+    } else if (entry.isFile()) {
+      files.push(relativePath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Expand files and globs into a list of files
+ * @param {Array} patterns - File paths, glob patterns or "-" (stdin)
+ * @param {string} cwd - Base directory for relative patterns
+ * @returns {Array} - File paths (as given or relative to the glob base), "-" kept as-is
+ */
+export function expandInputs(patterns, cwd = process.cwd()) {
+  const files = [];
+
+  for (const pattern of patterns) {
+    if (pattern === '-' || !/[*?]/.test(pattern)) {
+      files.push(pattern);
+      continue;
+    }
+
+    // Static directory prefix before the first segment with a wildcard
+    const segments = pattern.replace(/\\/g, '/').split('/');
+    const firstGlob = segments.findIndex(segment => /[*?]/.test(segment));
+    const baseSegments = segments.slice(0, firstGlob);
+    const base = baseSegments.join('/');
+    const baseDir = resolve(cwd, base || '.');
+    const matcher = globToRegExp(segments.slice(firstGlob).join('/'));
+
+    if (!existsSync(baseDir) || !statSync(baseDir).isDirectory()) {
+      throw new CliUsageError(`No files match '${pattern}'`);
+    }
+
+    const matches = listFiles(baseDir)
+      .filter(file => matcher.test(file))
+      .sort()
+      .map(file => (base ? `${base}/${file}` : file));
+
+    if (matches.length === 0) {
+      throw new CliUsageError(`No files match '${pattern}'`);
+    }
+    files.push(...matches);
+  }
+
+  return files;
+}
+
+/**
+ * Logging config for the library: its messages go to stderr with --verbose, otherwise nowhere
+ */
+function getLogConfig(options, io) {
+  const write = (...args) => io.stderr(args.map(arg => (typeof arg === 'string' ? arg : JSON.stringify(arg))).join(' ') + '\n');
+
+  return {
+    logger: { error: write, warn: write, info: write, debug: write },
+    logLevel: options.verbose ? (options.config.logLevel || 'info') : 'silent'
+  };
+}
+
+const defaultIO = {
+  stdout: text => process.stdout.write(text),
+  stderr: text => process.stderr.write(text),
+  readStdin: () => readFileSync(0, 'utf-8'),
+  isStdinTTY: () => Boolean(process.stdin.isTTY),
+  cwd: () => process.cwd()
+};
+
+/**
+ * Run the command-line interface
+ * @param {Array} argv - Arguments (without node and script path)
+ * @param {Object} io - {stdout, stderr, readStdin, isStdinTTY, cwd} (for tests)
+ * @returns {number} - Exit code
+ */
+export function runCLI(argv, io = defaultIO) {
+  io = { ...defaultIO, ...io };
+  const cwd = io.cwd();
+
+  let options;
+  let inputs;
+  try {
+    options = parseArgs(argv);
+
+    if (options.help) {
+      io.stdout(USAGE);
+      return EXIT_OK;
+    }
+    if (options.version) {
+      const pkg = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf-8'));
+      io.stdout(`${pkg.version}\n`);
+      return EXIT_OK;
+    }
+
+    if (options.configFile) {
+      const fileConfig = JSON.parse(readFileSync(resolve(cwd, options.configFile), 'utf-8'));
+      options.config = { ...fileConfig, ...options.config };
+    }
+
+    if (options.inputs.length === 0) {
+      if (io.isStdinTTY()) {
+        throw new CliUsageError('No input files given');
+      }
+      options.inputs.push('-');
+    }
+
+    inputs = expandInputs(options.inputs, cwd);
+
+    const writesStdout = !options.check && !options.output && !options.outDir;
+    if (inputs.length > 1 && (writesStdout || options.output)) {
+      throw new CliUsageError('Multiple inputs need --out-dir (or --check)');
+    }
+  } catch (error) {
+    io.stderr(`bpmn-autolayout: ${error.message}\n`);
+    if (error instanceof CliUsageError) {
+      io.stderr(`Run 'bpmn-autolayout --help' for usage.\n`);
+    }
+    return EXIT_USAGE;
+  }
+
+  let failed = false;
+  const report = {};
+  const outputNames = new Map(); // --out-dir file name → input
+
+  for (const input of inputs) {
+    const label = input === '-' ? '<stdin>' : input;
+
+    let xml;
+    try {
+      xml = input === '-' ? io.readStdin() : readFileSync(resolve(cwd, input), 'utf-8');
+    } catch (error) {
+      io.stderr(`❌ ${label}: ${error.message}\n`);
+      report[label] = { success: false, errors: [error.message] };
+      failed = true;
+      continue;
+    }
+
+    const layout = options.format === 'svg' ? computeLayout : layoutBPMN;
+    const result = layout(xml, { ...options.config, ...getLogConfig(options, io) });
+    report[label] = result.success
+      ? { success: true, diagnostics: result.diagnostics, qualityMetrics: result.qualityMetrics }
+      : { success: false, errors: result.errors };
+
+    if (!result.success) {
+      io.stderr(`❌ ${label}: layout failed\n`);
+      for (const error of result.errors || []) {
+        io.stderr(`   ${error}\n`);
+      }
+      failed = true;
+      continue;
+    }
+
+    if (options.check) {
+      const diagnostics = result.diagnostics || [];
+      if (diagnostics.length > 0) {
+        io.stderr(`❌ ${label}: ${diagnostics.length} layout problem(s)\n`);
+        for (const diagnostic of diagnostics) {
+          io.stderr(`   ${diagnostic.severity} ${diagnostic.code}: ${diagnostic.message}\n`);
+        }
+        failed = true;
+      } else if (!options.quiet) {
+        io.stderr(`✅ ${label}\n`);
+      }
+    }
+
+    // Output file name in --out-dir: inputs with the same file name would overwrite each other
+    let fileName = null;
+    if (options.outDir) {
+      const inputName = input === '-' ? 'stdin.bpmn' : basename(input);
+      fileName = options.format === 'svg' ? inputName.replace(/(\.[^.]*)?$/, '.svg') : inputName;
+      if (outputNames.has(fileName)) {
+        const message = `Output ${fileName} was already written for ${outputNames.get(fileName)}`;
+        io.stderr(`❌ ${label}: ${message}\n`);
+        report[label] = { success: false, errors: [message] };
+        failed = true;
+        continue;
+      }
+      outputNames.set(fileName, label);
+    }
+
+    try {
+      const output = options.format === 'svg' ? renderSVG(result.layout) : result.bpmnXml;
+
+      if (options.outDir) {
+        const outDir = resolve(cwd, options.outDir);
+        mkdirSync(outDir, { recursive: true });
+        writeFileSync(join(outDir, fileName), output);
+        if (!options.quiet && !options.check) io.stderr(`✅ ${label} → ${join(options.outDir, fileName)}\n`);
+      } else if (options.output) {
+        writeFileSync(resolve(cwd, options.output), output);
+        if (!options.quiet && !options.check) io.stderr(`✅ ${label} → ${options.output}\n`);
+      } else if (!options.check) {
+        io.stdout(output);
+      }
+    } catch (error) {
+      io.stderr(`❌ ${label}: ${error.message}\n`);
+      report[label] = { success: false, errors: [error.message] };
+      failed = true;
+    }
+  }
+
+  if (options.report) {
+    try {
+      writeFileSync(resolve(cwd, options.report), JSON.stringify(report, null, 2) + '\n');
+    } catch (error) {
+      io.stderr(`❌ ${options.report}: ${error.message}\n`);
+      failed = true;
+    }
+  }
+
+  return failed ? EXIT_FAILED : EXIT_OK;
+}
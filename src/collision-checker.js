@@ -4,6 +4,10 @@
  * Checks for collisions after all positions have been assigned
  */
 
+import { getLogger } from './logger.js';
+
+const log = getLogger('validation');
+
 /**
  * Check all positions for collisions and report them
  * @param {Map} positions - Map of elementId -> {lane, layer, row}
@@ -16,6 +20,7 @@ export function checkAllCollisions(positions, flows) {
   
   // Build position map
   for (const [elementId, pos] of positions) {
+    if (pos.attachedTo) continue; // Boundary events share their host's cell
     const key = `${pos.lane}:${pos.layer}:${pos.row}`;
     if (!positionMap.has(key)) {
       positionMap.set(key, []);
@@ -37,26 +42,21 @@ export function checkAllCollisions(positions, flows) {
   }
   
   // Report collisions
-  if (collisions.length > 0) {
-    console.error('\n❌ ========== COLLISIONS DETECTED ==========');
-    for (const collision of collisions) {
-      console.error(`\n  Position: lane=${collision.lane}, layer=${collision.layer}, row=${collision.row}`);
-      console.error(`  Elements: ${collision.elements.join(', ')}`);
-      
-      // Try to find which flows led to these elements
-      for (const elementId of collision.elements) {
-        const incomingFlows = [];
-        for (const [flowId, flow] of flows) {
-          if (flow.targetRef === elementId) {
-            incomingFlows.push(`${flowId} (${flow.sourceRef} -> ${elementId})`);
-          }
-        }
-        if (incomingFlows.length > 0) {
-          console.error(`    ${elementId} incoming flows: ${incomingFlows.join(', ')}`);
+  for (const collision of collisions) {
+    log.warn(`Elements ${collision.elements.join(', ')} share position lane=${collision.lane}, layer=${collision.layer}, row=${collision.row}`);
+    
+    // Try to find which flows led to these elements
+    for (const elementId of collision.elements) {
+      const incomingFlows = [];
+      for (const [flowId, flow] of flows) {
+        if (flow.targetRef === elementId) {
+          incomingFlows.push(`${flowId} (${flow.sourceRef} -> ${elementId})`);
         }
       }
+      if (incomingFlows.length > 0) {
+        log.debug(`  ${elementId} incoming flows: ${incomingFlows.join(', ')}`);
+      }
     }
-    console.error('\n❌ ==========================================\n');
   }
   
   return collisions;
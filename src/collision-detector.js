@@ -4,6 +4,10 @@
  * Tracks element positions and detects collisions when setting positions
  */
 
+import { getLogger } from './logger.js';
+
+const log = getLogger('collision');
+
 /**
  * Check if a position is already occupied and report collision
  * @param {string} elementId - Element being positioned
@@ -31,12 +35,7 @@ export function detectCollision(elementId, lane, layer, row, positions, matrix,
   }
   
   if (collision) {
-    console.error(`❌ COLLISION DETECTED:`);
-    console.error(`   Element: ${elementId}`);
-    console.error(`   Position: lane=${lane}, layer=${layer}, row=${row}`);
-    console.error(`   Collides with: ${collidingElements.join(', ')}`);
-    console.error(`   Source: ${source}`);
-    console.error('');
+    log.warn(`Element ${elementId} collides with ${collidingElements.join(', ')} at lane=${lane}, layer=${layer}, row=${row} (source: ${source})`);
   }
   
   return collision;
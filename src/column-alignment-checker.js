@@ -1,10 +1,14 @@
+import { getLogger } from './logger.js';
+
+const log = getLogger('validation');
+
 /**
  * Check if columns (layers) are properly aligned across all lanes
  * Elements in the same layer should have the same X position
  * @param {Map} positions - Element positions from Phase 2 (elementId → {lane, layer, row})
  * @param {Map} coordinates - Element coordinates from Phase 3 (elementId → {x, y, width, height})
  * @param {Map} elements - Element map (for element info)
- * @returns {boolean} - True if alignment issues found
+ * @returns {Array} - Issues [{layer, groups: [{x, elementIds, lanes}], offset}] (empty: aligned)
  */
 export function checkColumnAlignment(positions, coordinates, elements) {
   // Group elements by layer
@@ -27,7 +31,7 @@ export function checkColumnAlignment(positions, coordinates, elements) {
   }
   
   // Check each layer for X alignment
-  let hasIssues = false;
+  const issues = [];
   const TOLERANCE = 1; // Allow 1px tolerance for floating point errors
   
   for (const [layer, elements] of layerElements) {
@@ -48,32 +52,32 @@ export function checkColumnAlignment(positions, coordinates, elements) {
     
     // If more than one X group, we have misalignment
     if (xGroups.size > 1) {
-      hasIssues = true;
-      
-      console.error(`\n⚠️  COLUMN ALIGNMENT ISSUE`);
-      console.error(`   Layer ${layer}: Elements have different X positions`);
-      
       // Show each X group
       const sortedXs = Array.from(xGroups.keys()).sort((a, b) => a - b);
+      
+      // Calculate max offset
+      const minX = Math.min(...sortedXs);
+      const maxX = Math.max(...sortedXs);
+      const offset = maxX - minX;
+      log.warn(`Layer ${layer}: Elements have different X positions (maximum offset: ${offset}px)`);
       for (const x of sortedXs) {
         const group = xGroups.get(x);
         const lanes = group.map(el => el.lane).join(', ');
         const ids = group.map(el => el.elementId).join(', ');
-        console.error(`     X=${x}: ${group.length} elements in lanes [${lanes}]`);
-        console.error(`       Elements: ${ids}`);
+        log.debug(`  X=${x}: ${ids} in lanes [${lanes}]`);
       }
       
-      // Calculate max offset
-      const minX = Math.min(...sortedXs);
-      const maxX = Math.max(...sortedXs);
-      const offset = maxX - minX;
-      console.error(`     Maximum offset: ${offset}px`);
+      issues.push({
+        layer,
+        groups: sortedXs.map(x => ({
+          x,
+          elementIds: xGroups.get(x).map(el => el.elementId),
+          lanes: xGroups.get(x).map(el => el.lane)
+        })),
+        offset
+      });
     }
   }
   
-  if (hasIssues) {
-    console.error(`\n⚠️  ===============================================\n`);
-  }
-  
-  return hasIssues;
+  return issues;
 }
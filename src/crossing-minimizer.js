@@ -0,0 +1,171 @@
+/**
+ * Crossing Minimization
+ *
+ * Reorders the rows within each lane and layer so that fewer flows cross
+ * (barycenter heuristic of the Sugiyama approach):
+ * - Sweeps alternate along and against the process direction: every element is
+ *   sorted by the mean vertical index (lane, row) of its sequence flow predecessors / successors
+ * - Crossings are counted over sequence and message flows
+ * - Only rows inside one (lane, layer) cell are exchanged, so lane membership, layers
+ *   and the set of rows a cell occupies stay as assigned
+ * - Fixed: cells reserved for a cross-lane flow in the flow matrix, elements with a
+ *   vertical (same-layer) flow and boundary events (they follow their host)
+ * - The best ordering within the iteration budget is kept, and only if it has fewer crossings
+ */
+
+import { isPositionOccupiedByFlow } from './flow-matrix.js';
+
+/**
+ * Flows between positioned elements of different layers, oriented along the layers
+ * (forward flows routed as back-flows included, message flows only if requested)
+ */
+function collectEdges(positions, flows, includeMessageFlows) {
+  const edges = [];
+  for (const [, flow] of flows) {
+    if (flow.type === 'messageFlow' && !includeMessageFlows) continue;
+    const sourcePos = positions.get(flow.sourceRef);
+    const targetPos = positions.get(flow.targetRef);
+    if (!sourcePos || !targetPos || sourcePos.layer === targetPos.layer) continue;
+    edges.push(sourcePos.layer < targetPos.layer
+      ? { sourceId: flow.sourceRef, targetId: flow.targetRef }
+      : { sourceId: flow.targetRef, targetId: flow.sourceRef });
+  }
+  return edges;
+}
+
+/**
+ * Count pairs of edges whose order flips between their ends (layer spans must overlap)
+ * @param {Array} edges - [{sourceId, targetId}]
+ * @param {Map} positions - elementId → {lane, layer, row}
+ * @param {Function} getVerticalIndex - position → vertical index
+ * @returns {number} - Crossings
+ */
+export function countCrossings(edges, positions, getVerticalIndex) {
+  const spans = edges.map(({ sourceId, targetId }) => {
+    const sourcePos = positions.get(sourceId);
+    const targetPos = positions.get(targetId);
+    return {
+      from: sourcePos.layer,
+      to: targetPos.layer,
+      sourceV: getVerticalIndex(sourcePos),
+      targetV: getVerticalIndex(targetPos)
+    };
+  });
+
+  let crossings = 0;
+  for (let a = 0; a < spans.length; a++) {
+    for (let b = a + 1; b < spans.length; b++) {
+      const first = spans[a];
+      const second = spans[b];
+      if (Math.max(first.from, second.from) >= Math.min(first.to, second.to)) continue;
+      if ((first.sourceV - second.sourceV) * (first.targetV - second.targetV) < 0) crossings++;
+    }
+  }
+  return crossings;
+}
+
+/**
+ * Cells whose rows may be exchanged: lane:layer → {layer, elementIds}
+ */
+function collectMovableCells(positions, flows, matrix) {
+  // Elements with a flow inside their layer (vertical flow) keep their row
+  const fixed = new Set();
+  for (const [, flow] of flows) {
+    if (flow.type === 'messageFlow') continue;
+    const sourcePos = positions.get(flow.sourceRef);
+    const targetPos = positions.get(flow.targetRef);
+    if (sourcePos && targetPos && sourcePos.layer === targetPos.layer) {
+      fixed.add(flow.sourceRef);
+      fixed.add(flow.targetRef);
+    }
+  }
+
+  const cells = new Map();
+  for (const [elementId, pos] of positions) {
+    if (pos.attachedTo || fixed.has(elementId)) continue;
+    if (isPositionOccupiedByFlow(matrix, pos.lane, pos.layer)) continue;
+    const key = `${pos.lane}:${pos.layer}`;
+    if (!cells.has(key)) cells.set(key, { layer: pos.layer, elementIds: [] });
+    cells.get(key).elementIds.push(elementId);
+  }
+
+  return [...cells.values()].filter(cell => cell.elementIds.length > 1);
+}
+
+/**
+ * Sort the elements of one cell by barycenter and give them the cell's rows in that order
+ */
+function reorderCell(cell, neighbors, positions, getVerticalIndex) {
+  const rows = cell.elementIds.map(elementId => positions.get(elementId).row).sort((a, b) => a - b);
+  const ranked = cell.elementIds.map(elementId => {
+    const pos = positions.get(elementId);
+    const neighborIds = neighbors.get(elementId) || [];
+    const barycenter = neighborIds.length > 0
+      ? neighborIds.reduce((sum, neighborId) => sum + getVerticalIndex(positions.get(neighborId)), 0) / neighborIds.length
+      : getVerticalIndex(pos);
+    return { elementId, barycenter, row: pos.row };
+  });
+
+  ranked.sort((a, b) => (a.barycenter - b.barycenter) || (a.row - b.row));
+  ranked.forEach(({ elementId }, i) => {
+    positions.get(elementId).row = rows[i];
+  });
+}
+
+/**
+ * Reduce flow crossings by reordering rows within lanes and layers
+ * @param {Map} positions - elementId → {lane, layer, row} (rows are updated in place)
+ * @param {Map} flows - Flow map
+ * @param {Map} matrix - Flow reservation matrix (see flow-matrix.js)
+ * @param {Object} options - {getVerticalIndex(position), iterations}
+ * @returns {Object} - {before, after} crossings
+ */
+export function minimizeCrossings(positions, flows, matrix, { getVerticalIndex, iterations }) {
+  // Message flows count as crossings but do not pull on the barycenters
+  const sequenceEdges = collectEdges(positions, flows, false);
+  const edges = collectEdges(positions, flows, true);
+  const before = countCrossings(edges, positions, getVerticalIndex);
+  const cells = collectMovableCells(positions, flows, matrix);
+  if (before === 0 || cells.length === 0) {
+    return { before, after: before };
+  }
+
+  const predecessors = new Map();
+  const successors = new Map();
+  for (const { sourceId, targetId } of sequenceEdges) {
+    if (!predecessors.has(targetId)) predecessors.set(targetId, []);
+    if (!successors.has(sourceId)) successors.set(sourceId, []);
+    predecessors.get(targetId).push(sourceId);
+    successors.get(sourceId).push(targetId);
+  }
+
+  const movableIds = cells.flatMap(cell => cell.elementIds);
+  const saveRows = () => new Map(movableIds.map(elementId => [elementId, positions.get(elementId).row]));
+  let bestRows = saveRows();
+  let best = before;
+
+  const downCells = [...cells].sort((a, b) => a.layer - b.layer);
+  const upCells = [...downCells].reverse();
+  const sweeps = [[downCells, predecessors], [upCells, successors]];
+
+  for (let iteration = 0; iteration < iterations && best > 0; iteration++) {
+    let improved = false;
+    for (const [orderedCells, neighbors] of sweeps) {
+      for (const cell of orderedCells) {
+        reorderCell(cell, neighbors, positions, getVerticalIndex);
+      }
+      const crossings = countCrossings(edges, positions, getVerticalIndex);
+      if (crossings < best) {
+        best = crossings;
+        bestRows = saveRows();
+        improved = true;
+      }
+    }
+    if (!improved) break;
+  }
+
+  for (const [elementId, row] of bestRows) {
+    positions.get(elementId).row = row;
+  }
+  return { before, after: best };
+}
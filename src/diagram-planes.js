@@ -0,0 +1,155 @@
+/**
+ * Diagram Planes
+ *
+ * A BPMN file can contain several diagrams (BPMNDiagram), each with one plane in its own
+ * coordinate space. Every plane is laid out on its own (Phase 2 + 3) and gets its own diagram:
+ * - Collaboration: all participants (pools, black boxes without process), their processes and
+ *   the message flows between them
+ * - Process: every process no participant references (several top-level processes without
+ *   collaboration, processes called by call activities)
+ * - Sub-process: the content of every collapsed sub-process (drill-down plane as in bpmn-js)
+ *
+ * Elements are on the plane of the innermost collapsed sub-process around them, else on the
+ * plane of their process. Expanded sub-processes stay on the plane of their parent.
+ *
+ * Processes without lanes (flat processes) are laid out as one implicit lane, inside the pool
+ * of their participant or without any pool. Implicit lanes are not drawn.
+ */
+
+import { getGraphLevel, isCollapsedSubProcess, createContentLanes } from './subprocess-layout.js';
+
+/**
+ * Split the graph into diagram planes
+ * The collaboration comes first, then the processes (in the order of their first element) and
+ * the collapsed sub-processes. Planes without flow nodes are left out.
+ * @param {Object} graph - {elements, flows, lanes, pools} from Phase 1
+ * @param {Object} config - Configuration (collapseSubProcesses)
+ * @returns {Array} - [{id, type, rootId, elements, lanes, pools}]
+ *   type: 'collaboration', 'process' or 'subProcess'
+ *   id: process or sub-process ID (null: the collaboration, or a process without ID)
+ *   rootId: sub-process whose content is the top level of the plane (null: the top level of a process)
+ *   elements, lanes, pools: maps of the elements, lanes and pools drawn on the plane
+ */
+export function getDiagramPlanes(graph, config = {}) {
+  const { elements, flows, lanes, pools } = graph;
+
+  // Processes drawn as pools of the collaboration (and black-box pools without process)
+  const participantProcesses = new Set();
+  for (const pool of pools.values()) {
+    if (pool.processRef) participantProcesses.add(pool.processRef);
+  }
+  const hasCollaboration = participantProcesses.size > 0 || [...pools.values()].some(pool => pool.blackBox);
+
+  const topLevelPlanes = new Map(); // Process ID (or 'collaboration') → plane
+  const subProcessPlanes = new Map(); // Sub-process ID → plane
+  const createPlane = (id, type, rootId) => ({ id, type, rootId, elements: new Map(), lanes: new Map(), pools: new Map() });
+
+  const getProcessPlane = processId => {
+    const isParticipant = hasCollaboration && (processId === null || participantProcesses.has(processId));
+    const key = isParticipant ? 'collaboration' : processId;
+    if (!topLevelPlanes.has(key)) {
+      topLevelPlanes.set(key, isParticipant ? createPlane(null, 'collaboration', null) : createPlane(processId, 'process', null));
+    }
+    return topLevelPlanes.get(key);
+  };
+
+  for (const [elementId, element] of elements) {
+    let plane = null;
+    for (let parentId = element.parentId; parentId && !plane; parentId = elements.get(parentId)?.parentId) {
+      if (isCollapsedSubProcess(elements.get(parentId), config)) {
+        if (!subProcessPlanes.has(parentId)) subProcessPlanes.set(parentId, createPlane(parentId, 'subProcess', parentId));
+        plane = subProcessPlanes.get(parentId);
+      }
+    }
+    (plane || getProcessPlane(element.processId ?? null)).elements.set(elementId, element);
+  }
+
+  // Lanes and their pools: participants on the collaboration, default pools with their process
+  for (const [laneId, lane] of lanes) {
+    const pool = pools.get(lane.poolId);
+    const plane = getProcessPlane(pool && pool.processRef ? pool.processRef : (lane.processId ?? null));
+    plane.lanes.set(laneId, lane);
+    if (pool) plane.pools.set(pool.id, pool);
+  }
+  for (const [poolId, pool] of pools) {
+    if (pool.processRef || pool.blackBox) getProcessPlane(pool.processRef).pools.set(poolId, pool);
+  }
+
+  const rank = plane => (plane.type === 'collaboration' ? 0 : 1);
+  return [...topLevelPlanes.values()]
+    .sort((a, b) => rank(a) - rank(b))
+    .concat([...subProcessPlanes.values()])
+    .filter(plane => getGraphLevel(plane.elements, flows, plane.rootId).elements.size > 0);
+}
+
+/**
+ * Flows drawn on a plane: sequence flows, message flows and associations of its elements
+ * @param {Map} flows - Flow map
+ * @param {Object} plane - Plane from getDiagramPlanes
+ * @returns {Map} - flowId → flow
+ */
+export function getPlaneFlows(flows, plane) {
+  const planeFlows = new Map();
+  for (const [flowId, flow] of flows) {
+    if (plane.elements.has(flow.sourceRef) || plane.elements.has(flow.targetRef)) {
+      planeFlows.set(flowId, flow);
+    }
+  }
+  return planeFlows;
+}
+
+/**
+ * Lanes and pools Phase 2 + 3 lay out the top level of a plane with
+ * The content of a collapsed sub-process shares one virtual lane, like an expanded one.
+ * Elements of flat processes get one implicit lane per process ({implicit: true}), the pool of
+ * their participant is extended by it. Planes without flat processes keep their own maps.
+ * @param {Object} plane - Plane from getDiagramPlanes
+ * @param {Object} level - {elements, flows} top level of the plane (getGraphLevel)
+ * @returns {Object} - {lanes: Map, pools: Map}
+ */
+export function getLayoutLanes(plane, level) {
+  if (plane.rootId) {
+    return { lanes: createContentLanes(plane.rootId, level), pools: plane.pools };
+  }
+
+  const implicitLanes = new Map(); // Process ID → implicit lane
+  for (const [elementId, element] of level.elements) {
+    if (element.lane) continue;
+    const processId = element.processId ?? null;
+    if (!implicitLanes.has(processId)) {
+      const pool = [...plane.pools.values()].find(candidate => processId !== null && candidate.processRef === processId);
+      const laneId = `${processId || 'process'}_lane`;
+      implicitLanes.set(processId, {
+        id: laneId,
+        name: '',
+        elements: [],
+        poolId: pool ? pool.id : null,
+        parentLane: null,
+        childLanes: [],
+        implicit: true
+      });
+    }
+    implicitLanes.get(processId).elements.push(elementId);
+  }
+  if (implicitLanes.size === 0) return { lanes: plane.lanes, pools: plane.pools };
+
+  // Lanes in the document order of their processes, like the lanes of the laneSets
+  const processOrder = [...new Set(Array.from(plane.elements.values(), element => element.processId ?? null))];
+  const getProcessIndex = processId => {
+    const index = processOrder.indexOf(processId ?? null);
+    return index === -1 ? processOrder.length : index;
+  };
+  const laneEntries = [...plane.lanes].map(([laneId, lane]) => [laneId, lane, getProcessIndex(lane.processId)]);
+  for (const [processId, lane] of implicitLanes) laneEntries.push([lane.id, lane, getProcessIndex(processId)]);
+  laneEntries.sort((a, b) => a[2] - b[2]);
+
+  const lanes = new Map(laneEntries.map(([laneId, lane]) => [laneId, lane]));
+  const pools = new Map(plane.pools);
+  for (const lane of implicitLanes.values()) {
+    if (lane.poolId) {
+      const pool = pools.get(lane.poolId);
+      pools.set(pool.id, { ...pool, lanes: [...pool.lanes, lane.id] });
+    }
+  }
+  return { lanes, pools };
+}
@@ -7,6 +7,10 @@
  * 3. Element intersections (flow goes through elements)
  */
 
+import { getLogger } from './logger.js';
+
+const log = getLogger('validation');
+
 /**
  * Check if waypoint is in correct direction from element
  * @param {Object} elementCoord - {x, y, width, height}
@@ -169,8 +173,9 @@ function lineIntersectsLine(p1, p2, p3, p4) {
  * @param {Map} flowWaypoints - Map of flowId -> waypoints
  * @param {Map} coordinates - Map of elementId -> {x, y, width, height}
  * @param {Map} flowInfos - Map of flowId -> flowInfo
+ * @param {Set} hiddenElementIds - Elements without shape (hidden XOR merge gateways): no obstacles, merged flows pass them
  */
-export function checkFlowCollisions(flows, flowWaypoints, coordinates, flowInfos) {
+export function checkFlowCollisions(flows, flowWaypoints, coordinates, flowInfos, hiddenElementIds = new Set()) {
   const collisions = [];
   
   for (const [flowId, flow] of flows) {
@@ -203,8 +208,15 @@ export function checkFlowCollisions(flows, flowWaypoints, coordinates, flowInfos
       }
     }
     
-    // 2. Check entry direction
-    const entrySide = flowInfo.target?.entrySide;
+    // 2. Check entry direction (merged through hidden gateways: entry of the last merged flow)
+    let entryInfo = flowInfo;
+    const passedGateways = new Set();
+    while (entryInfo && hiddenElementIds.has(entryInfo.targetId) && !passedGateways.has(entryInfo.targetId)) {
+      const gatewayId = entryInfo.targetId;
+      passedGateways.add(gatewayId);
+      entryInfo = Array.from(flowInfos.values()).find(info => info.sourceId === gatewayId);
+    }
+    const entrySide = entryInfo?.target?.entrySide;
     if (entrySide && waypoints.length > 1) {
       const lastWaypoint = waypoints[waypoints.length - 1];
       const secondLastWaypoint = waypoints[waypoints.length - 2];
@@ -237,8 +249,9 @@ export function checkFlowCollisions(flows, flowWaypoints, coordinates, flowInfos
     
     // 4. Check element intersections
     for (const [elementId, elementCoord] of coordinates) {
-      // Skip source and target
+      // Skip source, target and elements without shape
       if (elementId === flow.sourceRef || elementId === flow.targetRef) continue;
+      if (hiddenElementIds.has(elementId)) continue;
       
       // Check each segment
       for (let i = 0; i < waypoints.length - 1; i++) {
@@ -257,17 +270,11 @@ export function checkFlowCollisions(flows, flowWaypoints, coordinates, flowInfos
   }
   
   // Report collisions
-  if (collisions.length > 0) {
-    console.error('\n⚠️  ========== FLOW COLLISIONS DETECTED ==========');
-    for (const collision of collisions) {
-      console.error(`\n  Flow: ${collision.flowId}`);
-      console.error(`  Type: ${collision.type}`);
-      console.error(`  ${collision.message}`);
-      if (collision.waypoints) {
-        console.error(`  Waypoints: ${JSON.stringify(collision.waypoints)}`);
-      }
+  for (const collision of collisions) {
+    log.warn(`Flow ${collision.flowId} (${collision.type}): ${collision.message}`);
+    if (collision.waypoints) {
+      log.debug(`  Waypoints: ${JSON.stringify(collision.waypoints)}`);
     }
-    console.error('\n⚠️  ===============================================\n');
   }
   
   return collisions;
@@ -5,14 +5,17 @@
 
 import PF from 'pathfinding';
 import { getCorridorsInLane } from './manhattan-router.js';
+import { DEFAULT_METRICS } from './layout-metrics.js';
 
 /**
  * Build grid from corridors and matrix positions
  * @param {Object} laneBounds - Lane boundaries
  * @param {Map} coordinates - Element coordinates
+ * @param {Object} metrics - Layout metrics (see layout-metrics.js)
+ * @param {Array} columnBoundaries - X of every column border (variable column widths), or null
  * @returns {Object} { grid, xCoords, yCoords }
  */
-export function buildRoutingGrid(laneBounds, coordinates) {
+export function buildRoutingGrid(laneBounds, coordinates, metrics = DEFAULT_METRICS, columnBoundaries = null) {
   // Collect all unique X and Y coordinates
   const xSet = new Set();
   const ySet = new Set();
@@ -29,7 +32,7 @@ export function buildRoutingGrid(laneBounds, coordinates) {
   // Add horizontal corridors from lane bounds
   if (laneBounds) {
     for (const [laneId, bounds] of Object.entries(laneBounds)) {
-      const corridors = getCorridorsInLane(bounds);
+      const corridors = getCorridorsInLane(bounds, metrics);
 
       corridors.forEach(y => ySet.add(y));
     }
@@ -46,13 +49,17 @@ export function buildRoutingGrid(laneBounds, coordinates) {
   }
   
   // Add vertical corridors (between columns)
-  // Use LAYER_OFFSET (200px) to calculate column positions
-  const LAYER_OFFSET = 200;
-  const minX = Math.min(...Array.from(coordinates.values()).map(c => c.x));
-  const maxX = Math.max(...Array.from(coordinates.values()).map(c => c.x + c.width));
-  
-  for (let x = minX - LAYER_OFFSET; x <= maxX + LAYER_OFFSET; x += LAYER_OFFSET) {
-    xSet.add(x);
+  // Use the column borders, or step by the column width for uniform columns
+  if (columnBoundaries) {
+    columnBoundaries.forEach(x => xSet.add(x));
+  } else {
+    const { columnWidth } = metrics;
+    const minX = Math.min(...Array.from(coordinates.values()).map(c => c.x));
+    const maxX = Math.max(...Array.from(coordinates.values()).map(c => c.x + c.width));
+    
+    for (let x = minX - columnWidth; x <= maxX + columnWidth; x += columnWidth) {
+      xSet.add(x);
+    }
   }
   
   // Sort coordinates and filter out NaN/invalid values
@@ -9,7 +9,15 @@
 
 import { parseXML, validateBPMN, preProcess, detectBackEdges, phase1 } from './phase1.js';
 import { applyConfig, phase2 } from './phase2.js';
-import { phase3, injectBPMNDI } from './phase3.js';
+import { injectBPMNDI } from './phase3.js';
+import { getGraphLevel, layoutGraphLevel, layoutSubProcesses, mergeSubProcessLayouts, routeCrossLevelFlows } from './subprocess-layout.js';
+import { getDiagramPlanes, getLayoutLanes } from './diagram-planes.js';
+import { placeArtifacts } from './artifact-placement.js';
+import { buildLayoutResult } from './layout-result.js';
+import { collectDiagnostics, calculateQualityMetrics } from './layout-diagnostics.js';
+import { withLogger, getLogger } from './logger.js';
+
+const log = getLogger('layout');
 
 /**
  * Main layout function - applies auto-layout to BPMN XML
@@ -17,78 +25,71 @@ import { phase3, injectBPMNDI } from './phase3.js';
  * @param {Object} config - Configuration options
  * @param {string} config.laneOrientation - "horizontal" (default) or "vertical"
  * @param {boolean} config.xorMergeGateways - Keep XOR merge gateways (default: false)
- * @returns {Object} - {success, bpmnXml?, errors?}
+ * @param {boolean} config.collapseSubProcesses - Keep sub-processes collapsed (default: false)
+ * @param {boolean} config.preserveElementSizes - Keep element sizes from the input DI (default: false)
+ * @param {boolean} config.stableLayout - Use the input DI as position hint, see position-hints.js (default: false)
+ * @param {string|Object} config.layoutMetrics - Metrics preset or {preset, ...values} (see layout-metrics.js)
+ * @param {Object} config.logger - Console-compatible logger for library output (default: none, silent)
+ * @param {string} config.logLevel - "silent", "error", "warn" (default) or "info"
+ * @param {Array|boolean} config.debug - Debug categories to log, true for all (see logger.js);
+ *   without config.logger they are logged to the console
+ * @returns {Object} - {success, bpmnXml?, warnings?, diagnostics?, qualityMetrics?, errors?}
+ *   diagnostics: problems found by the collision detectors (layout still succeeded),
+ *   see layout-diagnostics.js; warnings: their messages
+ *   qualityMetrics: {edgeCrossings, bends, totalEdgeLength, width, height, area, ...}
  */
 export function layoutBPMN(bpmnXml, config = {}) {
   try {
-    // ===== PHASE 1: Parsing, Validation, Pre-Processing =====
-    
-    // Parse BPMN XML
-    const graph = parseXML(bpmnXml);
-    
-    if (!graph.success) {
-      return {
-        success: false,
-        errors: graph.errors || ['Failed to parse BPMN XML']
-      };
-    }
-    
-    // Validate structure
-    validateBPMN(graph);
-    
-    if (!graph.success) {
-      return {
-        success: false,
-        errors: graph.errors || ['BPMN validation failed']
-      };
-    }
-    
-    // Use phase1 to get graph, backEdges, and backFlows
-    const phase1Result = phase1(bpmnXml, config);
-    if (!phase1Result.success) {
+    return withLogger(config, () => {
+      const run = runLayout(bpmnXml, config);
+      if (!run.success) {
+        return run;
+      }
+      
+      const { elements, flows, lanes, pools, directions, coordinates, flowWaypoints, flowInfos, laneBounds, poolBounds, planes } = run;
+      
+      // Generate BPMN XML with DI (one diagram per plane)
+      const outputXml = injectBPMNDI(bpmnXml, elements, flows, lanes, coordinates, flowWaypoints, laneBounds, directions, flowInfos, pools, poolBounds, planes);
+      
       return {
-        success: false,
-        errors: phase1Result.errors || ['Phase 1 failed']
+        success: true,
+        bpmnXml: outputXml,
+        ...createReport(run)
       };
-    }
-    
-    const { graph: processedGraph, backEdges, backFlows } = phase1Result;
-    const { elements, flows, lanes, pools } = processedGraph;
-    
-    // ===== PHASE 2: Position Assignment + Flow Information =====
-    
-    // Apply configuration (determine abstract directions)
-    const directions = applyConfig(config);
-    
-    // Run Phase 2: Position assignment and flow information
-    const phase2Result = phase2(elements, flows, lanes, directions, backEdges, backFlows, pools);
-    
-    // Debug: Check if all elements are positioned
-    if (elements.size !== phase2Result.positions.size) {
-      console.error(`\n⚠️  WARNING: Not all elements positioned!`);
-      console.error(`   Total elements: ${elements.size}`);
-      console.error(`   Positioned: ${phase2Result.positions.size}`);
-      console.error(`   Missing: ${elements.size - phase2Result.positions.size}`);
-      const missing = [];
-      for (const [id] of elements) {
-        if (!phase2Result.positions.has(id)) {
-          missing.push(id);
-        }
-      }
-      console.error(`   Missing elements: ${missing.join(', ')}\n`);
-    }
-    
-    // ===== PHASE 3: Pixel Coordinates + BPMN DI =====
-    
-    const { coordinates, flowWaypoints, laneBounds, poolBounds } = phase3(phase2Result, elements, lanes, directions, pools, flows);
-    
-    // Generate BPMN XML with DI
-    const outputXml = injectBPMNDI(bpmnXml, elements, flows, lanes, coordinates, flowWaypoints, laneBounds, directions, phase2Result.flowInfos, pools, poolBounds);
+    });
     
+  } catch (error) {
     return {
-      success: true,
-      bpmnXml: outputXml
+      success: false,
+      errors: [error.message]
     };
+  }
+}
+
+/**
+ * Compute the layout without generating BPMN DI
+ * Same config and pipeline as layoutBPMN(), but the result is plain JSON
+ * (see layout-result.js) for custom renderers, in-memory models and geometry assertions.
+ * @param {string} bpmnXml - Input BPMN XML
+ * @param {Object} config - Configuration options (see layoutBPMN)
+ * @returns {Object} - {success, layout?, warnings?, diagnostics?, qualityMetrics?, errors?}
+ *   layout: {orientation, metrics, elements, flows, lanes, pools, positions, flowInfos,
+ *   coordinates, flowWaypoints, laneBounds, poolBounds, labelBounds}
+ */
+export function computeLayout(bpmnXml, config = {}) {
+  try {
+    return withLogger(config, () => {
+      const run = runLayout(bpmnXml, config);
+      if (!run.success) {
+        return run;
+      }
+      
+      return {
+        success: true,
+        layout: buildLayoutResult(run),
+        ...createReport(run)
+      };
+    });
     
   } catch (error) {
     return {
@@ -98,9 +99,195 @@ export function layoutBPMN(bpmnXml, config = {}) {
   }
 }
 
+/**
+ * Run Phase 1-3 up to (not including) the BPMN DI generation
+ * @param {string} bpmnXml - Input BPMN XML
+ * @param {Object} config - Configuration options
+ * @returns {Object} - {success: false, errors} or {success: true, elements, flows, lanes, pools,
+ *   directions, planes, subProcessLayouts, levelResults, coordinates, flowWaypoints, flowInfos, laneBounds, poolBounds}
+ *   planes: diagram planes (see diagram-planes.js), the coordinates of each plane are in its own space
+ */
+function runLayout(bpmnXml, config) {
+  // ===== PHASE 1: Parsing, Validation, Pre-Processing =====
+  
+  // Parse BPMN XML
+  const graph = parseXML(bpmnXml);
+  
+  if (!graph.success) {
+    return {
+      success: false,
+      errors: graph.errors || ['Failed to parse BPMN XML']
+    };
+  }
+  
+  // Validate structure
+  validateBPMN(graph);
+  
+  if (!graph.success) {
+    return {
+      success: false,
+      errors: graph.errors || ['BPMN validation failed']
+    };
+  }
+  
+  // Use phase1 to get graph, backEdges, and backFlows
+  const phase1Result = phase1(bpmnXml, config);
+  if (!phase1Result.success) {
+    return {
+      success: false,
+      errors: phase1Result.errors || ['Phase 1 failed']
+    };
+  }
+  
+  const { graph: processedGraph, backEdges, backFlows } = phase1Result;
+  const { elements, flows, lanes, pools } = processedGraph;
+  
+  // ===== PHASE 2: Position Assignment + Flow Information =====
+  
+  // Apply configuration (determine abstract directions)
+  const directions = applyConfig(config);
+  
+  // Every diagram plane (collaboration, process, collapsed sub-process) is laid out on its own
+  const planes = getDiagramPlanes(processedGraph, config);
+  const coordinates = new Map();
+  const flowWaypoints = new Map();
+  const flowInfos = new Map();
+  const laneBounds = new Map();
+  const poolBounds = new Map();
+  const subProcessLayouts = new Map();
+  const levelResults = [];
+  
+  for (const plane of planes) {
+    const planeRun = layoutPlane(plane, flows, backEdges, backFlows, directions, config);
+    
+    // Element, flow and lane IDs are unique across planes
+    for (const [target, source] of [
+      [coordinates, planeRun.coordinates], [flowWaypoints, planeRun.flowWaypoints], [flowInfos, planeRun.flowInfos],
+      [subProcessLayouts, planeRun.subProcessLayouts]
+    ]) {
+      for (const [id, value] of source) target.set(id, value);
+    }
+    if (!plane.rootId) {
+      // Sub-process planes only have the virtual lane of their content
+      for (const [laneId, bounds] of planeRun.laneBounds) laneBounds.set(laneId, bounds);
+      for (const [poolId, bounds] of planeRun.poolBounds) poolBounds.set(poolId, bounds);
+    }
+    levelResults.push(...planeRun.levelResults);
+  }
+  
+  // Lanes in the order of their planes (config.optimizeLaneOrder reorders the lanes of a plane)
+  const laneEntries = [...planes.flatMap(plane => [...plane.lanes]), ...lanes];
+  lanes.clear();
+  for (const [laneId, lane] of laneEntries) {
+    if (!lanes.has(laneId)) lanes.set(laneId, lane);
+  }
+  
+  return {
+    success: true,
+    elements,
+    flows,
+    lanes,
+    pools,
+    directions,
+    planes,
+    subProcessLayouts,
+    levelResults,
+    coordinates,
+    flowWaypoints,
+    flowInfos,
+    laneBounds,
+    poolBounds
+  };
+}
+
+/**
+ * Run Phase 2 + 3 on one diagram plane, including its expanded sub-processes and artifacts
+ * @param {Object} plane - Plane from getDiagramPlanes
+ * @param {Map} flows - Flow map (all planes)
+ * @param {Array} backEdges - Back-edge flow ids
+ * @param {Array} backFlows - Back-flow ids
+ * @param {Object} directions - Direction mappings
+ * @param {Object} config - Configuration options
+ * @returns {Object} - {subProcessLayouts, levelResults, coordinates, flowWaypoints, flowInfos, laneBounds, poolBounds}
+ */
+function layoutPlane(plane, flows, backEdges, backFlows, directions, config) {
+  const { elements } = plane;
+  
+  // Sub-processes: lay out inner graphs first (bottom-up), then the top level
+  const subProcessLayouts = layoutSubProcesses({ elements, flows }, backEdges, backFlows, directions, config);
+  const topLevel = getGraphLevel(elements, flows, plane.rootId, plane.pools);
+  
+  // Virtual lane of a collapsed sub-process, implicit lanes of flat processes
+  const { lanes, pools } = getLayoutLanes(plane, topLevel);
+  
+  // Run Phase 2 (positions, flow information) + Phase 3 (pixel coordinates) on the top level
+  const { phase2Result, layout } = layoutGraphLevel(topLevel, lanes, pools, flows, backEdges, backFlows, directions);
+  const { coordinates, flowWaypoints, laneBounds, poolBounds } = layout;
+  
+  if (lanes !== plane.lanes && !plane.rootId) {
+    // Keep the lane order of Phase 2 (config.optimizeLaneOrder) for the drawn lanes
+    const drawnLanes = [...lanes].filter(([laneId]) => plane.lanes.has(laneId));
+    plane.lanes.clear();
+    for (const [laneId, lane] of drawnLanes) plane.lanes.set(laneId, lane);
+  }
+  
+  // Check if all elements are positioned
+  if (topLevel.elements.size !== phase2Result.positions.size) {
+    const missing = [];
+    for (const [id] of topLevel.elements) {
+      if (!phase2Result.positions.has(id)) {
+        missing.push(id);
+      }
+    }
+    log.warn(`Not all elements positioned (${phase2Result.positions.size} of ${topLevel.elements.size}), missing: ${missing.join(', ')}`);
+  }
+  
+  // ===== PHASE 3 (continued): Nested content, artifacts =====
+  
+  // Move sub-process contents into their containers
+  mergeSubProcessLayouts(subProcessLayouts, elements, coordinates, flowWaypoints, phase2Result.flowInfos);
+  routeCrossLevelFlows(flows, coordinates, flowWaypoints);
+  
+  // Data objects, data stores and annotations next to their activities
+  placeArtifacts(elements, flows, coordinates, flowWaypoints, laneBounds, directions);
+  
+  // Implicit lanes are not drawn
+  for (const lane of lanes.values()) {
+    if (lane.implicit) laneBounds.delete(lane.id);
+  }
+  
+  return {
+    subProcessLayouts,
+    levelResults: [{ phase2Result, layout }, ...subProcessLayouts.values()],
+    coordinates,
+    flowWaypoints,
+    flowInfos: phase2Result.flowInfos,
+    laneBounds,
+    poolBounds
+  };
+}
+
+/**
+ * Quality report of a layout run
+ * @param {Object} run - Result of runLayout()
+ * @returns {Object} - {warnings, diagnostics, qualityMetrics}
+ */
+function createReport(run) {
+  const diagnostics = collectDiagnostics(run);
+  
+  return {
+    warnings: diagnostics.map(diagnostic => diagnostic.message),
+    diagnostics,
+    qualityMetrics: calculateQualityMetrics(run)
+  };
+}
+
 /**
  * Export all phases for direct access
  */
 export { parseXML, validateBPMN, preProcess, detectBackEdges } from './phase1.js';
 export { applyConfig, phase2 } from './phase2.js';
 export { phase3, calculateElementCoordinates, routeBackFlow, generateElementDI, generateFlowDI, injectBPMNDI } from './phase3.js';
+export { applyLayoutToDefinitions, applyLayoutToModeler } from './model-adapter.js';
+export { createLayoutWorker } from './layout-worker-client.js';
+export { renderSVG } from './svg-renderer.js';
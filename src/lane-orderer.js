@@ -0,0 +1,181 @@
+/**
+ * Lane Ordering
+ *
+ * Reorders lanes (config.optimizeLaneOrder) so that flows between lanes pass fewer lanes in between:
+ * - Sibling groups are reordered: the top-level lanes of each pool and the child lanes of each parent lane
+ * - Cost: sum over all flows between two lanes of their lane distance, measured with the
+ *   lane index of Phase 2 (the same index decides crossLane / oppCrossLane), so every
+ *   lane a flow no longer skips is one crossing less
+ * - Pinned lanes (config.pinnedLanes) keep their index within their sibling group
+ * - Small groups are permuted exhaustively, larger ones improved by swapping pairs
+ * - An order only replaces the document order if it is strictly better
+ *
+ * The new order is applied in place: lane map order, pool.lanes and lane.childLanes,
+ * so Phase 2, Phase 3 and the DI all see the same order.
+ */
+
+// Unpinned lanes per group up to which all permutations are tried (6! = 720)
+const MAX_EXHAUSTIVE_LANES = 6;
+
+// Rounds over all groups (a group's best order depends on the order of the others)
+const MAX_ROUNDS = 3;
+
+/**
+ * Rebuild the lane map in display order: top-level lanes keep their slots per pool,
+ * child lanes follow their parent (pre-order)
+ */
+function applyLaneOrder(lanes, groups) {
+  const topLevel = Array.from(lanes.values()).filter(lane => !lane.parentLane).map(lane => lane.id);
+  const nextInGroup = new Map();
+  for (const group of groups) {
+    if (group.parentId === null) nextInGroup.set(group.poolId, [...group.laneIds]);
+  }
+  const rootOrder = topLevel.map(laneId => nextInGroup.get(lanes.get(laneId).poolId).shift());
+
+  const entries = [];
+  const visit = laneId => {
+    const lane = lanes.get(laneId);
+    entries.push([laneId, lane]);
+    for (const childId of lane.childLanes) visit(childId);
+  };
+  rootOrder.forEach(visit);
+
+  lanes.clear();
+  for (const [laneId, lane] of entries) lanes.set(laneId, lane);
+}
+
+/**
+ * Sibling groups: {poolId, parentId, laneIds} (laneIds is the live order of the group)
+ */
+function collectGroups(lanes) {
+  const groups = [];
+  const topLevelByPool = new Map();
+  for (const [laneId, lane] of lanes) {
+    if (lane.parentLane) continue;
+    if (!topLevelByPool.has(lane.poolId)) {
+      const group = { poolId: lane.poolId, parentId: null, laneIds: [] };
+      topLevelByPool.set(lane.poolId, group);
+      groups.push(group);
+    }
+    topLevelByPool.get(lane.poolId).laneIds.push(laneId);
+  }
+  for (const [laneId, lane] of lanes) {
+    if (lane.childLanes.length > 1) {
+      groups.push({ poolId: lane.poolId, parentId: laneId, laneIds: lane.childLanes });
+    }
+  }
+  return groups;
+}
+
+/**
+ * All orders of the unpinned lanes of a group (pinned lanes stay in their slots)
+ */
+function* permuteUnpinned(laneIds, pinned) {
+  const freeSlots = [];
+  laneIds.forEach((laneId, i) => {
+    if (!pinned.has(laneId)) freeSlots.push(i);
+  });
+  const free = freeSlots.map(i => laneIds[i]);
+
+  function* permute(items) {
+    if (items.length <= 1) {
+      yield items;
+      return;
+    }
+    for (let i = 0; i < items.length; i++) {
+      const rest = [...items.slice(0, i), ...items.slice(i + 1)];
+      for (const tail of permute(rest)) yield [items[i], ...tail];
+    }
+  }
+
+  for (const order of permute(free)) {
+    const candidate = [...laneIds];
+    freeSlots.forEach((slot, i) => {
+      candidate[slot] = order[i];
+    });
+    yield candidate;
+  }
+}
+
+/**
+ * Candidate orders of a group: all permutations, or all pair swaps for large groups
+ */
+function* candidateOrders(laneIds, pinned) {
+  const unpinned = laneIds.filter(laneId => !pinned.has(laneId));
+  if (unpinned.length <= MAX_EXHAUSTIVE_LANES) {
+    yield* permuteUnpinned(laneIds, pinned);
+    return;
+  }
+  for (let a = 0; a < laneIds.length; a++) {
+    for (let b = a + 1; b < laneIds.length; b++) {
+      if (pinned.has(laneIds[a]) || pinned.has(laneIds[b])) continue;
+      const candidate = [...laneIds];
+      [candidate[a], candidate[b]] = [candidate[b], candidate[a]];
+      yield candidate;
+    }
+  }
+}
+
+/**
+ * Reorder sibling lanes to shorten flows between lanes
+ * @param {Map} lanes - Lane map (reordered in place, incl. childLanes)
+ * @param {Map} pools - Pool map (pool.lanes reordered in place)
+ * @param {Map} flows - Flow map (sequence and message flows)
+ * @param {Map} elementLanes - elementId → laneId
+ * @param {Object} options - {getLaneIndex(laneId), pinnedLanes: lane IDs that keep their position}
+ * @returns {Object} - {before, after} total lane distance
+ */
+export function optimizeLaneOrder(lanes, pools, flows, elementLanes, { getLaneIndex, pinnedLanes = [] }) {
+  const pinned = new Set(pinnedLanes);
+  const groups = collectGroups(lanes);
+
+  const laneFlows = [];
+  for (const [, flow] of flows) {
+    const sourceLane = elementLanes.get(flow.sourceRef);
+    const targetLane = elementLanes.get(flow.targetRef);
+    if (sourceLane && targetLane && sourceLane !== targetLane && lanes.has(sourceLane) && lanes.has(targetLane)) {
+      laneFlows.push([sourceLane, targetLane]);
+    }
+  }
+
+  const measure = () => {
+    let distance = 0;
+    for (const [sourceLane, targetLane] of laneFlows) {
+      const sourceIndex = getLaneIndex(sourceLane);
+      const targetIndex = getLaneIndex(targetLane);
+      if (sourceIndex >= 0 && targetIndex >= 0) distance += Math.abs(targetIndex - sourceIndex);
+    }
+    return distance;
+  };
+
+  const setGroupOrder = (group, order) => {
+    group.laneIds.splice(0, group.laneIds.length, ...order);
+    if (group.parentId === null && pools.has(group.poolId)) {
+      pools.get(group.poolId).lanes = [...order];
+    }
+    applyLaneOrder(lanes, groups);
+  };
+
+  const before = measure();
+  let best = before;
+
+  for (let round = 0; round < MAX_ROUNDS && best > 0; round++) {
+    let improved = false;
+    for (const group of groups) {
+      let bestOrder = [...group.laneIds];
+      for (const candidate of candidateOrders(bestOrder, pinned)) {
+        setGroupOrder(group, candidate);
+        const distance = measure();
+        if (distance < best) {
+          best = distance;
+          bestOrder = candidate;
+          improved = true;
+        }
+      }
+      setGroupOrder(group, bestOrder);
+    }
+    if (!improved) break;
+  }
+
+  return { before, after: best };
+}
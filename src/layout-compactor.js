@@ -0,0 +1,256 @@
+/**
+ * Layout Compaction
+ *
+ * Runs at the end of Phase 2, after all layer and row adjustments and before the
+ * flow infos are updated (config.compactLayout):
+ * - Shifts elements to earlier layers, at most up to one layer after the latest element
+ *   they are connected to on the left (predecessors and back-flow targets)
+ * - Removes layers no element uses any more
+ * - Shrinks lanes: the elements of a lane's last row move to free rows of their layer,
+ *   if all of them can (the lane needs one row less)
+ * - Renumbers the rows of each lane densely, so unused rows take no lane height
+ *
+ * A move is only made if it leaves the flow corridors free: the target cell is neither taken
+ * nor reserved for a cross-lane flow (flow matrix), the logical flow paths (routed as in
+ * Phase 2: gateways and boundary events vertical first, other sources horizontal first) do not
+ * pass through more elements than before, and no flows cross that did not before.
+ * Elements with same-layer flows, boundary events (they follow their host) and elements
+ * without a flow from the left keep their layer. Elements with a previous position
+ * (config.stableLayout) keep layer and row, so layers and rows are only removed after them.
+ */
+
+import { isPositionOccupiedByFlow } from './flow-matrix.js';
+import { countCrossings } from './crossing-minimizer.js';
+
+// Passes over all elements (a shift can open room for elements further along)
+const MAX_PASSES = 3;
+
+/**
+ * Logical path of a forward flow as points (layer, v), without source and target
+ * @returns {Object} - {vertical: {layer, from, to}, horizontal: {v, from, to}} (open intervals)
+ */
+function getFlowPath(sourcePoint, targetPoint, verticalFirst) {
+  if (verticalFirst) {
+    return {
+      vertical: { layer: sourcePoint.layer, from: sourcePoint.v, to: targetPoint.v },
+      horizontal: { v: targetPoint.v, from: sourcePoint.layer, to: targetPoint.layer }
+    };
+  }
+  return {
+    horizontal: { v: sourcePoint.v, from: sourcePoint.layer, to: targetPoint.layer },
+    vertical: { layer: targetPoint.layer, from: sourcePoint.v, to: targetPoint.v }
+  };
+}
+
+/**
+ * Does a point lie on a path (end points excluded, corner included)?
+ */
+function isOnPath(point, path, sourcePoint, targetPoint) {
+  if (point.layer === sourcePoint.layer && point.v === sourcePoint.v) return false;
+  if (point.layer === targetPoint.layer && point.v === targetPoint.v) return false;
+
+  const { vertical, horizontal } = path;
+  const minV = Math.min(vertical.from, vertical.to);
+  const maxV = Math.max(vertical.from, vertical.to);
+  if (point.layer === vertical.layer && point.v >= minV && point.v <= maxV) return true;
+  return point.v === horizontal.v && point.layer >= horizontal.from && point.layer <= horizontal.to;
+}
+
+/**
+ * Compact layers and rows after the layer and row assignment
+ * @param {Map} positions - elementId → {lane, layer, row} (updated in place)
+ * @param {Map} flows - Flow map
+ * @param {Map} flowInfos - flowId → flow info (isBackFlow / isMessageFlow / isBoundaryFlow)
+ * @param {Map} elements - Element map
+ * @param {Map} matrix - Flow reservation matrix (see flow-matrix.js)
+ * @param {Object} options - {getVerticalIndex(position), keep: element IDs that keep layer and row}
+ * @returns {Object} - {shifted: element IDs moved to an earlier layer, removedLayers, removedRows}
+ */
+export function compactPositions(positions, flows, flowInfos, elements, matrix, { getVerticalIndex, keep = new Set() }) {
+  const toPoint = pos => ({ layer: pos.layer, v: getVerticalIndex(pos) });
+
+  // Flows routed along the logical grid (back-flows and message flows go around in Phase 3)
+  const gridFlows = [];
+  for (const [flowId, flow] of flows) {
+    const flowInfo = flowInfos.get(flowId);
+    if (!flowInfo || flowInfo.isBackFlow || flowInfo.isMessageFlow) continue;
+    if (!positions.has(flow.sourceRef) || !positions.has(flow.targetRef)) continue;
+    const source = elements.get(flow.sourceRef);
+    const verticalFirst = Boolean(flowInfo.isBoundaryFlow || (source && source.type && source.type.includes('Gateway')));
+    gridFlows.push({ sourceId: flow.sourceRef, targetId: flow.targetRef, verticalFirst });
+  }
+
+  const obstacles = () => Array.from(positions).filter(([, pos]) => !pos.attachedTo);
+
+  // Number of (flow, element) pairs where a flow path runs through an element
+  const countBlockedPaths = () => {
+    const points = obstacles().map(([elementId, pos]) => [elementId, toPoint(pos)]);
+    let blocked = 0;
+    for (const { sourceId, targetId, verticalFirst } of gridFlows) {
+      const sourcePos = positions.get(sourceId);
+      const targetPos = positions.get(targetId);
+      if (targetPos.layer < sourcePos.layer) continue;
+      const sourcePoint = toPoint(sourcePos);
+      const targetPoint = toPoint(targetPos);
+      const path = getFlowPath(sourcePoint, targetPoint, verticalFirst);
+      for (const [elementId, point] of points) {
+        if (elementId === sourceId || elementId === targetId) continue;
+        if (isOnPath(point, path, sourcePoint, targetPoint)) blocked++;
+      }
+    }
+    return blocked;
+  };
+
+  // Crossings between flows of different layers (as counted by the crossing minimization)
+  const countFlowCrossings = () => {
+    const edges = [];
+    for (const [, flow] of flows) {
+      const sourcePos = positions.get(flow.sourceRef);
+      const targetPos = positions.get(flow.targetRef);
+      if (!sourcePos || !targetPos || sourcePos.layer === targetPos.layer) continue;
+      edges.push(sourcePos.layer < targetPos.layer
+        ? { sourceId: flow.sourceRef, targetId: flow.targetRef }
+        : { sourceId: flow.targetRef, targetId: flow.sourceRef });
+    }
+    return countCrossings(edges, positions, getVerticalIndex);
+  };
+
+  const measure = () => ({ blocked: countBlockedPaths(), crossings: countFlowCrossings() });
+  const isNotWorse = (after, before) => after.blocked <= before.blocked && after.crossings <= before.crossings;
+
+  // Same-layer (vertical) flows pin both ends
+  const fixed = new Set(keep);
+  for (const [, flow] of flows) {
+    const sourcePos = positions.get(flow.sourceRef);
+    const targetPos = positions.get(flow.targetRef);
+    if (sourcePos && targetPos && flow.type !== 'messageFlow' && sourcePos.layer === targetPos.layer) {
+      fixed.add(flow.sourceRef);
+      fixed.add(flow.targetRef);
+    }
+  }
+
+  // Earliest layer: one after every sequence flow neighbor on the left (null: no such neighbor)
+  const getEarliestLayer = (elementId, pos) => {
+    let earliest = null;
+    for (const [, flow] of flows) {
+      if (flow.type === 'messageFlow') continue;
+      const neighborId = flow.targetRef === elementId ? flow.sourceRef
+        : flow.sourceRef === elementId ? flow.targetRef : null;
+      const neighborPos = neighborId && positions.get(neighborId);
+      if (!neighborPos || neighborPos.layer >= pos.layer) continue;
+      earliest = Math.max(earliest === null ? 0 : earliest, neighborPos.layer + 1);
+    }
+    return earliest;
+  };
+
+  const isCellTaken = (elementId, lane, layer, row) => Array.from(positions).some(([otherId, other]) =>
+    otherId !== elementId && !other.attachedTo && other.lane === lane && other.layer === layer && other.row === row);
+
+  // Boundary events share their host's cell
+  const syncBoundaryEvents = () => {
+    for (const [, pos] of positions) {
+      if (pos.attachedTo && positions.has(pos.attachedTo)) {
+        const hostPos = positions.get(pos.attachedTo);
+        pos.layer = hostPos.layer;
+        pos.row = hostPos.row;
+      }
+    }
+  };
+
+  // Step 1: Shift elements to earlier layers
+  const shifted = new Set();
+  for (let pass = 0; pass < MAX_PASSES; pass++) {
+    let moved = false;
+    const candidates = obstacles()
+      .filter(([elementId]) => !fixed.has(elementId))
+      .sort(([, a], [, b]) => a.layer - b.layer);
+
+    for (const [elementId, pos] of candidates) {
+      const earliest = getEarliestLayer(elementId, pos);
+      if (earliest === null || earliest >= pos.layer) continue;
+
+      const before = measure();
+      const originalLayer = pos.layer;
+      for (let layer = earliest; layer < originalLayer; layer++) {
+        if (isCellTaken(elementId, pos.lane, layer, pos.row)) continue;
+        if (isPositionOccupiedByFlow(matrix, pos.lane, layer)) continue;
+        pos.layer = layer;
+        if (isNotWorse(measure(), before)) break;
+        pos.layer = originalLayer;
+      }
+      if (pos.layer !== originalLayer) {
+        shifted.add(elementId);
+        moved = true;
+      }
+    }
+    if (!moved) break;
+  }
+  syncBoundaryEvents();
+
+  // Step 2: Remove unused layers (only after the last kept element)
+  const keptPositions = Array.from(keep, elementId => positions.get(elementId)).filter(Boolean);
+  const keptLanes = new Set(keptPositions.map(pos => pos.lane));
+  const lastKeptLayer = Math.max(-Infinity, ...keptPositions.map(pos => pos.layer));
+  const usedLayers = [...new Set(Array.from(positions.values(), pos => pos.layer))].sort((a, b) => a - b);
+  const layerIndex = new Map();
+  let removedLayers = 0;
+  usedLayers.forEach((layer, i) => {
+    const previous = i > 0 ? layerIndex.get(usedLayers[i - 1]) : layer;
+    const compacted = i > 0 && layer > lastKeptLayer ? previous + 1 : layer;
+    if (i > 0) removedLayers += (layer - usedLayers[i - 1]) - (compacted - previous);
+    layerIndex.set(layer, compacted);
+  });
+  for (const [, pos] of positions) {
+    pos.layer = layerIndex.get(pos.layer);
+  }
+
+  // Step 3: Shrink lanes - move the elements of the last row into free rows of their layer
+  const lanes = [...new Set(obstacles().map(([, pos]) => pos.lane))];
+  for (const lane of lanes) {
+    if (keptLanes.has(lane)) continue;
+    for (;;) {
+      const laneElements = obstacles().filter(([, pos]) => pos.lane === lane);
+      const rows = [...new Set(laneElements.map(([, pos]) => pos.row))].sort((a, b) => a - b);
+      if (rows.length <= 1) break;
+
+      const lastRow = rows[rows.length - 1];
+      const lastRowElements = laneElements.filter(([, pos]) => pos.row === lastRow);
+      if (lastRowElements.some(([elementId]) => fixed.has(elementId))) break;
+
+      const before = measure();
+      const moves = [];
+      for (const [elementId, pos] of lastRowElements) {
+        // Nearest free row first
+        const freeRow = rows.slice(0, -1).reverse().find(row => !isCellTaken(elementId, lane, pos.layer, row));
+        if (freeRow === undefined) break;
+        moves.push([pos, freeRow]);
+        pos.row = freeRow;
+      }
+      if (moves.length === lastRowElements.length && isNotWorse(measure(), before)) continue;
+
+      for (const [pos] of moves) pos.row = lastRow;
+      break;
+    }
+  }
+  syncBoundaryEvents();
+
+  // Step 4: Renumber rows per lane densely (lanes with kept elements as they are)
+  const laneRows = new Map();
+  for (const [, pos] of positions) {
+    if (keptLanes.has(pos.lane)) continue;
+    if (!laneRows.has(pos.lane)) laneRows.set(pos.lane, new Set());
+    laneRows.get(pos.lane).add(pos.row);
+  }
+  let removedRows = 0;
+  const rowIndex = new Map();
+  for (const [lane, rows] of laneRows) {
+    const sorted = [...rows].sort((a, b) => a - b);
+    removedRows += sorted[sorted.length - 1] - sorted[0] + 1 - sorted.length;
+    rowIndex.set(lane, new Map(sorted.map((row, i) => [row, i + sorted[0]])));
+  }
+  for (const [, pos] of positions) {
+    if (rowIndex.has(pos.lane)) pos.row = rowIndex.get(pos.lane).get(pos.row);
+  }
+
+  return { shifted: [...shifted], removedLayers, removedRows };
+}
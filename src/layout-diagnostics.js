@@ -0,0 +1,307 @@
+/**
+ * Layout Diagnostics
+ *
+ * Turns the results of the collision detectors into machine-readable diagnostics
+ * and measures the quality of a finished layout, so CI can fail on regressions:
+ * - collectDiagnostics: [{severity, code, message, elementIds, flowIds, ...}]
+ * - calculateQualityMetrics: edge crossings, bends, shape overlaps, edge length, diagram area
+ *
+ * Diagnostic codes:
+ * - element_overlap          Phase 2: elements share one (lane, layer, row) cell
+ * - unpositioned_element     Element got no coordinates
+ * - invalid_geometry         Element bounds or flow waypoints are not finite numbers (NaN, Infinity)
+ * - flow_crosses_element     Flow segment runs through an element
+ * - exit_direction_error     First segment does not leave on the planned exit side
+ * - entry_direction_error    Last segment does not enter on the planned entry side
+ * - horizontal_reversal      Flow turns back horizontally
+ * - vertical_reversal        Flow turns back vertically
+ * - column_misaligned        Elements of one layer are not on one column
+ */
+
+import { isArtifact, hasArtifactShape } from './artifact-placement.js';
+import { isXorMergeGateway } from './phase3.js';
+import { getPlaneFlows } from './diagram-planes.js';
+
+const SEVERITY_BY_CODE = {
+  element_overlap: 'error',
+  unpositioned_element: 'error',
+  invalid_geometry: 'error',
+  flow_crosses_element: 'error',
+  exit_direction_error: 'error',
+  entry_direction_error: 'error',
+  horizontal_reversal: 'warning',
+  vertical_reversal: 'warning',
+  column_misaligned: 'warning'
+};
+
+// Flow collision detector types with a different diagnostic code
+const CODE_BY_COLLISION_TYPE = {
+  element_intersection: 'flow_crosses_element'
+};
+
+/**
+ * Create one diagnostic entry
+ * @param {string} code - Diagnostic code (see SEVERITY_BY_CODE)
+ * @param {string} message - Readable message
+ * @param {Object} details - {elementIds?, flowIds?, points?, bounds?, position?}
+ * @returns {Object} - {severity, code, message, elementIds, flowIds, ...details}
+ */
+function createDiagnostic(code, message, details = {}) {
+  return {
+    severity: SEVERITY_BY_CODE[code] || 'warning',
+    code,
+    message,
+    elementIds: [],
+    flowIds: [],
+    ...details
+  };
+}
+
+/**
+ * Check if an element should have coordinates after the layout
+ * Not drawn: artifacts without own shape, hidden XOR merge gateways,
+ * contents of sub-processes that were not laid out (neither expanded nor on their own plane).
+ */
+function expectsShape(element, run) {
+  const { elements, flows, directions, subProcessLayouts, planes } = run;
+
+  if (isArtifact(element) && !hasArtifactShape(element)) return false;
+  if (directions.hideXorMergeGateways && isXorMergeGateway(element, flows)) return false;
+
+  for (let parentId = element.parentId; parentId; parentId = elements.get(parentId)?.parentId) {
+    if (!subProcessLayouts.has(parentId) && !planes.some(plane => plane.rootId === parentId)) return false;
+  }
+  return true;
+}
+
+/**
+ * Collect diagnostics of all laid out levels
+ * @param {Object} run - Internals of one layout run (see runLayout in index.js)
+ * @returns {Array} - Diagnostics
+ */
+export function collectDiagnostics(run) {
+  const { elements, coordinates, flowWaypoints, levelResults } = run;
+  const diagnostics = [];
+
+  for (const { phase2Result, layout } of levelResults) {
+    for (const collision of phase2Result.collisions || []) {
+      diagnostics.push(createDiagnostic('element_overlap',
+        `Elements ${collision.elements.join(', ')} share position (lane ${collision.lane}, layer ${collision.layer}, row ${collision.row})`, {
+          elementIds: collision.elements,
+          position: { lane: collision.lane, layer: collision.layer, row: collision.row },
+          bounds: collision.elements.map(elementId => coordinates.get(elementId)).filter(Boolean)
+        }));
+    }
+
+    for (const collision of layout.flowCollisions || []) {
+      const elementIds = [collision.source, collision.target, collision.element].filter(Boolean);
+      diagnostics.push(createDiagnostic(CODE_BY_COLLISION_TYPE[collision.type] || collision.type, collision.message, {
+        elementIds,
+        flowIds: [collision.flowId],
+        points: collision.waypoints || (collision.waypoint ? [collision.waypoint] : []),
+        ...(collision.segment !== undefined ? { segment: collision.segment } : {}),
+        ...(collision.element ? { bounds: [coordinates.get(collision.element)].filter(Boolean) } : {})
+      }));
+    }
+
+    for (const issue of layout.columnAlignmentIssues || []) {
+      const elementIds = issue.groups.flatMap(group => group.elementIds);
+      diagnostics.push(createDiagnostic('column_misaligned',
+        `Elements in layer ${issue.layer} are not aligned (offset ${issue.offset}px): ${elementIds.join(', ')}`, {
+          elementIds,
+          position: { layer: issue.layer },
+          bounds: elementIds.map(elementId => coordinates.get(elementId)).filter(Boolean)
+        }));
+    }
+  }
+
+  for (const [elementId, element] of elements) {
+    if (coordinates.has(elementId) || !expectsShape(element, run)) continue;
+    diagnostics.push(createDiagnostic('unpositioned_element', `Element ${elementId} has no position`, {
+      elementIds: [elementId]
+    }));
+  }
+
+  for (const [elementId, box] of coordinates) {
+    if (isMeasurable(box)) continue;
+    diagnostics.push(createDiagnostic('invalid_geometry', `Element ${elementId} has invalid bounds`, {
+      elementIds: [elementId],
+      bounds: [box]
+    }));
+  }
+
+  for (const [flowId, waypoints] of flowWaypoints) {
+    if (waypoints.every(isMeasurable)) continue;
+    diagnostics.push(createDiagnostic('invalid_geometry', `Flow ${flowId} has invalid waypoints`, {
+      flowIds: [flowId],
+      points: waypoints
+    }));
+  }
+
+  return diagnostics;
+}
+
+/**
+ * Check if all numbers of a point or box are finite
+ * (other geometry is reported as invalid_geometry and not measured)
+ */
+function isMeasurable(box) {
+  return [box.x, box.y, box.width ?? 0, box.height ?? 0].every(Number.isFinite);
+}
+
+/**
+ * Check if an element is drawn inside another one (sub-process content, boundary event on its host)
+ */
+function isNestedIn(element, containerId, elements) {
+  if (element.attachedToRef === containerId) return true;
+  for (let parentId = element.parentId; parentId; parentId = elements.get(parentId)?.parentId) {
+    if (parentId === containerId) return true;
+  }
+  return false;
+}
+
+/**
+ * Count pairs of shapes whose boxes overlap (touching edges do not count)
+ * Groups, hidden XOR merge gateways and nested shapes (see isNestedIn) are left out.
+ */
+function countShapeOverlaps(run, coordinates) {
+  const { elements, flows, directions } = run;
+  const shapes = [];
+  for (const [elementId, box] of coordinates) {
+    const element = elements.get(elementId);
+    if (!element || !isMeasurable(box) || element.type === 'group') continue;
+    if (directions.hideXorMergeGateways && isXorMergeGateway(element, flows)) continue;
+    shapes.push({ elementId, element, box });
+  }
+
+  let overlaps = 0;
+  for (let a = 0; a < shapes.length; a++) {
+    for (let b = a + 1; b < shapes.length; b++) {
+      const first = shapes[a];
+      const second = shapes[b];
+      if (first.box.x >= second.box.x + second.box.width || second.box.x >= first.box.x + first.box.width) continue;
+      if (first.box.y >= second.box.y + second.box.height || second.box.y >= first.box.y + first.box.height) continue;
+      if (isNestedIn(first.element, second.elementId, elements) || isNestedIn(second.element, first.elementId, elements)) continue;
+      overlaps++;
+    }
+  }
+  return overlaps;
+}
+
+/**
+ * Direction of a segment (cross product sign of a → b → c)
+ */
+function orientation(a, b, c) {
+  const cross = (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+  return Math.sign(cross);
+}
+
+/**
+ * Check if two segments cross in their interiors (touching ends and overlaps do not count)
+ */
+function segmentsCross(p1, p2, p3, p4) {
+  const o1 = orientation(p1, p2, p3);
+  const o2 = orientation(p1, p2, p4);
+  const o3 = orientation(p3, p4, p1);
+  const o4 = orientation(p3, p4, p2);
+  return o1 * o2 < 0 && o3 * o4 < 0;
+}
+
+/**
+ * Measure the layout quality
+ * Every diagram plane is measured in its own coordinate space: counts, lengths and areas are
+ * summed up, width and height are those of the widest and highest plane.
+ * @param {Object} run - Internals of one layout run (see runLayout in index.js)
+ * @returns {Object} - {edgeCrossings, bends, overlaps, totalEdgeLength, width, height, area, elementCount, flowCount}
+ */
+export function calculateQualityMetrics(run) {
+  const { coordinates, flowWaypoints, laneBounds, poolBounds, flows } = run;
+  const pick = (map, ids) => new Map(Array.from(map).filter(([id]) => ids.has(id)));
+
+  const planeMetrics = run.planes.map(plane => measurePlane(run, {
+    coordinates: pick(coordinates, plane.elements),
+    flowWaypoints: pick(flowWaypoints, getPlaneFlows(flows, plane)),
+    laneBounds: pick(laneBounds, plane.lanes),
+    poolBounds: pick(poolBounds, plane.pools)
+  }));
+  const sum = key => planeMetrics.reduce((total, metrics) => total + metrics[key], 0);
+  const max = key => Math.max(0, ...planeMetrics.map(metrics => metrics[key]));
+
+  return {
+    edgeCrossings: sum('edgeCrossings'),
+    bends: sum('bends'),
+    overlaps: sum('overlaps'),
+    totalEdgeLength: Math.round(sum('totalEdgeLength')),
+    width: max('width'),
+    height: max('height'),
+    area: sum('area'),
+    elementCount: coordinates.size,
+    flowCount: flowWaypoints.size
+  };
+}
+
+/**
+ * Measure the shapes and flows of one diagram plane
+ * @param {Object} run - Internals of one layout run
+ * @param {Object} geometry - {coordinates, flowWaypoints, laneBounds, poolBounds} of the plane
+ * @returns {Object} - {edgeCrossings, bends, overlaps, totalEdgeLength, width, height, area}
+ */
+function measurePlane(run, { coordinates, flowWaypoints, laneBounds, poolBounds }) {
+
+  // Segments per flow (zero-length segments skipped)
+  const flowSegments = [];
+  let bends = 0;
+  let totalEdgeLength = 0;
+
+  for (const waypoints of flowWaypoints.values()) {
+    const segments = [];
+    for (let i = 0; i < waypoints.length - 1; i++) {
+      const from = waypoints[i];
+      const to = waypoints[i + 1];
+      if (!isMeasurable(from) || !isMeasurable(to)) continue;
+      if (from.x === to.x && from.y === to.y) continue;
+      segments.push([from, to]);
+      totalEdgeLength += Math.hypot(to.x - from.x, to.y - from.y);
+    }
+    for (let i = 0; i < segments.length - 1; i++) {
+      if (orientation(segments[i][0], segments[i][1], segments[i + 1][1]) !== 0) bends++;
+    }
+    flowSegments.push(segments);
+  }
+
+  let edgeCrossings = 0;
+  for (let a = 0; a < flowSegments.length; a++) {
+    for (let b = a + 1; b < flowSegments.length; b++) {
+      for (const [p1, p2] of flowSegments[a]) {
+        for (const [p3, p4] of flowSegments[b]) {
+          if (segmentsCross(p1, p2, p3, p4)) edgeCrossings++;
+        }
+      }
+    }
+  }
+
+  // Diagram extent: shapes, lanes, pools and flows
+  const boxes = [...coordinates.values(), ...laneBounds.values(), ...poolBounds.values()];
+  for (const waypoints of flowWaypoints.values()) {
+    boxes.push(...waypoints.map(({ x, y }) => ({ x, y, width: 0, height: 0 })));
+  }
+  const measuredBoxes = boxes.filter(isMeasurable);
+  let width = 0;
+  let height = 0;
+  if (measuredBoxes.length > 0) {
+    const minX = Math.min(...measuredBoxes.map(box => box.x));
+    const minY = Math.min(...measuredBoxes.map(box => box.y));
+    width = Math.max(...measuredBoxes.map(box => box.x + box.width)) - minX;
+    height = Math.max(...measuredBoxes.map(box => box.y + box.height)) - minY;
+  }
+
+  return {
+    edgeCrossings,
+    bends,
+    overlaps: countShapeOverlaps(run, coordinates),
+    totalEdgeLength,
+    width,
+    height,
+    area: width * height
+  };
+}
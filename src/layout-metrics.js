@@ -0,0 +1,99 @@
+/**
+ * Layout Metrics
+ *
+ * All pixel sizes and spacings used by Phase 3 and the routers.
+ * One metrics object is resolved from config.layoutMetrics in applyConfig()
+ * and travels with the direction mappings (directions.metrics), so element
+ * placement, lane sizes and routing corridors always use the same values.
+ * phase3() extends them with the column sizes of its run (layerSizes).
+ *
+ * Corridor and layer offsets are derived, never configured directly:
+ * - corridorOffset: middle of the free space between an element and its lane border
+ * - layerOffset: free space between two neighbouring layers
+ */
+
+// Base values (default layout)
+const BASE_METRICS = {
+  columnWidth: 200,      // Distance between layer centers
+  laneBaseHeight: 180,   // Lane height with one row
+  laneRowHeight: 140,    // Additional lane height per row
+  laneTopOffset: 80,     // Top of the first lane
+  poolXOffset: 150,      // Left offset for pool
+  laneBaseWidth: 150,    // Lane width with one row (vertical orientation)
+  laneRowWidth: 120,     // Additional lane width per row (vertical orientation)
+  laneLeftOffset: 80,    // Left of the first lane (vertical orientation)
+  elementWidth: 100,
+  elementHeight: 80,
+  gatewaySize: 50,
+  eventSize: 36          // Events are circular
+};
+
+// Named spacing presets (element sizes stay the same)
+export const METRICS_PRESETS = {
+  default: {},
+  compact: {
+    columnWidth: 150,
+    laneBaseHeight: 140,
+    laneRowHeight: 110,
+    laneBaseWidth: 130,
+    laneRowWidth: 110
+  },
+  spacious: {
+    columnWidth: 260,
+    laneBaseHeight: 240,
+    laneRowHeight: 180,
+    laneBaseWidth: 200,
+    laneRowWidth: 150
+  }
+};
+
+/**
+ * Resolve config.layoutMetrics into a complete metrics object
+ * @param {string|Object} layoutMetrics - Preset name, or {preset?, ...overrides}
+ * @returns {Object} - Metrics incl. derived corridorOffset and layerOffset
+ * @throws {Error} - Unknown preset or key, invalid value, elements larger than their spacing
+ */
+export function resolveMetrics(layoutMetrics = {}) {
+  const options = typeof layoutMetrics === 'string' ? { preset: layoutMetrics } : (layoutMetrics || {});
+  const { preset = 'default', ...overrides } = options;
+
+  if (!METRICS_PRESETS[preset]) {
+    throw new Error(`Unknown layout metrics preset "${preset}" (expected ${Object.keys(METRICS_PRESETS).join(', ')})`);
+  }
+
+  for (const [key, value] of Object.entries(overrides)) {
+    if (!(key in BASE_METRICS)) {
+      throw new Error(`Unknown layout metric "${key}"`);
+    }
+    if (typeof value !== 'number' || !isFinite(value) || value <= 0) {
+      throw new Error(`Layout metric "${key}" must be a positive number`);
+    }
+  }
+
+  const metrics = { ...BASE_METRICS, ...METRICS_PRESETS[preset], ...overrides };
+
+  // Routing needs free space around elements
+  if (metrics.laneBaseHeight <= metrics.elementHeight) {
+    throw new Error('Layout metric "laneBaseHeight" must be larger than "elementHeight"');
+  }
+  if (metrics.columnWidth <= metrics.elementWidth) {
+    throw new Error('Layout metric "columnWidth" must be larger than "elementWidth"');
+  }
+
+  metrics.corridorOffset = ((metrics.laneBaseHeight - metrics.elementHeight) / 2) / 2;
+  metrics.layerOffset = metrics.columnWidth - metrics.elementWidth;
+
+  return Object.freeze(metrics);
+}
+
+export const DEFAULT_METRICS = resolveMetrics();
+
+/**
+ * Metrics of a layout run
+ * Direction mappings built without applyConfig() fall back to the defaults.
+ * @param {Object} directions - Direction mappings
+ * @returns {Object} - Metrics
+ */
+export function getMetrics(directions) {
+  return (directions && directions.metrics) || DEFAULT_METRICS;
+}
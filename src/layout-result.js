@@ -0,0 +1,81 @@
+/**
+ * Layout Result
+ *
+ * Converts the Map-based results of Phase 1-3 into plain, JSON-serialisable
+ * objects keyed by element/flow/lane id. Used by computeLayout(), so callers can
+ * render or apply the layout themselves instead of parsing the BPMN DI.
+ *
+ * Positions of sub-process contents are logical positions within their
+ * sub-process level; all pixel values (coordinates, waypoints, bounds) are absolute
+ * within their diagram plane (`planes`, one per BPMNDiagram, see diagram-planes.js).
+ * Hidden XOR merge gateways (hideXorMergeGateways) are marked `hidden` and, as in
+ * the DI, have no coordinates; their flows are already merged by Phase 3.
+ */
+
+import { isXorMergeGateway, calculateLabelBounds } from './phase3.js';
+import { getPlaneFlows } from './diagram-planes.js';
+
+/**
+ * Map → plain object (values are deep-copied, so the result shares no state with the layout run)
+ * @param {Map} map - Map with JSON-compatible values
+ * @returns {Object} - {id: value}
+ */
+function mapToObject(map) {
+  return structuredClone(Object.fromEntries(map || []));
+}
+
+/**
+ * Build the structured layout result
+ * @param {Object} run - Internals of one layout run
+ *   {elements, flows, lanes, pools, directions, planes, levelResults, coordinates, flowWaypoints, flowInfos, laneBounds, poolBounds}
+ *   levelResults: [{phase2Result, layout}] of the top level and all sub-processes
+ * @returns {Object} - {orientation, metrics, planes, elements, flows, lanes, pools, positions, flowInfos,
+ *   coordinates, flowWaypoints, laneBounds, poolBounds, labelBounds}
+ *   planes: [{id, type, elements, flows, lanes, pools}] with the IDs drawn on each plane
+ */
+export function buildLayoutResult(run) {
+  const { elements, flows, lanes, pools, directions, levelResults } = run;
+
+  // Logical positions of all levels (ids are unique across levels)
+  const positions = new Map();
+  for (const { phase2Result } of levelResults) {
+    for (const [elementId, pos] of phase2Result.positions) {
+      positions.set(elementId, pos);
+    }
+  }
+
+  const result = {
+    orientation: directions.alongLane === 'right' ? 'horizontal' : 'vertical',
+    metrics: { ...directions.metrics },
+    planes: run.planes.map(plane => ({
+      id: plane.id,
+      type: plane.type,
+      elements: Array.from(plane.elements.keys()),
+      flows: Array.from(getPlaneFlows(flows, plane).keys()),
+      lanes: Array.from(plane.lanes.keys()),
+      pools: Array.from(plane.pools.keys())
+    })),
+    elements: mapToObject(elements),
+    flows: mapToObject(flows),
+    lanes: mapToObject(lanes),
+    pools: mapToObject(pools),
+    positions: mapToObject(positions),
+    flowInfos: mapToObject(run.flowInfos),
+    coordinates: mapToObject(run.coordinates),
+    flowWaypoints: mapToObject(run.flowWaypoints),
+    laneBounds: mapToObject(run.laneBounds),
+    poolBounds: mapToObject(run.poolBounds),
+    labelBounds: mapToObject(calculateLabelBounds(elements, flows, run.coordinates, run.flowWaypoints, run.flowInfos, directions))
+  };
+
+  if (directions.hideXorMergeGateways) {
+    for (const [elementId, element] of elements) {
+      if (!isXorMergeGateway(element, flows)) continue;
+      result.elements[elementId].hidden = true;
+      delete result.coordinates[elementId];
+      delete result.flowInfos[element.outgoing[0]]; // Merged into the incoming flows
+    }
+  }
+
+  return result;
+}
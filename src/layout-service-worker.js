@@ -0,0 +1,13 @@
+/**
+ * Layout Service Worker (Node worker thread)
+ *
+ * Runs one layout request of the HTTP layout service (layout-service.js) off the
+ * main thread, so a slow layout can be stopped by terminating the thread.
+ */
+
+import { parentPort } from 'worker_threads';
+import { handleLayoutRequest } from './layout-worker.js';
+
+parentPort.on('message', request => {
+  parentPort.postMessage(handleLayoutRequest(request));
+});
@@ -0,0 +1,268 @@
+/**
+ * HTTP Layout Service
+ *
+ * Express router that lays out BPMN XML sent by other services:
+ * - POST /layout   BPMN XML as body (application/xml, text/xml, text/plain),
+ *                  as multipart/form-data file (field "bpmn" or any file) or as
+ *                  JSON {bpmnXml, config?, format?}
+ * - GET  /health   {status: 'ok', version, activeLayouts}
+ *
+ * Config: query parameters (?laneOrientation=vertical&hideXorMergeGateways=true,
+ * values parsed as JSON where possible; ?config=<JSON> for a whole object),
+ * the "config" field of JSON/multipart bodies, or both (body wins).
+ *
+ * Response format (?format=, "format" field, or Accept header):
+ * - xml (default): laid-out BPMN XML (layoutBPMN)
+ * - json: {success, layout, warnings, diagnostics, qualityMetrics} (computeLayout)
+ * - svg: rendered preview (image/svg+xml, svg-renderer.js)
+ *
+ * Every layout runs in its own worker thread (layout-service-worker.js) with a
+ * time and memory limit, so pathological inputs cannot block the server.
+ * Errors are JSON: {success: false, errors: [...]}
+ *   400 invalid request, 413 body too large, 422 layout failed,
+ *   503 too many concurrent layouts or memory limit exceeded, 504 timeout
+ */
+
+import express from 'express';
+import { Worker } from 'worker_threads';
+import { readFileSync } from 'fs';
+
+const WORKER_URL = new URL('./layout-service-worker.js', import.meta.url);
+
+const VERSION = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf-8')).version;
+
+export const DEFAULT_SERVICE_OPTIONS = {
+  limit: '5mb',         // Maximum request body size
+  timeout: 30000,       // Maximum layout time in ms
+  memoryLimit: 512,     // Maximum heap of a layout worker in MB
+  maxConcurrent: 4      // Layouts running at the same time (more: 503)
+};
+
+const XML_TYPES = ['application/xml', 'text/xml', 'application/bpmn+xml', 'text/plain', 'application/octet-stream'];
+const FORMATS = ['xml', 'json', 'svg'];
+const ACCEPT_FORMATS = { 'application/xml': 'xml', 'application/json': 'json', 'image/svg+xml': 'svg' };
+
+// Query parameters that are not config keys
+const RESERVED_PARAMS = ['format', 'config'];
+
+/**
+ * Error with HTTP status
+ */
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * Convert a query value: JSON where possible (true, 42, {...}), plain string otherwise
+ */
+function parseValue(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+}
+
+/**
+ * Parse a JSON config object (query parameter or form field)
+ * @param {string|Object} value - JSON text or object
+ * @returns {Object} - Config
+ * @throws {HttpError} - Not a JSON object
+ */
+function parseConfig(value) {
+  const config = typeof value === 'string' ? parseValue(value) : value;
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new HttpError(400, 'config must be a JSON object');
+  }
+  return config;
+}
+
+/**
+ * Config from query parameters
+ * @param {Object} query - req.query
+ * @returns {Object} - Config
+ */
+export function parseQueryConfig(query) {
+  const config = query.config !== undefined ? parseConfig(query.config) : {};
+  for (const [key, value] of Object.entries(query)) {
+    if (RESERVED_PARAMS.includes(key) || typeof value !== 'string') continue;
+    config[key] = parseValue(value);
+  }
+  return config;
+}
+
+/**
+ * Split a multipart/form-data body into its fields
+ * @param {Buffer} body - Raw request body
+ * @param {string} contentType - Content-Type header (with boundary)
+ * @returns {Array} - [{name, filename, value}]
+ */
+export function parseMultipart(body, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+  if (!match) {
+    throw new HttpError(400, 'Missing multipart boundary');
+  }
+
+  const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+  const fields = [];
+  let start = body.indexOf(delimiter);
+
+  while (start !== -1) {
+    start += delimiter.length;
+    if (body.subarray(start, start + 2).toString() === '--') break; // Closing delimiter
+
+    const end = body.indexOf(delimiter, start);
+    if (end === -1) break;
+
+    // CRLF, headers, empty line, value, CRLF
+    const part = body.subarray(start + 2, end - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headers = part.subarray(0, headerEnd).toString('utf-8');
+      fields.push({
+        name: /[;\s]name="([^"]*)"/i.exec(headers)?.[1],
+        filename: /[;\s]filename="([^"]*)"/i.exec(headers)?.[1],
+        value: part.subarray(headerEnd + 4).toString('utf-8')
+      });
+    }
+    start = end;
+  }
+
+  return fields;
+}
+
+/**
+ * Read BPMN XML, config and response format of a layout request
+ * @param {Object} req - Express request (body parsed by the router)
+ * @returns {Object} - {bpmnXml, config, format}
+ * @throws {HttpError} - No BPMN XML, invalid config or format
+ */
+export function readLayoutRequest(req) {
+  let bpmnXml;
+  let bodyConfig = {};
+  let bodyFormat;
+
+  if (req.is('multipart/form-data')) {
+    const fields = parseMultipart(req.body, req.get('content-type'));
+    const file = fields.find(field => field.name === 'bpmn') || fields.find(field => field.filename !== undefined);
+    const configField = fields.find(field => field.name === 'config');
+    bpmnXml = file?.value;
+    bodyConfig = configField ? parseConfig(configField.value) : {};
+    bodyFormat = fields.find(field => field.name === 'format')?.value;
+  } else if (req.is('application/json')) {
+    const body = req.body || {};
+    bpmnXml = body.bpmnXml;
+    bodyConfig = body.config !== undefined ? parseConfig(body.config) : {};
+    bodyFormat = body.format;
+  } else if (typeof req.body === 'string') {
+    bpmnXml = req.body;
+  }
+
+  if (typeof bpmnXml !== 'string' || bpmnXml.trim() === '') {
+    throw new HttpError(400, 'No BPMN XML in request (send it as body, multipart file or JSON "bpmnXml")');
+  }
+
+  const format = req.query.format || bodyFormat || ACCEPT_FORMATS[req.accepts(Object.keys(ACCEPT_FORMATS))] || 'xml';
+  if (!FORMATS.includes(format)) {
+    throw new HttpError(400, `Invalid format '${format}' (expected ${FORMATS.join(' | ')})`);
+  }
+
+  return {
+    bpmnXml,
+    config: { ...parseQueryConfig(req.query), ...bodyConfig },
+    format
+  };
+}
+
+/**
+ * Run one layout in a worker thread
+ * @param {Object} request - {bpmnXml, config, format}
+ * @param {Object} options - {timeout, memoryLimit}
+ * @returns {Promise<Object>} - layoutBPMN() or computeLayout() result
+ */
+export function runLayoutWorker(request, { timeout, memoryLimit }) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(WORKER_URL, { resourceLimits: { maxOldGenerationSizeMb: memoryLimit } });
+    const timer = setTimeout(() => {
+      worker.terminate();
+      reject(new HttpError(504, `Layout timed out after ${timeout}ms`));
+    }, timeout);
+
+    worker.once('message', ({ id, logs, ...result }) => {
+      clearTimeout(timer);
+      worker.terminate();
+      resolve(result);
+    });
+    worker.once('error', error => {
+      clearTimeout(timer);
+      reject(error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+        ? new HttpError(503, `Layout exceeded the memory limit of ${memoryLimit}MB`)
+        : error);
+    });
+    worker.once('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`Layout worker stopped unexpectedly (exit code ${code})`));
+    });
+
+    // Collect library messages in the worker (debug output of a request must not reach the server console)
+    worker.postMessage({ ...request, log: true });
+  });
+}
+
+/**
+ * Create the layout service router
+ * @param {Object} options - See DEFAULT_SERVICE_OPTIONS
+ * @returns {Object} - Express router (mount e.g. under /api)
+ */
+export function createLayoutRouter(options = {}) {
+  const definedOptions = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+  const { limit, timeout, memoryLimit, maxConcurrent } = { ...DEFAULT_SERVICE_OPTIONS, ...definedOptions };
+  const router = express.Router();
+  let activeLayouts = 0;
+
+  router.get('/health', (req, res) => {
+    res.json({ status: 'ok', version: VERSION, activeLayouts });
+  });
+
+  router.post('/layout',
+    express.text({ type: XML_TYPES, limit }),
+    express.json({ limit }),
+    express.raw({ type: 'multipart/form-data', limit }),
+    async (req, res) => {
+      const request = readLayoutRequest(req);
+
+      if (activeLayouts >= maxConcurrent) {
+        throw new HttpError(503, 'Too many layouts running, try again later');
+      }
+
+      activeLayouts++;
+      let result;
+      try {
+        result = await runLayoutWorker(request, { timeout, memoryLimit });
+      } finally {
+        activeLayouts--;
+      }
+
+      if (!result.success) {
+        res.status(422).json({ success: false, errors: result.errors });
+      } else if (request.format === 'json') {
+        res.json(result);
+      } else if (request.format === 'svg') {
+        res.type('image/svg+xml').send(result.svg);
+      } else {
+        res.type('application/xml').send(result.bpmnXml);
+      }
+    });
+
+  // Errors as JSON (body parser errors carry their status, e.g. 413)
+  router.use((error, req, res, next) => {
+    const status = error.status || error.statusCode || 500;
+    res.status(status).json({ success: false, errors: [error.message] });
+  });
+
+  return router;
+}
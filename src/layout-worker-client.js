@@ -0,0 +1,64 @@
+/**
+ * Layout Worker Client
+ *
+ * Promise API for the layout worker (layout-worker.js) on the main thread:
+ *
+ *   const layouter = createLayoutWorker(new Worker('dist/bpmn-autolayout.worker.js'));
+ *   const { success, bpmnXml } = await layouter.layout(xml, { laneOrientation: 'vertical' });
+ *
+ * Requests are answered in order of completion and matched by id. A `config.logger`
+ * stays on the main thread: the worker collects the messages and they are
+ * replayed into the logger when the result arrives.
+ */
+
+/**
+ * Wrap a layout worker
+ * @param {Object} worker - Worker running dist/bpmn-autolayout.worker.js (or any object with postMessage,
+ *   addEventListener and terminate)
+ * @returns {Object} - {layout(bpmnXml, config) → Promise<layoutBPMN() result>, terminate()}
+ */
+export function createLayoutWorker(worker) {
+  const pending = new Map();
+  let nextId = 1;
+
+  worker.addEventListener('message', event => {
+    const { id, logs, ...result } = event.data;
+    const request = pending.get(id);
+    if (!request) return;
+    pending.delete(id);
+
+    for (const { level, message } of logs || []) {
+      const write = request.logger[level] || request.logger.log;
+      if (typeof write === 'function') write.call(request.logger, message);
+    }
+    request.resolve(result);
+  });
+
+  // Script errors (e.g. wrong worker URL) fail all open requests
+  worker.addEventListener('error', event => {
+    for (const request of pending.values()) {
+      request.reject(new Error(event.message || 'Layout worker failed'));
+    }
+    pending.clear();
+  });
+
+  return {
+    layout(bpmnXml, config = {}) {
+      const { logger, ...workerConfig } = config;
+      const id = nextId++;
+
+      return new Promise((resolve, reject) => {
+        pending.set(id, { resolve, reject, logger });
+        worker.postMessage({ id, bpmnXml, config: workerConfig, log: Boolean(logger) });
+      });
+    },
+
+    terminate() {
+      worker.terminate();
+      for (const request of pending.values()) {
+        request.reject(new Error('Layout worker terminated'));
+      }
+      pending.clear();
+    }
+  };
+}
@@ -0,0 +1,48 @@
+/**
+ * Layout Worker
+ *
+ * Runs layoutBPMN() in a Web Worker, so the page stays responsive during the layout.
+ * Entry point of dist/bpmn-autolayout.worker.js; use it with createLayoutWorker()
+ * (layout-worker-client.js) or post messages directly:
+ *
+ *   worker.postMessage({ id, bpmnXml, config });
+ *   // → { id, success, bpmnXml?, warnings?, diagnostics?, qualityMetrics?, errors?, logs? }
+ *
+ * With `format: 'json'` the result is the one of computeLayout() (layout instead of bpmnXml),
+ * with `format: 'svg'` additionally a rendered preview as `svg` (svg-renderer.js).
+ * The HTTP layout service runs the same handler in Node worker threads.
+ *
+ * config must be structured-cloneable (no logger). With `log: true` the messages
+ * of the layout run are returned as `logs` ([{level, message}]), so the caller
+ * can replay them into its own logger.
+ */
+
+import { layoutBPMN, computeLayout } from './index.js';
+import { renderSVG } from './svg-renderer.js';
+
+/**
+ * Lay out the BPMN XML of one worker request
+ * @param {Object} request - {id, bpmnXml, config?, format? ('xml' | 'json' | 'svg'), log?}
+ * @returns {Object} - layoutBPMN() or computeLayout() result with the request id (and logs)
+ */
+export function handleLayoutRequest({ id, bpmnXml, config = {}, format = 'xml', log = false }) {
+  const logs = [];
+  const logger = {};
+  for (const level of ['error', 'warn', 'info', 'debug']) {
+    logger[level] = message => logs.push({ level, message: String(message) });
+  }
+
+  const layout = format === 'xml' ? layoutBPMN : computeLayout;
+  const result = layout(bpmnXml, log ? { ...config, logger } : config);
+  if (format === 'svg' && result.success) {
+    result.svg = renderSVG(result.layout);
+  }
+  return log ? { id, ...result, logs } : { id, ...result };
+}
+
+// Worker global scope: answer layout requests (no-op when imported elsewhere)
+if (typeof self !== 'undefined' && typeof self.postMessage === 'function' && typeof document === 'undefined') {
+  self.onmessage = event => {
+    self.postMessage(handleLayoutRequest(event.data));
+  };
+}
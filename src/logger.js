@@ -0,0 +1,126 @@
+/**
+ * Logger
+ *
+ * All library output goes through the logger of the current layout run
+ * (layoutBPMN / computeLayout), never directly to the console:
+ * - config.logger: console-compatible object ({error, warn, info, debug}, e.g. console, pino, winston).
+ *   Without a logger the library is silent, unless debug categories are enabled.
+ * - config.logLevel: 'silent' | 'error' | 'warn' | 'info' (default: 'warn')
+ * - config.debug: debug categories to enable (array, or true for all), see LOG_CATEGORIES
+ *
+ * The DEBUG_* environment flags still enable their category (Node only). Enabled
+ * categories without config.logger write to the console (as the flags did before).
+ *
+ * Modules get a category logger once (getLogger('merge')); which logger it writes
+ * to is looked up on every call, so the same module serves all layout runs.
+ */
+
+// Debug categories → environment flag that enables them
+export const LOG_CATEGORIES = {
+  layout: 'DEBUG',               // Layer assignment details
+  phase2: 'DEBUG_PHASE2',        // Flow processing order
+  path: 'DEBUG_PATH',            // Cross-lane path checks
+  collision: 'DEBUG_COLLISION',  // Position conflicts during layer assignment
+  gateway: 'DEBUG_GATEWAY',      // Gateway output placement
+  merge: 'DEBUG_MERGE',          // Merge gateway validation and optimization
+  routing: 'DEBUG_ROUTING',      // Flow routing strategies
+  validation: 'DEBUG_VALIDATION' // Collision and alignment checks after the layout
+};
+
+const LOG_LEVELS = ['silent', 'error', 'warn', 'info'];
+
+const SILENT = { logger: null, level: 0, categories: new Set() };
+
+// Settings of the current layout run
+let _settings = SILENT;
+
+/**
+ * Environment variables where available (undefined in browsers)
+ */
+function readEnv() {
+  return typeof process !== 'undefined' && process.env ? process.env : {};
+}
+
+/**
+ * Resolve the logging config of a layout run
+ * @param {Object} config - {logger?, logLevel?, debug?}
+ * @returns {Object} - {logger, level, categories}
+ * @throws {Error} - Unknown log level or debug category
+ */
+export function resolveLogSettings(config = {}) {
+  const env = readEnv();
+  const allCategories = Object.keys(LOG_CATEGORIES);
+
+  const debug = config.debug === true ? allCategories : (config.debug || []);
+  for (const category of debug) {
+    if (!LOG_CATEGORIES[category]) {
+      throw new Error(`Unknown debug category "${category}" (expected ${allCategories.join(', ')})`);
+    }
+  }
+  const envCategories = allCategories.filter(category => env[LOG_CATEGORIES[category]] === 'true');
+
+  const levelName = config.logLevel || 'warn';
+  if (!LOG_LEVELS.includes(levelName)) {
+    throw new Error(`Unknown log level "${levelName}" (expected ${LOG_LEVELS.join(', ')})`);
+  }
+
+  const logger = config.logger || (debug.length > 0 || envCategories.length > 0 ? console : null);
+  if (!logger) return SILENT;
+
+  return {
+    logger,
+    level: LOG_LEVELS.indexOf(levelName),
+    categories: new Set([...debug, ...envCategories])
+  };
+}
+
+/**
+ * Run a function with the logging config of one layout run
+ * @param {Object} config - Layout config ({logger?, logLevel?, debug?})
+ * @param {Function} fn - Synchronous layout run
+ * @returns {*} - Result of fn
+ */
+export function withLogger(config, fn) {
+  const previous = _settings;
+  _settings = resolveLogSettings(config);
+  try {
+    return fn();
+  } finally {
+    _settings = previous;
+  }
+}
+
+/**
+ * Write one message to the current logger
+ */
+function emit(method, category, args) {
+  const { logger } = _settings;
+  const write = logger[method] || logger.log;
+  if (typeof write !== 'function') return;
+
+  const [message, ...rest] = args;
+  if (typeof message === 'string') {
+    write.call(logger, `[${category}] ${message}`, ...rest);
+  } else {
+    write.call(logger, `[${category}]`, ...args);
+  }
+}
+
+/**
+ * Logger for one category
+ * Debug messages are only written if the category is enabled (config.debug or
+ * DEBUG_* flag); use isDebugEnabled() to skip building expensive debug output.
+ * @param {string} category - Key of LOG_CATEGORIES
+ * @returns {Object} - {error, warn, info, debug, isDebugEnabled}
+ */
+export function getLogger(category) {
+  const isDebugEnabled = () => _settings.level > 0 && _settings.categories.has(category);
+
+  return {
+    error: (...args) => { if (_settings.level >= 1) emit('error', category, args); },
+    warn: (...args) => { if (_settings.level >= 2) emit('warn', category, args); },
+    info: (...args) => { if (_settings.level >= 3) emit('info', category, args); },
+    debug: (...args) => { if (isDebugEnabled()) emit('debug', category, args); },
+    isDebugEnabled
+  };
+}
@@ -3,24 +3,29 @@
  * 
  * Unified routing for back-flows and message flows (same-lane and cross-lane)
  * Uses nearest corridor strategy with full waypoint collision detection
+ * The corridors are written for horizontal lanes, vertical lanes are routed transposed.
  */
 
 import { calculateConnectionPoint } from './phase3.js';
 import { hasWaypointCollision } from './waypoint-collision.js';
+import { DEFAULT_METRICS, getMetrics } from './layout-metrics.js';
+import { getLogger } from './logger.js';
 
-// Constants
-const CORRIDOR_OFFSET = 25;
-const LAYER_OFFSET = 100;
-const ELEMENT_HEIGHT = 80;
+const log = getLogger('routing');
+
+// Side names of the horizontal orientation
+const HORIZONTAL_SIDES = { alongLane: 'right', oppAlongLane: 'left', crossLane: 'down', oppCrossLane: 'up' };
 
 /**
  * Get all corridor Y-values in a lane
  * @param {Object} laneBound - Lane bounds with y, height, maxRows
+ * @param {Object} metrics - Layout metrics (see layout-metrics.js)
  * @returns {Array} - Array of corridor Y-values
  */
-export function getCorridorsInLane(laneBound) {
+export function getCorridorsInLane(laneBound, metrics = DEFAULT_METRICS) {
+  const { corridorOffset, elementHeight } = metrics;
   const maxRows = laneBound.maxRows || 1;
-  const referenceHeight = ELEMENT_HEIGHT;
+  const referenceHeight = elementHeight;
   const paddingPerGap = (laneBound.height - maxRows * referenceHeight) / (maxRows + 1);
   
   // Calculate all row center Y-values
@@ -36,7 +41,7 @@ export function getCorridorsInLane(laneBound) {
   const corridors = [];
   
   // Lane-top corridor
-  corridors.push(laneBound.y + CORRIDOR_OFFSET);
+  corridors.push(laneBound.y + corridorOffset);
   
   // Corridors between rows
   for (let i = 0; i < rowYs.length - 1; i++) {
@@ -44,7 +49,7 @@ export function getCorridorsInLane(laneBound) {
   }
   
   // Lane-bottom corridor
-  corridors.push(laneBound.y + laneBound.height - CORRIDOR_OFFSET);
+  corridors.push(laneBound.y + laneBound.height - corridorOffset);
   
   return corridors;
 }
@@ -135,6 +140,7 @@ function isVerticalPathToTargetClear(corridorY, targetCoord, targetPos, position
  * Calculate waypoints for a given corridor
  */
 function calculateWaypointsWithCorridor(corridorY, flowInfo, sourceCoord, targetCoord, sourcePos, targetPos, directions, laneBounds, positions, coordinates, exitDirection, flowWaypoints) {
+  const { layerOffset } = getMetrics(directions);
   const waypoints = [];
   
   // Step 1: Exit source element
@@ -170,7 +176,7 @@ function calculateWaypointsWithCorridor(corridorY, flowInfo, sourceCoord, target
     if (flowInfo.target) flowInfo.target.entrySide = entrySide;
   } else {
     // Fallback path: Go left of target, then enter from bottom
-    const targetX = targetCoord.x - LAYER_OFFSET / 2;
+    const targetX = targetCoord.x - layerOffset / 2;
     waypoints.push({ x: targetX, y: corridorY });
     
     // Move vertically to below target (with offset)
@@ -192,16 +198,84 @@ function calculateWaypointsWithCorridor(corridorY, flowInfo, sourceCoord, target
   return waypoints;
 }
 
+/**
+ * Swap x and y of a point or box
+ */
+function transpose(box) {
+  const transposed = { ...box, x: box.y, y: box.x };
+  if ('width' in box || 'height' in box) {
+    transposed.width = box.height;
+    transposed.height = box.width;
+  }
+  return transposed;
+}
+
+/**
+ * Route a flow of the vertical orientation with a router written for horizontal lanes
+ * The router works on the transposed layout (lanes across x become lanes across y), its
+ * waypoints and the exit and entry sides it sets are transposed back.
+ * @param {Object} flowInfo - Flow information (exit and entry sides)
+ * @param {Object} directions - Direction mappings (vertical)
+ * @param {Map} laneBounds - Lane bounds
+ * @param {Map} coordinates - Element coordinates
+ * @param {Map} flowWaypoints - Waypoints of the flows routed so far, or null
+ * @param {Function} route - {directions, laneBounds, coordinates, flowWaypoints, transpose} → waypoints
+ * @returns {Array} - Waypoints
+ */
+export function routeTransposed(flowInfo, directions, laneBounds, coordinates, flowWaypoints, route) {
+  const metrics = getMetrics(directions);
+  const frame = {
+    directions: {
+      ...directions,
+      ...HORIZONTAL_SIDES,
+      laneOrientation: 'horizontal',
+      metrics: {
+        ...metrics,
+        elementWidth: metrics.elementHeight,
+        elementHeight: metrics.elementWidth,
+        // Middle of the free space between an element and its lane border
+        corridorOffset: Math.round(((metrics.laneBaseWidth - metrics.elementWidth) / 2) / 2)
+      }
+    },
+    laneBounds: new Map(Array.from(laneBounds, ([laneId, bounds]) => [laneId, transpose(bounds)])),
+    coordinates: new Map(Array.from(coordinates, ([elementId, coord]) => [elementId, transpose(coord)])),
+    flowWaypoints: flowWaypoints
+      ? new Map(Array.from(flowWaypoints, ([flowId, waypoints]) => [flowId, waypoints.map(transpose)]))
+      : null,
+    transpose
+  };
+  
+  // Exit and entry sides by their role (alongLane, crossLane, ...) in the other orientation
+  const toHorizontal = new Map(Object.keys(HORIZONTAL_SIDES).map(key => [directions[key], HORIZONTAL_SIDES[key]]));
+  const toVertical = new Map(Object.keys(HORIZONTAL_SIDES).map(key => [HORIZONTAL_SIDES[key], directions[key]]));
+  const mapSides = sides => {
+    if (flowInfo.source && sides.has(flowInfo.source.exitSide)) flowInfo.source.exitSide = sides.get(flowInfo.source.exitSide);
+    if (flowInfo.target && sides.has(flowInfo.target.entrySide)) flowInfo.target.entrySide = sides.get(flowInfo.target.entrySide);
+  };
+  
+  mapSides(toHorizontal);
+  const waypoints = route(frame);
+  mapSides(toVertical);
+  return waypoints.map(transpose);
+}
+
 /**
  * Manhattan routing with full waypoint collision detection
  */
 export function routeManhattan(flowInfo, sourceCoord, targetCoord, sourcePos, targetPos, directions, laneBounds, positions, coordinates, corridorUsage = null, flowInfos = null, flowWaypoints = null) {
+  if (directions.alongLane !== HORIZONTAL_SIDES.alongLane) {
+    return routeTransposed(flowInfo, directions, laneBounds, coordinates, flowWaypoints, frame => routeManhattan(
+      flowInfo, frame.transpose(sourceCoord), frame.transpose(targetCoord), sourcePos, targetPos,
+      frame.directions, frame.laneBounds, positions, frame.coordinates, corridorUsage, flowInfos, frame.flowWaypoints
+    ));
+  }
+  
   // Get lane bounds
   const sourceLaneBounds = laneBounds.get(sourcePos.lane);
   const targetLaneBounds = laneBounds.get(targetPos.lane);
   
   if (!sourceLaneBounds || !targetLaneBounds) {
-    console.error('Lane bounds not found for Manhattan routing');
+    log.error('Lane bounds not found for Manhattan routing');
     return [];
   }
   
@@ -210,7 +284,7 @@ export function routeManhattan(flowInfo, sourceCoord, targetCoord, sourcePos, ta
   const exitDirection = targetAbove ? 'up' : 'down';
   
   // Get available corridors
-  const sourceCorridors = getCorridorsInLane(sourceLaneBounds);
+  const sourceCorridors = getCorridorsInLane(sourceLaneBounds, getMetrics(directions));
   
   // Try corridors in order of proximity until we find one without collision
   const triedCorridors = new Set();
@@ -2,24 +2,33 @@
  * Message-Flow Router
  * 
  * Routes message flows between pools with:
+ * - Straight lines to pools as message flow ends (black boxes), at the column of the element
  * - Exit-side availability checking
  * - Entry-side availability checking
  * - Corridor navigation with priorities
  * - Collision detection
  */
 
-import { calculateConnectionPoint } from './phase3.js';
+import { calculateConnectionPoint, getColumnBoundaries } from './phase3.js';
 import { hasWaypointCollision } from './waypoint-collision.js';
 import { buildRoutingGrid, routeWithGrid } from './grid-router.js';
 
 // Use grid-based routing (A* pathfinding)
 const USE_GRID_ROUTER = true;
-import { getCorridorsInLane, findNearestCorridor } from './manhattan-router.js';
+import { getCorridorsInLane, findNearestCorridor, routeTransposed } from './manhattan-router.js';
+import { getMetrics } from './layout-metrics.js';
 
-const CORRIDOR_OFFSET = 25;
-const LAYER_OFFSET = 100;
 const POOL_VERTICAL_SPACING = 50; // Spacing between pools
 
+/**
+ * Check that all waypoints have finite coordinates
+ * @param {Array} waypoints - Waypoints
+ * @returns {boolean} - True if every x and y is a finite number
+ */
+function hasFiniteWaypoints(waypoints) {
+  return waypoints.every(({ x, y }) => Number.isFinite(x) && Number.isFinite(y));
+}
+
 /**
  * Check which exit sides are available (not used by other flows)
  * Uses exact waypoint coordinate matching
@@ -107,7 +116,9 @@ export function routeMessageFlow(flowInfo, sourceCoord, targetCoord, sourcePos,
   // Build grid for pathfinding if enabled
   let gridData = null;
   if (USE_GRID_ROUTER) {
-    gridData = buildRoutingGrid(laneBounds, coordinates);
+    const metrics = getMetrics(directions);
+    const columnBoundaries = directions.alongLane === 'right' ? getColumnBoundaries(laneBounds, metrics) : null;
+    gridData = buildRoutingGrid(laneBounds, coordinates, metrics, columnBoundaries);
   }
   
   // Get available exit and entry sides
@@ -157,7 +168,7 @@ export function routeMessageFlow(flowInfo, sourceCoord, targetCoord, sourcePos,
       }
       
       
-      if (!waypoints || waypoints.length === 0) {
+      if (!waypoints || waypoints.length === 0 || !hasFiniteWaypoints(waypoints)) {
         continue;
       }
       
@@ -179,10 +190,105 @@ export function routeMessageFlow(flowInfo, sourceCoord, targetCoord, sourcePos,
   const fallbackExit = exitPriority.find(side => availableExits[side]) || 'down';
   const fallbackEntry = entryPriority.find(side => availableEntries[side]) || 'up';
   
-  return calculateMessageFlowWaypoints(
+  const waypoints = calculateMessageFlowWaypoints(
     flowInfo, sourceCoord, targetCoord, sourcePos, targetPos,
     fallbackExit, fallbackEntry, directions, laneBounds, coordinates
   );
+  if (!hasFiniteWaypoints(waypoints)) {
+    throw new Error(`Message flow ${flowInfo.flowId} could not be routed`);
+  }
+  return waypoints;
+}
+
+const POOL_DETOUR_OFFSET = 25; // Distance of the detour line from the element without a next column
+
+/**
+ * Route a message flow between an element and a pool (e.g. a black-box participant)
+ * The flow attaches to the pool at the column of the element: a straight line across the
+ * lanes. If an element is in the way, the flow leaves the element at its side and crosses
+ * the lanes in the gap next to its column instead.
+ * @param {Object} flowInfo - Flow information (isPoolMessageFlow), exit and entry sides are set
+ * @param {string} elementId - Element end of the flow
+ * @param {Object} elementCoord - Element coordinates
+ * @param {Object} poolBounds - Bounds of the pool end
+ * @param {Object} directions - Direction mappings
+ * @param {Map} coordinates - Element coordinates
+ * @param {number} spread - Position among the pool flows of the element, 0..1 exclusive (0.5: center)
+ * @returns {Array} - Waypoints from source to target
+ */
+export function routePoolMessageFlow(flowInfo, elementId, elementCoord, poolBounds, directions, coordinates, spread = 0.5) {
+  const isHorizontal = directions.alongLane === 'right';
+  // Along: the flow direction, cross: across the lanes towards the pool
+  const [along, alongSize, cross, crossSize] = isHorizontal ? ['x', 'width', 'y', 'height'] : ['y', 'height', 'x', 'width'];
+  const poolBefore = poolBounds[cross] < elementCoord[cross];
+  const poolEdge = poolBefore ? poolBounds[cross] + poolBounds[crossSize] : poolBounds[cross];
+  const toPool = Boolean(flowInfo.target.pool);
+  const point = (alongValue, crossValue) => ({ [along]: alongValue, [cross]: crossValue });
+
+  let elementSide = isHorizontal ? (poolBefore ? 'up' : 'down') : (poolBefore ? 'left' : 'right');
+  const attach = elementCoord[along] + Math.round(spread * elementCoord[alongSize]);
+  const elementEdge = poolBefore ? elementCoord[cross] : elementCoord[cross] + elementCoord[crossSize];
+  let waypoints = [point(attach, elementEdge), point(attach, poolEdge)];
+
+  if (isLineBlocked(waypoints[0], waypoints[1], elementId, coordinates)) {
+    // Leave at the side: after the element towards pools, before it from pools
+    const sideCross = poolBefore
+      ? elementCoord[cross] + Math.round(spread * elementCoord[crossSize] / 2)
+      : elementCoord[cross] + elementCoord[crossSize] - Math.round(spread * elementCoord[crossSize] / 2);
+    for (const after of toPool ? [true, false] : [false, true]) {
+      const gap = getColumnGap(elementCoord, after, along, alongSize, coordinates) + Math.round((spread - 0.5) * 20);
+      const sideEdge = after ? elementCoord[along] + elementCoord[alongSize] : elementCoord[along];
+      const detour = [point(sideEdge, sideCross), point(gap, sideCross), point(gap, poolEdge)];
+      if (!isLineBlocked(detour[1], detour[2], elementId, coordinates)) {
+        waypoints = detour;
+        elementSide = isHorizontal ? (after ? 'right' : 'left') : (after ? 'down' : 'up');
+        break;
+      }
+    }
+  }
+
+  const poolSide = isHorizontal ? (poolBefore ? 'down' : 'up') : (poolBefore ? 'right' : 'left');
+  if (toPool) {
+    flowInfo.source.exitSide = elementSide;
+    flowInfo.target.entrySide = poolSide;
+    return waypoints;
+  }
+  flowInfo.source.exitSide = poolSide;
+  flowInfo.target.entrySide = elementSide;
+  return waypoints.reverse();
+}
+
+/**
+ * Middle of the gap between the column of an element and the next element before or after it
+ */
+function getColumnGap(elementCoord, after, along, alongSize, coordinates) {
+  const edge = after ? elementCoord[along] + elementCoord[alongSize] : elementCoord[along];
+  let distance = null;
+  for (const coord of coordinates.values()) {
+    const candidate = after ? coord[along] - edge : edge - (coord[along] + coord[alongSize]);
+    if (candidate >= 0 && (distance === null || candidate < distance)) distance = candidate;
+  }
+  const offset = distance === null ? POOL_DETOUR_OFFSET : Math.round(distance / 2);
+  return after ? edge + offset : edge - offset;
+}
+
+/**
+ * Does a horizontal or vertical line cross an element (other than the given one)?
+ */
+function isLineBlocked(start, end, elementId, coordinates) {
+  const minX = Math.min(start.x, end.x);
+  const maxX = Math.max(start.x, end.x);
+  const minY = Math.min(start.y, end.y);
+  const maxY = Math.max(start.y, end.y);
+
+  for (const [id, coord] of coordinates) {
+    if (id === elementId) continue;
+    // Strictly inside: lines along an element border do not cross it
+    if (coord.x < maxX && coord.x + coord.width > minX && coord.y < maxY && coord.y + coord.height > minY) {
+      return true;
+    }
+  }
+  return false;
 }
 
 /**
@@ -224,8 +330,18 @@ function isVerticalColumnFree(targetX, sourceY, targetY, sourceCoord, targetCoor
 
 /**
  * Calculate waypoints for message flow with corridor-based navigation
+ * Corridors run between the rows of a lane; vertical lanes are routed transposed.
  */
 function calculateMessageFlowWaypoints(flowInfo, sourceCoord, targetCoord, sourcePos, targetPos, exitSide, entrySide, directions, laneBounds, coordinates) {
+  if (directions.alongLane !== 'right') {
+    return routeTransposed(flowInfo, directions, laneBounds, coordinates, null, frame => calculateMessageFlowWaypoints(
+      flowInfo, frame.transpose(sourceCoord), frame.transpose(targetCoord), sourcePos, targetPos,
+      exitSide, entrySide, frame.directions, frame.laneBounds, frame.coordinates
+    ));
+  }
+  
+  const metrics = getMetrics(directions);
+  const { corridorOffset, layerOffset } = metrics;
   const waypoints = [];
   
   // Map exit/entry sides to direction constants
@@ -254,21 +370,21 @@ function calculateMessageFlowWaypoints(flowInfo, sourceCoord, targetCoord, sourc
   
   if (exitSide === 'up') {
     // Exit up: Move up to nearest corridor in source lane
-    const sourceCorridors = getCorridorsInLane(sourceLaneBounds);
+    const sourceCorridors = getCorridorsInLane(sourceLaneBounds, metrics);
     const corridorY = findNearestCorridor(sourceCoord.y, sourceCorridors, 'up');
     waypoints.push({ x: exitPoint.x, y: corridorY });
     
     // Navigate to entry corridor
     if (entrySide === 'up') {
-      const targetCorridors = getCorridorsInLane(targetLaneBounds);
+      const targetCorridors = getCorridorsInLane(targetLaneBounds, metrics);
       const targetCorridorY = findNearestCorridor(targetCoord.y, targetCorridors, 'up');
       // For same-side routing (up→up), use horizontal corridor
-      const corridorX = sourceCoord.x - LAYER_OFFSET / 2;
+      const corridorX = sourceCoord.x - layerOffset / 2;
       waypoints.push({ x: corridorX, y: corridorY });
       waypoints.push({ x: corridorX, y: targetCorridorY });
       waypoints.push({ x: entryPoint.x, y: targetCorridorY });
     } else if (entrySide === 'down') {
-      const targetCorridors = getCorridorsInLane(targetLaneBounds);
+      const targetCorridors = getCorridorsInLane(targetLaneBounds, metrics);
       const targetCorridorY = findNearestCorridor(targetCoord.y, targetCorridors, 'down');
       
       // OPTIMIZATION: Check if vertical column at target X is free
@@ -280,14 +396,14 @@ function calculateMessageFlowWaypoints(flowInfo, sourceCoord, targetCoord, sourc
         waypoints.push({ x: entryPoint.x, y: targetCorridorY });
       } else {
         // Horizontal routing: go left, up, then right
-        const corridorX = sourceCoord.x - LAYER_OFFSET / 2;
+        const corridorX = sourceCoord.x - layerOffset / 2;
         waypoints.push({ x: corridorX, y: corridorY });
         waypoints.push({ x: corridorX, y: targetCorridorY });
         waypoints.push({ x: entryPoint.x, y: targetCorridorY });
       }
     } else if (entrySide === 'left' || entrySide === 'right') {
       // For horizontal entry, route via horizontal corridor
-      const corridorX = sourceCoord.x - LAYER_OFFSET / 2;
+      const corridorX = sourceCoord.x - layerOffset / 2;
       waypoints.push({ x: corridorX, y: corridorY });
       waypoints.push({ x: corridorX, y: entryPoint.y });
     }
@@ -296,13 +412,13 @@ function calculateMessageFlowWaypoints(flowInfo, sourceCoord, targetCoord, sourc
     
   } else if (exitSide === 'down') {
     // Exit down: Move down to nearest corridor in source lane
-    const sourceCorridors = getCorridorsInLane(sourceLaneBounds);
+    const sourceCorridors = getCorridorsInLane(sourceLaneBounds, metrics);
     const corridorY = findNearestCorridor(sourceCoord.y, sourceCorridors, 'down');
     waypoints.push({ x: exitPoint.x, y: corridorY });
     
     // Navigate to entry corridor
     if (entrySide === 'up') {
-      const targetCorridors = getCorridorsInLane(targetLaneBounds);
+      const targetCorridors = getCorridorsInLane(targetLaneBounds, metrics);
       const targetCorridorY = findNearestCorridor(targetCoord.y, targetCorridors, 'up');
       
       // OPTIMIZATION: Check if vertical column at target X is free
@@ -314,22 +430,22 @@ function calculateMessageFlowWaypoints(flowInfo, sourceCoord, targetCoord, sourc
         waypoints.push({ x: entryPoint.x, y: targetCorridorY });
       } else {
         // Horizontal routing: go left, down, then right
-        const corridorX = sourceCoord.x - LAYER_OFFSET / 2;
+        const corridorX = sourceCoord.x - layerOffset / 2;
         waypoints.push({ x: corridorX, y: corridorY });
         waypoints.push({ x: corridorX, y: targetCorridorY });
         waypoints.push({ x: entryPoint.x, y: targetCorridorY });
       }
     } else if (entrySide === 'down') {
-      const targetCorridors = getCorridorsInLane(targetLaneBounds);
+      const targetCorridors = getCorridorsInLane(targetLaneBounds, metrics);
       const targetCorridorY = findNearestCorridor(targetCoord.y, targetCorridors, 'down');
       // For same-side routing (down→down), use horizontal corridor
-      const corridorX = sourceCoord.x - LAYER_OFFSET / 2;
+      const corridorX = sourceCoord.x - layerOffset / 2;
       waypoints.push({ x: corridorX, y: corridorY });
       waypoints.push({ x: corridorX, y: targetCorridorY });
       waypoints.push({ x: entryPoint.x, y: targetCorridorY });
     } else if (entrySide === 'left' || entrySide === 'right') {
       // For horizontal entry, route via horizontal corridor
-      const corridorX = sourceCoord.x - LAYER_OFFSET / 2;
+      const corridorX = sourceCoord.x - layerOffset / 2;
       waypoints.push({ x: corridorX, y: corridorY });
       waypoints.push({ x: corridorX, y: entryPoint.y });
     }
@@ -338,14 +454,14 @@ function calculateMessageFlowWaypoints(flowInfo, sourceCoord, targetCoord, sourc
     
   } else if (exitSide === 'left') {
     // Exit left
-    const corridorX = sourceCoord.x - CORRIDOR_OFFSET;
+    const corridorX = sourceCoord.x - corridorOffset;
     waypoints.push({ x: corridorX, y: exitPoint.y });
     waypoints.push({ x: corridorX, y: entryPoint.y });
     waypoints.push(entryPoint);
     
   } else if (exitSide === 'right') {
     // Exit right
-    const corridorX = sourceCoord.x + sourceCoord.width + CORRIDOR_OFFSET;
+    const corridorX = sourceCoord.x + sourceCoord.width + corridorOffset;
     waypoints.push({ x: corridorX, y: exitPoint.y });
     waypoints.push({ x: corridorX, y: entryPoint.y });
     waypoints.push(entryPoint);
@@ -0,0 +1,333 @@
+/**
+ * Model Adapter (bpmn-moddle / bpmn-js)
+ *
+ * Applies the layout to an in-memory model instead of returning new XML:
+ * - applyLayoutToDefinitions: updates the DI of a bpmn-moddle definitions tree in place
+ *   (one diagram per plane of the layout, see diagram-planes.js)
+ * - applyLayoutToModeler: moves/resizes shapes and updates waypoints through bpmn-js
+ *   `modeling`, as one undoable command if a `commandStack` is given
+ *
+ * Both serialize the model once (moddle toXML) and run computeLayout() on it, so
+ * config, existing DI (preserveElementSizes, stableLayout) and results are the
+ * same as for layoutBPMN(). Only the DI changes: XOR merge gateways are always
+ * kept and drawn, because a model element without shape cannot be shown in an editor.
+ *
+ * No dependency on bpmn-moddle or bpmn-js: the moddle instance is taken from the
+ * definitions (`$model`), the bpmn-js services are passed in by the caller.
+ */
+
+import { computeLayout } from './index.js';
+import { getLaneShapeBounds } from './phase3.js';
+
+const APPLY_COMMAND = 'bpmnAutoLayout.apply';
+
+// Command stacks that already know APPLY_COMMAND
+const registeredCommandStacks = new WeakSet();
+
+/**
+ * Config for a layout that only changes DI (no hidden or removed elements)
+ * @param {Object} config - Layout config
+ * @returns {Object} - Config for computeLayout
+ */
+function getModelConfig(config) {
+  return { ...config, xorMergeGateways: true, hideXorMergeGateways: false };
+}
+
+/**
+ * Serialize a definitions tree and compute its layout
+ * @param {Object} definitions - bpmn-moddle definitions (bpmn:Definitions)
+ * @param {Object} config - Layout config
+ * @returns {Promise<Object>} - computeLayout() result
+ */
+async function computeModelLayout(definitions, config) {
+  const { xml } = await definitions.$model.toXML(definitions);
+  return computeLayout(xml, getModelConfig(config));
+}
+
+/**
+ * Shape bounds in apply order: pools, lanes, then flow nodes and artifacts
+ * Lanes get their DI bounds (as in the generated BPMN DI), lanes without pool bounds are skipped.
+ * @param {Object} layout - computeLayout() layout
+ * @returns {Array} - [{id, bounds: {x, y, width, height}}]
+ */
+function getShapeBounds(layout) {
+  const shapes = [];
+  const isHorizontal = layout.orientation === 'horizontal';
+
+  for (const [id, { x, y, width, height }] of Object.entries(layout.poolBounds)) {
+    shapes.push({ id, bounds: { x, y, width, height } });
+  }
+  for (const [id, bounds] of Object.entries(layout.laneBounds)) {
+    const lane = layout.lanes[id];
+    const poolBound = layout.poolBounds[lane.poolId];
+    if (!poolBound) continue;
+
+    let nestingLevel = 0;
+    for (let parent = lane.parentLane; parent; parent = layout.lanes[parent]?.parentLane) nestingLevel++;
+    shapes.push({ id, bounds: getLaneShapeBounds(bounds, poolBound, nestingLevel, isHorizontal) });
+  }
+  for (const [id, { x, y, width, height }] of Object.entries(layout.coordinates)) {
+    shapes.push({ id, bounds: { x, y, width, height } });
+  }
+  return shapes;
+}
+
+/**
+ * Index all model elements with an id (semantic and DI) of a moddle tree
+ * @param {Object} root - Moddle element
+ * @returns {Map} - id → moddle element (first occurrence wins)
+ */
+function indexModdleElements(root) {
+  const byId = new Map();
+  const visited = new Set();
+  const stack = [root];
+
+  while (stack.length > 0) {
+    const element = stack.pop();
+    if (!element || typeof element !== 'object' || visited.has(element)) continue;
+    visited.add(element);
+
+    if (element.$type && element.id && !byId.has(element.id)) {
+      byId.set(element.id, element);
+    }
+    for (const key of Object.keys(element)) {
+      if (key.startsWith('$')) continue;
+      const value = element[key];
+      if (Array.isArray(value)) {
+        stack.push(...value);
+      } else if (value && typeof value === 'object' && value.$type) {
+        stack.push(value);
+      }
+    }
+  }
+
+  return byId;
+}
+
+/**
+ * Get or create the BPMNPlane of a layout plane
+ * @param {Object} definitions - bpmn-moddle definitions
+ * @param {Object} moddle - Moddle instance
+ * @param {Object} layoutPlane - Plane of the layout ({id, type}, see layout-result.js)
+ * @param {Map} modelElements - id → moddle element
+ * @returns {Object} - bpmndi:BPMNPlane
+ */
+function getOrCreatePlane(definitions, moddle, layoutPlane, modelElements) {
+  // Pools are drawn on the collaboration, otherwise on the process or sub-process
+  const rootElements = definitions.get('rootElements');
+  const ownerType = layoutPlane.type === 'collaboration' ? 'bpmn:Collaboration' : 'bpmn:Process';
+  const planeOwner = layoutPlane.id
+    ? modelElements.get(layoutPlane.id)
+    : rootElements.find(element => element.$type === ownerType);
+
+  const diagrams = definitions.get('diagrams');
+  const existing = diagrams.find(diagram => diagram.plane && diagram.plane.bpmnElement === planeOwner);
+  if (existing) {
+    return existing.plane;
+  }
+
+  let number = diagrams.length + 1;
+  while (modelElements.has(`BPMNDiagram_${number}`) || modelElements.has(`BPMNPlane_${number}`)) number++;
+  const plane = moddle.create('bpmndi:BPMNPlane', { id: `BPMNPlane_${number}`, bpmnElement: planeOwner });
+  const diagram = moddle.create('bpmndi:BPMNDiagram', { id: `BPMNDiagram_${number}`, plane });
+  plane.$parent = diagram;
+  diagram.$parent = definitions;
+  diagrams.push(diagram);
+  modelElements.set(plane.id, plane);
+  modelElements.set(diagram.id, diagram);
+  return plane;
+}
+
+/**
+ * Apply the layout to the DI of a bpmn-moddle definitions tree (in place)
+ * Existing BPMNShape/BPMNEdge elements are updated, missing ones are created.
+ * @param {Object} definitions - bpmn-moddle definitions (result of moddle.fromXML)
+ * @param {Object} config - Layout config (see layoutBPMN)
+ * @returns {Promise<Object>} - {success, warnings?, errors?}
+ */
+export async function applyLayoutToDefinitions(definitions, config = {}) {
+  try {
+    const result = await computeModelLayout(definitions, config);
+    if (!result.success) {
+      return { success: false, errors: result.errors };
+    }
+
+    const { layout } = result;
+    const moddle = definitions.$model;
+    const modelElements = indexModdleElements(definitions);
+
+    // Plane of every laid out ID (each layout plane has its own diagram)
+    const planeById = new Map();
+    for (const layoutPlane of layout.planes) {
+      const plane = getOrCreatePlane(definitions, moddle, layoutPlane, modelElements);
+      for (const id of [...layoutPlane.pools, ...layoutPlane.lanes, ...layoutPlane.elements, ...layoutPlane.flows]) {
+        planeById.set(id, plane);
+      }
+    }
+
+    // Existing DI by model element id (all diagrams)
+    const diElements = new Map();
+    for (const diagram of definitions.get('diagrams')) {
+      for (const di of diagram.plane ? diagram.plane.get('planeElement') : []) {
+        if (di.bpmnElement && !diElements.has(di.bpmnElement.id)) {
+          diElements.set(di.bpmnElement.id, di);
+        }
+      }
+    }
+
+    // DI on the plane of the element: moved there if it was drawn on another plane
+    const getOrCreateDI = (id, type) => {
+      const plane = planeById.get(id);
+      let di = diElements.get(id);
+      if (!di) {
+        di = moddle.create(type, { id: `${id}_di`, bpmnElement: modelElements.get(id) });
+        diElements.set(id, di);
+      } else if (di.$parent === plane) {
+        return di;
+      } else if (di.$parent) {
+        const oldElements = di.$parent.get('planeElement');
+        oldElements.splice(oldElements.indexOf(di), 1);
+      }
+      di.$parent = plane;
+      plane.get('planeElement').push(di);
+      return di;
+    };
+
+    const createLabel = bounds => moddle.create('bpmndi:BPMNLabel', { bounds: moddle.create('dc:Bounds', bounds) });
+
+    const isHorizontal = layout.orientation === 'horizontal';
+
+    for (const { id, bounds } of getShapeBounds(layout)) {
+      if (!modelElements.has(id) || !planeById.has(id)) continue;
+
+      const shape = getOrCreateDI(id, 'bpmndi:BPMNShape');
+      shape.bounds = moddle.create('dc:Bounds', bounds);
+
+      if (layout.poolBounds[id] || layout.laneBounds[id]) {
+        shape.isHorizontal = isHorizontal;
+      } else if (layout.elements[id] && layout.elements[id].isExpanded) {
+        shape.isExpanded = true;
+      } else if (layout.planes.some(plane => plane.type === 'subProcess' && plane.id === id)) {
+        shape.isExpanded = false; // Content on its own plane
+      }
+
+      // Old label positions belong to the old layout
+      shape.label = layout.labelBounds[id] ? createLabel(layout.labelBounds[id]) : undefined;
+    }
+
+    for (const [id, waypoints] of Object.entries(layout.flowWaypoints)) {
+      if (!modelElements.has(id) || !planeById.has(id)) continue;
+
+      const edge = getOrCreateDI(id, 'bpmndi:BPMNEdge');
+      edge.waypoint = waypoints.map(({ x, y }) => moddle.create('dc:Point', { x, y }));
+      edge.label = layout.labelBounds[id] ? createLabel(layout.labelBounds[id]) : undefined;
+    }
+
+    return { success: true, warnings: result.warnings };
+
+  } catch (error) {
+    return { success: false, errors: [error.message] };
+  }
+}
+
+/**
+ * Nesting depth of a bpmn-js shape (parents first, boundary events after their host)
+ * @param {Object} shape - diagram-js shape
+ * @returns {number} - Depth
+ */
+function getShapeDepth(shape) {
+  let depth = shape.host ? 1 : 0;
+  for (let parent = shape.parent; parent; parent = parent.parent) {
+    depth++;
+  }
+  return depth;
+}
+
+/**
+ * Move/resize shapes, update waypoints, then move labels (bpmn-js modeling)
+ * Moving a container also moves its content, so deltas are taken right before each move.
+ * @param {Object} layout - computeLayout() layout
+ * @param {Object} elementRegistry - bpmn-js elementRegistry
+ * @param {Object} modeling - bpmn-js modeling
+ */
+function applyLayoutToDiagram(layout, elementRegistry, modeling) {
+  const shapes = getShapeBounds(layout)
+    .map(({ id, bounds }) => ({ shape: elementRegistry.get(id), bounds }))
+    .filter(({ shape }) => shape && !shape.waypoints)
+    .sort((a, b) => getShapeDepth(a.shape) - getShapeDepth(b.shape));
+
+  for (const { shape, bounds } of shapes) {
+    const delta = { x: bounds.x - shape.x, y: bounds.y - shape.y };
+    if (delta.x !== 0 || delta.y !== 0) {
+      modeling.moveShape(shape, delta);
+    }
+    if (shape.width !== bounds.width || shape.height !== bounds.height) {
+      modeling.resizeShape(shape, bounds);
+    }
+  }
+
+  // Waypoints last: shape changes re-layout connected flows
+  for (const [id, waypoints] of Object.entries(layout.flowWaypoints)) {
+    const connection = elementRegistry.get(id);
+    if (!connection || !connection.waypoints) continue;
+    modeling.updateWaypoints(connection, waypoints.map(({ x, y }) => ({ x, y })));
+  }
+
+  // Labels keep their rendered size, only their center moves
+  for (const [id, bounds] of Object.entries(layout.labelBounds)) {
+    const element = elementRegistry.get(id);
+    const label = element && element.label;
+    if (!label) continue;
+
+    const delta = {
+      x: Math.round(bounds.x + bounds.width / 2 - (label.x + label.width / 2)),
+      y: Math.round(bounds.y + bounds.height / 2 - (label.y + label.height / 2))
+    };
+    if (delta.x !== 0 || delta.y !== 0) {
+      modeling.moveShape(label, delta);
+    }
+  }
+}
+
+/**
+ * Apply the layout to a bpmn-js diagram through model updates
+ * With `commandStack` the whole layout is one command (one undo step),
+ * otherwise every shape/connection update is its own command.
+ * @param {Object} services - {elementRegistry, modeling, commandStack?} (e.g. modeler.get('modeling'))
+ * @param {Object} config - Layout config (see layoutBPMN)
+ * @returns {Promise<Object>} - {success, warnings?, errors?}
+ */
+export async function applyLayoutToModeler({ elementRegistry, modeling, commandStack }, config = {}) {
+  try {
+    // Definitions from the root element of the process/collaboration plane
+    const root = elementRegistry.filter(element => !element.parent)
+      .find(element => element.businessObject && element.businessObject.$parent &&
+        element.businessObject.$parent.$type === 'bpmn:Definitions');
+    if (!root) {
+      return { success: false, errors: ['No process or collaboration found in the diagram'] };
+    }
+
+    const result = await computeModelLayout(root.businessObject.$parent, config);
+    if (!result.success) {
+      return { success: false, errors: result.errors };
+    }
+
+    if (commandStack) {
+      if (!registeredCommandStacks.has(commandStack)) {
+        // Commands executed in preExecute are undone/redone together with APPLY_COMMAND
+        commandStack.register(APPLY_COMMAND, {
+          preExecute: context => applyLayoutToDiagram(context.layout, context.elementRegistry, context.modeling)
+        });
+        registeredCommandStacks.add(commandStack);
+      }
+      commandStack.execute(APPLY_COMMAND, { layout: result.layout, elementRegistry, modeling });
+    } else {
+      applyLayoutToDiagram(result.layout, elementRegistry, modeling);
+    }
+
+    return { success: true, warnings: result.warnings };
+
+  } catch (error) {
+    return { success: false, errors: [error.message] };
+  }
+}
@@ -8,8 +8,74 @@
  * - Detecting back-edges (loops)
  */
 
+import {
+  NS,
+  parseXMLDocument,
+  isElement,
+  getChildElements,
+  getDescendantElements,
+  findAncestor,
+  getTextContent
+} from './xml-parser.js';
+import { getLogger } from './logger.js';
+
+const log = getLogger('layout');
+
+// Element types by category, in the order they are inserted into the elements map.
+// Downstream phases iterate the maps in insertion order, so this order is kept stable.
+const EVENT_TYPES = ['startEvent', 'endEvent', 'intermediateThrowEvent', 'intermediateCatchEvent', 'boundaryEvent'];
+const TASK_TYPES = ['task', 'userTask', 'serviceTask', 'manualTask', 'sendTask', 'receiveTask', 'scriptTask', 'businessRuleTask', 'callActivity'];
+const SUBPROCESS_TYPES = ['subProcess', 'transaction', 'adHocSubProcess'];
+const GATEWAY_TYPES = ['exclusiveGateway', 'parallelGateway', 'inclusiveGateway', 'eventBasedGateway', 'complexGateway'];
+const DATA_TYPES = ['dataObject', 'dataObjectReference', 'dataStore', 'dataStoreReference'];
+const ARTIFACT_TYPES = ['textAnnotation', 'group'];
+const ELEMENT_TYPE_ORDER = [
+  ...EVENT_TYPES, ...TASK_TYPES, ...SUBPROCESS_TYPES, ...GATEWAY_TYPES, ...DATA_TYPES, ...ARTIFACT_TYPES
+];
+
+// Connecting objects, in insertion order (flow.type stays undefined for sequence flows)
+const FLOW_TYPES = {
+  sequenceFlow: undefined,
+  messageFlow: 'messageFlow',
+  association: 'association'
+};
+
+// Data associations are children of the activity; the data side is a <sourceRef>/<targetRef> child
+const DATA_ASSOCIATION_TYPES = ['dataInputAssociation', 'dataOutputAssociation'];
+
+// Event definitions (order matters for specificity)
+const EVENT_DEFINITIONS = [
+  'messageEventDefinition',
+  'timerEventDefinition',
+  'errorEventDefinition',
+  'escalationEventDefinition',
+  'signalEventDefinition',
+  'conditionalEventDefinition',
+  'compensateEventDefinition',
+  'cancelEventDefinition',
+  'linkEventDefinition',
+  'terminateEventDefinition'
+];
+
+// Valid BPMN element types (case-sensitive!)
+const VALID_TYPES = [
+  ...ELEMENT_TYPE_ORDER,
+  // Flows
+  'sequenceFlow', 'messageFlow',
+  // Swimlanes
+  'lane', 'participant',
+  // Artifacts
+  'association'
+];
+
 /**
  * Parse BPMN XML and extract elements and flows
+ *
+ * Elements are matched by namespace URI + local name, so the prefix used in the
+ * document does not matter (bpmn:, semantic:, default namespace, ...).
+ * An undeclared "bpmn:" prefix (or no prefix at all) falls back to the BPMN
+ * model namespace, which keeps plain XML fragments parseable.
+ *
  * @param {string} bpmnXml - BPMN XML string
  * @returns {Object} - { elements: Map, flows: Map, lanes: Map, success: boolean, errors: Array }
  */
@@ -21,316 +87,192 @@ export function parseXML(bpmnXml) {
   const pools = new Map(); // Pool ID → { id, name, processRef, lanes: [] }
 
   try {
-    // Basic XML syntax validation
-    // Check for malformed comments (e.g., "<- comment" instead of "<!-- comment")
-    // Look for "<-" followed by space or letter (not "--" which would be valid)
-    const hasMalformedComment = /<-\s/.test(bpmnXml) || /<-[A-Za-z]/.test(bpmnXml);
-    if (hasMalformedComment) {
-      errors.push('Invalid XML: Malformed comment syntax detected (use <!-- --> for comments)');
-      return { elements, flows, lanes, success: false, errors };
-    }
-    
+    const document = parseXMLDocument(bpmnXml, {
+      fallbackNamespaces: { '': NS.BPMN, bpmn: NS.BPMN, bpmndi: NS.BPMNDI, dc: NS.DC }
+    });
+
     // Check for basic BPMN structure (only if it looks like a complete document)
     // Allow XML fragments for testing
-    const looksLikeCompleteDoc = bpmnXml.includes('<?xml') || bpmnXml.trim().startsWith('<bpmn:definitions');
-    if (looksLikeCompleteDoc && !bpmnXml.includes('<bpmn:definitions') && !bpmnXml.includes('<definitions')) {
+    const looksLikeCompleteDoc = bpmnXml.trimStart().startsWith('<?xml') ||
+      (document.root && document.root.localName === 'definitions');
+    if (looksLikeCompleteDoc && !(document.root && isElement(document.root, NS.BPMN, 'definitions'))) {
       errors.push('Invalid BPMN: Missing <bpmn:definitions> or <definitions> root element');
       return { elements, flows, lanes, success: false, errors };
     }
-    
-    // Valid BPMN element types (case-sensitive!)
-    const validTypes = [
-      // Events
-      'startEvent', 'endEvent', 'intermediateThrowEvent', 'intermediateCatchEvent', 'boundaryEvent',
-      // Tasks
-      'task', 'userTask', 'serviceTask', 'manualTask', 'sendTask', 'receiveTask', 
-      'scriptTask', 'businessRuleTask', 'callActivity',
-      // Sub-processes
-      'subProcess', 'transaction', 'adHocSubProcess',
-      // Gateways
-      'exclusiveGateway', 'parallelGateway', 'inclusiveGateway', 'eventBasedGateway', 'complexGateway',
-      // Flows
-      'sequenceFlow', 'messageFlow',
-      // Swimlanes
-      'lane', 'participant',
-      // Data elements
-      'dataObject', 'dataObjectReference', 'dataStore', 'dataStoreReference',
-      // Artifacts
-      'textAnnotation', 'group', 'association'
-    ];
-
-    // Simple regex-based parsing (for now)
-    // In production, use a proper XML parser like DOMParser or xml2js
-    
-    // Extract start events
-    const startEventRegex = /<bpmn:startEvent[^>]*id="([^"]+)"[^>]*>/g;
-    let match;
-    while ((match = startEventRegex.exec(bpmnXml)) !== null) {
-      const id = match[1];
-      elements.set(id, {
-        id,
-        type: 'startEvent',
-        eventType: extractEventType(bpmnXml, id),
-        name: extractName(bpmnXml, id),
-        incoming: [],
-        outgoing: []
-      });
-    }
 
-    // Extract end events
-    const endEventRegex = /<bpmn:endEvent[^>]*id="([^"]+)"[^>]*>/g;
-    while ((match = endEventRegex.exec(bpmnXml)) !== null) {
-      const id = match[1];
-      elements.set(id, {
-        id,
-        type: 'endEvent',
-        eventType: extractEventType(bpmnXml, id),
-        name: extractName(bpmnXml, id),
-        incoming: [],
-        outgoing: []
-      });
-    }
+    const bpmnNodes = getDescendantElements(document).filter(node => node.namespaceURI === NS.BPMN);
 
-    // Extract intermediate events
-    const intermediateEventTypes = ['intermediateThrowEvent', 'intermediateCatchEvent', 'boundaryEvent'];
-    for (const eventType of intermediateEventTypes) {
-      const eventRegex = new RegExp(`<bpmn:${eventType}[^>]*id="([^"]+)"[^>]*>`, 'g');
-      while ((match = eventRegex.exec(bpmnXml)) !== null) {
-        const id = match[1];
-        elements.set(id, {
-          id,
-          type: eventType,
-          eventType: extractEventType(bpmnXml, id),
-          name: extractName(bpmnXml, id),
-          incoming: [],
-          outgoing: []
-        });
+    // Extract flow nodes, data elements and artifacts (grouped by type, see ELEMENT_TYPE_ORDER)
+    const nodesByType = new Map(ELEMENT_TYPE_ORDER.map(type => [type, []]));
+    for (const node of bpmnNodes) {
+      if (nodesByType.has(node.localName) && node.attributes.id) {
+        nodesByType.get(node.localName).push(node);
       }
     }
 
-    // Extract tasks (all BPMN task types)
-    const taskTypes = ['task', 'userTask', 'serviceTask', 'manualTask', 'sendTask', 'receiveTask', 'scriptTask', 'businessRuleTask', 'callActivity'];
-    for (const taskType of taskTypes) {
-      const taskRegex = new RegExp(`<bpmn:${taskType}[^>]*id="([^"]+)"[^>]*>`, 'g');
-      while ((match = taskRegex.exec(bpmnXml)) !== null) {
-        const id = match[1];
-        elements.set(id, {
-          id,
-          type: taskType,
-          name: extractName(bpmnXml, id),
-          incoming: [],
-          outgoing: []
-        });
+    for (const [type, nodes] of nodesByType) {
+      for (const node of nodes) {
+        const id = node.attributes.id;
+        const element = { id, type };
+        if (EVENT_TYPES.includes(type)) {
+          element.eventType = extractEventType(node);
+        }
+        element.name = node.attributes.name || '';
+        element.incoming = [];
+        element.outgoing = [];
+        if (type === 'boundaryEvent') {
+          // Boundary events sit on the border of their host activity
+          element.attachedToRef = node.attributes.attachedToRef || null;
+          element.cancelActivity = node.attributes.cancelActivity !== 'false';
+        }
+        if (TASK_TYPES.includes(type) || SUBPROCESS_TYPES.includes(type)) {
+          const loopType = extractLoopType(node);
+          if (loopType) element.loopType = loopType;
+        }
+        if (node.attributes.triggeredByEvent === 'true') {
+          element.triggeredByEvent = true; // Event sub-process
+        }
+        if (node.attributes.default) {
+          element.defaultFlow = node.attributes.default;
+        }
+        if (type === 'textAnnotation') {
+          const textNode = getChildElements(node, NS.BPMN, 'text')[0];
+          element.text = textNode ? getTextContent(textNode) : '';
+        }
+        const parentId = getEnclosingSubProcessId(node);
+        if (parentId) {
+          element.parentId = parentId; // Nested inside a sub-process
+        }
+        const process = findAncestor(node, NS.BPMN, 'process');
+        if (process) {
+          element.processId = process.attributes.id || null; // Diagram plane (see diagram-planes.js)
+        }
+        elements.set(id, element);
       }
     }
 
-    // Extract sub-processes
-    const subProcessTypes = ['subProcess', 'transaction', 'adHocSubProcess'];
-    for (const spType of subProcessTypes) {
-      const spRegex = new RegExp(`<bpmn:${spType}[^>]*id="([^"]+)"[^>]*>`, 'g');
-      while ((match = spRegex.exec(bpmnXml)) !== null) {
-        const id = match[1];
-        elements.set(id, {
-          id,
-          type: spType,
-          name: extractName(bpmnXml, id),
-          incoming: [],
-          outgoing: []
-        });
-      }
-    }
+    // Extract sequence flows, message flows and associations
+    for (const [flowType, typeValue] of Object.entries(FLOW_TYPES)) {
+      for (const node of bpmnNodes) {
+        if (node.localName !== flowType) continue;
+        const { id, sourceRef, targetRef } = node.attributes;
+        if (!id || !sourceRef || !targetRef) continue;
+
+        const flow = { id, sourceRef, targetRef };
+        if (typeValue) flow.type = typeValue;
+        flow.name = node.attributes.name || '';
+        const parentId = getEnclosingSubProcessId(node);
+        if (parentId) {
+          flow.parentId = parentId;
+        }
+        flows.set(id, flow);
 
-    // Extract gateways
-    const gatewayTypes = ['exclusiveGateway', 'parallelGateway', 'inclusiveGateway', 'eventBasedGateway', 'complexGateway'];
-    for (const gwType of gatewayTypes) {
-      const gwRegex = new RegExp(`<bpmn:${gwType}[^>]*id="([^"]+)"[^>]*>`, 'g');
-      while ((match = gwRegex.exec(bpmnXml)) !== null) {
-        const id = match[1];
-        elements.set(id, {
-          id,
-          type: gwType,
-          name: extractName(bpmnXml, id),
-          incoming: [],
-          outgoing: []
-        });
+        // Update element incoming/outgoing (sequence flows only)
+        if (flowType === 'sequenceFlow') {
+          if (elements.has(sourceRef)) {
+            elements.get(sourceRef).outgoing.push(id);
+          }
+          if (elements.has(targetRef)) {
+            elements.get(targetRef).incoming.push(id);
+          }
+        }
       }
     }
 
-    // Extract sequence flows
-    const flowRegex = /<bpmn:sequenceFlow[^>]*id="([^"]+)"[^>]*sourceRef="([^"]+)"[^>]*targetRef="([^"]+)"[^>]*>/g;
-    while ((match = flowRegex.exec(bpmnXml)) !== null) {
-      const [, id, sourceRef, targetRef] = match;
-      flows.set(id, {
-        id,
-        sourceRef,
-        targetRef,
-        name: extractName(bpmnXml, id)
-      });
-
-      // Update element incoming/outgoing
-      if (elements.has(sourceRef)) {
-        elements.get(sourceRef).outgoing.push(id);
-      }
-      if (elements.has(targetRef)) {
-        elements.get(targetRef).incoming.push(id);
+    // Extract data associations (activity ↔ data object/store reference)
+    for (const type of DATA_ASSOCIATION_TYPES) {
+      for (const node of bpmnNodes) {
+        if (node.localName !== type) continue;
+        const id = node.attributes.id;
+        const activityId = node.parent && node.parent.attributes.id;
+        if (!id || !activityId) continue;
+
+        const refName = type === 'dataInputAssociation' ? 'sourceRef' : 'targetRef';
+        const refNode = getChildElements(node, NS.BPMN, refName)[0];
+        const dataRef = refNode ? getTextContent(refNode).trim() : '';
+        if (!dataRef) continue;
+
+        const flow = type === 'dataInputAssociation'
+          ? { id, sourceRef: dataRef, targetRef: activityId, type }
+          : { id, sourceRef: activityId, targetRef: dataRef, type };
+        flow.name = node.attributes.name || '';
+        const activity = elements.get(activityId);
+        if (activity && activity.parentId) {
+          flow.parentId = activity.parentId;
+        }
+        flows.set(id, flow);
       }
     }
 
-    // Extract message flows
-    const messageFlowRegex = /<bpmn:messageFlow[^>]*id="([^"]+)"[^>]*sourceRef="([^"]+)"[^>]*targetRef="([^"]+)"[^>]*>/g;
-    while ((match = messageFlowRegex.exec(bpmnXml)) !== null) {
-      const [, id, sourceRef, targetRef] = match;
-      flows.set(id, {
+    // Extract participants (pools) first to get processRef
+    // Participants without process (black boxes) are drawn as thin bands, before the pools with
+    // a process if they come before the first of them in the document, else after them
+    let hasProcessParticipant = false;
+    for (const node of bpmnNodes) {
+      if (node.localName !== 'participant') continue;
+      const { id, processRef } = node.attributes;
+      if (!id) continue;
+      const pool = {
         id,
-        sourceRef,
-        targetRef,
-        type: 'messageFlow',
-        name: extractName(bpmnXml, id)
-      });
-    }
-
-    // Extract data objects
-    const dataObjectTypes = ['dataObject', 'dataObjectReference', 'dataStore', 'dataStoreReference'];
-    for (const dataType of dataObjectTypes) {
-      const dataRegex = new RegExp(`<bpmn:${dataType}[^>]*id="([^"]+)"[^>]*>`, 'g');
-      while ((match = dataRegex.exec(bpmnXml)) !== null) {
-        const id = match[1];
-        elements.set(id, {
-          id,
-          type: dataType,
-          name: extractName(bpmnXml, id),
-          incoming: [],
-          outgoing: []
-        });
-      }
-    }
-
-    // Extract artifacts (text annotations, groups)
-    const artifactTypes = ['textAnnotation', 'group'];
-    for (const artifactType of artifactTypes) {
-      const artifactRegex = new RegExp(`<bpmn:${artifactType}[^>]*id="([^"]+)"[^>]*>`, 'g');
-      while ((match = artifactRegex.exec(bpmnXml)) !== null) {
-        const id = match[1];
-        elements.set(id, {
-          id,
-          type: artifactType,
-          name: extractName(bpmnXml, id),
-          incoming: [],
-          outgoing: []
-        });
+        name: node.attributes.name || '',
+        processRef: processRef || null,
+        lanes: [] // Will be filled when parsing lanes
+      };
+      if (processRef) {
+        hasProcessParticipant = true;
+      } else {
+        pool.blackBox = true;
+        pool.placement = hasProcessParticipant ? 'after' : 'before';
       }
+      pools.set(id, pool);
     }
 
-    // Extract associations (dotted lines connecting artifacts)
-    const associationRegex = /<bpmn:association[^>]*id="([^"]+)"[^>]*sourceRef="([^"]+)"[^>]*targetRef="([^"]+)"[^>]*>/g;
-    while ((match = associationRegex.exec(bpmnXml)) !== null) {
-      const [, id, sourceRef, targetRef] = match;
-      flows.set(id, {
-        id,
-        sourceRef,
-        targetRef,
-        type: 'association',
-        name: extractName(bpmnXml, id)
-      });
-    }
-
-    // Extract participants (pools) first to get processRef
-    const participantRegex = /<bpmn:participant[^>]*id="([^"]+)"[^>]*processRef="([^"]+)"[^>]*>/g;
-    while ((match = participantRegex.exec(bpmnXml)) !== null) {
-      const [, poolId, processRef] = match;
-      pools.set(poolId, {
-        id: poolId,
-        name: extractName(bpmnXml, poolId),
-        processRef,
-        lanes: [] // Will be filled when parsing lanes
-      });
-    }
+    // Extract lanes and associate with pools (via the enclosing process)
+    // Only lanes inside a <laneSet>/<childLaneSet> count, other vendor blocks may reuse the name
+    const laneNodes = bpmnNodes.filter(node =>
+      node.localName === 'lane' &&
+      node.attributes.id &&
+      (!node.parent || isElement(node.parent, NS.BPMN, 'laneSet') || isElement(node.parent, NS.BPMN, 'childLaneSet'))
+    );
+    for (const node of laneNodes) {
+      const id = node.attributes.id;
+      const process = findAncestor(node, NS.BPMN, 'process');
+      const processId = process ? process.attributes.id || null : null;
 
-    // Extract lanes and associate with pools (exclude laneSet)
-    // First pass: collect all lanes
-    const laneRegex = /<bpmn:lane\s[^>]*id="([^"]+)"[^>]*>/g;
-    while ((match = laneRegex.exec(bpmnXml)) !== null) {
-      const id = match[1];
-      
-      // Find which process (and thus which pool) this lane belongs to
       let poolId = null;
       for (const [pId, pool] of pools) {
-        // Check if this lane is within the process referenced by this pool
-        const processRegex = new RegExp(`<bpmn:process[^>]*id="${pool.processRef}"[^>]*>([\\s\\S]*?)</bpmn:process>`);
-        const processMatch = processRegex.exec(bpmnXml);
-        if (processMatch && processMatch[1].includes(`id="${id}"`)) {
+        if (processId && pool.processRef === processId) {
           poolId = pId;
           break;
         }
       }
-      
+
       lanes.set(id, {
         id,
-        name: extractName(bpmnXml, id),
-        elements: extractLaneElements(bpmnXml, id),
+        name: node.attributes.name || '',
+        elements: getChildElements(node, NS.BPMN, 'flowNodeRef').map(ref => getTextContent(ref).trim()),
         poolId, // Track which pool this lane belongs to
+        processId,
         parentLane: null, // Will be set if this is a child lane
         childLanes: [] // Will be populated if this has child lanes
       });
     }
-    
-    // Second pass: build lane hierarchy (detect parent-child relationships)
-    for (const [laneId, lane] of lanes) {
-      // Find the lane opening tag position
-      const laneStartRegex = new RegExp(`<bpmn:lane[^>]*id="${laneId}"[^>]*>`);
-      const laneStartMatch = laneStartRegex.exec(bpmnXml);
-      if (!laneStartMatch) continue;
-      
-      const startPos = laneStartMatch.index + laneStartMatch[0].length;
-      
-      // Find the matching closing tag using balanced tag counting
-      let depth = 1;
-      let pos = startPos;
-      let endPos = -1;
-      
-      while (pos < bpmnXml.length && depth > 0) {
-        const nextOpen = bpmnXml.indexOf('<bpmn:lane', pos);
-        const nextClose = bpmnXml.indexOf('</bpmn:lane>', pos);
-        
-        if (nextClose === -1) break;
-        
-        if (nextOpen !== -1 && nextOpen < nextClose) {
-          depth++;
-          pos = nextOpen + 10;
-        } else {
-          depth--;
-          if (depth === 0) {
-            endPos = nextClose;
-            break;
-          }
-          pos = nextClose + 12;
-        }
-      }
-      
-      if (endPos === -1) continue;
-      
-      const laneContent = bpmnXml.substring(startPos, endPos);
-      
-      // Check if this lane has a childLaneSet
-      if (laneContent.includes('<bpmn:childLaneSet')) {
-        // Extract the childLaneSet section
-        const childLaneSetMatch = laneContent.match(/<bpmn:childLaneSet[^>]*>([\s\S]*?)<\/bpmn:childLaneSet>/);
-        if (childLaneSetMatch) {
-          // Extract all child lane IDs from the childLaneSet
-          const childLaneRegex = /<bpmn:lane\s[^>]*id="([^"]+)"[^>]*>/g;
-          let childMatch;
-          while ((childMatch = childLaneRegex.exec(childLaneSetMatch[1])) !== null) {
-            const childId = childMatch[1];
-            if (lanes.has(childId) && childId !== laneId) {
-              lane.childLanes.push(childId);
-              lanes.get(childId).parentLane = laneId;
-            }
+
+    // Build lane hierarchy from <childLaneSet> (parent-child relationships)
+    for (const node of laneNodes) {
+      const laneId = node.attributes.id;
+      for (const childLaneSet of getChildElements(node, NS.BPMN, 'childLaneSet')) {
+        for (const childNode of getChildElements(childLaneSet, NS.BPMN, 'lane')) {
+          const childId = childNode.attributes.id;
+          if (lanes.has(childId) && childId !== laneId) {
+            lanes.get(laneId).childLanes.push(childId);
+            lanes.get(childId).parentLane = laneId;
           }
         }
       }
     }
     
-    // Third pass: update pool.lanes to only include top-level lanes
+    // Update pool.lanes to only include top-level lanes
     for (const [poolId, pool] of pools) {
       pool.lanes = [];
       for (const [laneId, lane] of lanes) {
@@ -340,7 +282,27 @@ export function parseXML(bpmnXml) {
       }
     }
     
-    // Fourth pass: assign lane to each element
+    // Bounds from existing DI (element sizes for config.preserveElementSizes,
+    // previous positions for config.stableLayout) and collapsed sub-processes
+    for (const shape of getDescendantElements(document)) {
+      if (!isElement(shape, NS.BPMNDI, 'BPMNShape')) continue;
+      const owner = elements.get(shape.attributes.bpmnElement) || lanes.get(shape.attributes.bpmnElement) ||
+        pools.get(shape.attributes.bpmnElement);
+      const boundsNode = getChildElements(shape, NS.DC, 'Bounds')[0];
+      if (!owner || owner.diBounds || !boundsNode) continue;
+      if (!elements.has(owner.id) && shape.attributes.isHorizontal !== undefined) {
+        owner.diHorizontal = shape.attributes.isHorizontal === 'true'; // Orientation of the previous layout
+      }
+      if (SUBPROCESS_TYPES.includes(owner.type) && shape.attributes.isExpanded === 'false') {
+        owner.diCollapsed = true; // Stays collapsed, its content gets its own plane
+      }
+      const [x, y, width, height] = ['x', 'y', 'width', 'height'].map(name => Number(boundsNode.attributes[name]));
+      if ([x, y].every(isFinite) && width > 0 && height > 0) {
+        owner.diBounds = { x, y, width, height };
+      }
+    }
+
+    // Assign lane to each element (child lanes come later in document order and win)
     for (const [laneId, lane] of lanes) {
       for (const elementId of lane.elements) {
         const element = elements.get(elementId);
@@ -350,39 +312,78 @@ export function parseXML(bpmnXml) {
       }
     }
 
-    // If no pools were found, create a default pool for all lanes
-    if (pools.size === 0 && lanes.size > 0) {
-      const defaultPoolId = 'default_pool';
-      pools.set(defaultPoolId, {
-        id: defaultPoolId,
-        name: 'Process',
-        processRef: null,
-        lanes: Array.from(lanes.keys())
-      });
-      // Update all lanes to belong to default pool
-      for (const lane of lanes.values()) {
-        lane.poolId = defaultPoolId;
+    // Boundary events without their own flowNodeRef live in the lane of their host,
+    // elements nested in a sub-process in the lane of the (outermost) sub-process,
+    // data references and annotations in the lane of the first activity they are associated with
+    const artifactOwners = new Map();
+    for (const flow of flows.values()) {
+      if (flow.type !== 'association' && !DATA_ASSOCIATION_TYPES.includes(flow.type)) continue;
+      for (const [artifactId, ownerId] of [[flow.sourceRef, flow.targetRef], [flow.targetRef, flow.sourceRef]]) {
+        const artifact = elements.get(artifactId);
+        if (artifact && isArtifactType(artifact.type) && !artifactOwners.has(artifactId)) {
+          artifactOwners.set(artifactId, ownerId);
+        }
+      }
+    }
+    const findInheritedLane = (element, visited = new Set()) => {
+      if (element.lane) return element.lane;
+      if (visited.has(element.id)) return null;
+      visited.add(element.id);
+      const ownerId = element.attachedToRef || element.parentId || artifactOwners.get(element.id);
+      const owner = ownerId ? elements.get(ownerId) : null;
+      return owner ? findInheritedLane(owner, visited) : null;
+    };
+    for (const element of elements.values()) {
+      if (!element.lane && (element.attachedToRef || element.parentId || artifactOwners.has(element.id))) {
+        const lane = findInheritedLane(element);
+        if (lane) {
+          element.lane = lane;
+        }
       }
     }
 
+    // Lanes of a process without participant get a default pool per process
+    // ('default_pool', 'default_pool_2', ... in document order)
+    const defaultPools = new Map(); // Process ID → pool
+    for (const lane of lanes.values()) {
+      if (lane.poolId) continue;
+      if (!defaultPools.has(lane.processId)) {
+        const defaultPoolId = defaultPools.size === 0 ? 'default_pool' : `default_pool_${defaultPools.size + 1}`;
+        defaultPools.set(lane.processId, {
+          id: defaultPoolId,
+          name: 'Process',
+          processRef: null,
+          lanes: []
+        });
+      }
+      const defaultPool = defaultPools.get(lane.processId);
+      defaultPool.lanes.push(lane.id);
+      lane.poolId = defaultPool.id;
+    }
+    for (const defaultPool of defaultPools.values()) {
+      pools.set(defaultPool.id, defaultPool);
+    }
+
     // Check for invalid element types (case-sensitivity)
-    const invalidTypeRegex = /<bpmn:([A-Z][a-zA-Z]+)[^>]*id="([^"]+)"[^>]*>/g;
-    while ((match = invalidTypeRegex.exec(bpmnXml)) !== null) {
-      const [, type, id] = match;
-      if (!validTypes.includes(type)) {
-        errors.push(`Unknown element type '${type}' with id '${id}'. Did you mean '${type.toLowerCase()}'?`);
+    for (const node of bpmnNodes) {
+      const type = node.localName;
+      if (/^[A-Z]/.test(type) && node.attributes.id && !VALID_TYPES.includes(type)) {
+        errors.push(`Unknown element type '${type}' with id '${node.attributes.id}'. Did you mean '${type.charAt(0).toLowerCase() + type.slice(1)}'?`);
       }
     }
 
-    // Validate that all elements have lane assignments (if lanes exist)
-    if (lanes.size > 0) {
-      for (const [elementId, element] of elements) {
-        // Skip message flows - they don't need lane assignments
-        if (element.type === 'messageFlow') continue;
-        
-        if (!element.lane || element.lane === 'undefined') {
-          errors.push(`Element "${elementId}" (${element.name || 'unnamed'}, type: ${element.type}) has no lane assignment. All flow elements must be assigned to a lane when using lane-based layouts.`);
-        }
+    // Validate that all elements of processes with lanes have lane assignments
+    // (processes without lanes are laid out flat, as one implicit lane, see diagram-planes.js)
+    const processesWithLanes = new Set(Array.from(lanes.values(), lane => lane.processId));
+    for (const [elementId, element] of elements) {
+      if (!processesWithLanes.has(element.processId ?? null)) continue;
+      // Skip message flows - they don't need lane assignments
+      if (element.type === 'messageFlow') continue;
+      // Data and artifacts are placed next to their activity, no lane needed
+      if (isArtifactType(element.type)) continue;
+      
+      if (!element.lane || element.lane === 'undefined') {
+        errors.push(`Element "${elementId}" (${element.name || 'unnamed'}, type: ${element.type}) has no lane assignment. All flow elements must be assigned to a lane when their process has lanes.`);
       }
     }
     
@@ -402,103 +403,99 @@ export function parseXML(bpmnXml) {
 }
 
 /**
- * Extract name attribute from XML for a given element ID
+ * Check if Phase 1 puts nodes of a type into the elements map
+ * (nodes of such a type missing from the map were removed by pre-processing)
+ * @param {string} type - Local name of the BPMN node
+ * @returns {boolean}
  */
-function extractName(xml, id) {
-  const nameRegex = new RegExp(`id="${id}"[^>]*name="([^"]+)"`, 'i');
-  const match = nameRegex.exec(xml);
-  return match ? match[1] : '';
+export function isElementType(type) {
+  return ELEMENT_TYPE_ORDER.includes(type);
 }
 
 /**
- * Extract event trigger type (eventDefinition) from event element
- * Returns 'none' if no event definition found
+ * Check if an element type is a data element or artifact (not part of the sequence flow graph)
  */
-function extractEventType(xml, eventId) {
-  // Find the specific event element block by ID
-  // Handle both self-closing tags (<...  />) and regular tags (<...>...</...>)
-  
-  // First try self-closing tag
-  const selfClosingPattern = new RegExp(
-    `<bpmn:\\w+Event[^>]*id="${eventId}"[^>]*/>`
-  );
-  const selfClosingMatch = xml.match(selfClosingPattern);
-  
-  if (selfClosingMatch) {
-    // Self-closing tag has no content, so no event definition
-    return 'none';
-  }
-  
-  // Try regular opening/closing tags
-  const eventPattern = new RegExp(
-    `<bpmn:(\\w+Event)[^>]*id="${eventId}"[^>]*>([\\s\\S]*?)</bpmn:\\1>`,
-    'i'
-  );
-  const eventMatch = xml.match(eventPattern);
-  
-  if (!eventMatch) return 'none';
-  
-  const eventBlock = eventMatch[2];  // Group 2 is the content, group 1 is the event type
-  
-  // Check for event definition elements (order matters for specificity)
-  const eventDefinitions = [
-    'messageEventDefinition',
-    'timerEventDefinition',
-    'errorEventDefinition',
-    'escalationEventDefinition',
-    'signalEventDefinition',
-    'conditionalEventDefinition',
-    'compensateEventDefinition',
-    'cancelEventDefinition',
-    'linkEventDefinition',
-    'terminateEventDefinition'
-  ];
-  
-  for (const defType of eventDefinitions) {
-    if (eventBlock.includes(`<bpmn:${defType}`)) {
-      // Return just the trigger type (remove 'EventDefinition' suffix)
-      return defType.replace('EventDefinition', '');
+function isArtifactType(type) {
+  return DATA_TYPES.includes(type) || ARTIFACT_TYPES.includes(type);
+}
+
+/**
+ * Find the closest sub-process (subProcess, transaction, adHocSubProcess) around a node
+ * Returns null for nodes directly inside a process
+ */
+function getEnclosingSubProcessId(node) {
+  let current = node.parent;
+  while (current && !isElement(current, NS.BPMN, 'process')) {
+    if (current.namespaceURI === NS.BPMN && SUBPROCESS_TYPES.includes(current.localName)) {
+      return current.attributes.id || null;
     }
+    current = current.parent;
   }
-  
-  return 'none';
+  return null;
+}
+
+/**
+ * Extract the loop marker of an activity
+ * Returns 'standard', 'parallel' or 'sequential' (multi-instance), null without loop
+ */
+function extractLoopType(activityNode) {
+  if (getChildElements(activityNode, NS.BPMN, 'standardLoopCharacteristics').length > 0) {
+    return 'standard';
+  }
+  const multiInstance = getChildElements(activityNode, NS.BPMN, 'multiInstanceLoopCharacteristics')[0];
+  if (multiInstance) {
+    return multiInstance.attributes.isSequential === 'true' ? 'sequential' : 'parallel';
+  }
+  return null;
 }
 
 /**
- * Extract flowNodeRef elements for a lane
+ * Extract event trigger type (eventDefinition) from event element
+ * Returns 'none' if no event definition found
  */
-function extractLaneElements(xml, laneId) {
-  const elements = [];
-  const laneSection = xml.match(new RegExp(`<bpmn:lane[^>]*id="${laneId}"[^>]*>([\\s\\S]*?)</bpmn:lane>`));
-  if (laneSection) {
-    const flowNodeRegex = /<bpmn:flowNodeRef>([^<]+)<\/bpmn:flowNodeRef>/g;
-    let match;
-    while ((match = flowNodeRegex.exec(laneSection[1])) !== null) {
-      elements.push(match[1]);
+function extractEventType(eventNode) {
+  const definitions = getChildElements(eventNode, NS.BPMN).map(child => child.localName);
+
+  for (const defType of EVENT_DEFINITIONS) {
+    if (definitions.includes(defType)) {
+      // Return just the trigger type (remove 'EventDefinition' suffix)
+      return defType.replace('EventDefinition', '');
     }
   }
-  return elements;
+  
+  return 'none';
 }
 
 /**
  * Validate BPMN structure
- * @param {Object} graph - { elements: Map, flows: Map }
+ * @param {Object} graph - { elements: Map, flows: Map, pools: Map }
  * @returns {Object} - { isValid: boolean, errors: Array }
  */
 export function validateBPMN(graph) {
   const errors = [];
-  const { elements, flows } = graph;
+  const { elements, flows, pools = new Map() } = graph;
 
   // Check for flows with invalid source or target
+  // (associations may also point at a flow, e.g. an annotation on a sequence flow,
+  // message flows at a pool)
   for (const [flowId, flow] of flows) {
-    if (!elements.has(flow.sourceRef)) {
+    const isAssociation = flow.type === 'association';
+    const isMessageFlow = flow.type === 'messageFlow';
+    if (!elements.has(flow.sourceRef) && !(isAssociation && flows.has(flow.sourceRef)) && !(isMessageFlow && pools.has(flow.sourceRef))) {
       errors.push(`Flow '${flowId}' has an invalid sourceRef '${flow.sourceRef}'`);
     }
-    if (!elements.has(flow.targetRef)) {
+    if (!elements.has(flow.targetRef) && !(isAssociation && flows.has(flow.targetRef)) && !(isMessageFlow && pools.has(flow.targetRef))) {
       errors.push(`Flow '${flowId}' has an invalid targetRef '${flow.targetRef}'`);
     }
   }
 
+  // Check that boundary events are attached to an existing activity
+  for (const [id, element] of elements) {
+    if (element.type === 'boundaryEvent' && !elements.has(element.attachedToRef)) {
+      errors.push(`Boundary event '${id}' is attached to an unknown activity '${element.attachedToRef}'`);
+    }
+  }
+
   // Check for elements without IDs
   for (const [id, element] of elements) {
     if (!id || id.trim() === '') {
@@ -525,21 +522,31 @@ export function validateBPMN(graph) {
 }
 
 /**
- * Pre-process: Remove XOR merge gateways if configured
+ * Pre-process: Keep DI sizes and remove XOR merge gateways if configured
  * @param {Object} graph - { elements: Map, flows: Map }
- * @param {Object} config - { xorMergeGateways: boolean }
+ * @param {Object} config - { xorMergeGateways: boolean, preserveElementSizes: boolean }
  * @returns {Object} - Modified graph
  */
 export function preProcess(graph, config = {}) {
   const { elements, flows } = graph;
 
+  // Keep element sizes of the incoming DI, Phase 3 only recomputes positions
+  // (expanded sub-processes still get the size of their content)
+  if (config.preserveElementSizes) {
+    for (const element of elements.values()) {
+      if (element.diBounds) {
+        element.layoutSize = { width: element.diBounds.width, height: element.diBounds.height };
+      }
+    }
+  }
+
   // NEW RULE: Always keep merge gateways (they are part of proper BPMN modeling)
   // Visualization (show/hide) is controlled by Phase 3, not here
   // The old xorMergeGateways config is deprecated
   
   // For backward compatibility: if explicitly set to false, remove them
   if (config.xorMergeGateways === false) {
-    console.warn('[DEPRECATED] config.xorMergeGateways=false is deprecated. Merge gateways should be kept in BPMN.');
+    log.warn('[DEPRECATED] config.xorMergeGateways=false is deprecated. Merge gateways should be kept in BPMN.');
     
     // Find XOR merge gateways (exclusiveGateway with multiple incoming, one outgoing)
     const xorMergeGateways = Array.from(elements.values()).filter(element => {
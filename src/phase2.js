@@ -12,9 +12,23 @@
 import { calculateWaypoint } from './waypoint-helper.js';
 import { checkAllCollisions } from './collision-checker.js';
 import { assignRows } from './row-assigner.js';
+import { minimizeCrossings } from './crossing-minimizer.js';
+import { optimizeLaneOrder } from './lane-orderer.js';
+import { compactPositions } from './layout-compactor.js';
 import { getMatrixCell, markCrossLaneFlow, isPositionOccupiedByFlow, markElement, findFreeLayer } from './flow-matrix.js';
+import { resolveMetrics } from './layout-metrics.js';
+import { extractPositionHints, applyLayerHints, applyRowHints } from './position-hints.js';
+import { getLogger } from './logger.js';
 
-const DEBUG = process.env.DEBUG === 'true';
+const log = getLogger('layout');
+const pathLog = getLogger('path');
+const collisionLog = getLogger('collision');
+const gatewayLog = getLogger('gateway');
+const mergeLog = getLogger('merge');
+const phase2Log = getLogger('phase2');
+
+// Down/up sweep pairs of the crossing minimization (config.crossingIterations)
+const DEFAULT_CROSSING_ITERATIONS = 4;
 
 // Module-level variable to store pools for getLaneIndex
 let _pools = new Map();
@@ -27,14 +41,17 @@ let _pools = new Map();
  * @returns {number} - Lane index (0 = first/top)
  */
 function getLaneIndex(laneId, lanes) {
+  // Black-box pools have no lanes
+  const lanePools = Array.from(_pools.values()).filter(pool => pool.lanes.length > 0);
+  
   // If no pools or only one pool, use simple ordering
-  if (_pools.size <= 1) {
+  if (lanePools.length <= 1) {
     const laneIds = Array.from(lanes.keys());
     return laneIds.indexOf(laneId);
   }
   
   // Multiple pools: group lanes by pool
-  const sortedPools = Array.from(_pools.values()).sort((a, b) => a.id.localeCompare(b.id));
+  const sortedPools = lanePools.sort((a, b) => a.id.localeCompare(b.id));
   const orderedLaneIds = [];
   
   for (const pool of sortedPools) {
@@ -60,12 +77,29 @@ function getVIndex(lane, row, lanes) {
 
 /**
  * Apply configuration and define abstract directions
- * @param {Object} config - { laneOrientation: "horizontal" | "vertical" }
- * @returns {Object} - Direction mappings
+ * @param {Object} config - { laneOrientation: "horizontal" | "vertical", layoutMetrics, stableLayout,
+ *                            minimizeCrossings, crossingIterations, optimizeLaneOrder, pinnedLanes,
+ *                            compactLayout }
+ * @returns {Object} - Direction mappings (incl. layout metrics)
+ * @throws {Error} - Invalid layout metrics, crossingIterations or pinnedLanes
  */
 export function applyConfig(config = {}) {
   const laneOrientation = config.laneOrientation || 'horizontal';
   const hideXorMergeGateways = config.hideXorMergeGateways !== undefined ? config.hideXorMergeGateways : true; // Default: hide XOR merge gateways
+  const metrics = resolveMetrics(config.layoutMetrics); // Sizes and spacings for Phase 3 and the routers
+  const stableLayout = Boolean(config.stableLayout);     // Keep previous DI positions where possible
+  const minimizeCrossings = Boolean(config.minimizeCrossings); // Reorder rows to reduce flow crossings
+  const crossingIterations = config.crossingIterations !== undefined ? config.crossingIterations : DEFAULT_CROSSING_ITERATIONS;
+  if (!Number.isInteger(crossingIterations) || crossingIterations < 0) {
+    throw new Error('"crossingIterations" must be a non-negative integer');
+  }
+  const optimizeLaneOrder = Boolean(config.optimizeLaneOrder); // Reorder lanes to shorten cross-lane flows
+  const pinnedLanes = config.pinnedLanes || [];                // Lane IDs that keep their position
+  if (!Array.isArray(pinnedLanes) || pinnedLanes.some(laneId => typeof laneId !== 'string')) {
+    throw new Error('"pinnedLanes" must be an array of lane IDs');
+  }
+  const compactLayout = Boolean(config.compactLayout);         // Remove slack layers and rows
+  const variableColumnWidths = Boolean(config.variableColumnWidths); // Fit column widths to their content
 
   if (laneOrientation === 'horizontal') {
     return {
@@ -74,7 +108,15 @@ export function applyConfig(config = {}) {
       oppAlongLane: 'left',      // Opposite direction
       crossLane: 'down',         // Lane change goes down
       oppCrossLane: 'up',        // Opposite direction
-      hideXorMergeGateways       // Hide XOR merge gateways
+      hideXorMergeGateways,      // Hide XOR merge gateways
+      metrics,                   // Layout metrics
+      stableLayout,              // Use previous DI as position hints
+      minimizeCrossings,         // Crossing minimization pass
+      crossingIterations,        // Sweep budget of the crossing minimization
+      optimizeLaneOrder,         // Lane ordering pass
+      pinnedLanes,               // Lanes excluded from the lane ordering
+      compactLayout,             // Compaction pass
+      variableColumnWidths       // Per-layer column widths in Phase 3
     };
   } else {
     return {
@@ -83,7 +125,15 @@ export function applyConfig(config = {}) {
       oppAlongLane: 'up',        // Opposite direction
       crossLane: 'right',        // Lane change goes right
       oppCrossLane: 'left',      // Opposite direction
-      hideXorMergeGateways       // Hide XOR merge gateways
+      hideXorMergeGateways,      // Hide XOR merge gateways
+      metrics,                   // Layout metrics
+      stableLayout,              // Use previous DI as position hints
+      minimizeCrossings,         // Crossing minimization pass
+      crossingIterations,        // Sweep budget of the crossing minimization
+      optimizeLaneOrder,         // Lane ordering pass
+      pinnedLanes,               // Lanes excluded from the lane ordering
+      compactLayout,             // Compaction pass
+      variableColumnWidths       // Per-layer column widths in Phase 3
     };
   }
 }
@@ -267,8 +317,8 @@ export function isCrossLanePathFree(sourceId, targetId, positions, elementLanes,
   const sourceLane = elementLanes.get(sourceId);
   const targetLane = elementLanes.get(targetId);
   
-  const DEBUG = process.env.DEBUG_PATH === 'true';
-  if (DEBUG) console.log(`\n[PATH CHECK] ${sourceId} (${sourceLane}, layer ${sourcePos.layer}, row ${sourcePos.row}) → ${targetId} (${targetLane})`);
+  const DEBUG = pathLog.isDebugEnabled();
+  if (DEBUG) pathLog.debug(`\n[PATH CHECK] ${sourceId} (${sourceLane}, layer ${sourcePos.layer}, row ${sourcePos.row}) → ${targetId} (${targetLane})`);
 
   const sourceLaneIndex = getLaneIndex(sourceLane, lanes);
   const targetLaneIndex = getLaneIndex(targetLane, lanes);
@@ -314,22 +364,22 @@ export function isCrossLanePathFree(sourceId, targetId, positions, elementLanes,
           const sourceRow = sourcePos.row || 0;
           const elemRow = elemPos.row || 0;
           
-          if (DEBUG) console.log(`  Element ${elemId} in source lane: sourceRow=${sourceRow}, elemRow=${elemRow}, direction=${flowDirection}`);
+          if (DEBUG) pathLog.debug(`  Element ${elemId} in source lane: sourceRow=${sourceRow}, elemRow=${elemRow}, direction=${flowDirection}`);
           
           if (flowDirection === 'up' && sourceRow < elemRow) {
             // Source is above elem, going up - no block
-            if (DEBUG) console.log(`    → No block (source above, going up)`);
+            if (DEBUG) pathLog.debug(`    → No block (source above, going up)`);
             continue;
           }
           if (flowDirection === 'down' && sourceRow > elemRow) {
             // Source is below elem, going down - no block
-            if (DEBUG) console.log(`    → No block (source below, going down)`);
+            if (DEBUG) pathLog.debug(`    → No block (source below, going down)`);
             continue;
           }
         }
         
         // Otherwise, element blocks the path
-        if (DEBUG) console.log(`  → BLOCKED by ${elemId}`);
+        if (DEBUG) pathLog.debug(`  → BLOCKED by ${elemId}`);
         return false;
       }
     }
@@ -350,18 +400,18 @@ export function isCrossLanePathFree(sourceId, targetId, positions, elementLanes,
           if (laneId === sourceLane) {
             // Conflict in source lane - this is OK if flows have different rows
             // (they exit from different sides and don't cross)
-            if (DEBUG) console.log(`  → Conflicting flow in source lane ${laneId}, but different rows - OK`);
+            if (DEBUG) pathLog.debug(`  → Conflicting flow in source lane ${laneId}, but different rows - OK`);
             continue;
           }
           
-          if (DEBUG) console.log(`  → BLOCKED by conflicting flow in lane ${laneId} (${cell.flowCrossLane} vs ${flowDirection})`);
+          if (DEBUG) pathLog.debug(`  → BLOCKED by conflicting flow in lane ${laneId} (${cell.flowCrossLane} vs ${flowDirection})`);
           return false;  // Path is blocked by conflicting cross-lane flow
         }
       }
     }
   }
 
-  if (DEBUG) console.log(`  → Path is FREE`);
+  if (DEBUG) pathLog.debug(`  → Path is FREE`);
   return true;  // Path is free
 }
 
@@ -379,8 +429,8 @@ export function assignCrossLaneFreePosition(sourceId, targetId, positions, eleme
   const lane = elementLanes.get(targetId);
   const sourceLane = elementLanes.get(sourceId);
   
-  const DEBUG = process.env.DEBUG_COLLISION === 'true';
-  if (DEBUG) console.log(`\n[COLLISION CHECK] ${sourceId} (${sourceLane}, layer ${sourcePos.layer}) → ${targetId} (${lane})`);
+  const DEBUG = collisionLog.isDebugEnabled();
+  if (DEBUG) collisionLog.debug(`\n[COLLISION CHECK] ${sourceId} (${sourceLane}, layer ${sourcePos.layer}) → ${targetId} (${lane})`);
   
   // If target already has a position, use maximum layer (never move backwards)
   const existingPos = positions.get(targetId);
@@ -388,12 +438,12 @@ export function assignCrossLaneFreePosition(sourceId, targetId, positions, eleme
     // Target already positioned - use maximum of existing and new layer
     const proposedLayer = sourcePos.layer;
     const finalLayer = Math.max(existingPos.layer, proposedLayer);
-    if (DEBUG) console.log(`  Target already positioned at layer ${existingPos.layer}, proposed ${proposedLayer}, using max ${finalLayer}`);
+    if (DEBUG) collisionLog.debug(`  Target already positioned at layer ${existingPos.layer}, proposed ${proposedLayer}, using max ${finalLayer}`);
     
     // Update to maximum layer if needed
     if (finalLayer > existingPos.layer) {
       existingPos.layer = finalLayer;
-      if (DEBUG) console.log(`  → Updated to layer ${finalLayer}`);
+      if (DEBUG) collisionLog.debug(`  → Updated to layer ${finalLayer}`);
     }
     
     return existingPos;
@@ -415,7 +465,7 @@ export function assignCrossLaneFreePosition(sourceId, targetId, positions, eleme
     for (const [elemId, elemPos] of positions) {
       if (elementLanes.get(elemId) === intermediateLaneId && elemPos.layer === sourcePos.layer) {
         hasElementInBetween = true;
-        if (DEBUG) console.log(`  → Element ${elemId} found in intermediate lane ${intermediateLaneId} at layer ${sourcePos.layer}`);
+        if (DEBUG) collisionLog.debug(`  → Element ${elemId} found in intermediate lane ${intermediateLaneId} at layer ${sourcePos.layer}`);
         break;
       }
     }
@@ -456,7 +506,7 @@ export function assignCrossLaneFreePosition(sourceId, targetId, positions, eleme
       // If multiple inputs from same direction, need layer + 1
       if (inputsFromAbove >= 2 || inputsFromBelow >= 2) {
         multiInputOffset = 1;
-        if (DEBUG) console.log(`  → Multi-input detected (${inputsFromAbove} from above, ${inputsFromBelow} from below), adding layer offset`);
+        if (DEBUG) collisionLog.debug(`  → Multi-input detected (${inputsFromAbove} from above, ${inputsFromBelow} from below), adding layer offset`);
       }
     }
   }
@@ -468,7 +518,7 @@ export function assignCrossLaneFreePosition(sourceId, targetId, positions, eleme
   const targetLayer = findFreeLayer(matrix, positions, lane, proposedLayer, targetId);
   
   if (DEBUG && targetLayer > proposedLayer) {
-    console.log(`  → Position occupied, moved from layer ${proposedLayer} to ${targetLayer}`);
+    collisionLog.debug(`  → Position occupied, moved from layer ${proposedLayer} to ${targetLayer}`);
   }
 
   const targetPos = {
@@ -834,16 +884,16 @@ export function assignGatewayOutputPositions(gatewayId, sortedOutputFlowIds, pos
   // This prevents flow-through-element collisions
   const layerOffset = 1;
   
-  const DEBUG_GW = process.env.DEBUG_GATEWAY === 'true';
+  const DEBUG_GW = gatewayLog.isDebugEnabled();
   if (DEBUG_GW && gatewayId === 'gateway3_split') {
-    console.log(`\n=== Gateway Optimization Debug: ${gatewayId} ===`);
-    console.log(`  crossLaneOutputs: ${crossLaneOutputs.length}`);
-    console.log(`  hasMultipleOutputsToSameLane: ${hasMultipleOutputsToSameLane}`);
-    console.log(`  hasSingleCrossLaneOutput: ${hasSingleCrossLaneOutput}`);
-    console.log(`  isSymmetricDistribution: ${isSymmetricDistribution} (up=${hasUpOutputs}, down=${hasDownOutputs})`);
-    console.log(`  canUseOptimization: ${canUseOptimization} (crossLaneFree=${crossLaneFree}, oppCrossLaneFree=${oppCrossLaneFree})`);
-    console.log(`  shouldOptimize: ${shouldOptimize}`);
-    console.log(`  layerOffset: ${layerOffset}`);
+    gatewayLog.debug(`\n=== Gateway Optimization Debug: ${gatewayId} ===`);
+    gatewayLog.debug(`  crossLaneOutputs: ${crossLaneOutputs.length}`);
+    gatewayLog.debug(`  hasMultipleOutputsToSameLane: ${hasMultipleOutputsToSameLane}`);
+    gatewayLog.debug(`  hasSingleCrossLaneOutput: ${hasSingleCrossLaneOutput}`);
+    gatewayLog.debug(`  isSymmetricDistribution: ${isSymmetricDistribution} (up=${hasUpOutputs}, down=${hasDownOutputs})`);
+    gatewayLog.debug(`  canUseOptimization: ${canUseOptimization} (crossLaneFree=${crossLaneFree}, oppCrossLaneFree=${oppCrossLaneFree})`);
+    gatewayLog.debug(`  shouldOptimize: ${shouldOptimize}`);
+    gatewayLog.debug(`  layerOffset: ${layerOffset}`);
   }
 
   // Helper function to find eventual lane change direction (recursive)
@@ -906,7 +956,7 @@ export function assignGatewayOutputPositions(gatewayId, sortedOutputFlowIds, pos
         // Large distance = Back-flow! Use MINIMUM (keep element at earliest position)
         backFlowSet.add(flowId);
         const finalLayer = Math.min(existingPos.layer, proposedLayer);
-        if (DEBUG) console.log(`  Detected back-flow ${flowId} in gateway output (layer diff=${layerDiff}): ${gatewayId} -> ${targetId} - using min layer ${finalLayer}`);
+        log.debug(`  Detected back-flow ${flowId} in gateway output (layer diff=${layerDiff}): ${gatewayId} -> ${targetId} - using min layer ${finalLayer}`);
         if (finalLayer < existingPos.layer) {
           existingPos.layer = finalLayer;
         }
@@ -956,9 +1006,9 @@ export function assignGatewayOutputPositions(gatewayId, sortedOutputFlowIds, pos
   for (const { flowId, targetId, targetLane, assignedRow } of crossLaneOutputs) {
     const proposedLayer = gatewayPos.layer + layerOffset;
     
-    const DEBUG_CALC = process.env.DEBUG_GATEWAY === 'true';
+    const DEBUG_CALC = gatewayLog.isDebugEnabled();
     if (DEBUG_CALC && gatewayId === 'gateway3_split') {
-      console.log(`\n  Setting ${targetId}: gatewayPos.layer=${gatewayPos.layer} + layerOffset=${layerOffset} = ${proposedLayer}`);
+      gatewayLog.debug(`\n  Setting ${targetId}: gatewayPos.layer=${gatewayPos.layer} + layerOffset=${layerOffset} = ${proposedLayer}`);
     }
     const existingPos = positions.get(targetId);
     
@@ -970,7 +1020,7 @@ export function assignGatewayOutputPositions(gatewayId, sortedOutputFlowIds, pos
         // Large distance = Back-flow! Use MINIMUM (keep element at earliest position)
         backFlowSet.add(flowId);
         const finalLayer = Math.min(existingPos.layer, proposedLayer);
-        if (DEBUG) console.log(`  Detected back-flow ${flowId} in gateway output (layer diff=${layerDiff}): ${gatewayId} -> ${targetId} - using min layer ${finalLayer}`);
+        log.debug(`  Detected back-flow ${flowId} in gateway output (layer diff=${layerDiff}): ${gatewayId} -> ${targetId} - using min layer ${finalLayer}`);
         if (finalLayer < existingPos.layer) {
           existingPos.layer = finalLayer;
         }
@@ -990,7 +1040,7 @@ export function assignGatewayOutputPositions(gatewayId, sortedOutputFlowIds, pos
       const newLayer = findFreeLayer(matrix, positions, targetLane, proposedLayer, targetRow, targetId);
       
       if (DEBUG_CALC && newLayer > proposedLayer) {
-        console.log(`  → Position occupied, moved from layer ${proposedLayer} to ${newLayer}`);
+        gatewayLog.debug(`  → Position occupied, moved from layer ${proposedLayer} to ${newLayer}`);
       }
       
       const targetPos = {
@@ -1125,6 +1175,147 @@ export function createBackFlowInfo(flowId, sourceId, targetId, positions, elemen
   };
 }
 
+/**
+ * Place a boundary event on its host activity
+ * The boundary event shares the host's cell; Phase 3 moves it onto the host border.
+ * @param {string} boundaryId - Boundary event ID
+ * @param {string} hostId - Host activity ID (attachedToRef)
+ * @param {Map} positions - Positions map
+ * @returns {Object|null} - Boundary event position { lane, layer, row, attachedTo }
+ */
+export function assignBoundaryEventPosition(boundaryId, hostId, positions) {
+  const hostPos = positions.get(hostId);
+  if (!hostPos) return null;
+
+  const boundaryPos = {
+    lane: hostPos.lane,
+    layer: hostPos.layer,
+    row: hostPos.row,
+    attachedTo: hostId
+  };
+  positions.set(boundaryId, boundaryPos);
+
+  return boundaryPos;
+}
+
+/**
+ * Assign position to the target of a boundary event's outgoing (exception) flow
+ * The exception path leaves the host along crossLane, so a same-lane target
+ * gets the next layer one row further in crossLane direction.
+ * @param {string} boundaryId - Boundary event ID
+ * @param {string} targetId - Target element ID
+ * @param {Map} positions - Positions map
+ * @param {Map} elementLanes - elementId → laneId
+ * @returns {Object} - Target position
+ */
+export function assignBoundaryFlowPosition(boundaryId, targetId, positions, elementLanes) {
+  const boundaryPos = positions.get(boundaryId);
+  const lane = elementLanes.get(targetId);
+  const proposedLayer = boundaryPos.layer + 1;
+
+  const existingPos = positions.get(targetId);
+  if (existingPos) {
+    // Target already reached by another path: only push it further along
+    existingPos.layer = Math.max(existingPos.layer, proposedLayer);
+    return existingPos;
+  }
+
+  const targetPos = {
+    lane,
+    layer: proposedLayer,
+    row: lane === boundaryPos.lane ? boundaryPos.row + 1 : 0
+  };
+  positions.set(targetId, targetPos);
+
+  return targetPos;
+}
+
+/**
+ * Determine exit/entry sides for a flow leaving a boundary event
+ * Boundary events sit on the host's crossLane border, so they always exit crossLane.
+ * @param {Object} sourcePos - Boundary event position
+ * @param {Object} targetPos - Target position
+ * @param {Map} lanes - Lane map
+ * @param {Object} directions - Direction mappings
+ * @returns {Object} - { exitSide, entrySide }
+ */
+function getBoundaryFlowSides(sourcePos, targetPos, lanes, directions) {
+  const exitSide = directions.crossLane;  // down (horizontal)
+  const dv = getVIndex(targetPos.lane, targetPos.row, lanes) - getVIndex(sourcePos.lane, sourcePos.row, lanes);
+
+  if (dv <= 0) {
+    // Target not further in crossLane direction: go around below the host and
+    // enter the target from the same side (U-shape, routed in Phase 3)
+    return { exitSide, entrySide: directions.crossLane };
+  }
+
+  // Same layer → pure crossLane flow into the target
+  if (sourcePos.layer === targetPos.layer) {
+    return { exitSide, entrySide: directions.oppCrossLane };
+  }
+
+  // Otherwise: crossLane first, then along the lane into the target
+  return { exitSide, entrySide: directions.oppAlongLane };
+}
+
+/**
+ * Logical waypoints for a boundary event flow (U-shapes get their waypoints in Phase 3)
+ */
+function getBoundaryFlowWaypoints(sourcePos, targetPos, exitSide, entrySide, directions) {
+  if (exitSide === entrySide) return [];
+  const waypoint = calculateWaypoint(sourcePos, targetPos, exitSide, entrySide, directions);
+  return waypoint ? (Array.isArray(waypoint) ? waypoint : [waypoint]) : [];
+}
+
+/**
+ * Create flow information for a flow leaving a boundary event
+ * @param {string} flowId - Flow ID
+ * @param {string} sourceId - Boundary event ID
+ * @param {string} targetId - Target element ID
+ * @param {Map} positions - Positions map
+ * @param {Map} lanes - Lane map
+ * @param {Object} directions - Direction mappings
+ * @returns {Object} - Flow information
+ */
+export function createBoundaryFlowInfo(flowId, sourceId, targetId, positions, lanes, directions) {
+  const sourcePos = positions.get(sourceId);
+  const targetPos = positions.get(targetId);
+  const { exitSide, entrySide } = getBoundaryFlowSides(sourcePos, targetPos, lanes, directions);
+
+  return {
+    flowId,
+    sourceId,
+    targetId,
+    isBackFlow: false,
+    isBoundaryFlow: true,
+    source: {
+      lane: sourcePos.lane,
+      layer: sourcePos.layer,
+      row: sourcePos.row,
+      exitSide
+    },
+    waypoints: getBoundaryFlowWaypoints(sourcePos, targetPos, exitSide, entrySide, directions),
+    target: {
+      lane: targetPos.lane,
+      layer: targetPos.layer,
+      row: targetPos.row,
+      entrySide
+    }
+  };
+}
+
+/**
+ * Move boundary events back onto their hosts after layer/row adjustments
+ * @param {Map} positions - Positions map
+ * @param {Map} elements - Element map
+ */
+function syncBoundaryEventPositions(positions, elements) {
+  for (const [elementId, element] of elements) {
+    if (!element.attachedToRef) continue;
+    assignBoundaryEventPosition(elementId, element.attachedToRef, positions);
+  }
+}
+
 /**
  * Topologically sort flows to ensure dependencies are processed first
  * Elements with multiple inputs should be positioned after all their inputs
@@ -1149,6 +1340,18 @@ function topologicalSortFlows(flows, elements, backEdgeSet = new Set()) {
     outgoingFlows.set(elementId, []);
   }
   
+  // Boundary events depend on their host (virtual input), so their
+  // exception flows are processed after the host has a position
+  const attachedEvents = new Map(); // hostId -> [boundaryEventIds]
+  for (const [elementId, element] of elements) {
+    if (!element.attachedToRef || !elements.has(element.attachedToRef)) continue;
+    if (!attachedEvents.has(element.attachedToRef)) {
+      attachedEvents.set(element.attachedToRef, []);
+    }
+    attachedEvents.get(element.attachedToRef).push(elementId);
+    inDegree.set(elementId, inDegree.get(elementId) + 1);
+  }
+  
   // Build outgoing flows map
   for (const [flowId, flow] of flows) {
     if (backEdgeSet.has(flowId)) continue; // Skip back-flows
@@ -1195,6 +1398,15 @@ function topologicalSortFlows(flows, elements, backEdgeSet = new Set()) {
         queue.push(targetId);
       }
     }
+    
+    // Release boundary events attached to this element
+    for (const boundaryId of attachedEvents.get(elementId) || []) {
+      const newDegree = inDegree.get(boundaryId) - 1;
+      inDegree.set(boundaryId, newDegree);
+      if (newDegree === 0 && !processed.has(boundaryId)) {
+        queue.push(boundaryId);
+      }
+    }
   }
   
   // Add back-flows at the end
@@ -1282,9 +1494,9 @@ function optimizeMergeGatewayPosition(mergeGatewayId, elements, flows, positions
   
   const mergePos = positions.get(mergeGatewayId);
   if (mergePos && mergePos.layer < optimalLayer) {
-    const DEBUG = process.env.DEBUG_MERGE === 'true';
+    const DEBUG = mergeLog.isDebugEnabled();
     if (DEBUG) {
-      console.log(`Optimizing merge gateway ${mergeGatewayId}: layer ${mergePos.layer} → ${optimalLayer}`);
+      mergeLog.debug(`Optimizing merge gateway ${mergeGatewayId}: layer ${mergePos.layer} → ${optimalLayer}`);
     }
     mergePos.layer = optimalLayer;
     return true;
@@ -1304,14 +1516,14 @@ function validateAndOptimizeMergeGatewaysEarly(elements, flows, elementLanes, la
   // Find all PURE merge gateways (multiple inputs, exactly 1 output)
   const mergeGateways = [];
   
-  const DEBUG = process.env.DEBUG_MERGE === 'true';
+  const DEBUG = mergeLog.isDebugEnabled();
   
   if (DEBUG) {
-    console.log(`\n=== validateAndOptimizeMergeGatewaysEarly called with ${elements.size} elements ===`);
-    console.log('Gateway3 elements:');
+    mergeLog.debug(`\n=== validateAndOptimizeMergeGatewaysEarly called with ${elements.size} elements ===`);
+    mergeLog.debug('Gateway3 elements:');
     for (const [id, el] of elements) {
       if (id.includes('gateway3')) {
-        console.log(`  ${id}: type=${el.type}, incoming=${el.incoming?.length || 0}, outgoing=${el.outgoing?.length || 0}`);
+        mergeLog.debug(`  ${id}: type=${el.type}, incoming=${el.incoming?.length || 0}, outgoing=${el.outgoing?.length || 0}`);
       }
     }
   }
@@ -1324,7 +1536,7 @@ function validateAndOptimizeMergeGatewaysEarly(elements, flows, elementLanes, la
     );
     
     if (DEBUG && isGateway) {
-      console.log(`Gateway ${elementId}: incoming=${element.incoming?.length || 0}, outgoing=${element.outgoing?.length || 0}`);
+      mergeLog.debug(`Gateway ${elementId}: incoming=${element.incoming?.length || 0}, outgoing=${element.outgoing?.length || 0}`);
     }
     
     // Pure merge: multiple inputs AND exactly 1 output
@@ -1332,31 +1544,31 @@ function validateAndOptimizeMergeGatewaysEarly(elements, flows, elementLanes, la
         element.incoming && element.incoming.length > 1 &&
         element.outgoing && element.outgoing.length === 1) {
       mergeGateways.push(elementId);
-      if (DEBUG) console.log(`  → Found merge gateway: ${elementId}`);
+      if (DEBUG) mergeLog.debug(`  → Found merge gateway: ${elementId}`);
     }
   }
   
   if (DEBUG) {
-    console.log(`\n=== MERGE GATEWAY VALIDATION (${mergeGateways.length} found) ===`);
+    mergeLog.debug(`\n=== MERGE GATEWAY VALIDATION (${mergeGateways.length} found) ===`);
   }
   
   // Validate lane assignment for each merge gateway
   for (const mergeGatewayId of mergeGateways) {
     if (DEBUG) {
-      console.log(`\nValidating merge gateway: ${mergeGatewayId}`);
+      mergeLog.debug(`\nValidating merge gateway: ${mergeGatewayId}`);
     }
     
     // Validate lane
     const laneValidation = validateMergeGatewayLane(mergeGatewayId, elements, flows, elementLanes);
     if (!laneValidation.valid) {
-      console.warn(`[MERGE VALIDATION] ${laneValidation.message}`);
+      mergeLog.warn(`[MERGE VALIDATION] ${laneValidation.message}`);
       // Auto-correct lane assignment
       elementLanes.set(mergeGatewayId, laneValidation.suggestedLane);
       if (DEBUG) {
-        console.log(`  → Lane corrected to ${laneValidation.suggestedLane}`);
+        mergeLog.debug(`  → Lane corrected to ${laneValidation.suggestedLane}`);
       }
     } else if (DEBUG) {
-      console.log(`  → Lane OK`);
+      mergeLog.debug(`  → Lane OK`);
     }
   }
 }
@@ -1375,7 +1587,7 @@ function optimizeMergeGatewayPositions(elements, flows, positions, elementLanes,
   // Split-Merge gateways (multiple inputs AND multiple outputs) are excluded
   const mergeGateways = [];
   
-  const DEBUG = process.env.DEBUG_MERGE === 'true';
+  const DEBUG = mergeLog.isDebugEnabled();
   
   for (const [elementId, element] of elements) {
     const isGateway = element.type && (
@@ -1385,7 +1597,7 @@ function optimizeMergeGatewayPositions(elements, flows, positions, elementLanes,
     );
     
     if (DEBUG && isGateway) {
-      console.log(`Gateway ${elementId}: incoming=${element.incoming?.length || 0}, outgoing=${element.outgoing?.length || 0}`);
+      mergeLog.debug(`Gateway ${elementId}: incoming=${element.incoming?.length || 0}, outgoing=${element.outgoing?.length || 0}`);
     }
     
     // Pure merge: multiple inputs AND exactly 1 output
@@ -1393,12 +1605,12 @@ function optimizeMergeGatewayPositions(elements, flows, positions, elementLanes,
         element.incoming && element.incoming.length > 1 &&
         element.outgoing && element.outgoing.length === 1) {
       mergeGateways.push(elementId);
-      if (DEBUG) console.log(`  → Found merge gateway: ${elementId}`);
+      if (DEBUG) mergeLog.debug(`  → Found merge gateway: ${elementId}`);
     }
   }
   
   if (DEBUG) {
-    console.log(`\n=== MERGE GATEWAY VALIDATION (${mergeGateways.length} found) ===`);
+    mergeLog.debug(`\n=== MERGE GATEWAY VALIDATION (${mergeGateways.length} found) ===`);
   }
   
   // Validate and optimize each merge gateway
@@ -1406,24 +1618,24 @@ function optimizeMergeGatewayPositions(elements, flows, positions, elementLanes,
   
   for (const mergeGatewayId of mergeGateways) {
     if (DEBUG) {
-      console.log(`\nValidating merge gateway: ${mergeGatewayId}`);
+      mergeLog.debug(`\nValidating merge gateway: ${mergeGatewayId}`);
     }
     
     // 1. Validate lane
     const laneValidation = validateMergeGatewayLane(mergeGatewayId, elements, flows, elementLanes);
     if (!laneValidation.valid) {
-      console.warn(`[MERGE VALIDATION] ${laneValidation.message}`);
+      mergeLog.warn(`[MERGE VALIDATION] ${laneValidation.message}`);
       // Auto-correct lane assignment
       elementLanes.set(mergeGatewayId, laneValidation.suggestedLane);
       const pos = positions.get(mergeGatewayId);
       if (pos) {
         pos.lane = laneValidation.suggestedLane;
         if (DEBUG) {
-          console.log(`  → Lane corrected to ${laneValidation.suggestedLane}`);
+          mergeLog.debug(`  → Lane corrected to ${laneValidation.suggestedLane}`);
         }
       }
     } else if (DEBUG) {
-      console.log(`  → Lane OK`);
+      mergeLog.debug(`  → Lane OK`);
     }
     
     // 2. Optimize position
@@ -1432,17 +1644,17 @@ function optimizeMergeGatewayPositions(elements, flows, positions, elementLanes,
       adjustedGateways.add(mergeGatewayId);
       if (DEBUG) {
         const pos = positions.get(mergeGatewayId);
-        console.log(`  → Position optimized to layer ${pos.layer}`);
+        mergeLog.debug(`  → Position optimized to layer ${pos.layer}`);
       }
     } else if (DEBUG) {
-      console.log(`  → Position OK`);
+      mergeLog.debug(`  → Position OK`);
     }
   }
   
   // 3. Propagate layer changes
   if (adjustedGateways.size > 0) {
     if (DEBUG) {
-      console.log(`\nPropagating layer changes for ${adjustedGateways.size} adjusted gateways...`);
+      mergeLog.debug(`\nPropagating layer changes for ${adjustedGateways.size} adjusted gateways...`);
     }
     propagateLayerChanges(positions, flows, adjustedGateways, backEdgeSet, elementLanes, elements);
   }
@@ -1556,9 +1768,9 @@ function adjustLayersForMultipleCrossLaneInputs(positions, flows, elementLanes,
               const flowInfo = flowInfos.get(flowId);
               if (flowInfo) {
                 flowInfo.isBackFlow = true;
-                if (DEBUG) console.log(`  Confirmed back-flow ${flowId} (gateway input, layer diff=${layerDiff}): ${flows.get(flowId).sourceRef} -> ${elementId} - marked in flowInfos`);
+                log.debug(`  Confirmed back-flow ${flowId} (gateway input, layer diff=${layerDiff}): ${flows.get(flowId).sourceRef} -> ${elementId} - marked in flowInfos`);
               } else {
-                if (DEBUG) console.log(`  Confirmed back-flow ${flowId} (gateway input, layer diff=${layerDiff}): ${flows.get(flowId).sourceRef} -> ${elementId} - WARNING: flowInfo not found`);
+                log.debug(`  Confirmed back-flow ${flowId} (gateway input, layer diff=${layerDiff}): ${flows.get(flowId).sourceRef} -> ${elementId} - WARNING: flowInfo not found`);
               }
             }
           }
@@ -1591,9 +1803,9 @@ function adjustLayersForMultipleCrossLaneInputs(positions, flows, elementLanes,
               const flowInfo = flowInfos.get(flowId);
               if (flowInfo) {
                 flowInfo.isBackFlow = true;
-                if (DEBUG) console.log(`  Detected back-flow ${flowId} (non-gateway, layer diff=${layerDiff}): ${flows.get(flowId).sourceRef} -> ${elementId} - marked in flowInfos`);
+                log.debug(`  Detected back-flow ${flowId} (non-gateway, layer diff=${layerDiff}): ${flows.get(flowId).sourceRef} -> ${elementId} - marked in flowInfos`);
               } else {
-                if (DEBUG) console.log(`  Detected back-flow ${flowId} (non-gateway, layer diff=${layerDiff}): ${flows.get(flowId).sourceRef} -> ${elementId} - WARNING: flowInfo not found`);
+                log.debug(`  Detected back-flow ${flowId} (non-gateway, layer diff=${layerDiff}): ${flows.get(flowId).sourceRef} -> ${elementId} - WARNING: flowInfo not found`);
               }
             }
           }
@@ -1739,7 +1951,14 @@ function updateFlowInfosWithAdjustedPositions(flowInfos, positions, elements, la
     const targetV = getVIndex(targetPos.lane, targetPos.row, lanes);
     const dv = targetV - sourceV;
     
-    if (sourcePos.layer === targetPos.layer) {
+    if (flowInfo.isBoundaryFlow) {
+      // Boundary event: always leaves the host border along crossLane
+      const { exitSide, entrySide } = getBoundaryFlowSides(sourcePos, targetPos, lanes, directions);
+      flowInfo.source.exitSide = exitSide;
+      flowInfo.target.entrySide = entrySide;
+      flowInfo.waypoints = getBoundaryFlowWaypoints(sourcePos, targetPos, exitSide, entrySide, directions);
+      continue;
+    } else if (sourcePos.layer === targetPos.layer) {
       // FALL 1: Same layer → pure vertical flow
       if (dv > 0) {
         flowInfo.source.exitSide = directions.crossLane;      // down
@@ -1801,6 +2020,25 @@ export function phase2(elements, flows, lanes, directions, backEdges, backFlows
   // Step 1: Assign gateway lanes
   const elementLanes = assignGatewayLanes(elements, flows, lanes);
   
+  // Boundary events always live in the lane of their host activity
+  for (const [elementId, element] of elements) {
+    if (element.attachedToRef && elementLanes.has(element.attachedToRef)) {
+      elementLanes.set(elementId, elementLanes.get(element.attachedToRef));
+    }
+  }
+  
+  // Step 1.5: Reorder lanes to shorten cross-lane flows (before anything depends on the lane index)
+  if (directions.optimizeLaneOrder) {
+    for (const laneId of directions.pinnedLanes) {
+      if (!lanes.has(laneId)) log.warn(`Pinned lane '${laneId}' does not exist`);
+    }
+    const { before, after } = optimizeLaneOrder(lanes, pools, flows, elementLanes, {
+      getLaneIndex: laneId => getLaneIndex(laneId, lanes),
+      pinnedLanes: directions.pinnedLanes
+    });
+    if (phase2Log.isDebugEnabled()) phase2Log.debug(`  Lane ordering: lane distance ${before} → ${after}`);
+  }
+  
   // Step 2: Initialize matrix
   const matrix = initializeMatrix(lanes);
   
@@ -1825,14 +2063,17 @@ export function phase2(elements, flows, lanes, directions, backEdges, backFlows
   // Step 4: Process all flows in topological order
   const sortedFlows = topologicalSortFlows(flows, elements, backEdgeSet);
   
-  const DEBUG = process.env.DEBUG_PHASE2 === 'true';
-  if (DEBUG) console.log('\n=== FLOW PROCESSING ORDER ===');
+  const DEBUG = phase2Log.isDebugEnabled();
+  if (DEBUG) phase2Log.debug('\n=== FLOW PROCESSING ORDER ===');
   
 
   
   // Step 4.5: Initialize start elements (elements with no sequence flow inputs)
   // These are elements that start a process chain (startEvents, message catch events, etc.)
   for (const [elementId, element] of elements) {
+    // Boundary events are positioned on their host, not as start elements
+    if (element.attachedToRef) continue;
+    
     // Count non-message-flow, non-back-flow inputs
     const sequenceFlowInputs = element.incoming.filter(flowId => {
       if (backEdgeSet.has(flowId)) return false;
@@ -1850,7 +2091,7 @@ export function phase2(elements, flows, lanes, directions, backEdges, backFlows
           layer: 0,
           row: 0
         });
-        if (DEBUG) console.log(`  Initialized start element: ${elementId} at layer 0`);
+        if (DEBUG) phase2Log.debug(`  Initialized start element: ${elementId} at layer 0`);
       }
     }
   }
@@ -1861,7 +2102,7 @@ export function phase2(elements, flows, lanes, directions, backEdges, backFlows
     
     // Skip message flows - they don't affect positioning
     if (flow.type === 'messageFlow') {
-      if (DEBUG) console.log(`  ${flowId}: ${sourceId} -> ${targetId} (MESSAGE-FLOW - skipped)`);
+      if (DEBUG) phase2Log.debug(`  ${flowId}: ${sourceId} -> ${targetId} (MESSAGE-FLOW - skipped)`);
       continue;
     }
     
@@ -1871,12 +2112,25 @@ export function phase2(elements, flows, lanes, directions, backEdges, backFlows
       // Back-flows are marked but not routed in Phase 2
       const flowInfo = createBackFlowInfo(flowId, sourceId, targetId, positions, elementLanes, lanes, directions);
       flowInfos.set(flowId, flowInfo);
-      if (DEBUG) console.log(`  ${flowId}: ${sourceId} -> ${targetId} (BACK-EDGE - skipped)`);
+      if (DEBUG) phase2Log.debug(`  ${flowId}: ${sourceId} -> ${targetId} (BACK-EDGE - skipped)`);
       continue;
     }
     
-    // Check if source is a gateway with multiple outputs
+    // Check if source is a boundary event (exception flow)
     const sourceElement = elements.get(sourceId);
+    if (sourceElement && sourceElement.attachedToRef) {
+      if (!positions.has(sourceId)) {
+        assignBoundaryEventPosition(sourceId, sourceElement.attachedToRef, positions);
+      }
+      if (positions.has(sourceId)) {
+        assignBoundaryFlowPosition(sourceId, targetId, positions, elementLanes);
+        flowInfos.set(flowId, createBoundaryFlowInfo(flowId, sourceId, targetId, positions, lanes, directions));
+        if (DEBUG) phase2Log.debug(`  ${flowId}: ${sourceId} -> ${targetId} (boundary event flow, layer ${positions.get(targetId)?.layer})`);
+        continue;
+      }
+    }
+    
+    // Check if source is a gateway with multiple outputs
     const isGateway = sourceElement && (
       sourceElement.type === 'exclusiveGateway' ||
       sourceElement.type === 'parallelGateway' ||
@@ -1903,9 +2157,8 @@ export function phase2(elements, flows, lanes, directions, backEdges, backFlows
       const isMergeGateway = inputFlows > 1;
       
       if (!isMergeGateway) {
-        console.error(`\n❌ INVALID BPMN: Gateway "${sourceId}" has only one output flow.`);
-        console.error(`   Split gateways (Parallel, XOR, Inclusive) must have at least 2 outputs.`);
-        console.error(`   Either add a second output path or remove the gateway.\n`);
+        log.error(`INVALID BPMN: Gateway "${sourceId}" has only one output flow. ` +
+          `Split gateways (Parallel, XOR, Inclusive) must have at least 2 outputs.`);
       }
     }
     
@@ -1954,7 +2207,7 @@ export function phase2(elements, flows, lanes, directions, backEdges, backFlows
       
       if (DEBUG) {
         const targetPos = positions.get(targetId);
-        console.log(`  ${flowId}: ${sourceId} -> ${targetId} (gateway output, layer ${targetPos?.layer})`);
+        phase2Log.debug(`  ${flowId}: ${sourceId} -> ${targetId} (gateway output, layer ${targetPos?.layer})`);
       }
       
     } else {
@@ -1998,7 +2251,7 @@ export function phase2(elements, flows, lanes, directions, backEdges, backFlows
           
           if (DEBUG) {
             const targetPos = positions.get(targetId);
-            console.log(`  ${flowId}: ${sourceId} -> ${targetId} (cross-lane free, layer ${targetPos?.layer})`);
+            phase2Log.debug(`  ${flowId}: ${sourceId} -> ${targetId} (cross-lane free, layer ${targetPos?.layer})`);
           }
           
           // Update matrix to track cross-lane flow direction
@@ -2033,7 +2286,7 @@ export function phase2(elements, flows, lanes, directions, backEdges, backFlows
           
           if (DEBUG) {
             const targetPos = positions.get(targetId);
-            console.log(`  ${flowId}: ${sourceId} -> ${targetId} (cross-lane blocked, layer ${targetPos?.layer})`);
+            phase2Log.debug(`  ${flowId}: ${sourceId} -> ${targetId} (cross-lane blocked, layer ${targetPos?.layer})`);
           }
         }
       } else {
@@ -2041,12 +2294,12 @@ export function phase2(elements, flows, lanes, directions, backEdges, backFlows
         const before = positions.get(targetId)?.layer;
         assignSameLanePosition(sourceId, targetId, positions, elementLanes, elements, flows, matrix);
         const after = positions.get(targetId)?.layer;
-        if (DEBUG) console.log(`  ${flowId}: ${sourceId} -> ${targetId} (same-lane, layer ${before || 'new'} -> ${after})`);
+        if (DEBUG) phase2Log.debug(`  ${flowId}: ${sourceId} -> ${targetId} (same-lane, layer ${before || 'new'} -> ${after})`);
         
         // DEBUG: Special check for gateway3_split
         if (targetId === 'gateway3_split') {
-          console.log(`  [DEBUG] gateway3_split set to layer ${after} by flow ${flowId}`);
-          console.log(`  [DEBUG] Source ${sourceId} is on layer ${positions.get(sourceId)?.layer}`);
+          gatewayLog.debug(`  [DEBUG] gateway3_split set to layer ${after} by flow ${flowId}`);
+          gatewayLog.debug(`  [DEBUG] Source ${sourceId} is on layer ${positions.get(sourceId)?.layer}`);
         }
         const flowInfo = createSameLaneFlowInfo(
           flowId,
@@ -2092,6 +2345,22 @@ export function phase2(elements, flows, lanes, directions, backEdges, backFlows
           waypoints: [] // No intermediate waypoints for message flows
         };
         flowInfos.set(flowId, flowInfo);
+      } else if (sourcePos ? !elements.has(targetId) : targetPos && !elements.has(sourceId)) {
+        // Message flow to a pool: attached in Phase 3 at the column of its element
+        const elementPos = sourcePos || targetPos;
+        const poolEnd = { pool: sourcePos ? targetId : sourceId, lane: null, layer: elementPos.layer, row: null };
+        const elementEnd = { lane: elementPos.lane, layer: elementPos.layer, row: elementPos.row };
+        flowInfos.set(flowId, {
+          flowId,
+          sourceId,
+          targetId,
+          isMessageFlow: true,
+          isBackFlow: true,  // Treat as back-flow for routing
+          isPoolMessageFlow: true,
+          source: sourcePos ? elementEnd : poolEnd,
+          target: sourcePos ? poolEnd : elementEnd,
+          waypoints: []
+        });
       }
     }
   }
@@ -2101,12 +2370,12 @@ export function phase2(elements, flows, lanes, directions, backEdges, backFlows
   adjustLayersForMultipleCrossLaneInputs(positions, flows, elementLanes, backEdgeSet, backFlowSet, elements, flowInfos);
   
   // DEBUG: Check gateway3_split position before merge optimization
-  const DEBUG_GW_POS = process.env.DEBUG_GATEWAY === 'true';
+  const DEBUG_GW_POS = gatewayLog.isDebugEnabled();
   if (DEBUG_GW_POS) {
-    console.log('\n=== BEFORE Merge Gateway Optimization ===');
-    console.log('gateway3_split:', positions.get('gateway3_split'));
-    console.log('task12:', positions.get('task12'));
-    console.log('task14:', positions.get('task14'));
+    gatewayLog.debug('\n=== BEFORE Merge Gateway Optimization ===');
+    gatewayLog.debug('gateway3_split:', positions.get('gateway3_split'));
+    gatewayLog.debug('task12:', positions.get('task12'));
+    gatewayLog.debug('task14:', positions.get('task14'));
   }
   
   // Step 6.3: Optimize merge gateway positions (after flow processing)
@@ -2114,25 +2383,55 @@ export function phase2(elements, flows, lanes, directions, backEdges, backFlows
   
   // DEBUG: Check gateway3_split position after merge optimization
   if (DEBUG_GW_POS) {
-    console.log('\n=== AFTER Merge Gateway Optimization ===');
-    console.log('gateway3_split:', positions.get('gateway3_split'));
-    console.log('task12:', positions.get('task12'));
-    console.log('task14:', positions.get('task14'));
+    gatewayLog.debug('\n=== AFTER Merge Gateway Optimization ===');
+    gatewayLog.debug('gateway3_split:', positions.get('gateway3_split'));
+    gatewayLog.debug('task12:', positions.get('task12'));
+    gatewayLog.debug('task14:', positions.get('task14'));
   }
   
-  // Step 6.5: Assign rows to prevent collisions
+  // Step 6.35: Stable layout - move elements back to their previous layer (input DI)
+  const positionHints = directions.stableLayout
+    ? extractPositionHints(elements, lanes, elementLanes, directions, pools)
+    : new Map();
+  applyLayerHints(positions, positionHints, flows, backFlowSet);
+  
+  // Step 6.4: Boundary events follow their host after layer adjustments
+  syncBoundaryEventPositions(positions, elements);
+  
+  // Step 6.5: Assign rows to prevent collisions (boundary events share their host's cell)
   assignRows(positions, flows);
   
+  // Step 6.6: Reorder rows within lanes and layers to reduce flow crossings
+  if (directions.minimizeCrossings) {
+    const { before, after } = minimizeCrossings(positions, flows, matrix, {
+      getVerticalIndex: pos => getVIndex(pos.lane, pos.row, lanes),
+      iterations: directions.crossingIterations
+    });
+    if (DEBUG) phase2Log.debug(`  Crossing minimization: ${before} → ${after} crossings`);
+  }
+  applyRowHints(positions, positionHints);
+  syncBoundaryEventPositions(positions, elements);
+  
+  // Step 6.7: Compact - shift elements to earlier layers, drop unused layers and rows
+  if (directions.compactLayout) {
+    const { shifted, removedLayers, removedRows } = compactPositions(positions, flows, flowInfos, elements, matrix, {
+      getVerticalIndex: pos => getVIndex(pos.lane, pos.row, lanes),
+      keep: new Set(positionHints.keys())
+    });
+    if (DEBUG) phase2Log.debug(`  Compaction: ${shifted.length} shifted, ${removedLayers} layers and ${removedRows} rows removed`);
+  }
+  
   // Step 7: Update FlowInfos with adjusted positions
   updateFlowInfosWithAdjustedPositions(flowInfos, positions, elements, lanes, directions);
   
   // Step 8: Check for collisions (debugging)
-  checkAllCollisions(positions, flows);
+  const collisions = checkAllCollisions(positions, flows);
   
   return {
     positions,
     flowInfos,
     elementLanes,
-    matrix
+    matrix,
+    collisions
   };
 }
@@ -1,5 +1,12 @@
 import { routeBackFlowSmart } from './back-flow-router.js';
-import { routeMessageFlow } from './message-flow-router.js';
+import { routeMessageFlow, routePoolMessageFlow } from './message-flow-router.js';
+import { DEFAULT_METRICS, getMetrics } from './layout-metrics.js';
+import { getLogger } from './logger.js';
+import { NS, parseXMLDocument, getChildElements, getDescendantElements } from './xml-parser.js';
+import { isElementType } from './phase1.js';
+import { getRemovalEdits, getRemovalRange, applyEdits } from './semantic-edits.js';
+
+const log = getLogger('layout');
 
 /**
  * Phase 3: Coordinate Calculation
@@ -11,29 +18,209 @@ import { routeMessageFlow } from './message-flow-router.js';
  * - Generating BPMN DI (Diagram Interchange) XML
  */
 
-// Layout constants (from old implementation)
-const COLUMN_WIDTH = 200;
-const LANE_BASE_HEIGHT = 180;  // Increased for more padding (was 150)
-const LANE_ROW_HEIGHT = 140;    // Increased for more padding (was 120)
-const LANE_TOP_OFFSET = 80;
-const POOL_X_OFFSET = 150;     // Left offset for pool
+/**
+ * Get element size (width, height) by BPMN type
+ * Elements with a precomputed layoutSize (expanded sub-processes) keep it.
+ * @param {Object} element - Element from Phase 1
+ * @param {Object} metrics - Layout metrics (see layout-metrics.js)
+ * @returns {Object} - {width, height}
+ */
+export function getElementSize(element, metrics = DEFAULT_METRICS) {
+  if (element.layoutSize) {
+    return { width: element.layoutSize.width, height: element.layoutSize.height };
+  }
+  if (element.type === 'startEvent' || element.type === 'endEvent' ||
+      element.type === 'intermediateThrowEvent' || element.type === 'intermediateCatchEvent' ||
+      element.type === 'boundaryEvent') {
+    return { width: metrics.eventSize, height: metrics.eventSize };
+  }
+  if (element.type && element.type.includes('Gateway')) {
+    return { width: metrics.gatewaySize, height: metrics.gatewaySize };
+  }
+  return { width: metrics.elementWidth, height: metrics.elementHeight };
+}
+
+// Cross-lane size of black-box pools (participants without process): thin bands across the diagram
+const BLACK_BOX_POOL_SIZE = 60;
+// Gap between pools
+const POOL_GAP = 50;
+
+// Labels of converging gateway outputs sit at the corridor: fixed width, shifted left of the gateway center
+const CORRIDOR_LABEL_WIDTH = 150;
+const CORRIDOR_LABEL_SHIFT = 20;
+
+/**
+ * Do at least two cross-lane outputs of a gateway leave it on the same side (up or down)?
+ * Their labels are placed at the corridor instead of next to the gateway.
+ * @param {string} gatewayId - Gateway ID
+ * @param {string} gatewayLane - Lane of the gateway
+ * @param {Map} flows - Flow map
+ * @param {Map} flowInfos - Flow infos (target lane and exit side)
+ * @returns {boolean}
+ */
+function hasConvergingCrossLaneOutputs(gatewayId, gatewayLane, flows, flowInfos) {
+  let crossLaneOutputsDown = 0;
+  let crossLaneOutputsUp = 0;
+  
+  for (const [otherFlowId, otherFlowInfo] of flowInfos) {
+    const otherFlow = flows.get(otherFlowId);
+    if (otherFlow && otherFlow.sourceRef === gatewayId) {
+      const otherTargetLane = otherFlowInfo.target?.lane;
+      
+      // Check if this is a cross-lane flow
+      if (gatewayLane && otherTargetLane && gatewayLane !== otherTargetLane) {
+        // Determine direction based on exitSide
+        const otherExitSide = otherFlowInfo.source?.exitSide;
+        if (otherExitSide === 'down') {
+          crossLaneOutputsDown++;
+        } else if (otherExitSide === 'up') {
+          crossLaneOutputsUp++;
+        }
+      }
+    }
+  }
+  
+  return crossLaneOutputsDown >= 2 || crossLaneOutputsUp >= 2;
+}
+
+/**
+ * Size of a gateway flow label (long labels wrap to two lines)
+ * Approximate: 7 pixels per character + 10px padding, minimum 50px
+ * @param {string} name - Flow name
+ * @returns {Object} - {width, height}
+ */
+function getEdgeLabelSize(name) {
+  const textLength = name ? name.length : 10;
+  const width = Math.max(50, textLength * 7 + 10);
+  return { width, height: width > 120 ? 40 : 20 };
+}
+
+/**
+ * Calculate column sizes along the flow direction
+ * Every element keeps the same free space around it as a task has in a default column.
+ * Uniform columns only grow when they hold an element larger than a standard task.
+ * Variable columns (config.variableColumnWidths) fit their largest visible element and the
+ * labels of the gateway flows leaving them, which run from the gateway into the next gap.
+ * @param {Map} elements - Element map
+ * @param {Map} positions - Logical positions from Phase 2
+ * @param {Object} directions - Direction mappings
+ * @param {Map} flows - Flow map (flow labels, hidden XOR merge gateways)
+ * @param {Map} flowInfos - Flow infos from Phase 2 (placement of gateway output labels)
+ * @returns {Array|null} - layer → size, or null if all columns have the default size
+ */
+export function calculateLayerSizes(elements, positions, directions, flows = new Map(), flowInfos = new Map()) {
+  const metrics = getMetrics(directions);
+  const isHorizontal = directions.alongLane === 'right';
+  const reference = isHorizontal ? metrics.elementWidth : metrics.elementHeight;
+  const gap = metrics.columnWidth - reference;
+  const getExtent = element => {
+    const size = getElementSize(element, metrics);
+    return isHorizontal ? size.width : size.height;
+  };
+  
+  if (!directions.variableColumnWidths) {
+    const sizes = [];
+    let hasOversized = false;
+    
+    for (const [elementId, pos] of positions) {
+      const element = elements.get(elementId);
+      if (!element || pos.layer < 0) continue;
+      sizes[pos.layer] = sizes[pos.layer] || metrics.columnWidth;
+      if (pos.attachedTo) continue;
+      
+      const extent = getExtent(element);
+      if (extent <= reference) continue;
+      
+      sizes[pos.layer] = Math.max(sizes[pos.layer], extent + gap);
+      hasOversized = true;
+    }
+    
+    if (!hasOversized) return null;
+    return Array.from(sizes, size => size || metrics.columnWidth);
+  }
+  
+  // Largest visible element per layer (hidden merge gateways take no space)
+  const sizes = [];
+  for (const [elementId, pos] of positions) {
+    if (pos.layer < 0) continue;
+    sizes[pos.layer] = sizes[pos.layer] || gap;
+    
+    const element = elements.get(elementId);
+    if (!element || pos.attachedTo) continue;
+    if (directions.hideXorMergeGateways && isXorMergeGateway(element, flows)) continue;
+    sizes[pos.layer] = Math.max(sizes[pos.layer], getExtent(element) + gap);
+  }
+  
+  // Gateway output labels run from the gateway into the following gap:
+  // the column is wide enough that the gap starts after the label
+  for (const [, flow] of flows) {
+    if (!flow.name || flow.type === 'messageFlow') continue;
+    const source = elements.get(flow.sourceRef);
+    const sourcePos = positions.get(flow.sourceRef);
+    const targetPos = positions.get(flow.targetRef);
+    if (!source || !source.type || !source.type.includes('Gateway')) continue;
+    if (!sourcePos || !targetPos || sourcePos.layer < 0 || targetPos.layer <= sourcePos.layer) continue;
+    
+    const label = getEdgeLabelSize(flow.name);
+    let reach = getExtent(source) / 2 + (isHorizontal ? label.width : label.height);
+    if (isHorizontal && hasConvergingCrossLaneOutputs(flow.sourceRef, sourcePos.lane, flows, flowInfos)) {
+      reach = Math.max(reach, CORRIDOR_LABEL_WIDTH - CORRIDOR_LABEL_SHIFT);
+    }
+    sizes[sourcePos.layer] = Math.max(sizes[sourcePos.layer], 2 * reach - gap);
+  }
+  
+  return Array.from(sizes, size => size || gap);
+}
+
+/**
+ * Size of a column along the flow direction
+ * Uniform columns unless the metrics carry the layerSizes of a phase3() run
+ */
+function getLayerSize(layer, metrics) {
+  const { layerSizes } = metrics;
+  return (layerSizes && layer >= 0 && layerSizes[layer]) || metrics.columnWidth;
+}
 
-// Element size constants (BPMN standard sizes)
-const ELEMENT_WIDTH = 100;
-const ELEMENT_HEIGHT = 80;
-const GATEWAY_SIZE = 50;
-const START_END_SIZE = 36;     // Events are circular
+/**
+ * Offset of a column's start from the first column
+ */
+function getLayerOffset(layer, metrics) {
+  if (!metrics.layerSizes || layer <= 0) return layer * metrics.columnWidth;
+  let offset = 0;
+  for (let i = 0; i < layer; i++) {
+    offset += getLayerSize(i, metrics);
+  }
+  return offset;
+}
 
-// Back-flow corridor offset from lane boundary
-// Calculated dynamically based on lane height and element height
-// Task is centered: taskTopOffset = (LANE_BASE_HEIGHT - ELEMENT_HEIGHT) / 2
-// Corridor is midway between lane boundary and task: CORRIDOR_OFFSET = taskTopOffset / 2
-const CORRIDOR_OFFSET = ((LANE_BASE_HEIGHT - ELEMENT_HEIGHT) / 2) / 2;
+/**
+ * Center of a column relative to the first column
+ */
+function getLayerCenter(layer, metrics) {
+  return getLayerOffset(layer, metrics) + getLayerSize(layer, metrics) / 2;
+}
 
-// Vertical orientation constants (when needed)
-const LANE_BASE_WIDTH = 150;
-const LANE_ROW_WIDTH = 120;
-const LANE_LEFT_OFFSET = 80;
+/**
+ * Column borders of a phase3() run along the flow direction
+ * Used by the message flow grid as vertical corridors (horizontal orientation).
+ * @param {Map} laneBounds - Lane bounds
+ * @param {Object} metrics - Layout metrics
+ * @returns {Array|null} - Absolute x of every column border, or null for uniform columns
+ */
+export function getColumnBoundaries(laneBounds, metrics) {
+  if (!metrics.layerSizes) return null;
+  const laneStarts = new Set();
+  for (const [, bounds] of laneBounds) {
+    laneStarts.add(bounds.elementStartX || bounds.x || metrics.poolXOffset);
+  }
+  const boundaries = [];
+  for (const laneX of laneStarts) {
+    for (let layer = 0; layer <= metrics.layerSizes.length; layer++) {
+      boundaries.push(laneX + getLayerOffset(layer, metrics));
+    }
+  }
+  return boundaries;
+}
 
 /**
  * Normalize rows within each lane (convert negative rows to positive indices)
@@ -79,6 +266,7 @@ export function normalizeRows(positions, lanes) {
  * @returns {Map} - Map of elementId → {x, y, width, height}
  */
 export function calculateElementCoordinates(elements, positions, laneBounds, directions, lanes) {
+  const metrics = getMetrics(directions);
   const coordinates = new Map();
   const normalized = normalizeRows(positions, lanes);
   const isHorizontal = directions.alongLane === 'right';
@@ -90,18 +278,8 @@ export function calculateElementCoordinates(elements, positions, laneBounds, dir
     const laneBound = laneBounds.get(pos.lane);
     if (!laneBound) continue;
     
-    // Element dimensions based on BPMN type (from old implementation)
-    let width, height;
-    
-    if (element.type === 'startEvent' || element.type === 'endEvent' ||
-        element.type === 'intermediateThrowEvent' || element.type === 'intermediateCatchEvent') {
-      width = height = START_END_SIZE;
-    } else if (element.type && element.type.includes('Gateway')) {
-      width = height = GATEWAY_SIZE;
-    } else {
-      width = ELEMENT_WIDTH;
-      height = ELEMENT_HEIGHT;
-    }
+    // Element dimensions based on BPMN type (or precomputed layout size)
+    const { width, height } = getElementSize(element, metrics);
     
     let x, y;
     
@@ -110,15 +288,15 @@ export function calculateElementCoordinates(elements, positions, laneBounds, dir
       // X: Based on layer (column), centered in column
       // Calculate base X offset based on lane hierarchy
       // Use elementStartX for aligned columns, fallback to x for backward compatibility
-      const laneX = laneBound.elementStartX || laneBound.x || POOL_X_OFFSET;
+      const laneX = laneBound.elementStartX || laneBound.x || metrics.poolXOffset;
       
       // Columns fill the entire lane width (no extra margins)
-      // Column center = lane start + (layer * COLUMN_WIDTH) + COLUMN_WIDTH/2
-      const columnCenterX = laneX + pos.layer * COLUMN_WIDTH + COLUMN_WIDTH / 2;
+      // Column center = lane start + (layer * columnWidth) + columnWidth/2
+      const columnCenterX = laneX + getLayerCenter(pos.layer, metrics);
       x = columnCenterX - width / 2;
       
       // Y: Based on row within lane, with even padding
-      const referenceHeight = ELEMENT_HEIGHT;  // Use standard element height for spacing
+      const referenceHeight = metrics.elementHeight;  // Use standard element height for spacing
       const paddingPerGap = (laneBound.height - laneBound.maxRows * referenceHeight) / (laneBound.maxRows + 1);
       const rowCenterY = laneBound.y + paddingPerGap + (pos.normalizedRow * (referenceHeight + paddingPerGap)) + referenceHeight / 2;
       y = rowCenterY - height / 2;
@@ -126,13 +304,13 @@ export function calculateElementCoordinates(elements, positions, laneBounds, dir
     } else {
       // Vertical orientation: lanes stack horizontally, process flows vertically
       // X: Based on row within lane, with even padding
-      const referenceWidth = ELEMENT_WIDTH;  // Use standard element width for spacing
+      const referenceWidth = metrics.elementWidth;  // Use standard element width for spacing
       const paddingPerGap = (laneBound.width - laneBound.maxRows * referenceWidth) / (laneBound.maxRows + 1);
       const rowCenterX = laneBound.x + paddingPerGap + (pos.normalizedRow * (referenceWidth + paddingPerGap)) + referenceWidth / 2;
       x = rowCenterX - width / 2;
       
       // Y: Based on layer (row in vertical), centered in row
-      const centerY = POOL_X_OFFSET + pos.layer * COLUMN_WIDTH + COLUMN_WIDTH / 2;
+      const centerY = metrics.poolXOffset + getLayerCenter(pos.layer, metrics);
       y = centerY - height / 2;
     }
     
@@ -147,6 +325,48 @@ export function calculateElementCoordinates(elements, positions, laneBounds, dir
   return coordinates;
 }
 
+/**
+ * Move boundary events onto the border of their host activity
+ * Events are centered on the host's crossLane border (bottom for horizontal,
+ * right for vertical) and spread evenly when a host has several of them.
+ * @param {Map} elements - Element map
+ * @param {Map} coordinates - Element coordinates (updated in place)
+ * @param {Object} directions - Direction mappings
+ */
+export function positionBoundaryEvents(elements, coordinates, directions) {
+  const isHorizontal = directions.alongLane === 'right';
+  
+  // Group boundary events by host (document order)
+  const eventsByHost = new Map();
+  for (const [elementId, element] of elements) {
+    if (!element.attachedToRef || !coordinates.has(elementId)) continue;
+    if (!coordinates.has(element.attachedToRef)) continue;
+    if (!eventsByHost.has(element.attachedToRef)) {
+      eventsByHost.set(element.attachedToRef, []);
+    }
+    eventsByHost.get(element.attachedToRef).push(elementId);
+  }
+  
+  for (const [hostId, eventIds] of eventsByHost) {
+    const host = coordinates.get(hostId);
+    
+    eventIds.forEach((eventId, index) => {
+      const coord = coordinates.get(eventId);
+      const fraction = (index + 1) / (eventIds.length + 1);
+      
+      if (isHorizontal) {
+        // Bottom border: center of the event sits on the host edge
+        coord.x = host.x + host.width * fraction - coord.width / 2;
+        coord.y = host.y + host.height - coord.height / 2;
+      } else {
+        // Right border
+        coord.x = host.x + host.width - coord.width / 2;
+        coord.y = host.y + host.height * fraction - coord.height / 2;
+      }
+    });
+  }
+}
+
 /**
  * Calculate pixel coordinates for a logical waypoint
  * @param {Object} waypoint - {lane, layer, row}
@@ -155,6 +375,7 @@ export function calculateElementCoordinates(elements, positions, laneBounds, dir
  * @returns {Object} - {x, y}
  */
 export function calculateWaypointCoordinate(waypoint, lanes, directions, laneBounds) {
+  const metrics = getMetrics(directions);
   const isHorizontal = directions.alongLane === 'right';
   
   let x, y;
@@ -165,34 +386,34 @@ export function calculateWaypointCoordinate(waypoint, lanes, directions, laneBou
     // Use lane's X position from laneBounds (same as elements)
     const laneBound = laneBounds.get(waypoint.lane);
     // Use EXACT same logic as elements (line 110)
-    const laneX = laneBound?.elementStartX || laneBound?.x || POOL_X_OFFSET;
+    const laneX = laneBound?.elementStartX || laneBound?.x || metrics.poolXOffset;
     
-    // Column center = lane start + (layer * COLUMN_WIDTH) + COLUMN_WIDTH/2
-    const columnCenterX = laneX + waypoint.layer * COLUMN_WIDTH + COLUMN_WIDTH / 2;
+    // Column center = lane start + (layer * columnWidth) + columnWidth/2
+    const columnCenterX = laneX + getLayerCenter(waypoint.layer, metrics);
     x = columnCenterX;
     
     // Y based on lane + row
     if (laneBound) {
       // Use same logic as element positioning
-      const referenceHeight = ELEMENT_HEIGHT;
+      const referenceHeight = metrics.elementHeight;
       const paddingPerGap = (laneBound.height - laneBound.maxRows * referenceHeight) / (laneBound.maxRows + 1);
       y = laneBound.y + paddingPerGap + (waypoint.row * (referenceHeight + paddingPerGap)) + referenceHeight / 2;
     } else {
       // Fallback if lane bound not found
-      y = LANE_TOP_OFFSET + waypoint.row * LANE_ROW_HEIGHT;
+      y = metrics.laneTopOffset + waypoint.row * metrics.laneRowHeight;
     }
   } else {
     // Vertical orientation
     const laneBound = laneBounds.get(waypoint.lane);
     if (laneBound) {
-      const referenceWidth = ELEMENT_WIDTH;
+      const referenceWidth = metrics.elementWidth;
       const paddingPerGap = (laneBound.width - laneBound.maxRows * referenceWidth) / (laneBound.maxRows + 1);
       x = laneBound.x + paddingPerGap + (waypoint.row * (referenceWidth + paddingPerGap)) + referenceWidth / 2;
     } else {
-      x = LANE_LEFT_OFFSET + waypoint.row * LANE_ROW_WIDTH;
+      x = metrics.laneLeftOffset + waypoint.row * metrics.laneRowWidth;
     }
     
-    y = POOL_X_OFFSET + waypoint.layer * COLUMN_WIDTH + COLUMN_WIDTH / 2;
+    y = metrics.poolXOffset + getLayerCenter(waypoint.layer, metrics);
   }
   
   return { x, y };
@@ -244,6 +465,7 @@ export function calculateConnectionPoint(coord, side) {
  * @returns {Array} - Array of {x, y} waypoints
  */
 export function calculateFlowWaypoints(flowInfo, coordinates, lanes, directions, laneBounds, elements, flows) {
+  const metrics = getMetrics(directions);
   const pixelWaypoints = [];
   
   // Start point
@@ -259,12 +481,32 @@ export function calculateFlowWaypoints(flowInfo, coordinates, lanes, directions,
     return [startPoint, endPoint];
   }
   
+  // Boundary event flow that has to come back: U-shape below the host,
+  // entering the target from the same side
+  if (flowInfo.isBoundaryFlow && flowInfo.source.exitSide === flowInfo.target.entrySide) {
+    if (directions.alongLane === 'right') {
+      const corridorY = Math.max(startPoint.y, endPoint.y) + metrics.corridorOffset;
+      return [startPoint, { x: startPoint.x, y: corridorY }, { x: endPoint.x, y: corridorY }, endPoint];
+    }
+    const corridorX = Math.max(startPoint.x, endPoint.x) + metrics.corridorOffset;
+    return [startPoint, { x: corridorX, y: startPoint.y }, { x: corridorX, y: endPoint.y }, endPoint];
+  }
+  
   // Normal flows: include intermediate waypoints
   for (const waypoint of flowInfo.waypoints) {
     const wpCoord = calculateWaypointCoordinate(waypoint, lanes, directions, laneBounds);
     pixelWaypoints.push(wpCoord);
   }
   
+  // Boundary events are not centered in their column: keep the first segment straight
+  if (flowInfo.isBoundaryFlow && pixelWaypoints.length > 0) {
+    if (directions.alongLane === 'right') {
+      pixelWaypoints[0].x = startPoint.x;
+    } else {
+      pixelWaypoints[0].y = startPoint.y;
+    }
+  }
+  
   return [startPoint, ...pixelWaypoints, endPoint];
 }
 
@@ -292,9 +534,11 @@ function determineTargetEntrySide(targetId, flowInfos, directions) {
  * @param {Object} lane - Lane object
  * @param {Map} positions - Element positions
  * @param {Map} coordinates - Element coordinates
+ * @param {Object} sourcePos - Position of an element in the lane
+ * @param {Object} metrics - Layout metrics
  * @returns {number} - Lane bottom Y coordinate
  */
-function calculateLaneTop(lane, positions, coordinates, sourcePos) {
+function calculateLaneTop(lane, positions, coordinates, sourcePos, metrics) {
   // Calculate lane top from actual element coordinates
   // Find the topmost element in the target lane
   
@@ -310,15 +554,15 @@ function calculateLaneTop(lane, positions, coordinates, sourcePos) {
   }
   
   if (minY === Infinity) {
-    // Fallback: use LANE_TOP_OFFSET
-    return LANE_TOP_OFFSET;
+    // Fallback: use laneTopOffset
+    return metrics.laneTopOffset;
   }
   
   // Return the top of the topmost element
   return minY;
 }
 
-function calculateLaneBottom(lane, positions, coordinates) {
+function calculateLaneBottom(lane, positions, coordinates, metrics) {
   // Find max rows in this lane
   let maxRow = 0;
   for (const [elId, pos] of positions) {
@@ -328,11 +572,11 @@ function calculateLaneBottom(lane, positions, coordinates) {
   }
   
   // Calculate lane height
-  const laneHeight = LANE_BASE_HEIGHT + maxRow * LANE_ROW_HEIGHT;
+  const laneHeight = metrics.laneBaseHeight + maxRow * metrics.laneRowHeight;
   
-  // Lane top is at LANE_TOP_OFFSET (assuming first lane)
+  // Lane top is at laneTopOffset (assuming first lane)
   // TODO: Handle multiple lanes properly
-  const laneTop = LANE_TOP_OFFSET;
+  const laneTop = metrics.laneTopOffset;
   
   return laneTop + laneHeight;
 }
@@ -348,6 +592,7 @@ function calculateLaneBottom(lane, positions, coordinates) {
  * @returns {Array} - Array of {x, y} waypoints
  */
 export function routeBackFlow(flowInfo, coordinates, positions, lanes, directions, flowInfos) {
+  const metrics = getMetrics(directions);
   const sourceCoord = coordinates.get(flowInfo.sourceId);
   const targetCoord = coordinates.get(flowInfo.targetId);
   
@@ -454,8 +699,8 @@ export function routeBackFlow(flowInfo, coordinates, positions, lanes, direction
   
   // Always use target lane top for backflow corridor (enter from top)
   // Corridor should be ABOVE the topmost element in target lane
-  const targetLaneTop = calculateLaneTop(targetLane, positions, coordinates, targetPos);
-  betweenRowsY = targetLaneTop - CORRIDOR_OFFSET;
+  const targetLaneTop = calculateLaneTop(targetLane, positions, coordinates, targetPos, metrics);
+  betweenRowsY = targetLaneTop - metrics.corridorOffset;
   
   const betweenRowsPoint = {
     x: exitPoint.x,
@@ -490,8 +735,8 @@ export function routeBackFlow(flowInfo, coordinates, positions, lanes, direction
     if (prevLayerRight > 0) {
       targetX = (prevLayerRight + targetCoord.x) / 2;
     } else {
-      // Fallback: use fixed offset
-      targetX = targetCoord.x - COLUMN_WIDTH / 2;
+      // Fallback: start of the target's column
+      targetX = targetCoord.x + targetCoord.width / 2 - getLayerSize(targetPos.layer, metrics) / 2;
     }
   } else if (targetEntrySide === directions.crossLane) {
     // Enter from DOWN: align with target center
@@ -540,9 +785,12 @@ export function routeBackFlow(flowInfo, coordinates, positions, lanes, direction
  * @param {Map} lanes - Lane map
  * @param {Map} positions - Element positions
  * @param {Object} directions - Direction mappings
+ * @param {Map} pools - Pool map
+ * @param {Map} elements - Element map (lanes grow for oversized elements)
  * @returns {Map} - Map of laneId → {x, y, width, height, maxRows}
  */
-export function calculateLaneBounds(lanes, positions, directions, pools = new Map()) {
+export function calculateLaneBounds(lanes, positions, directions, pools = new Map(), elements = new Map()) {
+  const metrics = getMetrics(directions);
   const isHorizontal = directions.alongLane === 'right';
   
   // Find maximum nesting level across all lanes
@@ -571,17 +819,36 @@ export function calculateLaneBounds(lanes, positions, directions, pools = new Ma
   // Find max layer across all elements (for width calculation)
   let maxLayer = 0;
   
+  // Largest element extent across the lane per lane (only tracked for oversized elements)
+  const laneMaxExtent = new Map();
+  
   for (const [elementId, pos] of normalized) {
     const currentMax = laneMaxRows.get(pos.lane) || 0;
     laneMaxRows.set(pos.lane, Math.max(currentMax, pos.normalizedRow + 1));
     maxLayer = Math.max(maxLayer, pos.layer);
+    
+    const element = elements.get(elementId);
+    if (element && element.layoutSize) {
+      const size = getElementSize(element, metrics);
+      const extent = isHorizontal ? size.height : size.width;
+      laneMaxExtent.set(pos.lane, Math.max(laneMaxExtent.get(pos.lane) || 0, extent));
+    }
+  }
+  
+  // Lanes holding oversized elements need more padding around each row
+  function growLaneForLargeElements(laneId, laneSize, maxRows, reference) {
+    const extent = laneMaxExtent.get(laneId) || 0;
+    if (extent <= reference) return laneSize;
+    // Minimum gap between an oversized element (e.g. expanded sub-process) and the lane border
+    const padding = (extent - reference) / 2 + 2 * metrics.corridorOffset;
+    return Math.max(laneSize, maxRows * reference + (maxRows + 1) * padding);
   }
   
   // Calculate fixed right edge for all lanes in the pool
   // Right edge = element start X + all columns
-  const poolRightEdge = POOL_X_OFFSET + POOL_LABEL_WIDTH + 
+  const poolRightEdge = metrics.poolXOffset + POOL_LABEL_WIDTH + 
                         (maxNestingLevel * PARENT_LANE_LABEL_WIDTH) + 
-                        (maxLayer + 1) * COLUMN_WIDTH;
+                        getLayerOffset(maxLayer + 1, metrics);
   
   const laneBounds = new Map();
   
@@ -605,7 +872,7 @@ export function calculateLaneBounds(lanes, positions, directions, pools = new Ma
         
         // Parent lane bounds encompass all children
         // Calculate X position for parent lane
-        const parentX = POOL_X_OFFSET + POOL_LABEL_WIDTH; // Parent starts right after pool label
+        const parentX = metrics.poolXOffset + POOL_LABEL_WIDTH; // Parent starts right after pool label
         
         // Parent width: from parentX to poolRightEdge
         const parentWidth = poolRightEdge - parentX;
@@ -646,19 +913,20 @@ export function calculateLaneBounds(lanes, positions, directions, pools = new Ma
       const maxRows = laneMaxRows.get(laneId) || 1;
       
       if (isHorizontal) {
-        const laneHeight = LANE_BASE_HEIGHT + (maxRows - 1) * LANE_ROW_HEIGHT;
+        const laneHeight = growLaneForLargeElements(
+          laneId, metrics.laneBaseHeight + (maxRows - 1) * metrics.laneRowHeight, maxRows, metrics.elementHeight);
         
         // Determine lane's actual nesting level
         const laneNestingLevel = getLaneNestingLevel(laneId, lanes);
         
         // Lane X position:
-        // - Top-level lane (no parent): POOL_X_OFFSET + POOL_LABEL_WIDTH
+        // - Top-level lane (no parent): poolXOffset + POOL_LABEL_WIDTH
         // - Sublane (has parent): add PARENT_LANE_LABEL_WIDTH for each nesting level
-        const laneX = POOL_X_OFFSET + POOL_LABEL_WIDTH + (laneNestingLevel * PARENT_LANE_LABEL_WIDTH);
+        const laneX = metrics.poolXOffset + POOL_LABEL_WIDTH + (laneNestingLevel * PARENT_LANE_LABEL_WIDTH);
         
         // Element start X: always aligned at max nesting level
         // This ensures all columns start at the same X position across all lanes
-        const elementStartX = POOL_X_OFFSET + POOL_LABEL_WIDTH + (maxNestingLevel * PARENT_LANE_LABEL_WIDTH);
+        const elementStartX = metrics.poolXOffset + POOL_LABEL_WIDTH + (maxNestingLevel * PARENT_LANE_LABEL_WIDTH);
         
         // Width: from laneX to poolRightEdge
         // This ensures all lanes have the same right edge
@@ -675,7 +943,8 @@ export function calculateLaneBounds(lanes, positions, directions, pools = new Ma
         });
         return { height: laneHeight, width: 0 };
       } else {
-        const laneWidth = LANE_BASE_WIDTH + (maxRows - 1) * LANE_ROW_WIDTH;
+        const laneWidth = growLaneForLargeElements(
+          laneId, metrics.laneBaseWidth + (maxRows - 1) * metrics.laneRowWidth, maxRows, metrics.elementWidth);
         laneBounds.set(laneId, {
           x: startX,
           width: laneWidth,
@@ -687,10 +956,16 @@ export function calculateLaneBounds(lanes, positions, directions, pools = new Ma
     }
   }
   
+  // Black-box pools before the pools with lanes come first
+  let blackBoxCount = 0;
+  for (const pool of pools.values()) {
+    if (pool.blackBox && pool.placement === 'before') blackBoxCount++;
+  }
+  const blackBoxOffset = blackBoxCount * (BLACK_BOX_POOL_SIZE + POOL_GAP);
+  
   // Process only top-level lanes (those without parents)
   if (isHorizontal) {
-    const POOL_GAP = 50; // Gap between different pools
-    let currentY = LANE_TOP_OFFSET;
+    let currentY = metrics.laneTopOffset + blackBoxOffset;
     let lastPoolId = null;
     
     for (const [laneId, lane] of lanes) {
@@ -708,8 +983,7 @@ export function calculateLaneBounds(lanes, positions, directions, pools = new Ma
       }
     }
   } else {
-    const POOL_GAP = 50; // Gap between different pools
-    let currentX = LANE_LEFT_OFFSET;
+    let currentX = metrics.laneLeftOffset + blackBoxOffset;
     let lastPoolId = null;
     
     for (const [laneId, lane] of lanes) {
@@ -733,14 +1007,51 @@ export function calculateLaneBounds(lanes, positions, directions, pools = new Ma
 
 /**
  * Calculate pool bounds that encompass all lanes in each pool
+ * Vertical pools span their lanes across and the layers along the flow,
+ * with the lane labels and the pool label above the first layer
  * @param {Map} pools - Pool map
  * @param {Map} laneBounds - Lane bounds
  * @param {Map} coordinates - Element coordinates
  * @param {Map} lanes - Lane map
+ * @param {Object} directions - Direction mappings
+ * @param {Map} positions - Element positions (vertical: last layer)
  * @returns {Map} - poolId → {x, y, width, height}
  */
-function calculatePoolBounds(pools, laneBounds, coordinates, lanes) {
+function calculatePoolBounds(pools, laneBounds, coordinates, lanes, directions, positions) {
+  const metrics = getMetrics(directions);
   const poolBounds = new Map();
+  const isHorizontal = directions.alongLane === 'right';
+  
+  // Pool width = pool label + max parent lane width
+  const POOL_LABEL_WIDTH = 30;
+  const PARENT_LANE_LABEL_WIDTH = 30;
+  
+  if (!isHorizontal) {
+    let maxLayer = 0;
+    let maxNestingLevel = 0;
+    for (const pos of positions.values()) maxLayer = Math.max(maxLayer, pos.layer);
+    for (const lane of lanes.values()) {
+      let level = 0;
+      for (let parent = lane.parentLane; parent; parent = lanes.get(parent)?.parentLane) level++;
+      maxNestingLevel = Math.max(maxNestingLevel, level);
+    }
+    const top = metrics.poolXOffset - maxNestingLevel * PARENT_LANE_LABEL_WIDTH - POOL_LABEL_WIDTH;
+    const bottom = metrics.poolXOffset + getLayerOffset(maxLayer + 1, metrics);
+    
+    for (const [poolId, pool] of pools) {
+      let minX = Infinity, maxX = -Infinity;
+      for (const laneId of pool.lanes) {
+        const bounds = laneBounds.get(laneId);
+        if (!bounds) continue;
+        minX = Math.min(minX, bounds.x);
+        maxX = Math.max(maxX, bounds.x + bounds.width);
+      }
+      if (minX === Infinity) continue;
+      poolBounds.set(poolId, { x: minX, y: top, width: maxX - minX, height: bottom - top });
+    }
+    addBlackBoxPoolBounds(pools, poolBounds, isHorizontal);
+    return poolBounds;
+  }
   
   for (const [poolId, pool] of pools) {
     if (pool.lanes.length === 0) continue;
@@ -765,21 +1076,55 @@ function calculatePoolBounds(pools, laneBounds, coordinates, lanes) {
       }
     }
     
-    // Pool width = pool label + max parent lane width
-    const POOL_LABEL_WIDTH = 30;
-    const PARENT_LANE_LABEL_WIDTH = 30;
-    
     poolBounds.set(poolId, {
-      x: POOL_X_OFFSET,
+      x: metrics.poolXOffset,
       y: minY,
       width: POOL_LABEL_WIDTH + maxLaneWidth,
       height: maxY - minY
     });
   }
   
+  addBlackBoxPoolBounds(pools, poolBounds, isHorizontal);
   return poolBounds;
 }
 
+/**
+ * Add the bounds of black-box pools: thin bands as long as the pools with lanes,
+ * stacked before (placement 'before', space reserved by calculateLaneBounds) or after them
+ * @param {Map} pools - Pool map
+ * @param {Map} poolBounds - Bounds of the pools with lanes (extended in place)
+ * @param {boolean} isHorizontal - Horizontal lanes (bands above/below, else left/right)
+ */
+function addBlackBoxPoolBounds(pools, poolBounds, isHorizontal) {
+  if (poolBounds.size === 0) return;
+  
+  // Extent of the pools with lanes: along the flow and across the lanes
+  let alongStart = Infinity, alongEnd = -Infinity, crossStart = Infinity, crossEnd = -Infinity;
+  for (const bounds of poolBounds.values()) {
+    const [along, alongSize, cross, crossSize] = isHorizontal
+      ? [bounds.x, bounds.width, bounds.y, bounds.height]
+      : [bounds.y, bounds.height, bounds.x, bounds.width];
+    alongStart = Math.min(alongStart, along);
+    alongEnd = Math.max(alongEnd, along + alongSize);
+    crossStart = Math.min(crossStart, cross);
+    crossEnd = Math.max(crossEnd, cross + crossSize);
+  }
+  
+  const blackBoxes = Array.from(pools.values()).filter(pool => pool.blackBox);
+  const before = blackBoxes.filter(pool => pool.placement === 'before');
+  const after = blackBoxes.filter(pool => pool.placement !== 'before');
+  const step = BLACK_BOX_POOL_SIZE + POOL_GAP;
+  const bands = [
+    ...before.map((pool, index) => [pool.id, crossStart - (before.length - index) * step]),
+    ...after.map((pool, index) => [pool.id, crossEnd + POOL_GAP + index * step])
+  ];
+  for (const [poolId, cross] of bands) {
+    poolBounds.set(poolId, isHorizontal
+      ? { x: alongStart, y: cross, width: alongEnd - alongStart, height: BLACK_BOX_POOL_SIZE }
+      : { x: cross, y: alongStart, width: BLACK_BOX_POOL_SIZE, height: alongEnd - alongStart });
+  }
+}
+
 import { checkFlowCollisions } from './flow-collision-detector.js';
 import { checkColumnAlignment } from './column-alignment-checker.js';
 
@@ -823,19 +1168,19 @@ function mergeFlowsForHiddenGateways(flows, flowWaypoints, elements, coordinates
     
     // Validate: should have exactly 1 outgoing flow
     if (!outgoingFlow) {
-      console.warn(`Hidden merge gateway ${gatewayId} has no outgoing flow!`);
+      log.warn(`Hidden merge gateway ${gatewayId} has no outgoing flow!`);
       continue;
     }
     
     if (incomingFlows.length === 0) {
-      console.warn(`Hidden merge gateway ${gatewayId} has no incoming flows!`);
+      log.warn(`Hidden merge gateway ${gatewayId} has no incoming flows!`);
       continue;
     }
     
     // Get gateway center coordinates
     const gatewayCoord = coordinates.get(gatewayId);
     if (!gatewayCoord) {
-      console.warn(`Hidden merge gateway ${gatewayId} has no coordinates!`);
+      log.warn(`Hidden merge gateway ${gatewayId} has no coordinates!`);
       continue;
     }
     
@@ -845,7 +1190,7 @@ function mergeFlowsForHiddenGateways(flows, flowWaypoints, elements, coordinates
     // Get outgoing flow waypoints
     const outgoingWaypoints = flowWaypoints.get(outgoingFlow.flowId);
     if (!outgoingWaypoints || outgoingWaypoints.length === 0) {
-      console.warn(`Outgoing flow ${outgoingFlow.flowId} has no waypoints!`);
+      log.warn(`Outgoing flow ${outgoingFlow.flowId} has no waypoints!`);
       continue;
     }
     
@@ -857,7 +1202,7 @@ function mergeFlowsForHiddenGateways(flows, flowWaypoints, elements, coordinates
       // Merge waypoints
       const incomingWaypoints = flowWaypoints.get(flowId);
       if (!incomingWaypoints || incomingWaypoints.length === 0) {
-        console.warn(`Incoming flow ${flowId} has no waypoints!`);
+        log.warn(`Incoming flow ${flowId} has no waypoints!`);
         continue;
       }
       
@@ -877,28 +1222,32 @@ function mergeFlowsForHiddenGateways(flows, flowWaypoints, elements, coordinates
   }
 }
 
-export function phase3(phase2Result, elements, lanes, directions, pools = new Map(), flows = new Map()) {
+export function phase3(phase2Result, elements, lanes, baseDirections, pools = new Map(), flows = new Map()) {
   const { positions, flowInfos } = phase2Result;
   
+  // Column sizes (fitted to their content, or wider columns for expanded sub-processes)
+  // travel with the metrics of this run to every helper and router
+  const layerSizes = calculateLayerSizes(elements, positions, baseDirections, flows, flowInfos);
+  const directions = { ...baseDirections, metrics: Object.freeze({ ...getMetrics(baseDirections), layerSizes }) };
+  
   // Calculate lane bounds first (needed for element positioning)
-  const laneBounds = calculateLaneBounds(lanes, positions, directions, pools);
+  const laneBounds = calculateLaneBounds(lanes, positions, directions, pools, elements);
   
   // Calculate element coordinates (positioned within lanes)
   const coordinates = calculateElementCoordinates(elements, positions, laneBounds, directions, lanes);
   
-  // Debug: Check if all elements have coordinates
+  // Boundary events: move onto the host border
+  positionBoundaryEvents(elements, coordinates, directions);
+  
+  // Check if all elements have coordinates
   if (elements.size !== coordinates.size) {
-    console.error(`\n⚠️  WARNING: Not all elements have coordinates!`);
-    console.error(`   Total elements: ${elements.size}`);
-    console.error(`   Coordinates: ${coordinates.size}`);
-    console.error(`   Missing: ${elements.size - coordinates.size}`);
     const missing = [];
     for (const [id] of elements) {
       if (!coordinates.has(id)) {
         missing.push(id);
       }
     }
-    console.error(`   Missing coordinates: ${missing.join(', ')}\n`);
+    log.warn(`Not all elements have coordinates (${coordinates.size} of ${elements.size}), missing: ${missing.join(', ')}`);
   }
   
   // Calculate flow waypoints
@@ -937,9 +1286,30 @@ export function phase3(phase2Result, elements, lanes, directions, pools = new Ma
     }
   }
   
+  // Calculate pool bounds (encompassing all lanes in each pool)
+  const poolBounds = calculatePoolBounds(pools, laneBounds, coordinates, lanes, directions, positions);
+  
+  // Message flows to pools attach side by side at their element (spread over its width)
+  const poolFlowsByElement = new Map();
+  for (const [flowId, flowInfo] of flowInfos) {
+    if (!flowInfo.isPoolMessageFlow) continue;
+    const elementId = flowInfo.source.pool ? flowInfo.targetId : flowInfo.sourceId;
+    if (!poolFlowsByElement.has(elementId)) poolFlowsByElement.set(elementId, []);
+    poolFlowsByElement.get(elementId).push(flowId);
+  }
+  
   // Pass 2: Route message flows last (after all other flows)
   for (const [flowId, flowInfo] of flowInfos) {
-    if (flowInfo.isMessageFlow) {
+    if (flowInfo.isPoolMessageFlow) {
+      const poolId = flowInfo.source.pool || flowInfo.target.pool;
+      const elementId = flowInfo.source.pool ? flowInfo.targetId : flowInfo.sourceId;
+      const elementCoord = coordinates.get(elementId);
+      if (!poolBounds.has(poolId) || !elementCoord) continue;
+      
+      const siblings = poolFlowsByElement.get(elementId);
+      const spread = (siblings.indexOf(flowId) + 1) / (siblings.length + 1);
+      flowWaypoints.set(flowId, routePoolMessageFlow(flowInfo, elementId, elementCoord, poolBounds.get(poolId), directions, coordinates, spread));
+    } else if (flowInfo.isMessageFlow) {
       // Route message flows with exit/entry side checking
       const sourceCoord = coordinates.get(flowInfo.sourceId);
       const targetCoord = coordinates.get(flowInfo.targetId);
@@ -956,22 +1326,27 @@ export function phase3(phase2Result, elements, lanes, directions, pools = new Ma
     mergeFlowsForHiddenGateways(flows, flowWaypoints, elements, coordinates);
   }
   
-  // Calculate pool bounds (encompassing all lanes in each pool)
-  const poolBounds = calculatePoolBounds(pools, laneBounds, coordinates, lanes);
-  
-  // Check for flow collisions (debugging)
-  if (flows.size > 0) {
-    checkFlowCollisions(flows, flowWaypoints, coordinates, flowInfos);
+  // Check for flow collisions (debugging), hidden merge gateways are no obstacles
+  const hiddenElementIds = new Set();
+  if (directions && directions.hideXorMergeGateways) {
+    for (const [elementId, element] of elements) {
+      if (isXorMergeGateway(element, flows)) hiddenElementIds.add(elementId);
+    }
   }
+  const flowCollisions = flows.size > 0
+    ? checkFlowCollisions(flows, flowWaypoints, coordinates, flowInfos, hiddenElementIds)
+    : [];
   
   // Check for column alignment issues
-  checkColumnAlignment(positions, coordinates, elements);
+  const columnAlignmentIssues = checkColumnAlignment(positions, coordinates, elements);
   
   return {
     coordinates,
     flowWaypoints,
     laneBounds,
-    poolBounds
+    poolBounds,
+    flowCollisions,
+    columnAlignmentIssues
   };
 }
 
@@ -989,6 +1364,7 @@ export function phase3(phase2Result, elements, lanes, directions, pools = new Ma
  * @returns {Object} - {x, y, width, height}
  */
 function calculateSinglePoolBounds(laneBounds, coordinates, directions) {
+  const metrics = getMetrics(directions);
   const isHorizontal = directions.alongLane === 'right';
   
   if (laneBounds.size === 0) {
@@ -1013,12 +1389,12 @@ function calculateSinglePoolBounds(laneBounds, coordinates, directions) {
     const POOL_MARGIN_RIGHT = 50;  // Margin inside pool
     const POOL_MARGIN_BOTTOM = 50;
     
-    // Pool starts at POOL_X_OFFSET (for lane labels)
-    // Width extends from POOL_X_OFFSET to rightmost element + margin
-    const poolWidth = (maxX - POOL_X_OFFSET) + POOL_MARGIN_RIGHT;
+    // Pool starts at poolXOffset (for lane labels)
+    // Width extends from poolXOffset to rightmost element + margin
+    const poolWidth = (maxX - metrics.poolXOffset) + POOL_MARGIN_RIGHT;
     
     return {
-      x: POOL_X_OFFSET,
+      x: metrics.poolXOffset,
       y: minY - POOL_MARGIN_TOP,
       width: poolWidth,
       height: (maxY - minY) + POOL_MARGIN_TOP + POOL_MARGIN_BOTTOM
@@ -1026,7 +1402,7 @@ function calculateSinglePoolBounds(laneBounds, coordinates, directions) {
   } else {
     // Vertical orientation (similar logic, swapped dimensions)
     const maxY = Math.max(...Array.from(coordinates.values()).map(p => p.y + p.height));
-    const poolHeight = maxY - POOL_X_OFFSET + 100;
+    const poolHeight = maxY - metrics.poolXOffset + 100;
     
     let poolWidth = 0;
     for (const bounds of laneBounds.values()) {
@@ -1034,84 +1410,89 @@ function calculateSinglePoolBounds(laneBounds, coordinates, directions) {
     }
     
     return {
-      x: LANE_LEFT_OFFSET,
-      y: POOL_X_OFFSET,
+      x: metrics.laneLeftOffset,
+      y: metrics.poolXOffset,
       width: poolWidth,
       height: poolHeight
     };
   }
 }
 
+// DI IDs follow the bpmn-js convention (made unique by injectBPMNDI)
+const defaultDiId = elementId => `${elementId}_di`;
+
 /**
  * Generate BPMN DI for pool shape
  * @param {string} poolId - Pool/Participant ID from BPMN XML
  * @param {Object} poolBounds - Pool bounds
  * @param {Object} directions - Direction mappings
+ * @param {Function} getDiId - Element ID → unique DI ID
  * @returns {string} - Pool DI XML
  */
-export function generatePoolDI(poolId, poolBounds, directions) {
+export function generatePoolDI(poolId, poolBounds, directions, getDiId = defaultDiId) {
   const isHorizontal = directions.alongLane === 'right';
   
-  return `      <bpmndi:BPMNShape id="${poolId}_di" bpmnElement="${poolId}" isHorizontal="${isHorizontal}">
+  return `      <bpmndi:BPMNShape id="${getDiId(poolId)}" bpmnElement="${poolId}" isHorizontal="${isHorizontal}">
         <dc:Bounds x="${poolBounds.x}" y="${poolBounds.y}" width="${poolBounds.width}" height="${poolBounds.height}" />
         <bpmndi:BPMNLabel />
       </bpmndi:BPMNShape>`;
 }
 
+/**
+ * DI bounds of a lane shape
+ * Vertical lanes run from below the pool label to the pool bottom.
+ * @param {Object} bounds - Lane bounds
+ * @param {Object} poolBound - Bounds of the lane's pool
+ * @param {number} nestingLevel - Number of parent lanes
+ * @param {boolean} isHorizontal - Horizontal lane orientation
+ * @returns {Object} - {x, y, width, height}
+ */
+export function getLaneShapeBounds(bounds, poolBound, nestingLevel, isHorizontal) {
+  const PARENT_LANE_LABEL_WIDTH = 30;  // Width for parent lane labels
+  const CHILD_LANE_INDENT = 30;         // Additional indent for child lanes
+  
+  if (isHorizontal) {
+    // Use X from laneBounds (already calculated with correct offsets)
+    return {
+      x: bounds.x || (poolBound.x + PARENT_LANE_LABEL_WIDTH),
+      y: bounds.y,
+      width: bounds.width || (poolBound.width - PARENT_LANE_LABEL_WIDTH),
+      height: bounds.height
+    };
+  }
+  
+  const y = poolBound.y + PARENT_LANE_LABEL_WIDTH + nestingLevel * CHILD_LANE_INDENT;
+  return { x: bounds.x, y, width: bounds.width, height: poolBound.y + poolBound.height - y };
+}
+
 /**
  * Generate BPMN DI for lane shapes
  * @param {Map} lanes - Lane map
  * @param {Map} laneBounds - Lane bounds
  * @param {Object} poolBounds - Pool bounds (for width calculation)
  * @param {Object} directions - Direction mappings
+ * @param {Function} getDiId - Element ID → unique DI ID
  * @returns {string} - Lane DI XML
  */
-export function generateLaneDI(lanes, laneBounds, poolBounds, directions) {
+export function generateLaneDI(lanes, laneBounds, poolBounds, directions, getDiId = defaultDiId) {
   const shapes = [];
   const isHorizontal = directions.alongLane === 'right';
   
-  const PARENT_LANE_LABEL_WIDTH = 30;  // Width for parent lane labels
-  const CHILD_LANE_INDENT = 30;         // Additional indent for child lanes
-  
-  if (isHorizontal) {
-    // Horizontal orientation - use actual lane positions
-    for (const [laneId, lane] of lanes) {
-      const bounds = laneBounds.get(laneId);
-      if (!bounds) continue;
-      
-      // Get pool bounds for this lane (if poolBounds is a Map)
-      const poolBound = poolBounds instanceof Map 
-        ? poolBounds.get(lane.poolId) 
-        : poolBounds;
-      
-      if (!poolBound) continue;
-      
-      // Use X from laneBounds (already calculated with correct offsets)
-      const laneX = bounds.x || (poolBound.x + PARENT_LANE_LABEL_WIDTH);
-      const laneWidth = bounds.width || (poolBound.width - PARENT_LANE_LABEL_WIDTH);
-      
-      shapes.push(
-        `      <bpmndi:BPMNShape id="${laneId}_di" bpmnElement="${laneId}" isHorizontal="true">`,
-        `        <dc:Bounds x="${laneX}" y="${bounds.y}" width="${laneWidth}" height="${bounds.height}" />`,
-        `      </bpmndi:BPMNShape>`
-      );
-    }
-  } else {
-    // Vertical orientation
-    let laneX = LANE_LEFT_OFFSET;
-    
-    for (const [laneId, lane] of lanes) {
-      const bounds = laneBounds.get(laneId);
-      if (!bounds) continue;
-      
-      shapes.push(
-        `      <bpmndi:BPMNShape id="${laneId}_di" bpmnElement="${laneId}" isHorizontal="false">`,
-        `        <dc:Bounds x="${laneX}" y="${POOL_X_OFFSET + 30}" width="${bounds.width}" height="${poolBounds.height - 30}" />`,
-        `      </bpmndi:BPMNShape>`
-      );
-      
-      laneX += bounds.width;
-    }
+  for (const [laneId, lane] of lanes) {
+    const bounds = laneBounds.get(laneId);
+    // Get pool bounds for this lane (if poolBounds is a Map)
+    const poolBound = poolBounds instanceof Map ? poolBounds.get(lane.poolId) : poolBounds;
+    if (!bounds || !poolBound) continue;
+    
+    let nestingLevel = 0;
+    for (let parent = lane.parentLane; parent; parent = lanes.get(parent)?.parentLane) nestingLevel++;
+    const { x, y, width, height } = getLaneShapeBounds(bounds, poolBound, nestingLevel, isHorizontal);
+    
+    shapes.push(
+      `      <bpmndi:BPMNShape id="${getDiId(laneId)}" bpmnElement="${laneId}" isHorizontal="${isHorizontal}">`,
+      `        <dc:Bounds x="${x}" y="${y}" width="${width}" height="${height}" />`,
+      `      </bpmndi:BPMNShape>`
+    );
   }
   
   return shapes.join('\n');
@@ -1124,9 +1505,10 @@ export function generateLaneDI(lanes, laneBounds, poolBounds, directions) {
  * @param {Map} flowWaypoints - Flow waypoints
  * @param {Map} flows - Flow map
  * @param {Map} elements - Element map (to check element type)
+ * @param {Object} directions - Direction mappings (boundary event labels)
  * @returns {Object} - {x, y, width, height}
  */
-function calculateElementLabelPosition(elementId, coordinates, flowWaypoints, flows, elements) {
+function calculateElementLabelPosition(elementId, coordinates, flowWaypoints, flows, elements, directions) {
   const pos = coordinates.get(elementId);
   const element = elements.get(elementId);
   
@@ -1185,6 +1567,28 @@ function calculateElementLabelPosition(elementId, coordinates, flowWaypoints, fl
     };
   }
   
+  // Boundary events: label outside the host, before the exception flow
+  // (the flow leaves from the event center along crossLane and then turns alongLane)
+  if (element && element.attachedToRef) {
+    const labelWidth = 90;
+    const labelHeight = 20;
+    
+    if (!directions || directions.alongLane === 'right') {
+      return {
+        x: pos.x + pos.width / 2 - 5 - labelWidth,
+        y: pos.y + pos.height + 5,
+        width: labelWidth,
+        height: labelHeight
+      };
+    }
+    return {
+      x: pos.x + pos.width + 5,
+      y: pos.y + pos.height / 2 - 5 - labelHeight,
+      width: labelWidth,
+      height: labelHeight
+    };
+  }
+  
   // For non-gateway elements: check all sides for occupied flows
   const elementCenter = {
     x: pos.x + pos.width / 2,
@@ -1281,7 +1685,7 @@ function calculateElementLabelPosition(elementId, coordinates, flowWaypoints, fl
  * @param {Map} flows - Flows map
  * @returns {boolean} - True if XOR merge gateway
  */
-function isXorMergeGateway(element, flows) {
+export function isXorMergeGateway(element, flows) {
   // Must be an exclusive gateway
   if (element.type !== 'exclusiveGateway') return false;
   
@@ -1294,7 +1698,17 @@ function isXorMergeGateway(element, flows) {
   return true;
 }
 
-export function generateElementDI(elements, coordinates, flowWaypoints, flows, directions) {
+/**
+ * Generate BPMN DI shapes for flow nodes, sub-processes and artifacts
+ * @param {Map} elements - Element map
+ * @param {Map} coordinates - Element coordinates
+ * @param {Map} flowWaypoints - Flow waypoints (label placement)
+ * @param {Map} flows - Flow map
+ * @param {Object} directions - Direction mappings
+ * @param {Function} getDiId - Element ID → unique DI ID
+ * @returns {string} - Shape DI XML
+ */
+export function generateElementDI(elements, coordinates, flowWaypoints, flows, directions, getDiId = defaultDiId) {
   let xml = '';
   
   for (const [elementId, element] of elements) {
@@ -1306,10 +1720,26 @@ export function generateElementDI(elements, coordinates, flowWaypoints, flows, d
       continue; // Don't render this gateway
     }
     
+    // Collapsed sub-processes state it explicitly, exclusive gateways show their "X" marker
+    let attributes = '';
+    if (['subProcess', 'transaction', 'adHocSubProcess'].includes(element.type)) {
+      attributes = ` isExpanded="${Boolean(element.isExpanded)}"`;
+    } else if (element.type === 'exclusiveGateway') {
+      attributes = ' isMarkerVisible="true"';
+    }
+    
+    // Expanded sub-processes and text annotations: text is drawn inside the shape
+    if (element.isExpanded || element.type === 'textAnnotation') {
+      xml += `    <bpmndi:BPMNShape id="${getDiId(elementId)}" bpmnElement="${elementId}"${attributes}>\n`;
+      xml += `      <dc:Bounds x="${coord.x}" y="${coord.y}" width="${coord.width}" height="${coord.height}"/>\n`;
+      xml += `    </bpmndi:BPMNShape>\n`;
+      continue;
+    }
+    
     // Calculate label position
-    const labelBounds = calculateElementLabelPosition(elementId, coordinates, flowWaypoints, flows, elements);
+    const labelBounds = calculateElementLabelPosition(elementId, coordinates, flowWaypoints, flows, elements, directions);
     
-    xml += `    <bpmndi:BPMNShape bpmnElement="${elementId}">\n`;
+    xml += `    <bpmndi:BPMNShape id="${getDiId(elementId)}" bpmnElement="${elementId}"${attributes}>\n`;
     xml += `      <dc:Bounds x="${coord.x}" y="${coord.y}" width="${coord.width}" height="${coord.height}"/>\n`;
     xml += `      <bpmndi:BPMNLabel>\n`;
     xml += `        <dc:Bounds x="${labelBounds.x}" y="${labelBounds.y}" width="${labelBounds.width}" height="${labelBounds.height}" />\n`;
@@ -1407,13 +1837,8 @@ function calculateEdgeLabelPosition(flow, waypoints, elements, coordinates, flow
   // Gateway OUTPUT → unified positioning rules
   const LABEL_OFFSET = 0;  // No offset - labels directly at waypoint
   
-  // Calculate dynamic label width based on text length
-  // Approximate: 7 pixels per character + 10px padding
-  const textLength = flow.name ? flow.name.length : 10;
-  const LABEL_WIDTH = Math.max(50, textLength * 7 + 10);  // Minimum 50px
-  
-  // Set label height based on estimated width (wider labels might wrap to 2 lines)
-  const LABEL_HEIGHT = LABEL_WIDTH > 120 ? 40 : 20;
+  // Dynamic label size based on text length (the same size the variable columns make room for)
+  const { width: LABEL_WIDTH, height: LABEL_HEIGHT } = getEdgeLabelSize(flow.name);
   
   // Get first waypoint (arrow exit point)
   const wp1 = waypoints[0];
@@ -1451,33 +1876,8 @@ function calculateEdgeLabelPosition(flow, waypoints, elements, coordinates, flow
   // Check if multiple cross-lane outputs from this gateway go in the same direction
   // If yes: use corridor positioning (at knick)
   // If no: use individual waypoint (near gateway)
-  let crossLaneOutputsDown = 0;
-  let crossLaneOutputsUp = 0;
-  
-  if (flowInfos && flowWaypoints) {
-    const gatewayLane = flowInfo?.source?.lane;
-    
-    for (const [otherFlowId, otherFlowInfo] of flowInfos) {
-      const otherFlow = flows.get(otherFlowId);
-      if (otherFlow && otherFlow.sourceRef === flow.sourceRef) {
-        const otherTargetLane = otherFlowInfo.target?.lane;
-        
-        // Check if this is a cross-lane flow
-        if (gatewayLane && otherTargetLane && gatewayLane !== otherTargetLane) {
-          // Determine direction based on exitSide
-          const otherExitSide = otherFlowInfo.source?.exitSide;
-          if (otherExitSide === 'down') {
-            crossLaneOutputsDown++;
-          } else if (otherExitSide === 'up') {
-            crossLaneOutputsUp++;
-          }
-        }
-      }
-    }
-  }
-  
-  // Check if multiple cross-lane outputs in same direction
-  let hasConvergingOutputs = crossLaneOutputsDown >= 2 || crossLaneOutputsUp >= 2;
+  const hasConvergingOutputs = Boolean(flowInfos && flowWaypoints) &&
+    hasConvergingCrossLaneOutputs(flow.sourceRef, flowInfo?.source?.lane, flows, flowInfos);
   
   // Determine label reference X
   let labelReferenceX;
@@ -1525,14 +1925,13 @@ function calculateEdgeLabelPosition(flow, waypoints, elements, coordinates, flow
     if (shouldUseCorridor && hasConvergingOutputs) {
       // Multiple outputs converging: label at corridor (knick), below to prevent collision
       const secondLastWp = waypoints[waypoints.length - 2];
-      labelX = wp1.x - 20;  // Shift left to align text properly
+      labelX = wp1.x - CORRIDOR_LABEL_SHIFT;  // Shift left to align text properly
       labelY = secondLastWp.y + 10;   // More spacing below flow
       // Use fixed width for consistent rendering by bpmn.io
-      const FIXED_CORRIDOR_WIDTH = 150;
       return {
         x: labelX,
         y: labelY,
-        width: FIXED_CORRIDOR_WIDTH,
+        width: CORRIDOR_LABEL_WIDTH,
         height: LABEL_HEIGHT
       };
     } else {
@@ -1580,16 +1979,18 @@ function calculateEdgeLabelPosition(flow, waypoints, elements, coordinates, flow
  * @param {Map} elements - Element map
  * @param {Map} coordinates - Element coordinates
  * @param {Map} flowInfos - Flow infos from Phase 2 (contains exitSide)
+ * @param {Object} directions - Direction mappings
+ * @param {Function} getDiId - Flow ID → unique DI ID
  * @returns {string} - BPMN DI XML string
  */
-export function generateFlowDI(flows, flowWaypoints, elements, coordinates, flowInfos, directions) {
+export function generateFlowDI(flows, flowWaypoints, elements, coordinates, flowInfos, directions, getDiId = defaultDiId) {
   let xml = '';
   
   for (const [flowId, flow] of flows) {
     const waypoints = flowWaypoints.get(flowId);
     if (!waypoints || waypoints.length === 0) continue;
     
-    xml += `    <bpmndi:BPMNEdge bpmnElement="${flowId}">\n`;
+    xml += `    <bpmndi:BPMNEdge id="${getDiId(flowId)}" bpmnElement="${flowId}">\n`;
     
     for (const waypoint of waypoints) {
       xml += `      <di:waypoint x="${waypoint.x}" y="${waypoint.y}"/>\n`;
@@ -1611,7 +2012,66 @@ export function generateFlowDI(flows, flowWaypoints, elements, coordinates, flow
 }
 
 /**
- * Inject BPMN DI into existing BPMN XML
+ * Calculate the label bounds written by generateElementDI / generateFlowDI
+ * (for callers that apply the layout to a model instead of generating XML)
+ * @param {Map} elements - Element map
+ * @param {Map} flows - Flow map
+ * @param {Map} coordinates - Element coordinates
+ * @param {Map} flowWaypoints - Flow waypoints
+ * @param {Map} flowInfos - Flow infos from Phase 2 (contains exitSide)
+ * @param {Object} directions - Direction mappings
+ * @returns {Map} - elementId/flowId → {x, y, width, height}
+ */
+export function calculateLabelBounds(elements, flows, coordinates, flowWaypoints, flowInfos, directions) {
+  const labelBounds = new Map();
+  
+  for (const [elementId, element] of elements) {
+    if (!coordinates.has(elementId)) continue;
+    if (directions.hideXorMergeGateways && isXorMergeGateway(element, flows)) continue;
+    if (element.isExpanded || element.type === 'textAnnotation') continue; // Text inside the shape
+    
+    labelBounds.set(elementId, calculateElementLabelPosition(elementId, coordinates, flowWaypoints, flows, elements, directions));
+  }
+  
+  for (const [flowId, flow] of flows) {
+    const waypoints = flowWaypoints.get(flowId);
+    if (!flow.name || !waypoints || waypoints.length === 0) continue;
+    
+    const flowInfo = flowInfos ? flowInfos.get(flowId) : null;
+    labelBounds.set(flowId, calculateEdgeLabelPosition(flow, waypoints, elements, coordinates, flows, flowInfo, flowInfos, flowWaypoints));
+  }
+  
+  return labelBounds;
+}
+
+// Namespaces of the generated DI (prefix → URI)
+const DI_NAMESPACES = [['bpmndi', NS.BPMNDI], ['dc', NS.DC], ['di', NS.DI]];
+
+// Required on <definitions> by the BPMN 2.0 schema (the value bpmn-js writes)
+const DEFAULT_TARGET_NAMESPACE = 'http://bpmn.io/schema/bpmn';
+
+/**
+ * Create a generator for IDs that are unique in the document
+ * @param {Set} takenIds - IDs already used in the document
+ * @returns {Function} - Preferred ID → unique ID (preferred ID, else with a numeric suffix)
+ */
+function createIdGenerator(takenIds) {
+  const used = new Set(takenIds);
+  return preferredId => {
+    let id = preferredId;
+    for (let i = 2; used.has(id); i++) id = `${preferredId}_${i}`;
+    used.add(id);
+    return id;
+  };
+}
+
+/**
+ * Inject the BPMN DI into the BPMN XML
+ * One BPMNDiagram per plane (see diagram-planes.js). Each plane references the real collaboration,
+ * process or sub-process, all DI IDs are unique in the document, and missing DI namespace declarations
+ * and the targetNamespace are added to <definitions>, so the output validates against the BPMN 2.0 schema.
+ * The existing BPMNDiagrams are replaced. Everything else is kept byte for byte, except for
+ * elements pre-processing removed from the model (see semantic-edits.js).
  * @param {string} bpmnXml - Original BPMN XML
  * @param {Map} elements - Element map
  * @param {Map} flows - Flow map
@@ -1619,181 +2079,132 @@ export function generateFlowDI(flows, flowWaypoints, elements, coordinates, flow
  * @param {Map} coordinates - Element coordinates
  * @param {Map} flowWaypoints - Flow waypoints
  * @param {Map} laneBounds - Lane bounds
+ * @param {Object} directions - Direction mappings
  * @param {Map} flowInfos - Flow infos from Phase 2
+ * @param {Map} pools - Pool map
+ * @param {Map} poolBounds - Pool bounds
+ * @param {Array} planes - Diagram planes [{id, type, elements, lanes, pools}] (default: one plane with everything)
  * @returns {string} - BPMN XML with DI
  */
-/**
- * Remove deleted elements and flows from BPMN XML
- * (Elements/flows that were removed during pre-processing)
- * @param {string} bpmnXml - Original BPMN XML
- * @param {Map} elements - Processed elements map
- * @param {Map} flows - Processed flows map
- * @returns {string} - Cleaned BPMN XML
- */
-function removeDeletedElementsFromXML(bpmnXml, elements, flows) {
-  let cleanedXml = bpmnXml;
+export function injectBPMNDI(bpmnXml, elements, flows, lanes, coordinates, flowWaypoints, laneBounds, directions, flowInfos, pools = new Map(), poolBounds = new Map(), planes = [{ id: null, type: null, elements, lanes, pools }]) {
+  const root = parseXMLDocument(bpmnXml, {
+    fallbackNamespaces: { '': NS.BPMN, bpmn: NS.BPMN, bpmndi: NS.BPMNDI, dc: NS.DC, di: NS.DI }
+  }).root;
+  if (!root) return bpmnXml;
+  const nodes = getDescendantElements(root);
+  
+  // Removed from the model by pre-processing (no longer in the map); hidden XOR merge
+  // gateways stay in the model and are only left out of the DI
+  const removedIds = new Set();
+  for (const node of nodes) {
+    const id = node.attributes.id;
+    if (!id || node.namespaceURI !== NS.BPMN || !isElementType(node.localName)) continue;
+    if (!elements.has(id)) removedIds.add(id);
+  }
   
-  // Find all element IDs in the XML
-  const elementRegex = /<bpmn:(task|userTask|serviceTask|manualTask|sendTask|receiveTask|scriptTask|businessRuleTask|callActivity|exclusiveGateway|parallelGateway|inclusiveGateway|startEvent|endEvent|intermediateThrowEvent|intermediateCatchEvent|boundaryEvent)[^>]+id="([^"]+)"[^>]*(?:\/>|>[\s\S]*?<\/bpmn:\1>)/g;
-  let match;
-  const xmlElementIds = [];
+  // Edits as [offset, deleteCount, text], applied back to front
+  const edits = getRemovalEdits(bpmnXml, nodes, removedIds, flows);
   
-  while (match = elementRegex.exec(bpmnXml)) {
-    xmlElementIds.push({id: match[2], fullMatch: match[0]});
+  // The existing diagrams are replaced: their IDs are free again
+  const existingDiagrams = getChildElements(root, NS.BPMNDI, 'BPMNDiagram');
+  const isInExistingDiagram = node => existingDiagrams.some(diagram => node.start >= diagram.start && node.end <= diagram.end);
+  const takenIds = new Set();
+  for (const node of nodes) {
+    if (node.attributes.id && !removedIds.has(node.attributes.id) && !isInExistingDiagram(node)) {
+      takenIds.add(node.attributes.id);
+    }
   }
+  const generateId = createIdGenerator(takenIds);
+  const getDiId = elementId => generateId(`${elementId}_di`);
+  
+  // Plane elements: sub-processes and processes by ID; the collaboration if the pools are real
+  // participants, else the laid out process
+  const collaboration = getChildElements(root, NS.BPMN, 'collaboration')[0];
+  const participantIds = new Set((collaboration ? getChildElements(collaboration, NS.BPMN, 'participant') : [])
+    .map(participant => participant.attributes.id));
+  const processes = getChildElements(root, NS.BPMN, 'process');
+  const getPlaneOwner = plane => {
+    if (plane.type === 'subProcess') {
+      return nodes.find(node => node.namespaceURI === NS.BPMN && node.attributes.id === plane.id);
+    }
+    if (plane.type === 'process') {
+      return processes.find(process => (process.attributes.id || null) === plane.id);
+    }
+    if (collaboration && participantIds.size > 0) return collaboration;
+    return processes.find(process => getDescendantElements(process)
+      .some(node => plane.elements.has(node.attributes.id))) || processes[0];
+  };
   
-  // Remove elements that are not in the processed elements map
-  for (const {id, fullMatch} of xmlElementIds) {
-    if (!elements.has(id)) {
-      // Element was removed during pre-processing - remove from XML
-      cleanedXml = cleanedXml.replace(fullMatch, '');
-      
-      // Also remove flowNodeRef from lane
-      const flowNodeRefRegex = new RegExp(`\\s*<bpmn:flowNodeRef>${id}</bpmn:flowNodeRef>\\s*`, 'g');
-      cleanedXml = cleanedXml.replace(flowNodeRefRegex, '\n');
+  const rootTagEnd = root.contentStart - 1; // Position of the '>' of <definitions>
+  const rootAttributes = [];
+  let diagramNamespaces = '';
+  for (const [prefix, uri] of DI_NAMESPACES) {
+    const declared = root.namespaces && root.namespaces.get(prefix);
+    if (declared === undefined) {
+      rootAttributes.push(`xmlns:${prefix}="${uri}"`);
+    } else if (declared !== uri) {
+      // Prefix taken for something else: declare it on the diagram
+      diagramNamespaces += ` xmlns:${prefix}="${uri}"`;
     }
   }
-  
-  // Find all flow IDs in the XML
-  const flowRegex = /<bpmn:sequenceFlow[^>]+id="([^"]+)"[^>]*(?:\/>|>[\s\S]*?<\/bpmn:sequenceFlow>)/g;
-  const xmlFlowIds = [];
-  
-  while (match = flowRegex.exec(bpmnXml)) {
-    xmlFlowIds.push({id: match[1], fullMatch: match[0]});
+  if (root.attributes.targetNamespace === undefined) {
+    rootAttributes.push(`targetNamespace="${DEFAULT_TARGET_NAMESPACE}"`);
   }
-  
-  // Remove flows that are not in the processed flows map
-  for (const {id, fullMatch} of xmlFlowIds) {
-    if (!flows.has(id)) {
-      // Flow was removed during pre-processing - remove from XML
-      cleanedXml = cleanedXml.replace(fullMatch, '');
-    }
+  if (rootAttributes.length > 0) {
+    // One attribute per line if the start tag is written that way
+    const startTag = bpmnXml.slice(root.start, rootTagEnd);
+    const separator = startTag.includes('\n')
+      ? '\n' + startTag.slice(startTag.lastIndexOf('\n') + 1).match(/^\s*/)[0]
+      : ' ';
+    edits.push([rootTagEnd, 0, rootAttributes.map(attribute => separator + attribute).join('')]);
   }
   
-  // Update flow attributes (sourceRef, targetRef) to match processed flows
-  // This is needed when flows are redirected (e.g., XOR merge gateway removal)
-  for (const [flowId, flow] of flows) {
-    const flowMatch = cleanedXml.match(new RegExp(`<bpmn:sequenceFlow[^>]+id="${flowId}"[^>]*(?:/>|>[\\s\\S]*?</bpmn:sequenceFlow>)`));
-    if (flowMatch) {
-      const originalFlow = flowMatch[0];
-      // Update sourceRef and targetRef to match processed flow
-      let updatedFlow = originalFlow
-        .replace(/sourceRef="[^"]+"/, `sourceRef="${flow.sourceRef}"`)
-        .replace(/targetRef="[^"]+"/, `targetRef="${flow.targetRef}"`);
-      cleanedXml = cleanedXml.replace(originalFlow, updatedFlow);
+  const diagrams = planes.map((plane, index) => {
+    const planeOwner = getPlaneOwner(plane);
+    let planeElement = planeOwner ? planeOwner.attributes.id : undefined;
+    if (planeOwner && !planeElement) {
+      planeElement = generateId(planeOwner === collaboration ? 'Collaboration_1' : 'Process_1');
+      edits.push([planeOwner.start + 1 + planeOwner.name.length, 0, ` id="${planeElement}"`]);
     }
-  }
-  
-  // Clean up empty lines and extra whitespace
-  cleanedXml = cleanedXml.replace(/\n\s*\n/g, '\n');
-  
-  return cleanedXml;
-}
-
-export function injectBPMNDI(bpmnXml, elements, flows, lanes, coordinates, flowWaypoints, laneBounds, directions, flowInfos, pools = new Map(), poolBounds = new Map()) {
-  // Fix collaboration/process order if needed (collaboration must come before process for pool labels to work)
-  let reorderedXml = bpmnXml;
-  const collaborationMatch = bpmnXml.match(/<bpmn:collaboration[\s\S]*?<\/bpmn:collaboration>/);  
-  const processMatch = bpmnXml.match(/<bpmn:process[\s\S]*?<\/bpmn:process>/);
-  
-  if (collaborationMatch && processMatch) {
-    const collaborationPos = bpmnXml.indexOf(collaborationMatch[0]);
-    const processPos = bpmnXml.indexOf(processMatch[0]);
-    
-    // If process comes before collaboration, swap them
-    if (processPos < collaborationPos) {
-      // Extract both sections
-      const collaborationOriginal = collaborationMatch[0];
-      const process = processMatch[0];
-      
-      // Add id="Collaboration_1" if missing
-      let collaboration = collaborationOriginal;
-      if (!collaboration.match(/<bpmn:collaboration[^>]*\sid=/)) {
-        collaboration = collaboration.replace('<bpmn:collaboration', '<bpmn:collaboration id="Collaboration_1"');
+    
+    // Generate DI XML for the pools of the document (not the implicit pool of a lane-only process)
+    let poolDI = '';
+    for (const [poolId] of plane.pools) {
+      const bounds = poolBounds.get(poolId);
+      if (bounds && participantIds.has(poolId)) {
+        poolDI += generatePoolDI(poolId, bounds, directions, getDiId) + '\n';
       }
-      
-      // Remove both from XML (use original for matching)
-      reorderedXml = bpmnXml.replace(collaborationOriginal, '').replace(process, '');
-      
-      // Find the definitions tag and insert collaboration first, then process
-      const definitionsEnd = reorderedXml.indexOf('<bpmn:process') !== -1 ? 
-        reorderedXml.indexOf('<bpmn:process') : 
-        reorderedXml.indexOf('</bpmn:definitions>');
-      
-      reorderedXml = reorderedXml.substring(0, definitionsEnd) + 
-        '  ' + collaboration + '\n  ' + process + '\n' + 
-        reorderedXml.substring(definitionsEnd);
     }
-  }
-  
-  // Remove deleted elements/flows from XML first
-  const cleanedXml = removeDeletedElementsFromXML(reorderedXml, elements, flows);
-  
-  // Generate DI XML for all pools
-  let poolDI = '';
-  for (const [poolId, pool] of pools) {
-    const bounds = poolBounds.get(poolId);
-    if (bounds) {
-      poolDI += generatePoolDI(poolId, bounds, directions);
+    const planeFlows = new Map();
+    for (const [flowId, flow] of flows) {
+      if (plane.elements.has(flow.sourceRef) || plane.elements.has(flow.targetRef)) planeFlows.set(flowId, flow);
     }
-  }
-  const laneDI = generateLaneDI(lanes, laneBounds, poolBounds, directions);
-  const elementDI = generateElementDI(elements, coordinates, flowWaypoints, flows, directions);
-  const flowDI = generateFlowDI(flows, flowWaypoints, elements, coordinates, flowInfos, directions);
-  
-  // Check if DI already exists
-  if (cleanedXml.includes('<bpmndi:BPMNDiagram')) {
-    // Replace existing DI
-    const diStart = cleanedXml.indexOf('<bpmndi:BPMNDiagram');
-    const diEnd = cleanedXml.indexOf('</bpmndi:BPMNDiagram>') + '</bpmndi:BPMNDiagram>'.length;
-    
-    // If pools exist, BPMNPlane should reference Collaboration, not Process
-    const planeElement = pools.size > 0 ? 'Collaboration_1' : 'Process_1';
-    
-    const newDI = `  <bpmndi:BPMNDiagram id="BPMNDiagram_1">
-    <bpmndi:BPMNPlane bpmnElement="${planeElement}">
-${poolDI ? poolDI + '\n' : ''}${laneDI}
-${elementDI}${flowDI}    </bpmndi:BPMNPlane>
+    const laneDI = generateLaneDI(plane.lanes, laneBounds, poolBounds, directions, getDiId);
+    const elementDI = generateElementDI(plane.elements, coordinates, flowWaypoints, flows, directions, getDiId);
+    const flowDI = generateFlowDI(planeFlows, flowWaypoints, elements, coordinates, flowInfos, directions, getDiId);
+    
+    const planeAttributes = planeElement ? ` bpmnElement="${planeElement}"` : '';
+    return `<bpmndi:BPMNDiagram id="${generateId(`BPMNDiagram_${index + 1}`)}"${diagramNamespaces}>
+    <bpmndi:BPMNPlane id="${generateId(`BPMNPlane_${index + 1}`)}"${planeAttributes}>
+${poolDI}${laneDI ? laneDI + '\n' : ''}${elementDI}${flowDI}    </bpmndi:BPMNPlane>
   </bpmndi:BPMNDiagram>`;
-    
-    return cleanedXml.substring(0, diStart) + newDI + cleanedXml.substring(diEnd);
+  });
+  const newDI = diagrams.join('\n  ');
+  
+  if (existingDiagrams.length > 0) {
+    // Replace the existing diagrams: the new ones take the place of the first
+    edits.push([existingDiagrams[0].start, existingDiagrams[0].end - existingDiagrams[0].start, newDI]);
+    for (const diagram of existingDiagrams.slice(1)) {
+      const [start, end] = getRemovalRange(bpmnXml, diagram);
+      edits.push([start, end - start, '']);
+    }
   } else {
-    // Add new DI before closing </definitions>
-    const definitionsEnd = cleanedXml.lastIndexOf('</bpmn:definitions>');
-    
-    // If pools exist, BPMNPlane should reference Collaboration, not Process
-    const planeElement = pools.size > 0 ? 'Collaboration_1' : 'Process_1';
-    
-    const newDI = `  <bpmndi:BPMNDiagram id="BPMNDiagram_1">
-    <bpmndi:BPMNPlane bpmnElement="${planeElement}">
-${poolDI ? poolDI + '\n' : ''}${laneDI}
-${elementDI}${flowDI}    </bpmndi:BPMNPlane>
-  </bpmndi:BPMNDiagram>
-`;
-    
-    return cleanedXml.substring(0, definitionsEnd) + newDI + cleanedXml.substring(definitionsEnd);
-  }
-}
-
-/**
- * Main layout function - combines all phases
- * @param {string} bpmnXml - Input BPMN XML
- * @param {Object} config - Configuration
- * @returns {Object} - {success, bpmnXml, errors}
- */
-export function layoutBPMN(bpmnXml, config = {}) {
-  try {
-    // TODO: Import and call Phase 1 and Phase 2
-    // For now, this is a placeholder
-    
-    return {
-      success: false,
-      errors: ['layoutBPMN not yet fully implemented - requires Phase 1 and Phase 2 integration']
-    };
-  } catch (error) {
-    return {
-      success: false,
-      errors: [error.message]
-    };
+    // Add new DI after the root elements (relationships follow the diagrams)
+    const relationship = getChildElements(root, NS.BPMN, 'relationship')[0];
+    edits.push(relationship
+      ? [relationship.start, 0, `${newDI}\n  `]
+      : [root.contentEnd, 0, `  ${newDI}\n`]);
   }
+  
+  return applyEdits(bpmnXml, edits);
 }
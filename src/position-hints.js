@@ -0,0 +1,263 @@
+/**
+ * Position Hints (stable layout)
+ *
+ * With config.stableLayout the DI of the input is used as a hint for Phase 2,
+ * so a small model change does not reshuffle the whole diagram:
+ * 1. extractPositionHints: old shapes → old logical layer and row
+ *    (columns and rows are recovered by clustering the shape centers)
+ * 2. applyLayerHints: after layer assignment every element goes back to its old
+ *    layer, unless its predecessors require a later one. The required distance
+ *    per flow comes from the fresh layout, so the flow shapes Phase 2 chose
+ *    (vertical cross-lane flows, gateway outputs in the gateway's layer, ...) stay valid.
+ * 3. applyRowHints: after row assignment every element goes back to its old row
+ *    in its lane; on a collision the element without hint moves to the next free row.
+ *
+ * Elements without previous DI (new elements) keep their fresh position
+ * relative to their predecessors.
+ */
+
+import { getMetrics } from './layout-metrics.js';
+
+/**
+ * Group shapes into ranks (columns or rows) along one axis
+ * A new rank starts when a center is more than `tolerance` away from the first
+ * center of the current rank. Empty ranks (e.g. a deleted element or a hidden
+ * merge gateway) are recovered from the free space between neighbouring ranks:
+ * the smallest free space counts as one rank step.
+ * @param {Array} items - [{id, center, extent}] on the axis
+ * @param {number} tolerance - Max center distance within one rank
+ * @param {number} referenceExtent - Standard element extent on the axis
+ * @returns {Map} - id → rank (0-based)
+ */
+function rankByPosition(items, tolerance, referenceExtent) {
+  const clusters = [];
+  for (const item of [...items].sort((a, b) => a.center - b.center)) {
+    const current = clusters[clusters.length - 1];
+    if (current && item.center - current.firstCenter <= tolerance) {
+      current.ids.push(item.id);
+      current.end = Math.max(current.end, item.center + item.extent / 2);
+    } else {
+      clusters.push({
+        ids: [item.id],
+        firstCenter: item.center,
+        start: item.center - item.extent / 2,
+        end: item.center + item.extent / 2
+      });
+    }
+  }
+
+  const gaps = [];
+  for (let i = 0; i < clusters.length - 1; i++) {
+    gaps.push(Math.max(0, clusters[i + 1].start - clusters[i].end));
+  }
+  const step = Math.min(...gaps) + referenceExtent;
+
+  const ranks = new Map();
+  let rank = 0;
+  clusters.forEach((cluster, i) => {
+    for (const id of cluster.ids) ranks.set(id, rank);
+    if (i < gaps.length) {
+      rank += Math.max(1, Math.round((gaps[i] + referenceExtent) / step));
+    }
+  });
+  return ranks;
+}
+
+/**
+ * Orientation of the previous DI, taken from its lanes and pools
+ * Their isHorizontal attribute, else their shape (horizontal lanes are wider than high).
+ * @param {Map} lanes - Lane map
+ * @param {Map} pools - Pool map
+ * @returns {boolean|null} - true: horizontal, false: vertical, null: no lane or pool DI
+ */
+function getDiOrientation(lanes, pools) {
+  let horizontal = 0;
+  let vertical = 0;
+  for (const container of [...lanes.values(), ...pools.values()]) {
+    const isHorizontal = container.diHorizontal ??
+      (container.diBounds ? container.diBounds.width >= container.diBounds.height : undefined);
+    if (isHorizontal === true) horizontal++;
+    if (isHorizontal === false) vertical++;
+  }
+  if (horizontal === 0 && vertical === 0) return null;
+  return horizontal >= vertical;
+}
+
+/**
+ * Recover old logical positions from the previous DI (element.diBounds)
+ * Rows are only recovered for elements whose old center lies inside the old
+ * bounds of their current lane (an element moved to another lane gets a fresh row).
+ * Layers and rows are read along the axes of the previous layout, so a layout in
+ * the other orientation keeps them too (its columns become rows and vice versa).
+ * @param {Map} elements - Element map (one graph level)
+ * @param {Map} lanes - Lane map
+ * @param {Map} elementLanes - elementId → laneId (after gateway lane assignment)
+ * @param {Object} directions - Direction mappings
+ * @param {Map} pools - Pool map (orientation of the previous DI)
+ * @returns {Map} - elementId → {layer, row?}
+ */
+export function extractPositionHints(elements, lanes, elementLanes, directions, pools = new Map()) {
+  const hints = new Map();
+  const metrics = getMetrics(directions);
+  // Axes of the previous layout (unknown without lane or pool DI: the requested ones)
+  const wasHorizontal = getDiOrientation(lanes, pools) ?? directions.alongLane === 'right';
+  const alongReference = wasHorizontal ? metrics.elementWidth : metrics.elementHeight;
+  const crossReference = wasHorizontal ? metrics.elementHeight : metrics.elementWidth;
+
+  // Old shapes on both axes (boundary events follow their host)
+  const along = [];
+  const cross = new Map();
+  for (const [elementId, element] of elements) {
+    if (!element.diBounds || element.attachedToRef) continue;
+    const { x, y, width, height } = element.diBounds;
+    const horizontalAxis = { id: elementId, center: x + width / 2, extent: width };
+    const verticalAxis = { id: elementId, center: y + height / 2, extent: height };
+    along.push(wasHorizontal ? horizontalAxis : verticalAxis);
+    cross.set(elementId, wasHorizontal ? verticalAxis : horizontalAxis);
+  }
+  if (along.length === 0) return hints;
+
+  // Layers: columns across all lanes
+  for (const [elementId, layer] of rankByPosition(along, alongReference / 2, alongReference)) {
+    hints.set(elementId, { layer });
+  }
+
+  // Rows: per lane, only for elements that were drawn inside that lane
+  const laneItems = new Map();
+  for (const [elementId, item] of cross) {
+    const laneId = elementLanes.get(elementId);
+    const lane = lanes.get(laneId);
+    const laneBounds = lane && lane.diBounds;
+    if (laneBounds) {
+      const start = wasHorizontal ? laneBounds.y : laneBounds.x;
+      const size = wasHorizontal ? laneBounds.height : laneBounds.width;
+      if (item.center < start || item.center > start + size) continue;
+    }
+    if (!laneItems.has(laneId)) laneItems.set(laneId, []);
+    laneItems.get(laneId).push(item);
+  }
+  for (const items of laneItems.values()) {
+    for (const [elementId, row] of rankByPosition(items, crossReference / 2, crossReference)) {
+      hints.get(elementId).row = row;
+    }
+  }
+
+  return hints;
+}
+
+/**
+ * Move elements back to their old layer where the graph allows it
+ * new layer = max(old layer, new layer of each predecessor + fresh distance)
+ * Elements without hint keep their fresh distance to their predecessors.
+ * @param {Map} positions - Positions after layer assignment (updated in place)
+ * @param {Map} hints - Result of extractPositionHints
+ * @param {Map} flows - Flow map
+ * @param {Set} backFlowSet - Back-edges and back-flows (no layer constraint)
+ */
+export function applyLayerHints(positions, hints, flows, backFlowSet) {
+  if (hints.size === 0) return;
+
+  // Boundary events are placed with their host
+  const nodeOf = elementId => {
+    const pos = positions.get(elementId);
+    return pos && pos.attachedTo ? pos.attachedTo : elementId;
+  };
+
+  // Constraints: forward sequence flows with their distance in the fresh layout
+  const outgoing = new Map();
+  const inDegree = new Map();
+  for (const [elementId, pos] of positions) {
+    if (pos.attachedTo) continue;
+    outgoing.set(elementId, []);
+    inDegree.set(elementId, 0);
+  }
+  for (const [flowId, flow] of flows) {
+    if (flow.type === 'messageFlow' || backFlowSet.has(flowId)) continue;
+    const sourceId = nodeOf(flow.sourceRef);
+    const targetId = nodeOf(flow.targetRef);
+    if (sourceId === targetId || !outgoing.has(sourceId) || !inDegree.has(targetId)) continue;
+
+    const distance = positions.get(targetId).layer - positions.get(sourceId).layer;
+    if (distance < 0) continue; // Drawn backwards anyway
+    outgoing.get(sourceId).push({ targetId, distance });
+    inDegree.set(targetId, inDegree.get(targetId) + 1);
+  }
+
+  // Topological order (remaining elements of a cycle follow in fresh layer order)
+  const order = [];
+  const queue = Array.from(inDegree.keys()).filter(elementId => inDegree.get(elementId) === 0);
+  while (queue.length > 0) {
+    const elementId = queue.shift();
+    order.push(elementId);
+    for (const { targetId } of outgoing.get(elementId)) {
+      inDegree.set(targetId, inDegree.get(targetId) - 1);
+      if (inDegree.get(targetId) === 0) queue.push(targetId);
+    }
+  }
+  const remaining = Array.from(inDegree.keys())
+    .filter(elementId => !order.includes(elementId))
+    .sort((a, b) => positions.get(a).layer - positions.get(b).layer);
+  order.push(...remaining);
+
+  // Lower bound per element from its already placed predecessors
+  const required = new Map();
+  const placed = new Set();
+  for (const elementId of order) {
+    const pos = positions.get(elementId);
+    const hint = hints.get(elementId);
+    const minLayer = required.get(elementId);
+
+    if (hint) {
+      pos.layer = Math.max(hint.layer, minLayer ?? 0);
+    } else if (minLayer !== undefined) {
+      pos.layer = minLayer;
+    }
+    placed.add(elementId);
+
+    for (const { targetId, distance } of outgoing.get(elementId)) {
+      if (placed.has(targetId)) continue;
+      required.set(targetId, Math.max(required.get(targetId) ?? 0, pos.layer + distance));
+    }
+  }
+}
+
+/**
+ * Move elements back to their old row in their lane
+ * Rows are normalized per lane first (hint rows start at 0). Elements with
+ * hint are placed first; an element whose row is taken in its cell moves to
+ * the next free row.
+ * @param {Map} positions - Positions after row assignment (updated in place)
+ * @param {Map} hints - Result of extractPositionHints
+ */
+export function applyRowHints(positions, hints) {
+  if (hints.size === 0) return;
+
+  // Fresh rows relative to the top row of each lane
+  const minRows = new Map();
+  for (const pos of positions.values()) {
+    if (pos.attachedTo) continue;
+    minRows.set(pos.lane, Math.min(minRows.get(pos.lane) ?? Infinity, pos.row));
+  }
+
+  const wanted = [];
+  for (const [elementId, pos] of positions) {
+    if (pos.attachedTo) continue;
+    const hint = hints.get(elementId);
+    const hasRowHint = Boolean(hint) && hint.row !== undefined;
+    wanted.push({
+      elementId,
+      hasRowHint,
+      row: hasRowHint ? hint.row : pos.row - minRows.get(pos.lane)
+    });
+  }
+  wanted.sort((a, b) => (b.hasRowHint - a.hasRowHint) || (a.row - b.row));
+
+  const occupied = new Set();
+  for (const { elementId, row } of wanted) {
+    const pos = positions.get(elementId);
+    let freeRow = row;
+    while (occupied.has(`${pos.lane}:${pos.layer}:${freeRow}`)) freeRow++;
+    occupied.add(`${pos.lane}:${pos.layer}:${freeRow}`);
+    pos.row = freeRow;
+  }
+}
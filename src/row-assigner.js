@@ -15,6 +15,7 @@ export function assignRows(positions, flows) {
   const groups = new Map(); // key: "lane:layer" -> [elementIds]
   
   for (const [elementId, pos] of positions) {
+    if (pos.attachedTo) continue; // Boundary events share their host's cell
     const key = `${pos.lane}:${pos.layer}`;
     if (!groups.has(key)) {
       groups.set(key, []);
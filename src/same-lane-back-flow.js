@@ -7,20 +7,18 @@
 
 import { isVerticalPathClear } from './path-checker.js';
 import { calculateConnectionPoint } from './phase3.js';
-
-// Constants
-const CORRIDOR_OFFSET = 25;
-const LAYER_OFFSET = 100;
-const ELEMENT_HEIGHT = 80;
+import { DEFAULT_METRICS, getMetrics } from './layout-metrics.js';
 
 /**
  * Calculate all corridor Y-values in a lane
  * @param {Object} laneBound - Lane bounds with y, height, maxRows
+ * @param {Object} metrics - Layout metrics (see layout-metrics.js)
  * @returns {Array} - Array of corridor Y-values
  */
-export function getCorridorsInLane(laneBound) {
+export function getCorridorsInLane(laneBound, metrics = DEFAULT_METRICS) {
+  const { corridorOffset, elementHeight } = metrics;
   const maxRows = laneBound.maxRows || 1;
-  const referenceHeight = ELEMENT_HEIGHT;
+  const referenceHeight = elementHeight;
   const paddingPerGap = (laneBound.height - maxRows * referenceHeight) / (maxRows + 1);
   
   // Calculate all row center Y-values
@@ -36,7 +34,7 @@ export function getCorridorsInLane(laneBound) {
   const corridors = [];
   
   // Lane-top corridor
-  corridors.push(laneBound.y + CORRIDOR_OFFSET);
+  corridors.push(laneBound.y + corridorOffset);
   
   // Corridors between rows
   for (let i = 0; i < rowYs.length - 1; i++) {
@@ -44,7 +42,7 @@ export function getCorridorsInLane(laneBound) {
   }
   
   // Lane-bottom corridor
-  corridors.push(laneBound.y + laneBound.height - CORRIDOR_OFFSET);
+  corridors.push(laneBound.y + laneBound.height - corridorOffset);
   
   return corridors;
 }
@@ -147,6 +145,7 @@ export function routeSameLaneBackFlow(flowInfo, sourceCoord, targetCoord, source
  * Route: Up → Left → Down → Right
  */
 function routeUpLeftDownRight(sourceCoord, targetCoord, directions, laneBounds) {
+  const { layerOffset } = getMetrics(directions);
   const waypoints = [];
   
   // Exit up
@@ -154,7 +153,7 @@ function routeUpLeftDownRight(sourceCoord, targetCoord, directions, laneBounds)
   waypoints.push(exitPoint);
   
   // Go up to nearest corridor
-  const corridors = getCorridorsInLane(laneBounds);
+  const corridors = getCorridorsInLane(laneBounds, getMetrics(directions));
   const corridorY = findNearestCorridor(sourceCoord.y, corridors, 'up');
   waypoints.push({
     x: exitPoint.x,
@@ -162,7 +161,7 @@ function routeUpLeftDownRight(sourceCoord, targetCoord, directions, laneBounds)
   });
   
   // Go left to target column
-  const targetX = targetCoord.x - LAYER_OFFSET / 2;
+  const targetX = targetCoord.x - layerOffset / 2;
   waypoints.push({
     x: targetX,
     y: corridorY
@@ -185,6 +184,7 @@ function routeUpLeftDownRight(sourceCoord, targetCoord, directions, laneBounds)
  * Route: Down → Left → Up → Right
  */
 function routeDownLeftUpRight(sourceCoord, targetCoord, directions, laneBounds) {
+  const { layerOffset } = getMetrics(directions);
   const waypoints = [];
   
   // Exit down
@@ -192,7 +192,7 @@ function routeDownLeftUpRight(sourceCoord, targetCoord, directions, laneBounds)
   waypoints.push(exitPoint);
   
   // Go down to nearest corridor
-  const corridors = getCorridorsInLane(laneBounds);
+  const corridors = getCorridorsInLane(laneBounds, getMetrics(directions));
   const corridorY = findNearestCorridor(sourceCoord.y, corridors, 'down');
   waypoints.push({
     x: exitPoint.x,
@@ -200,7 +200,7 @@ function routeDownLeftUpRight(sourceCoord, targetCoord, directions, laneBounds)
   });
   
   // Go left to target column
-  const targetX = targetCoord.x - LAYER_OFFSET / 2;
+  const targetX = targetCoord.x - layerOffset / 2;
   waypoints.push({
     x: targetX,
     y: corridorY
@@ -223,6 +223,7 @@ function routeDownLeftUpRight(sourceCoord, targetCoord, directions, laneBounds)
  * Route: Right → Up → Left → Right
  */
 function routeRightUpLeftRight(sourceCoord, targetCoord, directions, laneBounds) {
+  const { corridorOffset, layerOffset } = getMetrics(directions);
   const waypoints = [];
   
   // Exit right
@@ -230,14 +231,14 @@ function routeRightUpLeftRight(sourceCoord, targetCoord, directions, laneBounds)
   waypoints.push(exitPoint);
   
   // Go right to clear source
-  const corridorX = sourceCoord.x + sourceCoord.width + CORRIDOR_OFFSET;
+  const corridorX = sourceCoord.x + sourceCoord.width + corridorOffset;
   waypoints.push({
     x: corridorX,
     y: exitPoint.y
   });
   
   // Go up to nearest corridor
-  const corridors = getCorridorsInLane(laneBounds);
+  const corridors = getCorridorsInLane(laneBounds, getMetrics(directions));
   const corridorY = findNearestCorridor(sourceCoord.y, corridors, 'up');
   waypoints.push({
     x: corridorX,
@@ -245,7 +246,7 @@ function routeRightUpLeftRight(sourceCoord, targetCoord, directions, laneBounds)
   });
   
   // Go left to target column
-  const targetX = targetCoord.x - LAYER_OFFSET / 2;
+  const targetX = targetCoord.x - layerOffset / 2;
   waypoints.push({
     x: targetX,
     y: corridorY
@@ -268,6 +269,7 @@ function routeRightUpLeftRight(sourceCoord, targetCoord, directions, laneBounds)
  * Route: Right → Down → Left → Right
  */
 function routeRightDownLeftRight(sourceCoord, targetCoord, directions, laneBounds) {
+  const { corridorOffset, layerOffset } = getMetrics(directions);
   const waypoints = [];
   
   // Exit right
@@ -275,14 +277,14 @@ function routeRightDownLeftRight(sourceCoord, targetCoord, directions, laneBound
   waypoints.push(exitPoint);
   
   // Go right to clear source
-  const corridorX = sourceCoord.x + sourceCoord.width + CORRIDOR_OFFSET;
+  const corridorX = sourceCoord.x + sourceCoord.width + corridorOffset;
   waypoints.push({
     x: corridorX,
     y: exitPoint.y
   });
   
   // Go down to nearest corridor
-  const corridors = getCorridorsInLane(laneBounds);
+  const corridors = getCorridorsInLane(laneBounds, getMetrics(directions));
   const corridorY = findNearestCorridor(sourceCoord.y, corridors, 'down');
   waypoints.push({
     x: corridorX,
@@ -290,7 +292,7 @@ function routeRightDownLeftRight(sourceCoord, targetCoord, directions, laneBound
   });
   
   // Go left to target column
-  const targetX = targetCoord.x - LAYER_OFFSET / 2;
+  const targetX = targetCoord.x - layerOffset / 2;
   waypoints.push({
     x: targetX,
     y: corridorY
@@ -0,0 +1,132 @@
+/**
+ * Semantic XML Edits
+ *
+ * The BPMN DI is injected by splicing into the original document (offsets from xml-parser.js),
+ * so everything outside the DI - formatting, comments, documentation, conditions and
+ * extension elements - stays byte for byte as it was.
+ *
+ * The only semantic changes are removals pre-processing made to the model (XOR merge gateways
+ * removed with xorMergeGateways: false; hidden merge gateways stay in the model):
+ * - The element, its lane references (flowNodeRef) and its outgoing flow are removed
+ * - Flows into it are reconnected to their new target (targetRef and the target's incoming references)
+ * - References to removed flows are removed
+ * Removed lines are cut out completely, all other lines are untouched.
+ */
+
+import { NS, getTextContent } from './xml-parser.js';
+
+/**
+ * Range of a node to remove: the whole line if the node is alone on it
+ * @param {string} xml - XML string
+ * @param {Object} node - Parsed element node of xml
+ * @returns {Array} - [start, end]
+ */
+export function getRemovalRange(xml, node) {
+  const lineStart = xml.lastIndexOf('\n', node.start - 1) + 1;
+  const newline = xml.indexOf('\n', node.end);
+  const lineEnd = newline === -1 ? xml.length : newline + 1;
+  if (/^[ \t]*$/.test(xml.slice(lineStart, node.start)) && /^[ \t\r]*\n?$/.test(xml.slice(node.end, lineEnd))) {
+    return [lineStart, lineEnd];
+  }
+  return [node.start, node.end];
+}
+
+/**
+ * Edit that replaces the value of an attribute in the start tag of a node
+ * @returns {Array|null} - [offset, deleteCount, text], null if the attribute is missing
+ */
+function getAttributeEdit(xml, node, name, value) {
+  const startTag = xml.slice(node.start, node.contentStart);
+  const match = new RegExp(`\\s${name}\\s*=\\s*(["'])([^"']*)\\1`).exec(startTag);
+  if (!match) return null;
+  const valueStart = node.start + match.index + match[0].length - 1 - match[2].length;
+  return [valueStart, match[2].length, value];
+}
+
+/**
+ * Edits that remove elements from the semantic XML
+ * @param {string} xml - BPMN XML
+ * @param {Array} nodes - Parsed element nodes of xml (document order)
+ * @param {Set} removedIds - IDs of the removed flow nodes
+ * @param {Map} flows - Flow map (new targets of reconnected flows)
+ * @returns {Array} - Edits [offset, deleteCount, text], not overlapping
+ */
+export function getRemovalEdits(xml, nodes, removedIds, flows) {
+  if (removedIds.size === 0) return [];
+
+  const isBpmn = (node, localName) => node.namespaceURI === NS.BPMN && node.localName === localName;
+  const sequenceFlows = nodes.filter(node => isBpmn(node, 'sequenceFlow') && node.attributes.id);
+
+  // Outgoing flows of removed elements go with them, flows into them are reconnected
+  const removedFlowIds = new Set(sequenceFlows
+    .filter(node => removedIds.has(node.attributes.sourceRef))
+    .map(node => node.attributes.id));
+  const reconnected = [];
+  for (const node of sequenceFlows) {
+    const flow = flows.get(node.attributes.id);
+    if (removedFlowIds.has(node.attributes.id) || !removedIds.has(node.attributes.targetRef)) continue;
+    if (flow && flow.targetRef !== node.attributes.targetRef) reconnected.push({ node, targetRef: flow.targetRef });
+  }
+
+  const removedNodes = new Set(nodes.filter(node => removedIds.has(node.attributes.id) || removedFlowIds.has(node.attributes.id)));
+  const isInsideRemoved = node => {
+    for (let current = node; current; current = current.parent) {
+      if (removedNodes.has(current)) return true;
+    }
+    return false;
+  };
+
+  const edits = [];
+  for (const node of removedNodes) {
+    if (!isInsideRemoved(node.parent)) {
+      const [start, end] = getRemovalRange(xml, node);
+      edits.push([start, end - start, '']);
+    }
+  }
+
+  for (const { node, targetRef } of reconnected) {
+    if (isInsideRemoved(node)) continue;
+    const edit = getAttributeEdit(xml, node, 'targetRef', targetRef);
+    if (edit) edits.push(edit);
+  }
+
+  for (const node of nodes) {
+    if (isInsideRemoved(node)) continue;
+    const ref = getTextContent(node).trim();
+
+    if (isBpmn(node, 'flowNodeRef') && removedIds.has(ref)) {
+      const [start, end] = getRemovalRange(xml, node);
+      edits.push([start, end - start, '']);
+    } else if ((isBpmn(node, 'incoming') || isBpmn(node, 'outgoing')) && removedFlowIds.has(ref)) {
+      // The target of a removed flow is now entered by the reconnected flows
+      const targetId = node.parent && node.parent.attributes.id;
+      const replacements = isBpmn(node, 'incoming')
+        ? reconnected.filter(flow => flow.targetRef === targetId).map(flow => flow.node.attributes.id)
+        : [];
+      if (replacements.length === 0) {
+        const [start, end] = getRemovalRange(xml, node);
+        edits.push([start, end - start, '']);
+      } else {
+        const indent = xml.slice(xml.lastIndexOf('\n', node.start - 1) + 1, node.start);
+        const text = replacements.map(flowId => `<${node.name}>${flowId}</${node.name}>`).join(`\n${indent}`);
+        edits.push([node.start, node.end - node.start, text]);
+      }
+    }
+  }
+
+  return edits;
+}
+
+/**
+ * Apply edits to a string
+ * @param {string} xml - XML string
+ * @param {Array} edits - [offset, deleteCount, text], not overlapping
+ * @returns {string}
+ */
+export function applyEdits(xml, edits) {
+  let result = xml;
+  for (const [offset, deleteCount, text] of [...edits].sort((a, b) => b[0] - a[0])) {
+    result = result.slice(0, offset) + text + result.slice(offset + deleteCount);
+  }
+  return result;
+}
@@ -0,0 +1,296 @@
+/**
+ * Sub-Process Layout
+ *
+ * Expanded sub-processes are laid out bottom-up:
+ * 1. The inner graph of each sub-process runs through Phase 2 and Phase 3 on its own
+ *    (innermost sub-processes first, all inner elements in one virtual lane)
+ * 2. The container gets the size of its inner layout (element.layoutSize), so the
+ *    parent level places it as one large node
+ * 3. After the parent level is laid out, the inner layouts are moved into their
+ *    containers (outermost first)
+ *
+ * Collapsed sub-processes (config.collapseSubProcesses, or isExpanded="false" in the input DI)
+ * keep the size of a normal task; their inner graph is laid out on its own plane
+ * (see diagram-planes.js).
+ */
+
+import { phase2 } from './phase2.js';
+import { phase3 } from './phase3.js';
+import { isArtifact, isArtifactConnection } from './artifact-placement.js';
+
+const SUBPROCESS_TYPES = ['subProcess', 'transaction', 'adHocSubProcess'];
+
+// Space between container border and inner layout
+const SUBPROCESS_PADDING = 30;
+// Extra space at the top of an expanded container for its label
+const SUBPROCESS_LABEL_HEIGHT = 20;
+
+/**
+ * Check if element is a sub-process (subProcess, transaction, adHocSubProcess)
+ * @param {Object} element - Element from Phase 1
+ * @returns {boolean}
+ */
+export function isSubProcess(element) {
+  return Boolean(element) && SUBPROCESS_TYPES.includes(element.type);
+}
+
+/**
+ * Check if a sub-process is drawn collapsed
+ * @param {Object} element - Element from Phase 1
+ * @param {Object} config - Configuration (collapseSubProcesses)
+ * @returns {boolean}
+ */
+export function isCollapsedSubProcess(element, config = {}) {
+  return isSubProcess(element) && Boolean(config.collapseSubProcesses || element.diCollapsed);
+}
+
+/**
+ * Lane map for the content of a sub-process: all inner elements share one virtual lane
+ * @param {string} subProcessId - Sub-process id
+ * @param {Object} level - {elements, flows} from getGraphLevel
+ * @returns {Map} - laneId → lane
+ */
+export function createContentLanes(subProcessId, level) {
+  const laneId = `${subProcessId}_lane`;
+  return new Map([[laneId, {
+    id: laneId,
+    name: '',
+    elements: Array.from(level.elements.keys()),
+    poolId: null,
+    parentLane: null,
+    childLanes: []
+  }]]);
+}
+
+/**
+ * Extract one nesting level of the graph
+ * Flows belong to a level when both of their ends are on it, message flows to one of
+ * the given pools when their element end is on it.
+ * Data elements, artifacts and their associations are placed after Phase 3 and left out.
+ * @param {Map} elements - Element map
+ * @param {Map} flows - Flow map
+ * @param {string|null} parentId - Sub-process id, or null for the top level
+ * @param {Map} pools - Pools drawn with this level (message flow ends)
+ * @returns {Object} - {elements, flows}
+ */
+export function getGraphLevel(elements, flows, parentId = null, pools = new Map()) {
+  const levelElements = new Map();
+  for (const [elementId, element] of elements) {
+    if ((element.parentId || null) === parentId && !isArtifact(element)) {
+      levelElements.set(elementId, element);
+    }
+  }
+
+  const levelFlows = new Map();
+  for (const [flowId, flow] of flows) {
+    if (isArtifactConnection(flow)) continue;
+    const isOnLevel = ref => levelElements.has(ref) || (flow.type === 'messageFlow' && pools.has(ref));
+    if (isOnLevel(flow.sourceRef) && isOnLevel(flow.targetRef) && !(pools.has(flow.sourceRef) && pools.has(flow.targetRef))) {
+      levelFlows.set(flowId, flow);
+    }
+  }
+
+  return { elements: levelElements, flows: levelFlows };
+}
+
+/**
+ * Number of sub-processes around an element (0 = top level)
+ */
+function getNestingDepth(elementId, elements) {
+  let depth = 0;
+  let current = elements.get(elementId);
+  const visited = new Set();
+  while (current && current.parentId && !visited.has(current.id)) {
+    visited.add(current.id);
+    depth++;
+    current = elements.get(current.parentId);
+  }
+  return depth;
+}
+
+/**
+ * Run Phase 2 + Phase 3 on one graph level
+ * Flows removed by Phase 3 (hidden XOR merge gateways) are removed from the full flow map too.
+ * @param {Object} level - {elements, flows} from getGraphLevel
+ * @param {Map} lanes - Lanes of this level
+ * @param {Map} pools - Pools of this level
+ * @param {Map} allFlows - Full flow map
+ * @param {Array} backEdges - Back-edge flow ids (all levels)
+ * @param {Array} backFlows - Back-flow ids (all levels)
+ * @param {Object} directions - Direction mappings
+ * @returns {Object} - {phase2Result, layout}
+ */
+export function layoutGraphLevel(level, lanes, pools, allFlows, backEdges, backFlows, directions) {
+  const levelBackEdges = backEdges.filter(flowId => level.flows.has(flowId));
+  const levelBackFlows = backFlows.filter(flowId => level.flows.has(flowId));
+  const levelFlowIds = Array.from(level.flows.keys());
+
+  const phase2Result = phase2(level.elements, level.flows, lanes, directions, levelBackEdges, levelBackFlows, pools);
+  const layout = phase3(phase2Result, level.elements, lanes, directions, pools, level.flows);
+
+  if (level.flows !== allFlows) {
+    for (const flowId of levelFlowIds) {
+      if (!level.flows.has(flowId)) {
+        allFlows.delete(flowId);
+      }
+    }
+  }
+
+  return { phase2Result, layout };
+}
+
+/**
+ * Bounding box of a layout (elements and flow waypoints)
+ * @param {Map} coordinates - Element coordinates
+ * @param {Map} flowWaypoints - Flow waypoints
+ * @returns {Object} - {minX, minY, width, height}
+ */
+function getLayoutBounds(coordinates, flowWaypoints) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+  for (const coord of coordinates.values()) {
+    minX = Math.min(minX, coord.x);
+    minY = Math.min(minY, coord.y);
+    maxX = Math.max(maxX, coord.x + coord.width);
+    maxY = Math.max(maxY, coord.y + coord.height);
+  }
+  for (const waypoints of flowWaypoints.values()) {
+    for (const wp of waypoints) {
+      minX = Math.min(minX, wp.x);
+      minY = Math.min(minY, wp.y);
+      maxX = Math.max(maxX, wp.x);
+      maxY = Math.max(maxY, wp.y);
+    }
+  }
+
+  return { minX, minY, width: maxX - minX, height: maxY - minY };
+}
+
+/**
+ * Lay out the inner graphs of all expanded sub-processes
+ * Sets element.layoutSize and element.isExpanded on every expanded sub-process with inner elements.
+ * @param {Object} graph - {elements, flows} from Phase 1 (elements: of one diagram plane)
+ * @param {Array} backEdges - Back-edge flow ids
+ * @param {Array} backFlows - Back-flow ids
+ * @param {Object} directions - Direction mappings
+ * @param {Object} config - Configuration (collapseSubProcesses)
+ * @returns {Map} - subProcessId → {bounds, phase2Result, layout}
+ */
+export function layoutSubProcesses(graph, backEdges, backFlows, directions, config = {}) {
+  const { elements, flows } = graph;
+  const subProcessLayouts = new Map();
+
+  // Innermost sub-processes first: their size is needed by the enclosing level
+  const subProcessIds = Array.from(elements.keys())
+    .filter(elementId => isSubProcess(elements.get(elementId)) && !isCollapsedSubProcess(elements.get(elementId), config))
+    .sort((a, b) => getNestingDepth(b, elements) - getNestingDepth(a, elements));
+
+  for (const subProcessId of subProcessIds) {
+    const level = getGraphLevel(elements, flows, subProcessId);
+    if (level.elements.size === 0) continue; // Empty sub-process stays a normal box
+
+    const lanes = createContentLanes(subProcessId, level);
+    const { phase2Result, layout } = layoutGraphLevel(level, lanes, new Map(), flows, backEdges, backFlows, directions);
+    const bounds = getLayoutBounds(layout.coordinates, layout.flowWaypoints);
+
+    const subProcess = elements.get(subProcessId);
+    subProcess.layoutSize = {
+      width: bounds.width + 2 * SUBPROCESS_PADDING,
+      height: bounds.height + 2 * SUBPROCESS_PADDING + SUBPROCESS_LABEL_HEIGHT
+    };
+    subProcess.isExpanded = true;
+
+    subProcessLayouts.set(subProcessId, { bounds, phase2Result, layout });
+  }
+
+  return subProcessLayouts;
+}
+
+/**
+ * Move inner layouts into their (already positioned) containers
+ * Adds inner coordinates, waypoints and flow infos to the parent maps.
+ * @param {Map} subProcessLayouts - Result of layoutSubProcesses
+ * @param {Map} elements - Element map
+ * @param {Map} coordinates - Element coordinates (updated in place)
+ * @param {Map} flowWaypoints - Flow waypoints (updated in place)
+ * @param {Map} flowInfos - Flow infos (updated in place)
+ */
+export function mergeSubProcessLayouts(subProcessLayouts, elements, coordinates, flowWaypoints, flowInfos) {
+  // Outermost first: nested containers get their position from the enclosing layout
+  const subProcessIds = Array.from(subProcessLayouts.keys())
+    .sort((a, b) => getNestingDepth(a, elements) - getNestingDepth(b, elements));
+
+  for (const subProcessId of subProcessIds) {
+    const container = coordinates.get(subProcessId);
+    if (!container) continue;
+
+    const { bounds, phase2Result, layout } = subProcessLayouts.get(subProcessId);
+    const dx = container.x + SUBPROCESS_PADDING - bounds.minX;
+    const dy = container.y + SUBPROCESS_PADDING + SUBPROCESS_LABEL_HEIGHT - bounds.minY;
+
+    for (const [elementId, coord] of layout.coordinates) {
+      coordinates.set(elementId, { ...coord, x: coord.x + dx, y: coord.y + dy });
+    }
+    for (const [flowId, waypoints] of layout.flowWaypoints) {
+      flowWaypoints.set(flowId, waypoints.map(wp => ({ ...wp, x: wp.x + dx, y: wp.y + dy })));
+    }
+    for (const [flowId, flowInfo] of phase2Result.flowInfos) {
+      flowInfos.set(flowId, flowInfo);
+    }
+  }
+}
+
+/**
+ * Route flows that cross a sub-process border (e.g. message flows to inner elements)
+ * Such flows are not part of any single level, so they get a simple orthogonal path:
+ * leave the source towards the target, turn once in the middle, enter the target.
+ * @param {Map} flows - Flow map
+ * @param {Map} coordinates - Element coordinates (all levels)
+ * @param {Map} flowWaypoints - Flow waypoints (updated in place)
+ */
+export function routeCrossLevelFlows(flows, coordinates, flowWaypoints) {
+  for (const [flowId, flow] of flows) {
+    if (flowWaypoints.has(flowId)) continue;
+
+    const source = coordinates.get(flow.sourceRef);
+    const target = coordinates.get(flow.targetRef);
+    if (!source || !target) continue;
+
+    const sourceCenter = { x: source.x + source.width / 2, y: source.y + source.height / 2 };
+    const targetCenter = { x: target.x + target.width / 2, y: target.y + target.height / 2 };
+
+    let waypoints;
+    if (source.y + source.height <= target.y || target.y + target.height <= source.y) {
+      // Vertically separated: leave through top/bottom
+      const down = targetCenter.y > sourceCenter.y;
+      const startY = down ? source.y + source.height : source.y;
+      const endY = down ? target.y : target.y + target.height;
+      const midY = (startY + endY) / 2;
+      waypoints = [
+        { x: sourceCenter.x, y: startY },
+        { x: sourceCenter.x, y: midY },
+        { x: targetCenter.x, y: midY },
+        { x: targetCenter.x, y: endY }
+      ];
+    } else {
+      // Side by side: leave through left/right
+      const right = targetCenter.x > sourceCenter.x;
+      const startX = right ? source.x + source.width : source.x;
+      const endX = right ? target.x : target.x + target.width;
+      const midX = (startX + endX) / 2;
+      waypoints = [
+        { x: startX, y: sourceCenter.y },
+        { x: midX, y: sourceCenter.y },
+        { x: midX, y: targetCenter.y },
+        { x: endX, y: targetCenter.y }
+      ];
+    }
+
+    // Drop the bends of straight connections
+    if (waypoints[0].x === waypoints[3].x || waypoints[0].y === waypoints[3].y) {
+      waypoints = [waypoints[0], waypoints[3]];
+    }
+
+    flowWaypoints.set(flowId, waypoints);
+  }
+}
@@ -0,0 +1,621 @@
+/**
+ * SVG Renderer
+ *
+ * Draws a computed layout as standalone SVG, without a browser or bpmn-js:
+ * pools, lanes, BPMN shapes (task markers, gateway symbols, event definitions),
+ * sequence/message flows and associations with arrowheads, and labels.
+ *
+ *   const { layout } = computeLayout(bpmnXml);
+ *   const svg = renderSVG(layout);
+ *
+ * Input is the plain layout of computeLayout() (see layout-result.js), so the
+ * picture shows exactly the coordinates, waypoints and label bounds of the DI.
+ * Output is deterministic (same layout → same SVG), so it can be snapshot-tested.
+ * Every shape and flow is a <g data-element-id="..."> group.
+ * Layouts with several diagram planes are drawn one plane per SVG (options.plane).
+ */
+
+export const DEFAULT_SVG_OPTIONS = {
+  padding: 20,
+  fontFamily: 'Arial, sans-serif',
+  fontSize: 12,
+  stroke: '#000000',
+  fill: '#ffffff',
+  background: '#ffffff',
+  plane: 0 // Index of the diagram plane to draw (layout.planes)
+};
+
+const POOL_LABEL_SIZE = 30;       // Name band of pools and lanes
+const CHAR_WIDTH_FACTOR = 0.55;   // Average glyph width / font size (for line wrapping)
+const LINE_HEIGHT_FACTOR = 1.2;
+
+const EVENT_STROKE = { startEvent: 2, endEvent: 4 };
+const THROW_EVENTS = ['endEvent', 'intermediateThrowEvent'];
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Round for output (keeps the SVG short and stable)
+ */
+function num(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Attribute string from an object (undefined values skipped, numbers rounded)
+ */
+function attrs(attributes) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined)
+    .map(([name, value]) => ` ${name}="${typeof value === 'number' ? num(value) : escapeXml(value)}"`)
+    .join('');
+}
+
+/**
+ * Only the rectangle of a bounds object (lane bounds carry layout details)
+ */
+function rectOf({ x, y, width, height }) {
+  return { x, y, width, height };
+}
+
+function isFiniteBox(box) {
+  return Boolean(box) && [box.x, box.y, box.width ?? 0, box.height ?? 0].every(Number.isFinite);
+}
+
+/**
+ * Wrap text into lines that fit a width (estimated glyph widths)
+ * @param {string} text - Text (explicit line breaks are kept)
+ * @param {number} maxWidth - Available width in px
+ * @param {number} fontSize - Font size in px
+ * @returns {Array} - Lines
+ */
+export function wrapText(text, maxWidth, fontSize) {
+  const maxChars = Math.max(1, Math.floor(maxWidth / (fontSize * CHAR_WIDTH_FACTOR)));
+  const lines = [];
+
+  for (const paragraph of String(text).split(/\r?\n/)) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      if (!line) {
+        line = word;
+      } else if (line.length + 1 + word.length <= maxChars) {
+        line += ` ${word}`;
+      } else {
+        lines.push(line);
+        line = word;
+      }
+      // Words longer than the line are split
+      while (line.length > maxChars) {
+        lines.push(line.slice(0, maxChars));
+        line = line.slice(maxChars);
+      }
+    }
+    if (line) lines.push(line);
+  }
+
+  return lines;
+}
+
+/**
+ * Text block centered in a box
+ * @param {string} text - Text
+ * @param {Object} box - {x, y, width, height}
+ * @param {Object} style - {fontSize, fontFamily, stroke, align ('center' | 'top'), padding (inner, px)}
+ */
+function textBlock(text, box, style) {
+  const { fontSize, padding, align = 'center' } = style;
+  const lines = wrapText(text, box.width - 2 * padding, fontSize);
+  if (lines.length === 0) return '';
+
+  const lineHeight = fontSize * LINE_HEIGHT_FACTOR;
+  const blockHeight = lines.length * lineHeight;
+  const top = align === 'top' ? box.y + padding : box.y + (box.height - blockHeight) / 2;
+  const cx = box.x + box.width / 2;
+
+  const tspans = lines.map((line, i) =>
+    `<tspan${attrs({ x: cx, y: top + i * lineHeight + fontSize })}>${escapeXml(line)}</tspan>`).join('');
+
+  return `<text${attrs({
+    'font-family': style.fontFamily,
+    'font-size': fontSize,
+    'text-anchor': 'middle',
+    fill: style.stroke
+  })}>${tspans}</text>`;
+}
+
+/**
+ * Text rotated by -90° in a vertical name band (pools/lanes with horizontal orientation)
+ */
+function rotatedText(text, box, style) {
+  const cx = box.x + box.width / 2;
+  const cy = box.y + box.height / 2;
+  // Lay out as if horizontal (band height → line width), then rotate around the center
+  const unrotated = { x: cx - box.height / 2, y: cy - box.width / 2, width: box.height, height: box.width };
+  const content = textBlock(text, unrotated, { ...style, padding: 2 });
+  return content ? `<g transform="rotate(-90 ${num(cx)} ${num(cy)})">${content}</g>` : '';
+}
+
+// ============================================================================
+// Markers (arrowheads)
+// ============================================================================
+
+function renderDefs(options) {
+  const { stroke, fill } = options;
+  return '<defs>' +
+    `<marker id="sequenceflow-end" viewBox="0 0 20 20" refX="11" refY="10" markerWidth="10" markerHeight="10" orient="auto"><path d="M 1 5 L 11 10 L 1 15 Z"${attrs({ fill: stroke, stroke, 'stroke-width': 1 })}/></marker>` +
+    `<marker id="messageflow-start" viewBox="0 0 20 20" refX="6" refY="6" markerWidth="20" markerHeight="20" orient="auto"><circle cx="6" cy="6" r="3.5"${attrs({ fill, stroke, 'stroke-width': 1 })}/></marker>` +
+    `<marker id="messageflow-end" viewBox="0 0 20 20" refX="8.5" refY="5" markerWidth="20" markerHeight="20" orient="auto"><path d="m 1 5 l 0 -3 l 7 3 l -7 3 z"${attrs({ fill, stroke, 'stroke-width': 1 })}/></marker>` +
+    `<marker id="association-end" viewBox="0 0 20 20" refX="11" refY="10" markerWidth="10" markerHeight="10" orient="auto"><path d="M 1 5 L 11 10 L 1 15"${attrs({ fill: 'none', stroke, 'stroke-width': 1.5 })}/></marker>` +
+    '</defs>';
+}
+
+// ============================================================================
+// Pools and lanes
+// ============================================================================
+
+function renderSwimlane(id, name, box, horizontal, options) {
+  const band = horizontal
+    ? { x: box.x, y: box.y, width: POOL_LABEL_SIZE, height: box.height }
+    : { x: box.x, y: box.y, width: box.width, height: POOL_LABEL_SIZE };
+  const separator = horizontal
+    ? `<line${attrs({ x1: box.x + POOL_LABEL_SIZE, y1: box.y, x2: box.x + POOL_LABEL_SIZE, y2: box.y + box.height, stroke: options.stroke })}/>`
+    : `<line${attrs({ x1: box.x, y1: box.y + POOL_LABEL_SIZE, x2: box.x + box.width, y2: box.y + POOL_LABEL_SIZE, stroke: options.stroke })}/>`;
+  const label = horizontal ? rotatedText(name, band, options) : textBlock(name, band, { ...options, padding: 2 });
+
+  return `<g${attrs({ 'data-element-id': id })}>` +
+    `<rect${attrs({ ...rectOf(box), fill: 'none', stroke: options.stroke, 'stroke-width': 1.5 })}/>` +
+    separator + label + '</g>';
+}
+
+/**
+ * Black-box pool (participant without process): the name centered, no name band
+ */
+function renderBlackBoxPool(id, name, box, horizontal, options) {
+  const label = horizontal ? textBlock(name, box, { ...options, padding: 2 }) : rotatedText(name, box, options);
+  return `<g${attrs({ 'data-element-id': id })}>` +
+    `<rect${attrs({ ...rectOf(box), fill: 'none', stroke: options.stroke, 'stroke-width': 1.5 })}/>` +
+    label + '</g>';
+}
+
+// ============================================================================
+// Activities
+// ============================================================================
+
+/**
+ * Task type icon (top left corner)
+ */
+function renderTaskIcon(type, x, y, options) {
+  const { stroke, fill } = options;
+  const line = { stroke, 'stroke-width': 1, fill: 'none' };
+
+  switch (type) {
+    case 'userTask':
+      return `<circle${attrs({ cx: x + 8, cy: y + 5, r: 3.5, ...line, fill })}/>` +
+        `<path${attrs({ d: `M ${x + 1} ${y + 16} q 0 -7 7 -7 q 7 0 7 7 z`, ...line, fill })}/>`;
+    case 'serviceTask':
+      return `<circle${attrs({ cx: x + 8, cy: y + 8, r: 6, stroke, 'stroke-width': 3, 'stroke-dasharray': '2.4 2.3', fill: 'none' })}/>` +
+        `<circle${attrs({ cx: x + 8, cy: y + 8, r: 3, ...line, fill })}/>`;
+    case 'manualTask':
+      // Palm with three fingers
+      return `<path${attrs({ d: `M ${x} ${y + 4} v 11 h 8 v -11 z`, ...line })}/>` +
+        `<path${attrs({ d: [4, 7.5, 11].map(dy => `M ${x + 8} ${y + dy} h 6 a 1.5 1.5 0 0 1 0 3 h -6`).join(' '), ...line })}/>`;
+    case 'sendTask':
+      return `<rect${attrs({ x, y: y + 2, width: 16, height: 11, fill: stroke, stroke })}/>` +
+        `<path${attrs({ d: `M ${x} ${y + 2} l 8 6 l 8 -6`, stroke: fill, 'stroke-width': 1, fill: 'none' })}/>`;
+    case 'receiveTask':
+      return `<rect${attrs({ x, y: y + 2, width: 16, height: 11, ...line })}/>` +
+        `<path${attrs({ d: `M ${x} ${y + 2} l 8 6 l 8 -6`, ...line })}/>`;
+    case 'scriptTask':
+      return `<path${attrs({ d: `M ${x + 3} ${y} h 11 c -3 3 -3 5 0 8 s 3 5 0 8 h -11 c 3 -3 3 -5 0 -8 s -3 -5 0 -8 z`, ...line })}/>` +
+        `<path${attrs({ d: `M ${x + 4} ${y + 4} h 7 M ${x + 5} ${y + 8} h 7 M ${x + 4} ${y + 12} h 7`, ...line })}/>`;
+    case 'businessRuleTask':
+      return `<rect${attrs({ x, y: y + 1, width: 16, height: 13, ...line })}/>` +
+        `<rect${attrs({ x, y: y + 1, width: 16, height: 4, fill: stroke, stroke })}/>` +
+        `<path${attrs({ d: `M ${x} ${y + 9.5} h 16 M ${x + 5} ${y + 5} v 9`, ...line })}/>`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Markers at the bottom center of an activity (loop, collapsed, ad-hoc)
+ */
+function renderActivityMarkers(element, box, collapsed, options) {
+  const { stroke, fill } = options;
+  const line = { stroke, 'stroke-width': 1.5, fill: 'none' };
+  const markers = [];
+
+  if (collapsed) {
+    markers.push((x, y) => `<rect${attrs({ x, y, width: 14, height: 14, stroke, 'stroke-width': 1, fill })}/>` +
+      `<path${attrs({ d: `M ${x + 3} ${y + 7} h 8 M ${x + 7} ${y + 3} v 8`, ...line })}/>`);
+  }
+  if (element.loopType === 'standard') {
+    markers.push((x, y) => `<path${attrs({ d: `M ${x + 4} ${y + 12} a 6 6 0 1 1 6 0`, ...line })}/>` +
+      `<path${attrs({ d: `M ${x + 10} ${y + 12} l 0 -4 M ${x + 10} ${y + 12} l 4 0`, ...line })}/>`);
+  } else if (element.loopType === 'parallel') {
+    markers.push((x, y) => `<path${attrs({ d: `M ${x + 3} ${y + 1} v 12 M ${x + 7} ${y + 1} v 12 M ${x + 11} ${y + 1} v 12`, ...line, 'stroke-width': 2 })}/>`);
+  } else if (element.loopType === 'sequential') {
+    markers.push((x, y) => `<path${attrs({ d: `M ${x + 1} ${y + 3} h 12 M ${x + 1} ${y + 7} h 12 M ${x + 1} ${y + 11} h 12`, ...line, 'stroke-width': 2 })}/>`);
+  }
+  if (element.type === 'adHocSubProcess') {
+    markers.push((x, y) => `<path${attrs({ d: `M ${x + 1} ${y + 8} c 3 -5 6 -5 6 0 s 3 5 6 0`, ...line })}/>`);
+  }
+
+  const size = 14;
+  const gap = 4;
+  const totalWidth = markers.length * size + (markers.length - 1) * gap;
+  const startX = box.x + (box.width - totalWidth) / 2;
+  const y = box.y + box.height - size - 4;
+  return markers.map((marker, i) => marker(startX + i * (size + gap), y)).join('');
+}
+
+function renderActivity(element, box, options) {
+  const { stroke, fill } = options;
+  const isSubProcess = ['subProcess', 'transaction', 'adHocSubProcess'].includes(element.type);
+  const expanded = isSubProcess && element.isExpanded;
+  let svg = `<rect${attrs({
+    ...rectOf(box),
+    rx: 10,
+    ry: 10,
+    fill,
+    stroke,
+    'stroke-width': element.type === 'callActivity' ? 5 : 2,
+    'stroke-dasharray': element.triggeredByEvent ? '4 3' : undefined
+  })}/>`;
+
+  if (element.type === 'transaction') {
+    svg += `<rect${attrs({ x: box.x + 3, y: box.y + 3, width: box.width - 6, height: box.height - 6, rx: 8, ry: 8, fill: 'none', stroke, 'stroke-width': 1 })}/>`;
+  }
+
+  svg += renderTaskIcon(element.type, box.x + 6, box.y + 6, options);
+  svg += renderActivityMarkers(element, box, isSubProcess && !expanded, options);
+
+  if (element.name) {
+    svg += expanded
+      ? textBlock(element.name, { x: box.x, y: box.y, width: box.width, height: 0 }, { ...options, align: 'top', padding: 6 })
+      : textBlock(element.name, box, { ...options, padding: 5 });
+  }
+  return svg;
+}
+
+// ============================================================================
+// Events
+// ============================================================================
+
+/**
+ * Event definition icon centered in the event circle
+ */
+function renderEventIcon(eventType, cx, cy, r, filled, options) {
+  const { stroke, fill } = options;
+  const s = r / 18;
+  const iconFill = filled ? stroke : fill;
+  const shape = { stroke, 'stroke-width': 1, fill: iconFill };
+  const point = (dx, dy) => `${num(cx + dx * s)} ${num(cy + dy * s)}`;
+
+  switch (eventType) {
+    case 'message':
+      return `<rect${attrs({ x: cx - 9 * s, y: cy - 6 * s, width: 18 * s, height: 12 * s, ...shape })}/>` +
+        `<path${attrs({ d: `M ${point(-9, -6)} L ${point(0, 1)} L ${point(9, -6)}`, stroke: filled ? fill : stroke, 'stroke-width': 1, fill: 'none' })}/>`;
+    case 'timer': {
+      const ticks = Array.from({ length: 12 }, (_, i) => {
+        const angle = (i * Math.PI) / 6;
+        return `M ${point(Math.cos(angle) * 8, Math.sin(angle) * 8)} L ${point(Math.cos(angle) * 10, Math.sin(angle) * 10)}`;
+      }).join(' ');
+      return `<circle${attrs({ cx, cy, r: 11 * s, stroke, 'stroke-width': 1.5, fill })}/>` +
+        `<path${attrs({ d: `${ticks} M ${point(0, 0)} L ${point(0, -7)} M ${point(0, 0)} L ${point(5, 2)}`, stroke, 'stroke-width': 1, fill: 'none' })}/>`;
+    }
+    case 'error':
+      return `<path${attrs({ d: `M ${point(-9, 8)} L ${point(-4, -8)} L ${point(2, 2)} L ${point(5, -6)} L ${point(9, 8)} L ${point(3, -1)} L ${point(-3, 6)} Z`, ...shape })}/>`;
+    case 'escalation':
+      return `<path${attrs({ d: `M ${point(0, -9)} L ${point(7, 8)} L ${point(0, 2)} L ${point(-7, 8)} Z`, ...shape })}/>`;
+    case 'signal':
+      return `<path${attrs({ d: `M ${point(0, -10)} L ${point(9, 7)} L ${point(-9, 7)} Z`, ...shape })}/>`;
+    case 'conditional':
+      return `<rect${attrs({ x: cx - 7 * s, y: cy - 9 * s, width: 14 * s, height: 18 * s, stroke, 'stroke-width': 1, fill })}/>` +
+        `<path${attrs({ d: [-5, -1.5, 2, 5.5].map(dy => `M ${point(-4.5, dy)} L ${point(4.5, dy)}`).join(' '), stroke, 'stroke-width': 1, fill: 'none' })}/>`;
+    case 'compensate':
+      return `<path${attrs({ d: `M ${point(-10, 0)} L ${point(-1, -6)} L ${point(-1, 6)} Z M ${point(-1, 0)} L ${point(8, -6)} L ${point(8, 6)} Z`, ...shape })}/>`;
+    case 'cancel':
+      return `<path${attrs({ d: `M ${point(-7, -7)} L ${point(7, 7)} M ${point(7, -7)} L ${point(-7, 7)}`, stroke, 'stroke-width': 4 * s, fill: 'none' })}/>`;
+    case 'link':
+      return `<path${attrs({ d: `M ${point(-9, -3)} L ${point(2, -3)} L ${point(2, -8)} L ${point(10, 0)} L ${point(2, 8)} L ${point(2, 3)} L ${point(-9, 3)} Z`, ...shape })}/>`;
+    case 'terminate':
+      return `<circle${attrs({ cx, cy, r: 11 * s, fill: stroke, stroke })}/>`;
+    default:
+      return '';
+  }
+}
+
+function renderEvent(element, box, options) {
+  const { stroke, fill } = options;
+  const cx = box.x + box.width / 2;
+  const cy = box.y + box.height / 2;
+  const r = Math.min(box.width, box.height) / 2;
+  const dashed = (element.type === 'boundaryEvent' && element.cancelActivity === false) ? '5 3' : undefined;
+
+  let svg = `<circle${attrs({ cx, cy, r, fill, stroke, 'stroke-width': EVENT_STROKE[element.type] || 1.5, 'stroke-dasharray': dashed })}/>`;
+  if (!EVENT_STROKE[element.type]) {
+    // Intermediate and boundary events: double ring
+    svg += `<circle${attrs({ cx, cy, r: r - 3, fill: 'none', stroke, 'stroke-width': 1.5, 'stroke-dasharray': dashed })}/>`;
+  }
+  svg += renderEventIcon(element.eventType, cx, cy, r, THROW_EVENTS.includes(element.type), options);
+  return svg;
+}
+
+// ============================================================================
+// Gateways, data, artifacts
+// ============================================================================
+
+function renderGateway(element, box, options) {
+  const { stroke, fill } = options;
+  const cx = box.x + box.width / 2;
+  const cy = box.y + box.height / 2;
+  const size = Math.min(box.width, box.height);
+  const k = size / 50; // Symbols are drawn for the default 50px gateway
+  const thick = { stroke, 'stroke-width': 3 * k, fill: 'none', 'stroke-linecap': 'round' };
+  const cross = `M ${num(cx - 9 * k)} ${num(cy - 9 * k)} L ${num(cx + 9 * k)} ${num(cy + 9 * k)} M ${num(cx + 9 * k)} ${num(cy - 9 * k)} L ${num(cx - 9 * k)} ${num(cy + 9 * k)}`;
+  const plus = `M ${num(cx - 12 * k)} ${num(cy)} L ${num(cx + 12 * k)} ${num(cy)} M ${num(cx)} ${num(cy - 12 * k)} L ${num(cx)} ${num(cy + 12 * k)}`;
+
+  let svg = `<polygon${attrs({
+    points: [[cx, box.y], [box.x + box.width, cy], [cx, box.y + box.height], [box.x, cy]].map(p => p.map(num).join(',')).join(' '),
+    fill,
+    stroke,
+    'stroke-width': 2
+  })}/>`;
+
+  switch (element.type) {
+    case 'exclusiveGateway':
+      svg += `<path${attrs({ d: cross, ...thick })}/>`;
+      break;
+    case 'parallelGateway':
+      svg += `<path${attrs({ d: plus, ...thick })}/>`;
+      break;
+    case 'inclusiveGateway':
+      svg += `<circle${attrs({ cx, cy, r: 11 * k, stroke, 'stroke-width': 2.5 * k, fill: 'none' })}/>`;
+      break;
+    case 'complexGateway':
+      svg += `<path${attrs({ d: `${plus} ${cross}`, ...thick, 'stroke-width': 2.5 * k })}/>`;
+      break;
+    case 'eventBasedGateway': {
+      const pentagon = Array.from({ length: 5 }, (_, i) => {
+        const angle = -Math.PI / 2 + (i * 2 * Math.PI) / 5;
+        return `${num(cx + Math.cos(angle) * 6 * k)},${num(cy + Math.sin(angle) * 6 * k)}`;
+      }).join(' ');
+      svg += `<circle${attrs({ cx, cy, r: 13 * k, stroke, 'stroke-width': 1, fill: 'none' })}/>` +
+        `<circle${attrs({ cx, cy, r: 10.5 * k, stroke, 'stroke-width': 1, fill: 'none' })}/>` +
+        `<polygon${attrs({ points: pentagon, stroke, 'stroke-width': 1.5, fill: 'none' })}/>`;
+      break;
+    }
+  }
+  return svg;
+}
+
+function renderData(element, box, options) {
+  const { stroke, fill } = options;
+  const { x, y, width, height } = box;
+
+  if (element.type === 'dataStore' || element.type === 'dataStoreReference') {
+    const ry = Math.min(8, height / 6);
+    return `<path${attrs({
+      d: `M ${num(x)} ${num(y + ry)} a ${num(width / 2)} ${num(ry)} 0 0 0 ${num(width)} 0 a ${num(width / 2)} ${num(ry)} 0 0 0 ${num(-width)} 0 ` +
+        `v ${num(height - 2 * ry)} a ${num(width / 2)} ${num(ry)} 0 0 0 ${num(width)} 0 v ${num(-(height - 2 * ry))}`,
+      fill,
+      stroke,
+      'stroke-width': 2
+    })}/>`;
+  }
+
+  const fold = Math.min(10, width / 3);
+  return `<path${attrs({ d: `M ${num(x)} ${num(y)} h ${num(width - fold)} l ${num(fold)} ${num(fold)} v ${num(height - fold)} h ${num(-width)} z`, fill, stroke, 'stroke-width': 1.5 })}/>` +
+    `<path${attrs({ d: `M ${num(x + width - fold)} ${num(y)} v ${num(fold)} h ${num(fold)}`, fill: 'none', stroke, 'stroke-width': 1.5 })}/>`;
+}
+
+function renderArtifact(element, box, options) {
+  const { stroke } = options;
+
+  if (element.type === 'group') {
+    return `<rect${attrs({ ...rectOf(box), rx: 10, ry: 10, fill: 'none', stroke, 'stroke-width': 1.5, 'stroke-dasharray': '10 5 2 5' })}/>` +
+      (element.name ? textBlock(element.name, { x: box.x, y: box.y, width: box.width, height: 0 }, { ...options, align: 'top', padding: 4 }) : '');
+  }
+
+  // Text annotation: open bracket with the text inside
+  return `<path${attrs({ d: `M ${num(box.x + 10)} ${num(box.y)} h -10 v ${num(box.height)} h 10`, fill: 'none', stroke, 'stroke-width': 1 })}/>` +
+    (element.text ? textBlock(element.text, box, { ...options, padding: 5 }) : '');
+}
+
+/**
+ * Check if an element's name is drawn outside its shape
+ */
+function hasExternalLabel(element) {
+  return element.type.endsWith('Event') || element.type.endsWith('Gateway') || element.type.startsWith('data');
+}
+
+/**
+ * Shape of one flow node, data element or artifact
+ */
+function renderShape(element, box, options) {
+  if (element.type.endsWith('Event')) return renderEvent(element, box, options);
+  if (element.type.endsWith('Gateway')) return renderGateway(element, box, options);
+  if (element.type.startsWith('data')) return renderData(element, box, options);
+  if (element.type === 'textAnnotation' || element.type === 'group') return renderArtifact(element, box, options);
+  return renderActivity(element, box, options);
+}
+
+// ============================================================================
+// Flows
+// ============================================================================
+
+function renderFlow(flow, waypoints, isDefault, options) {
+  const { stroke } = options;
+  const points = waypoints.map(({ x, y }) => `${num(x)},${num(y)}`).join(' ');
+  let style;
+
+  switch (flow.type) {
+    case 'messageFlow':
+      style = { 'stroke-dasharray': '10 11', 'marker-start': 'url(#messageflow-start)', 'marker-end': 'url(#messageflow-end)' };
+      break;
+    case 'association':
+      style = { 'stroke-dasharray': '1 6', 'stroke-linecap': 'round' };
+      break;
+    case 'dataInputAssociation':
+    case 'dataOutputAssociation':
+      style = { 'stroke-dasharray': '1 6', 'stroke-linecap': 'round', 'marker-end': 'url(#association-end)' };
+      break;
+    default:
+      style = { 'marker-end': 'url(#sequenceflow-end)' };
+  }
+
+  let svg = `<polyline${attrs({ points, fill: 'none', stroke, 'stroke-width': 1.5, 'stroke-linejoin': 'round', ...style })}/>`;
+
+  // Default flow: slash across the first segment, close to the source
+  if (isDefault && waypoints.length > 1) {
+    const [from, to] = waypoints;
+    const length = Math.hypot(to.x - from.x, to.y - from.y) || 1;
+    const ux = (to.x - from.x) / length;
+    const uy = (to.y - from.y) / length;
+    const cx = from.x + ux * 10;
+    const cy = from.y + uy * 10;
+    svg += `<line${attrs({
+      x1: cx - 5 * ux - 5 * uy, y1: cy - 5 * uy + 5 * ux,
+      x2: cx + 5 * ux + 5 * uy, y2: cy + 5 * uy - 5 * ux,
+      stroke, 'stroke-width': 1.5
+    })}/>`;
+  }
+  return svg;
+}
+
+// ============================================================================
+// Main
+// ============================================================================
+
+/**
+ * Nesting depth of an element (sub-process containers are drawn before their content)
+ */
+function getDepth(element, elements) {
+  let depth = 0;
+  for (let parentId = element.parentId; parentId && elements[parentId]; parentId = elements[parentId].parentId) {
+    depth++;
+  }
+  return depth;
+}
+
+/**
+ * Drawing order within one nesting level: containers, groups last, boundary events after their hosts
+ */
+function getShapeRank(element) {
+  if (element.isExpanded) return 0;
+  if (element.type === 'boundaryEvent') return 2;
+  if (element.type === 'group') return 3;
+  return 1;
+}
+
+/**
+ * Render a layout as SVG
+ * @param {Object} layout - computeLayout() layout
+ * @param {Object} options - See DEFAULT_SVG_OPTIONS
+ * @returns {string} - Standalone SVG document
+ */
+export function renderSVG(layout, options = {}) {
+  options = { ...DEFAULT_SVG_OPTIONS, ...options };
+  const horizontal = layout.orientation !== 'vertical';
+  const parts = [];
+  const boxes = [];
+
+  const addBox = box => {
+    if (isFiniteBox(box)) boxes.push(box);
+  };
+
+  // Only the elements of one plane, every plane has its own coordinate space
+  const plane = layout.planes && layout.planes[options.plane];
+  const planeIds = plane && new Set([...plane.elements, ...plane.flows, ...plane.lanes, ...plane.pools]);
+  const isOnPlane = id => !planeIds || planeIds.has(id);
+
+  // Pools, then lanes (child lanes after their parent)
+  for (const [poolId, box] of Object.entries(layout.poolBounds)) {
+    if (!isFiniteBox(box) || !isOnPlane(poolId)) continue;
+    addBox(box);
+    const pool = layout.pools[poolId];
+    const render = pool?.blackBox ? renderBlackBoxPool : renderSwimlane;
+    parts.push(render(poolId, pool?.name || '', box, horizontal, options));
+  }
+  const laneDepth = laneId => {
+    let depth = 0;
+    for (let parent = layout.lanes[laneId]?.parentLane; parent; parent = layout.lanes[parent]?.parentLane) depth++;
+    return depth;
+  };
+  const laneIds = Object.keys(layout.laneBounds).filter(isOnPlane).sort((a, b) => laneDepth(a) - laneDepth(b));
+  for (const laneId of laneIds) {
+    const box = layout.laneBounds[laneId];
+    if (!isFiniteBox(box)) continue;
+    addBox(box);
+    parts.push(renderSwimlane(laneId, layout.lanes[laneId]?.name || '', box, horizontal, options));
+  }
+
+  // Shapes
+  const shapeIds = Object.keys(layout.coordinates)
+    .filter(id => layout.elements[id] && !layout.elements[id].hidden && isFiniteBox(layout.coordinates[id]) && isOnPlane(id))
+    .map((id, index) => ({ id, index, element: layout.elements[id] }))
+    .sort((a, b) => (getDepth(a.element, layout.elements) - getDepth(b.element, layout.elements)) ||
+      (getShapeRank(a.element) - getShapeRank(b.element)) || (a.index - b.index));
+
+  for (const { id, element } of shapeIds) {
+    const box = layout.coordinates[id];
+    addBox(box);
+    parts.push(`<g${attrs({ 'data-element-id': id })}>${renderShape(element, box, options)}</g>`);
+  }
+
+  // Flows
+  const defaultFlows = new Set(Object.values(layout.elements).map(element => element.defaultFlow).filter(Boolean));
+  for (const [flowId, waypoints] of Object.entries(layout.flowWaypoints)) {
+    const flow = layout.flows[flowId];
+    if (!flow || !waypoints || waypoints.length < 2 || !waypoints.every(isFiniteBox) || !isOnPlane(flowId)) continue;
+    waypoints.forEach(addBox);
+    parts.push(`<g${attrs({ 'data-element-id': flowId })}>${renderFlow(flow, waypoints, defaultFlows.has(flowId), options)}</g>`);
+  }
+
+  // External labels (events, gateways, data, flows); activities and artifacts have their text inside
+  for (const [id, box] of Object.entries(layout.labelBounds)) {
+    const element = layout.elements[id];
+    if (element && !hasExternalLabel(element)) continue;
+    const name = (element || layout.flows[id])?.name;
+    if (!name || !isFiniteBox(box) || !isOnPlane(id)) continue;
+    addBox(box);
+    parts.push(`<g${attrs({ 'data-label-id': id })}>${textBlock(name, box, { ...options, fontSize: options.fontSize - 1, padding: 0 })}</g>`);
+  }
+
+  // Canvas: everything drawn plus padding
+  let minX = 0;
+  let minY = 0;
+  let maxX = 0;
+  let maxY = 0;
+  if (boxes.length > 0) {
+    minX = Math.min(...boxes.map(box => box.x));
+    minY = Math.min(...boxes.map(box => box.y));
+    maxX = Math.max(...boxes.map(box => box.x + (box.width || 0)));
+    maxY = Math.max(...boxes.map(box => box.y + (box.height || 0)));
+  }
+  const { padding } = options;
+  const width = maxX - minX + 2 * padding;
+  const height = maxY - minY + 2 * padding;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg"${attrs({
+    width,
+    height,
+    viewBox: `${num(minX - padding)} ${num(minY - padding)} ${num(width)} ${num(height)}`
+  })}>\n` +
+    renderDefs(options) + '\n' +
+    `<rect${attrs({ x: minX - padding, y: minY - padding, width, height, fill: options.background })}/>\n` +
+    parts.join('\n') +
+    '\n</svg>\n';
+}
@@ -0,0 +1,360 @@
+/**
+ * Namespace-aware XML Parser
+ *
+ * Small non-validating XML parser used by Phase 1. It replaces the old
+ * regex-based extraction, which only understood the literal "bpmn:" prefix.
+ *
+ * Handles:
+ * - Namespace resolution (default namespace, any prefix, nested re-declarations)
+ * - CDATA sections, comments, processing instructions, DOCTYPE
+ * - Predefined and numeric character entities
+ * - Attributes in any order, single or double quoted
+ *
+ * Every element node keeps its source offsets (start/end, contentStart/contentEnd)
+ * so later phases can splice into the original document without re-serializing it.
+ */
+
+export const NS = {
+  BPMN: 'http://www.omg.org/spec/BPMN/20100524/MODEL',
+  BPMNDI: 'http://www.omg.org/spec/BPMN/20100524/DI',
+  DC: 'http://www.omg.org/spec/DD/20100524/DC',
+  DI: 'http://www.omg.org/spec/DD/20100524/DI',
+  XSI: 'http://www.w3.org/2001/XMLSchema-instance',
+  XML: 'http://www.w3.org/XML/1998/namespace'
+};
+
+const PREDEFINED_ENTITIES = {
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  quot: '"',
+  apos: "'"
+};
+
+const NAME_START = /[A-Za-z_:À-￿]/;
+const NAME_CHAR = /[A-Za-z0-9_:.\-·À-￿]/;
+
+/**
+ * Decode predefined (&amp; ...) and numeric (&#38; &#x26;) entities
+ * A bare '&' or an unknown entity is kept as-is: some tools write unescaped
+ * ampersands into names, and rejecting those files would be unhelpful.
+ * @param {string} text - Raw text or attribute value
+ * @returns {string} - Decoded text
+ */
+export function decodeEntities(text) {
+  if (!text.includes('&')) return text;
+
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[A-Za-z][A-Za-z0-9]*);/g, (match, name) => {
+    if (name.startsWith('#x')) {
+      return String.fromCodePoint(parseInt(name.slice(2), 16));
+    }
+    if (name.startsWith('#')) {
+      return String.fromCodePoint(parseInt(name.slice(1), 10));
+    }
+    if (Object.hasOwn(PREDEFINED_ENTITIES, name)) {
+      return PREDEFINED_ENTITIES[name];
+    }
+    return match;
+  });
+}
+
+/**
+ * Parse an XML string into a lightweight tree
+ *
+ * Node shapes:
+ * - document: { type: 'document', children, root }
+ * - element:  { type: 'element', name, prefix, localName, namespaceURI, attributes,
+ *               children, parent, start, end, contentStart, contentEnd }
+ * - text:     { type: 'text', value, cdata }
+ * - comment:  { type: 'comment', value }
+ *
+ * Several top-level elements are accepted so callers can parse fragments.
+ *
+ * @param {string} xml - XML string
+ * @param {Object} options - { fallbackNamespaces: { prefix → uri } } used for prefixes
+ *                           that are never declared (the '' key covers unprefixed names)
+ * @returns {Object} - Document node
+ */
+export function parseXMLDocument(xml, options = {}) {
+  const fallbackNamespaces = options.fallbackNamespaces || {};
+  const document = { type: 'document', children: [], root: null };
+  const stack = [];
+  let pos = 0;
+
+  const fail = (message, at = pos) => {
+    const before = xml.slice(0, at);
+    const line = before.split('\n').length;
+    const column = at - before.lastIndexOf('\n');
+    throw new Error(`${message} (line ${line}, column ${column})`);
+  };
+
+  const currentParent = () => (stack.length > 0 ? stack[stack.length - 1] : document);
+
+  const readName = () => {
+    const start = pos;
+    if (!NAME_START.test(xml[pos] || '')) {
+      fail(`Invalid name start character '${xml[pos] || 'EOF'}'`);
+    }
+    pos++;
+    while (pos < xml.length && NAME_CHAR.test(xml[pos])) pos++;
+    return xml.slice(start, pos);
+  };
+
+  const skipWhitespace = () => {
+    while (pos < xml.length && /\s/.test(xml[pos])) pos++;
+  };
+
+  while (pos < xml.length) {
+    const lt = xml.indexOf('<', pos);
+    const textEnd = lt === -1 ? xml.length : lt;
+
+    // Text content between tags
+    if (textEnd > pos) {
+      const raw = xml.slice(pos, textEnd);
+      if (stack.length > 0) {
+        currentParent().children.push({ type: 'text', value: decodeEntities(raw), cdata: false });
+      } else if (raw.trim() !== '') {
+        fail('Text content outside of root element');
+      }
+      pos = textEnd;
+    }
+    if (lt === -1) break;
+
+    if (xml.startsWith('<!--', pos)) {
+      const end = xml.indexOf('-->', pos + 4);
+      if (end === -1) fail('Unterminated comment');
+      currentParent().children.push({ type: 'comment', value: xml.slice(pos + 4, end) });
+      pos = end + 3;
+      continue;
+    }
+
+    if (xml.startsWith('<![CDATA[', pos)) {
+      const end = xml.indexOf(']]>', pos + 9);
+      if (end === -1) fail('Unterminated CDATA section');
+      if (stack.length === 0) fail('CDATA section outside of root element');
+      currentParent().children.push({ type: 'text', value: xml.slice(pos + 9, end), cdata: true });
+      pos = end + 3;
+      continue;
+    }
+
+    if (xml.startsWith('<?', pos)) {
+      const end = xml.indexOf('?>', pos + 2);
+      if (end === -1) fail('Unterminated processing instruction');
+      pos = end + 2;
+      continue;
+    }
+
+    if (xml.startsWith('<!DOCTYPE', pos)) {
+      // Skip DOCTYPE including an optional internal subset [...]
+      let depth = 0;
+      let i = pos + 9;
+      for (; i < xml.length; i++) {
+        if (xml[i] === '[') depth++;
+        else if (xml[i] === ']') depth--;
+        else if (xml[i] === '>' && depth === 0) break;
+      }
+      if (i >= xml.length) fail('Unterminated DOCTYPE');
+      pos = i + 1;
+      continue;
+    }
+
+    if (xml.startsWith('<-', pos)) {
+      fail('Malformed comment syntax (use <!-- --> for comments)');
+    }
+
+    // Closing tag
+    if (xml.startsWith('</', pos)) {
+      const tagStart = pos;
+      pos += 2;
+      const name = readName();
+      skipWhitespace();
+      if (xml[pos] !== '>') fail(`Expected '>' to close </${name}`);
+      pos++;
+
+      const open = stack.pop();
+      if (!open) fail(`Unexpected closing tag </${name}>`, tagStart);
+      if (open.name !== name) {
+        fail(`Mismatched closing tag </${name}>, expected </${open.name}>`, tagStart);
+      }
+      open.contentEnd = tagStart;
+      open.end = pos;
+      continue;
+    }
+
+    // Opening or self-closing tag
+    const tagStart = pos;
+    pos++;
+    const name = readName();
+    const attributes = {};
+    let selfClosing = false;
+
+    while (true) {
+      const hadWhitespace = /\s/.test(xml[pos] || '');
+      skipWhitespace();
+      if (pos >= xml.length) fail(`Unterminated start tag <${name}`, tagStart);
+      if (xml[pos] === '>') {
+        pos++;
+        break;
+      }
+      if (xml.startsWith('/>', pos)) {
+        pos += 2;
+        selfClosing = true;
+        break;
+      }
+      if (!hadWhitespace) fail(`Expected whitespace before attribute in <${name}`);
+
+      const attrName = readName();
+      skipWhitespace();
+      if (xml[pos] !== '=') fail(`Expected '=' after attribute '${attrName}'`);
+      pos++;
+      skipWhitespace();
+      const quote = xml[pos];
+      if (quote !== '"' && quote !== "'") fail(`Expected quoted value for attribute '${attrName}'`);
+      const valueEnd = xml.indexOf(quote, pos + 1);
+      if (valueEnd === -1) fail(`Unterminated value for attribute '${attrName}'`);
+      const rawValue = xml.slice(pos + 1, valueEnd);
+      if (rawValue.includes('<')) fail(`'<' not allowed in value of attribute '${attrName}'`);
+      if (Object.hasOwn(attributes, attrName)) fail(`Duplicate attribute '${attrName}'`);
+      attributes[attrName] = decodeEntities(rawValue);
+      pos = valueEnd + 1;
+    }
+
+    const parent = stack.length > 0 ? stack[stack.length - 1] : null;
+    const node = {
+      type: 'element',
+      name,
+      prefix: '',
+      localName: name,
+      namespaceURI: null,
+      attributes,
+      namespaces: resolveScope(parent ? parent.namespaces : null, attributes),
+      children: [],
+      parent,
+      start: tagStart,
+      end: selfClosing ? pos : -1,
+      contentStart: pos,
+      contentEnd: selfClosing ? pos : -1
+    };
+
+    const colon = name.indexOf(':');
+    if (colon !== -1) {
+      node.prefix = name.slice(0, colon);
+      node.localName = name.slice(colon + 1);
+    }
+    node.namespaceURI = lookupNamespace(node, node.prefix, fallbackNamespaces);
+
+    if (!parent && document.root === null) {
+      document.root = node;
+    }
+    currentParent().children.push(node);
+    if (!selfClosing) stack.push(node);
+  }
+
+  if (stack.length > 0) {
+    const open = stack[stack.length - 1];
+    fail(`Unclosed element <${open.name}>`, open.start);
+  }
+
+  return document;
+}
+
+/**
+ * Build the in-scope prefix → namespace map for an element
+ * Only copies the parent scope when the element declares something new
+ */
+function resolveScope(parentScope, attributes) {
+  let scope = parentScope;
+  for (const [name, value] of Object.entries(attributes)) {
+    if (name === 'xmlns' || name.startsWith('xmlns:')) {
+      if (scope === parentScope) {
+        scope = new Map(parentScope || []);
+      }
+      scope.set(name === 'xmlns' ? '' : name.slice(6), value);
+    }
+  }
+  return scope;
+}
+
+/**
+ * Resolve a prefix ('' for the default namespace) in the scope of a node
+ * @returns {string|null} - Namespace URI, or null if the prefix is unbound
+ */
+function lookupNamespace(node, prefix, fallbackNamespaces = {}) {
+  if (prefix === 'xml') return NS.XML;
+  if (node.namespaces && node.namespaces.has(prefix)) {
+    return node.namespaces.get(prefix) || null;
+  }
+  return fallbackNamespaces[prefix] || null;
+}
+
+/**
+ * Check whether an element node has the given namespace and local name
+ * @param {Object} node - Element node
+ * @param {string} namespaceURI - Namespace URI
+ * @param {string} localName - Local name (omit to match any)
+ * @returns {boolean}
+ */
+export function isElement(node, namespaceURI, localName) {
+  return node.type === 'element' &&
+    node.namespaceURI === namespaceURI &&
+    (localName === undefined || node.localName === localName);
+}
+
+/**
+ * Direct child elements, optionally filtered by namespace and local name
+ * @param {Object} node - Element or document node
+ * @param {string} namespaceURI - Namespace URI (omit to return all child elements)
+ * @param {string} localName - Local name (omit to match any)
+ * @returns {Array} - Element nodes
+ */
+export function getChildElements(node, namespaceURI, localName) {
+  return node.children.filter(child =>
+    child.type === 'element' &&
+    (namespaceURI === undefined || isElement(child, namespaceURI, localName))
+  );
+}
+
+/**
+ * All descendant elements in document order
+ * @param {Object} node - Element or document node
+ * @returns {Array} - Element nodes
+ */
+export function getDescendantElements(node) {
+  const result = [];
+  const visit = (current) => {
+    for (const child of current.children) {
+      if (child.type !== 'element') continue;
+      result.push(child);
+      visit(child);
+    }
+  };
+  visit(node);
+  return result;
+}
+
+/**
+ * Nearest ancestor element with the given namespace and local name
+ * @returns {Object|null} - Element node
+ */
+export function findAncestor(node, namespaceURI, localName) {
+  let current = node.parent;
+  while (current) {
+    if (isElement(current, namespaceURI, localName)) return current;
+    current = current.parent;
+  }
+  return null;
+}
+
+/**
+ * Concatenated text (and CDATA) content of an element and its descendants
+ * @param {Object} node - Element node
+ * @returns {string}
+ */
+export function getTextContent(node) {
+  let text = '';
+  for (const child of node.children) {
+    if (child.type === 'text') text += child.value;
+    else if (child.type === 'element') text += getTextContent(child);
+  }
+  return text;
+}
@@ -0,0 +1,112 @@
+import { describe, test, expect, beforeAll } from 'vitest';
+import { buildBrowserBundles } from '../../scripts/build-browser.js';
+import { layoutBPMN } from '../../src/index.js';
+import { readFileSync, readdirSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import vm from 'vm';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const testDataDir = join(__dirname, '../../test-data');
+
+// All BPMN fixtures (test-data and test-data/real-world)
+const fixtures = ['', 'real-world'].flatMap(dir => readdirSync(join(testDataDir, dir))
+  .filter(file => file.endsWith('.bpmn'))
+  .map(file => join(dir, file)));
+
+const readFixture = file => readFileSync(join(testDataDir, file), 'utf-8');
+
+/**
+ * Run a script in a fresh context without Node globals (no process, require, module)
+ */
+function runScript(source, scope = {}) {
+  scope.self = scope;
+  vm.createContext(scope);
+  vm.runInContext(source, scope);
+  return scope;
+}
+
+describe('Integration: Browser Bundle', () => {
+  let bundles;
+
+  beforeAll(async () => {
+    bundles = await buildBrowserBundles({ write: false });
+  }, 60000);
+
+  test('should lay out all fixtures with the UMD bundle like in Node', () => {
+    const { BpmnAutoLayout } = runScript(bundles['bpmn-autolayout.umd.js']);
+
+    expect(fixtures.length).toBeGreaterThan(40);
+    for (const file of fixtures) {
+      const xml = readFixture(file);
+      for (const config of [{}, { laneOrientation: 'vertical' }]) {
+        expect(JSON.stringify(BpmnAutoLayout.layoutBPMN(xml, config)), file).toBe(JSON.stringify(layoutBPMN(xml, config)));
+      }
+    }
+  });
+
+  test('should export the API from the ES module bundle', async () => {
+    const source = bundles['bpmn-autolayout.esm.js'];
+    const module = await import(`data:text/javascript;base64,${Buffer.from(source).toString('base64')}`);
+
+    expect(typeof module.layoutBPMN).toBe('function');
+    expect(typeof module.computeLayout).toBe('function');
+    expect(typeof module.createLayoutWorker).toBe('function');
+
+    const xml = readFixture('simple-3-lane.bpmn');
+    expect(module.layoutBPMN(xml).bpmnXml).toBe(layoutBPMN(xml).bpmnXml);
+  });
+
+  test('should answer layout requests in the worker bundle', async () => {
+    const responses = [];
+    const scope = runScript(bundles['bpmn-autolayout.worker.js'], {
+      postMessage: message => responses.push(message)
+    });
+
+    const xml = readFixture('test-variant-1.bpmn');
+    scope.onmessage({ data: { id: 7, bpmnXml: xml, config: { laneOrientation: 'vertical' }, log: true } });
+
+    expect(responses).toHaveLength(1);
+    const { id, logs, ...result } = responses[0];
+    expect(id).toBe(7);
+    expect(JSON.stringify(result)).toBe(JSON.stringify(layoutBPMN(xml, { laneOrientation: 'vertical' })));
+    expect(logs.some(({ level, message }) => level === 'warn' && message.startsWith('[validation] Flow'))).toBe(true);
+
+    scope.onmessage({ data: { id: 8, bpmnXml: '<invalid' } });
+    expect(responses[1]).toMatchObject({ id: 8, success: false });
+  });
+
+  test('should run layouts through createLayoutWorker', async () => {
+    const listeners = [];
+    const scope = runScript(bundles['bpmn-autolayout.worker.js'], {
+      // Worker → main thread: asynchronous, like a real worker
+      postMessage: message => setTimeout(() => listeners.forEach(listener => listener({ data: message })))
+    });
+    const { createLayoutWorker } = runScript(bundles['bpmn-autolayout.umd.js']).BpmnAutoLayout;
+
+    const worker = {
+      postMessage: message => scope.onmessage({ data: structuredClone(message) }),
+      addEventListener: (type, listener) => {
+        if (type === 'message') listeners.push(listener);
+      },
+      terminate: () => {}
+    };
+    const layouter = createLayoutWorker(worker);
+
+    const messages = [];
+    const logger = { warn: message => messages.push(message) };
+    const [simple, complex] = await Promise.all([
+      layouter.layout(readFixture('simple-3-lane.bpmn')),
+      layouter.layout(readFixture('test-variant-1.bpmn'), { logger })
+    ]);
+
+    expect(simple.bpmnXml).toBe(layoutBPMN(readFixture('simple-3-lane.bpmn')).bpmnXml);
+    expect(complex.success).toBe(true);
+    expect(messages.some(message => message.startsWith('[validation] Flow'))).toBe(true);
+
+    const pending = layouter.layout(readFixture('simple-3-lane.bpmn'));
+    layouter.terminate();
+    await expect(pending).rejects.toThrow('terminated');
+  });
+});
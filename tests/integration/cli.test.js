@@ -0,0 +1,198 @@
+import { describe, test, expect } from 'vitest';
+import { runCLI, parseArgs, expandInputs } from '../../src/cli.js';
+import { readFileSync, writeFileSync, readdirSync, mkdirSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const repoRoot = join(__dirname, '../..');
+
+/**
+ * Run the CLI in-process and capture its output
+ */
+function run(argv, stdin = null) {
+  let stdout = '';
+  let stderr = '';
+  const code = runCLI(argv, {
+    stdout: text => { stdout += text; },
+    stderr: text => { stderr += text; },
+    readStdin: () => stdin,
+    isStdinTTY: () => stdin === null,
+    cwd: () => repoRoot
+  });
+  return { code, stdout, stderr };
+}
+
+describe('Integration: Command-Line Interface', () => {
+  test('should lay out a file to stdout', () => {
+    const { code, stdout } = run(['test-data/simple-3-lane.bpmn']);
+
+    expect(code).toBe(0);
+    expect(stdout).toContain('<bpmndi:BPMNShape id="task1_di" bpmnElement="task1">');
+    expect(stdout).toContain('isHorizontal="true"');
+  });
+
+  test('should read stdin and pass config flags', () => {
+    const xml = readFileSync(join(repoRoot, 'test-data/simple-3-lane.bpmn'), 'utf-8');
+    const { code, stdout } = run(['--orientation', 'vertical'], xml);
+
+    expect(code).toBe(0);
+    expect(stdout).toContain('isHorizontal="false"');
+  });
+
+  test('should map flags onto config keys', () => {
+    const options = parseArgs([
+      'a.bpmn', '--orientation=vertical', '--show-merge-gateways',
+      '--collapse-sub-processes', '--set', 'custom={"x":1}'
+    ]);
+
+    expect(options.inputs).toEqual(['a.bpmn']);
+    expect(options.config).toEqual({
+      laneOrientation: 'vertical',
+      hideXorMergeGateways: false,
+      collapseSubProcesses: true,
+      custom: { x: 1 }
+    });
+    expect(parseArgs(['--no-hide-merge-gateways']).config).toEqual({ hideXorMergeGateways: false });
+    expect(parseArgs(['--metrics', 'compact']).config).toEqual({ layoutMetrics: 'compact' });
+    expect(parseArgs(['--preserve-element-sizes']).config).toEqual({ preserveElementSizes: true });
+    expect(parseArgs(['--stable-layout']).config).toEqual({ stableLayout: true });
+    expect(parseArgs(['--minimize-crossings']).config).toEqual({ minimizeCrossings: true });
+    expect(parseArgs(['--compact-layout']).config).toEqual({ compactLayout: true });
+    expect(parseArgs(['--variable-column-widths']).config).toEqual({ variableColumnWidths: true });
+    expect(parseArgs(['--optimize-lane-order', '--pin-lanes', 'lane1,lane3']).config).toEqual({ optimizeLaneOrder: true, pinnedLanes: ['lane1', 'lane3'] });
+    expect(parseArgs(['--report', 'report.json']).report).toBe('report.json');
+    expect(parseArgs(['--debug', 'merge,gateway'])).toMatchObject({ verbose: true, config: { debug: ['merge', 'gateway'] } });
+    expect(parseArgs(['--debug', 'all']).config).toEqual({ debug: true });
+    expect(() => parseArgs(['--debug', 'merges'])).toThrow('Unknown debug category');
+    expect(parseArgs(['-f', 'svg']).format).toBe('svg');
+    expect(() => parseArgs(['--format', 'png'])).toThrow('Invalid value');
+    expect(() => parseArgs(['--orientation', 'diagonal'])).toThrow('Invalid value');
+    expect(() => parseArgs(['--unknown'])).toThrow('Unknown option');
+  });
+
+  test('should expand globs and write to an output directory', () => {
+    expect(expandInputs(['test-data/simple-3-*.bpmn'], repoRoot)).toEqual([
+      'test-data/simple-3-lane-layouted.bpmn',
+      'test-data/simple-3-lane.bpmn'
+    ]);
+
+    const outDir = mkdtempSync(join(tmpdir(), 'bpmn-autolayout-'));
+    try {
+      const { code, stdout } = run(['test-data/simple-3-*.bpmn', '--out-dir', outDir]);
+
+      expect(code).toBe(0);
+      expect(stdout).toBe('');
+      expect(readdirSync(outDir).sort()).toEqual(['simple-3-lane-layouted.bpmn', 'simple-3-lane.bpmn']);
+      expect(readFileSync(join(outDir, 'simple-3-lane.bpmn'), 'utf-8')).toContain('<bpmndi:BPMNDiagram');
+    } finally {
+      rmSync(outDir, { recursive: true, force: true });
+    }
+  });
+
+  test('should report outputs that cannot be written as failures of their input', () => {
+    const tmp = mkdtempSync(join(tmpdir(), 'bpmn-autolayout-'));
+    try {
+      const xml = readFileSync(join(repoRoot, 'test-data/simple-3-lane.bpmn'), 'utf-8');
+      for (const dir of ['a', 'b']) {
+        mkdirSync(join(tmp, dir));
+        writeFileSync(join(tmp, dir, 'order.bpmn'), xml);
+      }
+
+      // Same file name from two directories: the second one does not overwrite the first
+      const outDir = join(tmp, 'out');
+      const duplicate = run([join(tmp, 'a/order.bpmn'), join(tmp, 'b/order.bpmn'), '-d', outDir]);
+      expect(duplicate.code).toBe(1);
+      expect(duplicate.stderr).toContain(`❌ ${join(tmp, 'b/order.bpmn')}: Output order.bpmn was already written for ${join(tmp, 'a/order.bpmn')}`);
+      expect(readdirSync(outDir)).toEqual(['order.bpmn']);
+
+      // Output path is a directory
+      const unwritable = run(['test-data/simple-3-lane.bpmn', '-o', outDir]);
+      expect(unwritable.code).toBe(1);
+      expect(unwritable.stderr).toContain('❌ test-data/simple-3-lane.bpmn: EISDIR');
+    } finally {
+      rmSync(tmp, { recursive: true, force: true });
+    }
+  });
+
+  test('should write SVG previews with --format svg', () => {
+    const single = run(['--format', 'svg', 'test-data/simple-3-lane.bpmn']);
+    expect(single.code).toBe(0);
+    expect(single.stdout).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+    expect(single.stdout).toContain('data-element-id="task1"');
+
+    const outDir = mkdtempSync(join(tmpdir(), 'bpmn-autolayout-'));
+    try {
+      const { code } = run(['-f', 'svg', 'test-data/simple-3-*.bpmn', '-d', outDir]);
+
+      expect(code).toBe(0);
+      expect(readdirSync(outDir).sort()).toEqual(['simple-3-lane-layouted.svg', 'simple-3-lane.svg']);
+      expect(readFileSync(join(outDir, 'simple-3-lane.svg'), 'utf-8')).toBe(single.stdout);
+    } finally {
+      rmSync(outDir, { recursive: true, force: true });
+    }
+  });
+
+  test('should exit non-zero in check mode when layout fails or has collisions', () => {
+    const clean = run(['--check', 'test-data/simple-3-lane.bpmn']);
+    expect(clean.code).toBe(0);
+    expect(clean.stdout).toBe('');
+
+    // Flows merged through hidden XOR merge gateways (default) do not cross them
+    const merged = run(['--check', 'test-data/incident-management-complex.bpmn']);
+    expect(merged.code).toBe(0);
+    expect(merged.stderr).not.toContain('error');
+
+    // No end event → layout fails
+    const failing = run(['--check', 'test-data/minimal-parallel-test.bpmn']);
+    expect(failing.code).toBe(1);
+    expect(failing.stderr).toContain('No end event found');
+
+    // Flow crosses an element → collision detector reports it
+    const colliding = run(['--check', 'test-data/test-variant-1.bpmn']);
+    expect(colliding.code).toBe(1);
+    expect(colliding.stderr).toContain('intersects element');
+  });
+
+  test('should write diagnostics and quality metrics with --report', () => {
+    const outDir = mkdtempSync(join(tmpdir(), 'bpmn-autolayout-'));
+    try {
+      const reportFile = join(outDir, 'report.json');
+      const { code, stderr } = run(['--check', '--report', reportFile, 'test-data/simple-3-lane.bpmn', 'test-data/test-variant-1.bpmn']);
+
+      expect(code).toBe(1);
+      expect(stderr).toContain('error flow_crosses_element:');
+
+      const report = JSON.parse(readFileSync(reportFile, 'utf-8'));
+      expect(Object.keys(report)).toEqual(['test-data/simple-3-lane.bpmn', 'test-data/test-variant-1.bpmn']);
+      expect(report['test-data/simple-3-lane.bpmn']).toMatchObject({ success: true, diagnostics: [] });
+      expect(report['test-data/simple-3-lane.bpmn'].qualityMetrics.edgeCrossings).toBe(0);
+      expect(report['test-data/test-variant-1.bpmn'].diagnostics).toContainEqual(expect.objectContaining({
+        severity: 'error',
+        code: 'flow_crosses_element'
+      }));
+    } finally {
+      rmSync(outDir, { recursive: true, force: true });
+    }
+  });
+
+  test('should show library messages on stderr only with --verbose', () => {
+    const quiet = run(['test-data/test-variant-1.bpmn']);
+    expect(quiet.code).toBe(0);
+    expect(quiet.stderr).not.toContain('[validation]');
+
+    const verbose = run(['--verbose', 'test-data/test-variant-1.bpmn']);
+    expect(verbose.code).toBe(0);
+    expect(verbose.stderr).toContain('[validation] Flow');
+    expect(verbose.stdout).toBe(quiet.stdout);
+  });
+
+  test('should reject multiple inputs without an output directory', () => {
+    const { code, stderr } = run(['test-data/simple-3-lane.bpmn', 'test-data/test-variant-2.bpmn']);
+
+    expect(code).toBe(2);
+    expect(stderr).toContain('--out-dir');
+  });
+});
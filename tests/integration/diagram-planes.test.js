@@ -0,0 +1,342 @@
+import { describe, test, expect } from 'vitest';
+import { layoutBPMN, computeLayout, renderSVG } from '../../src/index.js';
+import { parseXMLDocument, getChildElements, getDescendantElements, NS } from '../../src/xml-parser.js';
+
+// Two processes without collaboration: the order calls the shipping process
+const processesXml = `<?xml version="1.0" encoding="UTF-8"?>
+<bpmn:definitions xmlns:bpmn="http://www.omg.org/spec/BPMN/20100524/MODEL" id="defs" targetNamespace="http://example.com">
+  <bpmn:process id="Order">
+    <bpmn:laneSet id="ls1">
+      <bpmn:lane id="shop" name="Shop">
+        <bpmn:flowNodeRef>s1</bpmn:flowNodeRef><bpmn:flowNodeRef>t1</bpmn:flowNodeRef><bpmn:flowNodeRef>call</bpmn:flowNodeRef><bpmn:flowNodeRef>e1</bpmn:flowNodeRef>
+      </bpmn:lane>
+    </bpmn:laneSet>
+    <bpmn:startEvent id="s1"/>
+    <bpmn:task id="t1" name="Check"/>
+    <bpmn:callActivity id="call" name="Ship" calledElement="Shipping"/>
+    <bpmn:endEvent id="e1"/>
+    <bpmn:sequenceFlow id="f1" sourceRef="s1" targetRef="t1"/>
+    <bpmn:sequenceFlow id="f2" sourceRef="t1" targetRef="call"/>
+    <bpmn:sequenceFlow id="f3" sourceRef="call" targetRef="e1"/>
+  </bpmn:process>
+  <bpmn:process id="Shipping">
+    <bpmn:laneSet id="ls2">
+      <bpmn:lane id="store" name="Store">
+        <bpmn:flowNodeRef>s2</bpmn:flowNodeRef><bpmn:flowNodeRef>pack</bpmn:flowNodeRef><bpmn:flowNodeRef>e2</bpmn:flowNodeRef>
+      </bpmn:lane>
+    </bpmn:laneSet>
+    <bpmn:startEvent id="s2"/>
+    <bpmn:subProcess id="pack" name="Pack">
+      <bpmn:startEvent id="s3"/>
+      <bpmn:task id="pick" name="Pick"/>
+      <bpmn:endEvent id="e3"/>
+      <bpmn:sequenceFlow id="f6" sourceRef="s3" targetRef="pick"/>
+      <bpmn:sequenceFlow id="f7" sourceRef="pick" targetRef="e3"/>
+    </bpmn:subProcess>
+    <bpmn:endEvent id="e2"/>
+    <bpmn:sequenceFlow id="f4" sourceRef="s2" targetRef="pack"/>
+    <bpmn:sequenceFlow id="f5" sourceRef="pack" targetRef="e2"/>
+  </bpmn:process>
+</bpmn:definitions>`;
+
+// Only the order process is a participant, the called process gets its own diagram
+const collaborationXml = processesXml.replace('<bpmn:process id="Order">', `<bpmn:collaboration id="Collaboration_Shop">
+    <bpmn:participant id="Shop_Pool" name="Shop" processRef="Order"/>
+  </bpmn:collaboration>
+  <bpmn:process id="Order">`);
+
+// Processes without lanes: a flat process, and a flat participant next to one with lanes
+const flatXml = `<?xml version="1.0" encoding="UTF-8"?>
+<bpmn:definitions xmlns:bpmn="http://www.omg.org/spec/BPMN/20100524/MODEL" id="defs" targetNamespace="http://example.com">
+  <bpmn:process id="Flat">
+    <bpmn:startEvent id="s"/>
+    <bpmn:task id="t1" name="Check"/>
+    <bpmn:exclusiveGateway id="ok" name="OK?"/>
+    <bpmn:task id="t2" name="Ship"/>
+    <bpmn:endEvent id="e"/>
+    <bpmn:sequenceFlow id="f1" sourceRef="s" targetRef="t1"/>
+    <bpmn:sequenceFlow id="f2" sourceRef="t1" targetRef="ok"/>
+    <bpmn:sequenceFlow id="f3" sourceRef="ok" targetRef="t2" name="yes"/>
+    <bpmn:sequenceFlow id="f4" sourceRef="ok" targetRef="e" name="no"/>
+    <bpmn:sequenceFlow id="f5" sourceRef="t2" targetRef="e"/>
+  </bpmn:process>
+</bpmn:definitions>`;
+
+const flatParticipantXml = `<?xml version="1.0" encoding="UTF-8"?>
+<bpmn:definitions xmlns:bpmn="http://www.omg.org/spec/BPMN/20100524/MODEL" id="defs" targetNamespace="http://example.com">
+  <bpmn:collaboration id="Collaboration_1">
+    <bpmn:participant id="Customer_Pool" name="Customer" processRef="Customer"/>
+    <bpmn:participant id="Shop_Pool" name="Shop" processRef="Shop"/>
+    <bpmn:messageFlow id="m1" sourceRef="order" targetRef="received"/>
+  </bpmn:collaboration>
+  <bpmn:process id="Customer">
+    <bpmn:startEvent id="c1"/>
+    <bpmn:task id="order" name="Order"/>
+    <bpmn:endEvent id="c2"/>
+    <bpmn:sequenceFlow id="fc1" sourceRef="c1" targetRef="order"/>
+    <bpmn:sequenceFlow id="fc2" sourceRef="order" targetRef="c2"/>
+  </bpmn:process>
+  <bpmn:process id="Shop">
+    <bpmn:laneSet id="ls"><bpmn:lane id="sales" name="Sales"><bpmn:flowNodeRef>received</bpmn:flowNodeRef><bpmn:flowNodeRef>done</bpmn:flowNodeRef></bpmn:lane></bpmn:laneSet>
+    <bpmn:startEvent id="received"><bpmn:messageEventDefinition id="md"/></bpmn:startEvent>
+    <bpmn:endEvent id="done"/>
+    <bpmn:sequenceFlow id="fs1" sourceRef="received" targetRef="done"/>
+  </bpmn:process>
+</bpmn:definitions>`;
+
+// Black-box participants (without process) before and after the shop, message flows to them
+const blackBoxXml = `<?xml version="1.0" encoding="UTF-8"?>
+<bpmn:definitions xmlns:bpmn="http://www.omg.org/spec/BPMN/20100524/MODEL" id="defs" targetNamespace="http://example.com">
+  <bpmn:collaboration id="Collaboration_1">
+    <bpmn:participant id="Customer" name="Customer"/>
+    <bpmn:participant id="Shop_Pool" name="Shop" processRef="Shop"/>
+    <bpmn:participant id="Bank" name="Bank"/>
+    <bpmn:messageFlow id="m1" name="Order" sourceRef="Customer" targetRef="received"/>
+    <bpmn:messageFlow id="m2" sourceRef="charge" targetRef="Bank"/>
+    <bpmn:messageFlow id="m3" sourceRef="Bank" targetRef="charge"/>
+    <bpmn:messageFlow id="m4" sourceRef="ship" targetRef="Customer"/>
+  </bpmn:collaboration>
+  <bpmn:process id="Shop">
+    <bpmn:laneSet id="ls">
+      <bpmn:lane id="sales" name="Sales"><bpmn:flowNodeRef>received</bpmn:flowNodeRef><bpmn:flowNodeRef>charge</bpmn:flowNodeRef></bpmn:lane>
+      <bpmn:lane id="store" name="Store"><bpmn:flowNodeRef>ship</bpmn:flowNodeRef><bpmn:flowNodeRef>done</bpmn:flowNodeRef></bpmn:lane>
+    </bpmn:laneSet>
+    <bpmn:startEvent id="received"><bpmn:messageEventDefinition id="md"/></bpmn:startEvent>
+    <bpmn:task id="charge" name="Charge"/>
+    <bpmn:task id="ship" name="Ship"/>
+    <bpmn:endEvent id="done"/>
+    <bpmn:sequenceFlow id="f1" sourceRef="received" targetRef="charge"/>
+    <bpmn:sequenceFlow id="f2" sourceRef="charge" targetRef="ship"/>
+    <bpmn:sequenceFlow id="f3" sourceRef="ship" targetRef="done"/>
+  </bpmn:process>
+</bpmn:definitions>`;
+
+/**
+ * Diagrams of a document: plane element → {shapes: bpmnElement → bounds, edges: bpmnElement IDs}
+ */
+function getDiagrams(xml) {
+  const root = parseXMLDocument(xml).root;
+  const diagrams = new Map();
+  for (const diagram of getChildElements(root, NS.BPMNDI, 'BPMNDiagram')) {
+    const plane = getChildElements(diagram, NS.BPMNDI, 'BPMNPlane')[0];
+    const shapes = new Map();
+    const edges = [];
+    for (const di of getChildElements(plane)) {
+      if (di.localName === 'BPMNShape') {
+        const bounds = getChildElements(di, NS.DC, 'Bounds')[0].attributes;
+        shapes.set(di.attributes.bpmnElement, { ...di.attributes, x: Number(bounds.x), y: Number(bounds.y) });
+      } else {
+        edges.push(di.attributes.bpmnElement);
+      }
+    }
+    diagrams.set(plane.attributes.bpmnElement, { shapes, edges });
+  }
+  return diagrams;
+}
+
+describe('Integration: Diagram Planes', () => {
+  test('should lay out every process without participant on its own diagram', () => {
+    for (const laneOrientation of ['horizontal', 'vertical']) {
+      const result = layoutBPMN(processesXml, { laneOrientation });
+      expect(result.success).toBe(true);
+
+      const diagrams = getDiagrams(result.bpmnXml);
+      expect([...diagrams.keys()]).toEqual(['Order', 'Shipping']);
+
+      const order = diagrams.get('Order');
+      const shipping = diagrams.get('Shipping');
+      expect([...order.shapes.keys()].sort()).toEqual(['call', 'e1', 's1', 'shop', 't1']);
+      expect(order.edges).toEqual(['f1', 'f2', 'f3']);
+      expect([...shipping.shapes.keys()].sort()).toEqual(['e2', 'e3', 'pack', 'pick', 's2', 's3', 'store']);
+      expect(shipping.shapes.get('pack').isExpanded).toBe('true');
+      expect(shipping.edges).toEqual(expect.arrayContaining(['f4', 'f5', 'f6', 'f7']));
+
+      // Independent coordinate spaces: both lanes start at the same spot
+      expect(shipping.shapes.get('store').x).toBe(order.shapes.get('shop').x);
+      expect(shipping.shapes.get('store').y).toBe(order.shapes.get('shop').y);
+    }
+  });
+
+  test('should draw the participants on the collaboration and other processes on their own diagram', () => {
+    const result = layoutBPMN(collaborationXml);
+    expect(result.success).toBe(true);
+
+    const diagrams = getDiagrams(result.bpmnXml);
+    expect([...diagrams.keys()]).toEqual(['Collaboration_Shop', 'Shipping']);
+    expect(diagrams.get('Collaboration_Shop').shapes.has('Shop_Pool')).toBe(true);
+    expect(diagrams.get('Shipping').shapes.has('s2')).toBe(true);
+    // The called process has no pool, its implicit pool is not drawn
+    expect([...diagrams.values()].some(diagram => diagram.shapes.has('default_pool'))).toBe(false);
+  });
+
+  test('should draw the content of collapsed sub-processes on drill-down diagrams', () => {
+    const result = layoutBPMN(processesXml, { collapseSubProcesses: true });
+    expect(result.success).toBe(true);
+
+    const diagrams = getDiagrams(result.bpmnXml);
+    expect([...diagrams.keys()]).toEqual(['Order', 'Shipping', 'pack']);
+    expect(diagrams.get('Shipping').shapes.get('pack').isExpanded).toBe('false');
+    expect(diagrams.get('Shipping').shapes.has('pick')).toBe(false);
+    expect([...diagrams.get('pack').shapes.keys()].sort()).toEqual(['e3', 'pick', 's3']);
+    expect(diagrams.get('pack').edges).toEqual(['f6', 'f7']);
+  });
+
+  test('should keep sub-processes collapsed in the input and replace all existing diagrams', () => {
+    const collapsedXml = layoutBPMN(processesXml, { collapseSubProcesses: true }).bpmnXml;
+
+    // A stale extra diagram (e.g. of a removed drill-down) is dropped as well
+    const staleDiagram = `<bpmndi:BPMNDiagram id="Stale"><bpmndi:BPMNPlane id="Stale_plane" bpmnElement="pick"/></bpmndi:BPMNDiagram>`;
+    const inputXml = collapsedXml.replace('</bpmn:definitions>', `  ${staleDiagram}\n</bpmn:definitions>`);
+    const result = layoutBPMN(inputXml);
+    expect(result.success).toBe(true);
+    expect(result.bpmnXml).toBe(collapsedXml);
+
+    // Every element is drawn exactly once
+    const drawn = getDescendantElements(parseXMLDocument(result.bpmnXml))
+      .filter(node => node.localName === 'BPMNShape' || node.localName === 'BPMNEdge')
+      .map(node => node.attributes.bpmnElement);
+    expect(new Set(drawn).size).toBe(drawn.length);
+  });
+
+  test('should return the planes of computeLayout and render one plane per SVG', () => {
+    const { success, layout, qualityMetrics } = computeLayout(processesXml, { collapseSubProcesses: true });
+    expect(success).toBe(true);
+
+    expect(layout.planes.map(plane => [plane.type, plane.id])).toEqual([
+      ['process', 'Order'], ['process', 'Shipping'], ['subProcess', 'pack']
+    ]);
+    expect(layout.planes[2]).toEqual({ id: 'pack', type: 'subProcess', elements: ['s3', 'e3', 'pick'], flows: ['f6', 'f7'], lanes: [], pools: [] });
+    expect(layout.planes[0].pools).toEqual(['default_pool']);
+    expect(layout.planes[1].pools).toEqual(['default_pool_2']);
+
+    // Planes share coordinates, but shapes of one plane never overlap
+    expect(qualityMetrics.overlaps).toBe(0);
+
+    const svg = renderSVG(layout, { plane: 2 });
+    expect(svg).toContain('data-element-id="pick"');
+    expect(svg).not.toContain('data-element-id="pack"');
+    expect(renderSVG(layout)).not.toContain('data-element-id="pick"');
+  });
+
+  test('should lay out processes without lanes flat, without lane or pool shapes', () => {
+    for (const laneOrientation of ['horizontal', 'vertical']) {
+      const { success, layout } = computeLayout(flatXml, { laneOrientation });
+      expect(success).toBe(true);
+      expect(layout.laneBounds).toEqual({});
+      expect(layout.poolBounds).toEqual({});
+
+      // Same layering, gateway branching and flow routing as in one lane
+      const lanedXml = flatXml.replace('<bpmn:process id="Flat">', `<bpmn:process id="Flat">
+    <bpmn:laneSet id="ls"><bpmn:lane id="all">${['s', 't1', 'ok', 't2', 'e'].map(id => `<bpmn:flowNodeRef>${id}</bpmn:flowNodeRef>`).join('')}</bpmn:lane></bpmn:laneSet>`);
+      const laned = computeLayout(lanedXml, { laneOrientation }).layout;
+      expect(layout.coordinates).toEqual(laned.coordinates);
+      expect(layout.flowWaypoints).toEqual(laned.flowWaypoints);
+      expect(Object.values(layout.positions).map(({ layer, row }) => [layer, row]))
+        .toEqual(Object.values(laned.positions).map(({ layer, row }) => [layer, row]));
+
+      const result = layoutBPMN(flatXml, { laneOrientation });
+      const diagrams = getDiagrams(result.bpmnXml);
+      expect([...diagrams.keys()]).toEqual(['Flat']);
+      expect([...diagrams.get('Flat').shapes.keys()].sort()).toEqual(['e', 'ok', 's', 't1', 't2']);
+      expect(diagrams.get('Flat').edges).toEqual(['f1', 'f2', 'f3', 'f4', 'f5']);
+    }
+  });
+
+  test('should route back-flows of flat processes like in one lane in both orientations', () => {
+    // The "no" branch loops back to the check
+    const loopXml = flatXml.replace('targetRef="e" name="no"', 'targetRef="t1" name="no"');
+    const lanedXml = loopXml.replace('<bpmn:process id="Flat">', `<bpmn:process id="Flat">
+    <bpmn:laneSet id="ls"><bpmn:lane id="all">${['s', 't1', 'ok', 't2', 'e'].map(id => `<bpmn:flowNodeRef>${id}</bpmn:flowNodeRef>`).join('')}</bpmn:lane></bpmn:laneSet>`);
+
+    for (const laneOrientation of ['horizontal', 'vertical']) {
+      const { success, layout } = computeLayout(loopXml, { laneOrientation });
+      expect(success).toBe(true);
+      expect(layout.flowWaypoints).toEqual(computeLayout(lanedXml, { laneOrientation }).layout.flowWaypoints);
+
+      const loop = layout.flowWaypoints.f4;
+      expect(loop.length).toBeGreaterThan(2);
+      for (const waypoints of Object.values(layout.flowWaypoints)) {
+        for (const point of waypoints) {
+          expect(Number.isFinite(point.x) && Number.isFinite(point.y), JSON.stringify(point)).toBe(true);
+        }
+      }
+      // Out of the gateway and into the check from the side across the lane
+      const [t1, ok] = [layout.coordinates.t1, layout.coordinates.ok];
+      const cross = laneOrientation === 'horizontal' ? 'y' : 'x';
+      const crossSize = laneOrientation === 'horizontal' ? 'height' : 'width';
+      expect(loop[0][cross]).toBe(ok[cross] + ok[crossSize]);
+      expect(loop[loop.length - 1][cross]).toBe(t1[cross] + t1[crossSize]);
+
+      expect(layoutBPMN(loopXml, { laneOrientation }).bpmnXml).not.toContain('NaN');
+    }
+  });
+
+  test('should draw the pool of a participant without lanes around its flat process', () => {
+    const result = layoutBPMN(flatParticipantXml);
+    expect(result.success).toBe(true);
+
+    const { shapes, edges } = getDiagrams(result.bpmnXml).get('Collaboration_1');
+    expect(shapes.has('Customer_Pool')).toBe(true);
+    expect(shapes.has('sales')).toBe(true);
+    expect([...shapes.keys()].filter(id => id.endsWith('_lane'))).toEqual([]);
+    expect(edges).toContain('m1');
+
+    // Pools in the order of their processes, the flat one first
+    expect(shapes.get('Customer_Pool').y).toBeLessThan(shapes.get('Shop_Pool').y);
+    expect(shapes.get('order').y).toBeGreaterThan(shapes.get('Customer_Pool').y);
+    expect(shapes.get('order').y).toBeLessThan(shapes.get('Shop_Pool').y);
+  });
+
+  test('should draw black-box participants as bands with message flows at the column of their element', () => {
+    for (const laneOrientation of ['horizontal', 'vertical']) {
+      const { success, layout } = computeLayout(blackBoxXml, { laneOrientation });
+      expect(success).toBe(true);
+      const horizontal = laneOrientation === 'horizontal';
+      // Along: the flow direction, cross: across the lanes
+      const [along, alongSize, cross, crossSize] = horizontal ? ['x', 'width', 'y', 'height'] : ['y', 'height', 'x', 'width'];
+      const { Customer, Bank, Shop_Pool: shop } = layout.poolBounds;
+
+      // Thin bands before and after the shop, as long as it
+      expect(Customer[crossSize]).toBe(60);
+      expect(Bank[crossSize]).toBe(60);
+      expect(Customer[cross] + Customer[crossSize]).toBeLessThan(shop[cross]);
+      expect(Bank[cross]).toBeGreaterThan(shop[cross] + shop[crossSize]);
+      for (const band of [Customer, Bank]) {
+        expect(band[along]).toBe(shop[along]);
+        expect(band[alongSize]).toBe(shop[alongSize]);
+      }
+
+      // Straight across the lanes at the column of the element
+      const m1 = layout.flowWaypoints.m1;
+      const received = layout.coordinates.received;
+      expect(m1).toHaveLength(2);
+      expect(m1[0][along]).toBe(m1[1][along]);
+      expect(m1[0][along]).toBe(received[along] + received[alongSize] / 2);
+      expect(m1[0][cross]).toBe(Customer[cross] + Customer[crossSize]);
+      expect(m1[1][cross]).toBe(received[cross]);
+
+      // Around the elements in the way, ending on the band
+      for (const [flowId, band] of [['m2', Bank], ['m3', Bank], ['m4', Customer]]) {
+        const waypoints = layout.flowWaypoints[flowId];
+        const poolEnd = flowId === 'm3' ? waypoints[0] : waypoints[waypoints.length - 1];
+        expect([band[cross], band[cross] + band[crossSize]], flowId).toContain(poolEnd[cross]);
+        for (let i = 1; i < waypoints.length; i++) {
+          const [a, b] = [waypoints[i - 1], waypoints[i]];
+          expect(a.x === b.x || a.y === b.y, flowId).toBe(true);
+          for (const [elementId, coord] of Object.entries(layout.coordinates)) {
+            const crosses = coord.x < Math.max(a.x, b.x) && coord.x + coord.width > Math.min(a.x, b.x) &&
+              coord.y < Math.max(a.y, b.y) && coord.y + coord.height > Math.min(a.y, b.y);
+            expect(crosses, `${flowId} crosses ${elementId}`).toBe(false);
+          }
+        }
+      }
+      // Two flows between the same element and pool side by side
+      expect(layout.flowWaypoints.m2[0]).not.toEqual(layout.flowWaypoints.m3[layout.flowWaypoints.m3.length - 1]);
+
+      const { shapes, edges } = getDiagrams(layoutBPMN(blackBoxXml, { laneOrientation }).bpmnXml).get('Collaboration_1');
+      expect(shapes.get('Customer').isHorizontal).toBe(String(horizontal));
+      expect(shapes.has('Bank')).toBe(true);
+      expect(edges).toEqual(expect.arrayContaining(['m1', 'm2', 'm3', 'm4']));
+    }
+  });
+});
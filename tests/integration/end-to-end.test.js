@@ -1,5 +1,6 @@
-import { describe, test, expect } from 'vitest';
-import { layoutBPMN } from '../../src/index.js';
+import { describe, test, expect, vi } from 'vitest';
+import { layoutBPMN, computeLayout } from '../../src/index.js';
+import { collectDiagnostics, calculateQualityMetrics } from '../../src/layout-diagnostics.js';
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
@@ -43,18 +44,18 @@ describe('Integration: End-to-End Layout', () => {
     console.log('  ✓ BPMNPlane present');
     
     // Check for element shapes
-    expect(outputXml).toContain('<bpmndi:BPMNShape bpmnElement="start1">');
-    expect(outputXml).toContain('<bpmndi:BPMNShape bpmnElement="xor1">');
-    expect(outputXml).toContain('<bpmndi:BPMNShape bpmnElement="task1">');
-    expect(outputXml).toContain('<bpmndi:BPMNShape bpmnElement="task2">');
-    expect(outputXml).toContain('<bpmndi:BPMNShape bpmnElement="task3">');
-    expect(outputXml).toContain('<bpmndi:BPMNShape bpmnElement="end1">');
+    expect(outputXml).toContain('<bpmndi:BPMNShape id="start1_di" bpmnElement="start1">');
+    expect(outputXml).toContain('<bpmndi:BPMNShape id="xor1_di" bpmnElement="xor1" isMarkerVisible="true">');
+    expect(outputXml).toContain('<bpmndi:BPMNShape id="task1_di" bpmnElement="task1">');
+    expect(outputXml).toContain('<bpmndi:BPMNShape id="task2_di" bpmnElement="task2">');
+    expect(outputXml).toContain('<bpmndi:BPMNShape id="task3_di" bpmnElement="task3">');
+    expect(outputXml).toContain('<bpmndi:BPMNShape id="end1_di" bpmnElement="end1">');
     console.log('  ✓ All element shapes present');
     
     // Check for flow edges
-    expect(outputXml).toContain('<bpmndi:BPMNEdge bpmnElement="flow1">');
-    expect(outputXml).toContain('<bpmndi:BPMNEdge bpmnElement="flow2">');
-    expect(outputXml).toContain('<bpmndi:BPMNEdge bpmnElement="flow3">');
+    expect(outputXml).toContain('<bpmndi:BPMNEdge id="flow1_di" bpmnElement="flow1">');
+    expect(outputXml).toContain('<bpmndi:BPMNEdge id="flow2_di" bpmnElement="flow2">');
+    expect(outputXml).toContain('<bpmndi:BPMNEdge id="flow3_di" bpmnElement="flow3">');
     console.log('  ✓ All flow edges present');
     
     // Check for waypoints
@@ -68,7 +69,450 @@ describe('Integration: End-to-End Layout', () => {
     console.log('\n=== TEST PASSED ✓ ===\n');
   });
 
-  // TODO: Add error handling test when parser validation is stricter
+  test('should lay out expanded sub-processes inside their container', () => {
+    const bpmnPath = join(__dirname, '../../test-data/subprocess-nested.bpmn');
+    const inputXml = readFileSync(bpmnPath, 'utf-8');
+
+    const result = layoutBPMN(inputXml, { laneOrientation: 'horizontal' });
+
+    expect(result.success).toBe(true);
+    const outputXml = result.bpmnXml;
+
+    const getBounds = (id) => {
+      const match = outputXml.match(new RegExp(`bpmnElement="${id}"[^>]*>\\s*<dc:Bounds x="([^"]+)" y="([^"]+)" width="([^"]+)" height="([^"]+)"`));
+      const [x, y, width, height] = match.slice(1).map(Number);
+      return { x, y, width, height };
+    };
+    const isInside = (inner, outer) =>
+      inner.x >= outer.x && inner.y >= outer.y &&
+      inner.x + inner.width <= outer.x + outer.width &&
+      inner.y + inner.height <= outer.y + outer.height;
+
+    expect(outputXml).toContain('<bpmndi:BPMNShape id="sub_fulfil_di" bpmnElement="sub_fulfil" isExpanded="true">');
+    expect(outputXml).toContain('<bpmndi:BPMNShape id="sub_ship_di" bpmnElement="sub_ship" isExpanded="true">');
+
+    const fulfil = getBounds('sub_fulfil');
+    const ship = getBounds('sub_ship');
+    expect(isInside(getBounds('task_pick'), fulfil)).toBe(true);
+    expect(isInside(ship, fulfil)).toBe(true);
+    expect(isInside(getBounds('task_pack'), ship)).toBe(true);
+
+    // Container is one large node: the next element starts after it
+    expect(getBounds('end').x).toBeGreaterThan(fulfil.x + fulfil.width);
+    expect(outputXml).toContain('<bpmndi:BPMNEdge id="t1_di" bpmnElement="t1">');
+  });
+
+  test('should keep sub-processes collapsed with collapseSubProcesses and draw their content on own planes', () => {
+    const bpmnPath = join(__dirname, '../../test-data/subprocess-nested.bpmn');
+    const inputXml = readFileSync(bpmnPath, 'utf-8');
+
+    const result = layoutBPMN(inputXml, { collapseSubProcesses: true });
+
+    expect(result.success).toBe(true);
+    expect(result.bpmnXml).not.toContain('isExpanded="true"');
+
+    // Main diagram, then one drill-down diagram per collapsed sub-process
+    const [main, fulfil, ship] = result.bpmnXml.split('<bpmndi:BPMNDiagram ').slice(1);
+    expect(main).toContain('bpmnElement="Collaboration_1"');
+    expect(main).toContain('<bpmndi:BPMNShape id="sub_fulfil_di" bpmnElement="sub_fulfil" isExpanded="false">');
+    expect(main).not.toContain('bpmnElement="task_pick"');
+    expect(fulfil).toContain('<bpmndi:BPMNPlane id="BPMNPlane_2" bpmnElement="sub_fulfil">');
+    expect(fulfil).toContain('bpmnElement="task_pick"');
+    expect(fulfil).toContain('<bpmndi:BPMNShape id="sub_ship_di" bpmnElement="sub_ship" isExpanded="false">');
+    expect(fulfil).not.toContain('bpmnElement="t1"');
+    expect(ship).toContain('<bpmndi:BPMNPlane id="BPMNPlane_3" bpmnElement="sub_ship">');
+    expect(ship).toContain('bpmnElement="t1"');
+  });
+
+  test('should place data objects, data stores and annotations next to their activities', () => {
+    const bpmnPath = join(__dirname, '../../test-data/artifacts.bpmn');
+    const inputXml = readFileSync(bpmnPath, 'utf-8');
+
+    const result = layoutBPMN(inputXml, { laneOrientation: 'horizontal' });
+
+    expect(result.success).toBe(true);
+    const outputXml = result.bpmnXml;
+
+    const getBounds = (id) => {
+      const match = outputXml.match(new RegExp(`bpmnElement="${id}"[^>]*>\\s*<dc:Bounds x="([^"]+)" y="([^"]+)" width="([^"]+)" height="([^"]+)"`));
+      const [x, y, width, height] = match.slice(1).map(Number);
+      return { x, y, width, height };
+    };
+    const overlaps = (a, b) =>
+      a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+
+    // Data object sits in the corridor above or below the activity, inside its lane
+    const assess = getBounds('task_assess');
+    const claim = getBounds('data_claim');
+    const expertLane = getBounds('lane_expert');
+    expect(claim.x + claim.width).toBeGreaterThan(assess.x);
+    expect(claim.x).toBeLessThan(assess.x + assess.width);
+    expect(claim.y + claim.height <= assess.y || claim.y >= assess.y + assess.height).toBe(true);
+    expect(claim.y).toBeGreaterThanOrEqual(expertLane.y);
+    expect(claim.y + claim.height).toBeLessThanOrEqual(expertLane.y + expertLane.height);
+
+    // No artifact overlaps an activity
+    for (const artifactId of ['data_claim', 'store_archive', 'note_sla']) {
+      for (const taskId of ['task_register', 'task_assess', 'task_archive']) {
+        expect(overlaps(getBounds(artifactId), getBounds(taskId))).toBe(false);
+      }
+    }
+
+    // Unconnected annotation still gets a shape; the dataObject definition does not
+    expect(outputXml).toContain('<bpmndi:BPMNShape id="note_loose_di" bpmnElement="note_loose">');
+    expect(outputXml).not.toContain('bpmnElement="data_claim_def"');
+
+    // Associations are short straight connectors
+    for (const flowId of ['assoc_in_claim', 'assoc_out_archive', 'assoc_note_sla']) {
+      const edge = outputXml.match(new RegExp(`bpmnElement="${flowId}">([\\s\\S]*?)</bpmndi:BPMNEdge>`))[1];
+      expect(edge.match(/<di:waypoint/g).length).toBe(2);
+    }
+  });
+
+  test('should scale spacing with layoutMetrics and keep routing consistent', () => {
+    const bpmnPath = join(__dirname, '../../test-data/simple-3-lane.bpmn');
+    const inputXml = readFileSync(bpmnPath, 'utf-8');
+
+    const getBounds = (xml, id) => {
+      const shape = xml.match(new RegExp(`bpmnElement="${id}"[^>]*>\\s*<dc:Bounds ([^/]*)/>`))[1];
+      const [x, y, width, height] = ['x', 'y', 'width', 'height']
+        .map(attr => Number(shape.match(new RegExp(`\\b${attr}="([^"]+)"`))[1]));
+      return { x, y, width, height };
+    };
+
+    const results = {};
+    for (const layoutMetrics of ['default', 'compact', 'spacious']) {
+      results[layoutMetrics] = layoutBPMN(inputXml, { layoutMetrics });
+      expect(results[layoutMetrics].success).toBe(true);
+    }
+
+    // Lane height and column distance follow the preset
+    const laneHeights = Object.fromEntries(Object.entries(results)
+      .map(([preset, result]) => [preset, getBounds(result.bpmnXml, 'lane1').height]));
+    expect(laneHeights).toEqual({ default: 180, compact: 140, spacious: 240 });
+
+    const columnDistance = xml => getBounds(xml, 'end1').x - getBounds(xml, 'start1').x;
+    expect(columnDistance(results.compact.bpmnXml)).toBeLessThan(columnDistance(results.default.bpmnXml));
+    expect(columnDistance(results.spacious.bpmnXml)).toBeGreaterThan(columnDistance(results.default.bpmnXml));
+
+    // Corridors follow the spacing: no new collisions in any preset
+    expect(results.compact.warnings).toEqual(results.default.warnings);
+    expect(results.spacious.warnings).toEqual(results.default.warnings);
+
+    // Overrides on top of a preset, invalid metrics are reported
+    const custom = layoutBPMN(inputXml, { layoutMetrics: { preset: 'compact', laneBaseHeight: 200 } });
+    expect(getBounds(custom.bpmnXml, 'lane1').height).toBe(200);
+
+    // computeLayout sizes shapes and their labels with the same metrics as the DI
+    const largeConfig = { layoutMetrics: { eventSize: 50, elementWidth: 120 } };
+    const large = computeLayout(inputXml, largeConfig);
+    expect(large.layout.coordinates.start1).toEqual(getBounds(layoutBPMN(inputXml, largeConfig).bpmnXml, 'start1'));
+    expect(large.layout.coordinates.start1).toMatchObject({ width: 50, height: 50 });
+    expect(large.layout.labelBounds.start1.y).toBe(large.layout.coordinates.start1.y + 55);
+    expect(layoutBPMN(inputXml, { layoutMetrics: 'tiny' }).errors[0]).toContain('Unknown layout metrics preset');
+    expect(layoutBPMN(inputXml, { layoutMetrics: { laneBaseHeight: 50 } }).success).toBe(false);
+  });
+
+  test('should keep element sizes from the input DI with preserveElementSizes', () => {
+    const bpmnPath = join(__dirname, '../../test-data/simple-3-lane-layouted.bpmn');
+    const inputXml = readFileSync(bpmnPath, 'utf-8')
+      .replace('<dc:Bounds x="600" y="265" width="100" height="80"/>', '<dc:Bounds x="600" y="265" width="180" height="120"/>');
+
+    const getBounds = (xml, id) => {
+      const shape = xml.match(new RegExp(`bpmnElement="${id}"[^>]*>\\s*<dc:Bounds ([^/]*)/>`))[1];
+      const [x, y, width, height] = ['x', 'y', 'width', 'height']
+        .map(attr => Number(shape.match(new RegExp(`\\b${attr}="([^"]+)"`))[1]));
+      return { x, y, width, height };
+    };
+
+    // Default: sizes are normalized
+    const normalized = layoutBPMN(inputXml);
+    expect(getBounds(normalized.bpmnXml, 'task1')).toMatchObject({ width: 100, height: 80 });
+
+    const result = layoutBPMN(inputXml, { preserveElementSizes: true });
+    expect(result.success).toBe(true);
+    expect(result.warnings).toEqual([]);
+
+    // Size is kept, position is recomputed
+    const task1 = getBounds(result.bpmnXml, 'task1');
+    expect(task1).toMatchObject({ width: 180, height: 120 });
+    expect(task1.y).not.toBe(265);
+
+    // Lane grows around the larger task, the next column moves right
+    const lane1 = getBounds(result.bpmnXml, 'lane1');
+    expect(lane1.height).toBeGreaterThan(getBounds(normalized.bpmnXml, 'lane1').height);
+    expect(task1.y).toBeGreaterThan(lane1.y);
+    expect(task1.y + task1.height).toBeLessThan(lane1.y + lane1.height);
+    expect(getBounds(result.bpmnXml, 'end1').x).toBeGreaterThan(task1.x + task1.width);
+
+    // Elements in the same layer stay centered on one column
+    const task2 = getBounds(result.bpmnXml, 'task2');
+    expect(task2.x + task2.width / 2).toBe(task1.x + task1.width / 2);
+  });
+
+  test('should keep previous positions with stableLayout', () => {
+    const getPositions = xml => Object.fromEntries(
+      [...xml.matchAll(/bpmnElement="([^"]+)"[^>]*>\s*<dc:Bounds x="([^"]+)" y="([^"]+)"/g)]
+        .map(([, id, x, y]) => [id, `${x},${y}`])
+    );
+    const countMoved = (before, after) => Object.keys(before)
+      .filter(id => after[id] && after[id] !== before[id]).length;
+
+    // Relayout of a layouted diagram does not move anything
+    const incident = readFileSync(join(__dirname, '../../test-data/incident-management-complex.bpmn'), 'utf-8');
+    const layouted = layoutBPMN(incident);
+    const relayouted = layoutBPMN(layouted.bpmnXml, { stableLayout: true });
+    expect(relayouted.success).toBe(true);
+    expect(countMoved(getPositions(layouted.bpmnXml), getPositions(relayouted.bpmnXml))).toBe(0);
+
+    // Insert a task after event1: only its successor chain has to make room
+    const base = layoutBPMN(readFileSync(join(__dirname, '../../test-data/real-world/input-real-world-complex.bpmn'), 'utf-8'));
+    const changedXml = base.bpmnXml
+      .replace('<bpmn:sequenceFlow id="f8" sourceRef="event1" targetRef="task5"/>',
+        '<bpmn:sequenceFlow id="f8" sourceRef="event1" targetRef="newTask"/>' +
+        '<bpmn:task id="newTask" name="New"/><bpmn:sequenceFlow id="fNew" sourceRef="newTask" targetRef="task5"/>')
+      .replace('<bpmn:flowNodeRef>event1</bpmn:flowNodeRef>',
+        '<bpmn:flowNodeRef>event1</bpmn:flowNodeRef><bpmn:flowNodeRef>newTask</bpmn:flowNodeRef>');
+
+    const fresh = layoutBPMN(changedXml);
+    const stable = layoutBPMN(changedXml, { stableLayout: true });
+    expect(stable.success).toBe(true);
+    expect(stable.warnings.length).toBeLessThanOrEqual(base.warnings.length);
+    expect(getPositions(stable.bpmnXml).newTask).toBeDefined();
+
+    const basePositions = getPositions(base.bpmnXml);
+    const movedStable = countMoved(basePositions, getPositions(stable.bpmnXml));
+    expect(movedStable).toBeLessThan(countMoved(basePositions, getPositions(fresh.bpmnXml)));
+    expect(movedStable).toBeLessThanOrEqual(2);
+  });
+
+  test('should keep previous positions with stableLayout when the orientation changes', () => {
+    const inputXml = readFileSync(join(__dirname, '../../test-data/real-world/output-online-order-layouted.bpmn'), 'utf-8');
+
+    // Layers and rows of the previous layout map across: same logical positions as a fresh layout
+    for (const [from, to] of [['horizontal', 'vertical'], ['vertical', 'horizontal']]) {
+      const previous = layoutBPMN(inputXml, { laneOrientation: from }).bpmnXml;
+      const fresh = computeLayout(previous, { laneOrientation: to });
+      const stable = computeLayout(previous, { laneOrientation: to, stableLayout: true });
+      expect(stable.success).toBe(true);
+      expect(stable.layout.positions).toEqual(fresh.layout.positions);
+
+      const points = Object.values(stable.layout.flowWaypoints).flat();
+      expect(points.every(({ x, y }) => Number.isFinite(x) && Number.isFinite(y))).toBe(true);
+    }
+  });
+
+  test('should reorder rows to reduce crossings with minimizeCrossings', () => {
+    const inputXml = readFileSync(join(__dirname, '../../test-data/real-world/input-online-order-v3.bpmn'), 'utf-8');
+
+    const minimized = computeLayout(inputXml, { minimizeCrossings: true });
+    const modelOrder = computeLayout(inputXml);
+    expect(minimized.success).toBe(true);
+    expect(modelOrder.success).toBe(true);
+
+    // The timeout branch swaps rows with the payment branch: same cell, fewer bends and collisions
+    const { positions } = minimized.layout;
+    expect(positions.int_payment_ok).toMatchObject({ ...modelOrder.layout.positions.int_payment_ok, row: 0 });
+    expect(positions.int_timeout).toMatchObject({ ...modelOrder.layout.positions.int_timeout, row: 1 });
+    expect(minimized.qualityMetrics.bends).toBeLessThan(modelOrder.qualityMetrics.bends);
+    expect(minimized.diagnostics.length).toBeLessThan(modelOrder.diagnostics.length);
+
+    expect(computeLayout(inputXml, { crossingIterations: -1 }).errors[0]).toContain('"crossingIterations" must be a non-negative integer');
+  });
+
+  test('should reorder lanes with optimizeLaneOrder and keep pinned lanes', () => {
+    const inputXml = readFileSync(join(__dirname, '../../test-data/simple-3-lane.bpmn'), 'utf-8');
+
+    // The gateway in lane1 fans out to lane2 and lane3: lane1 moves between them
+    const documentOrder = computeLayout(inputXml);
+    const optimized = computeLayout(inputXml, { optimizeLaneOrder: true });
+    expect(optimized.success).toBe(true);
+    expect(Object.keys(optimized.layout.lanes)).toEqual(['lane2', 'lane1', 'lane3']);
+    expect(optimized.layout.laneBounds.lane2.y).toBeLessThan(optimized.layout.laneBounds.lane1.y);
+    expect(optimized.qualityMetrics.totalEdgeLength).toBeLessThan(documentOrder.qualityMetrics.totalEdgeLength);
+    expect(optimized.diagnostics).toEqual([]);
+
+    // Cross-lane direction follows the new order: xor1 (lane1) → task2 (lane2) now leaves upwards
+    const [exit, bend] = optimized.layout.flowWaypoints.flow3;
+    expect(bend.y).toBeLessThan(exit.y);
+
+    const pinned = computeLayout(inputXml, { optimizeLaneOrder: true, pinnedLanes: ['lane1'] });
+    expect(Object.keys(pinned.layout.lanes)).toEqual(['lane1', 'lane2', 'lane3']);
+    expect(pinned.layout.coordinates).toEqual(documentOrder.layout.coordinates);
+
+    expect(computeLayout(inputXml, { pinnedLanes: 'lane1' }).errors[0]).toContain('"pinnedLanes" must be an array of lane IDs');
+  });
+
+  test('should route message flows between reordered vertical lanes', () => {
+    const inputXml = readFileSync(join(__dirname, '../../test-data/datacenter-provisioning.bpmn'), 'utf-8');
+    const config = { laneOrientation: 'vertical', optimizeLaneOrder: true };
+
+    // Message flows that fall back to lane corridors find them across the vertical lanes
+    const result = computeLayout(inputXml, config);
+    expect(result.success).toBe(true);
+    const points = Object.values(result.layout.flowWaypoints).flat();
+    expect(points.length).toBeGreaterThan(0);
+    expect(points.every(({ x, y }) => Number.isFinite(x) && Number.isFinite(y))).toBe(true);
+
+    const layouted = layoutBPMN(inputXml, config);
+    expect(layouted.success).toBe(true);
+    expect(layouted.bpmnXml).not.toMatch(/"(NaN|null|undefined)"/);
+  });
+
+  test('should return the layout as plain JSON with computeLayout', () => {
+    const inputXml = readFileSync(join(__dirname, '../../test-data/incident-management-complex.bpmn'), 'utf-8');
+
+    const result = computeLayout(inputXml);
+    expect(result.success).toBe(true);
+    expect(result.warnings).toEqual(layoutBPMN(inputXml).warnings);
+
+    // Survives a JSON round-trip unchanged (no Maps, no shared state)
+    const { layout } = result;
+    expect(JSON.parse(JSON.stringify(layout))).toEqual(layout);
+    expect(layout.orientation).toBe('horizontal');
+    expect(layout.metrics.columnWidth).toBe(200);
+
+    // Geometry of the same run as the DI of layoutBPMN
+    const { bpmnXml } = layoutBPMN(inputXml);
+    const task1 = layout.coordinates.task1;
+    expect(bpmnXml).toContain(`<bpmndi:BPMNShape id="task1_di" bpmnElement="task1">\n      <dc:Bounds x="${task1.x}" y="${task1.y}" width="${task1.width}" height="${task1.height}"/>`);
+    expect(layout.positions.task1).toMatchObject({ lane: layout.elements.task1.lane, layer: expect.any(Number), row: expect.any(Number) });
+    expect(layout.flowWaypoints.flow1[0]).toEqual({ x: expect.any(Number), y: expect.any(Number) });
+    const label = layout.labelBounds.task1;
+    expect(bpmnXml).toContain(`<dc:Bounds x="${label.x}" y="${label.y}" width="${label.width}" height="${label.height}" />`);
+
+    // Every element lies inside the bounds of its lane
+    for (const [elementId, coord] of Object.entries(layout.coordinates)) {
+      const lane = layout.laneBounds[layout.elements[elementId].lane];
+      expect(coord.y).toBeGreaterThanOrEqual(lane.y);
+      expect(coord.y + coord.height).toBeLessThanOrEqual(lane.y + lane.height);
+    }
+
+    // Hidden merge gateway: no shape, its outgoing flow is merged away
+    expect(layout.elements.gateway3_merge.hidden).toBe(true);
+    expect(layout.coordinates.gateway3_merge).toBeUndefined();
+    expect(layout.flows.flow11a).toBeUndefined();
+    expect(layout.flows.flow11.targetRef).toBe('gateway3_split');
+
+    expect(computeLayout('<invalid').success).toBe(false);
+  });
+
+  test('should report diagnostics and quality metrics', () => {
+    const inputXml = readFileSync(join(__dirname, '../../test-data/real-world/input-real-world-complex.bpmn'), 'utf-8');
+
+    const result = layoutBPMN(inputXml);
+    expect(result.success).toBe(true);
+    expect(result.warnings).toEqual(result.diagnostics.map(diagnostic => diagnostic.message));
+
+    // Flow f10 runs through task5: IDs and the geometry of both
+    expect(result.diagnostics).toEqual([{
+      severity: 'error',
+      code: 'flow_crosses_element',
+      message: 'Flow f10: Segment 1 intersects element task5',
+      elementIds: ['task5'],
+      flowIds: ['f10'],
+      points: [{ x: 1480, y: 350 }, { x: 1480, y: 685 }],
+      segment: 1,
+      bounds: [{ x: 1430, y: 490, width: 100, height: 80 }]
+    }]);
+
+    expect(result.qualityMetrics).toMatchObject({
+      edgeCrossings: expect.any(Number),
+      bends: expect.any(Number),
+      totalEdgeLength: expect.any(Number),
+      elementCount: 19,
+      flowCount: 21
+    });
+    const { width, height, area } = result.qualityMetrics;
+    expect(area).toBe(width * height);
+    expect(width).toBeGreaterThan(0);
+
+    // Clean layout: no diagnostics, no crossings, one bend per L-shaped flow
+    const clean = computeLayout(readFileSync(join(__dirname, '../../test-data/simple-3-lane.bpmn'), 'utf-8'));
+    expect(clean.diagnostics).toEqual([]);
+    expect(clean.qualityMetrics).toMatchObject({ edgeCrossings: 0, bends: 4, overlaps: 0, elementCount: 6, flowCount: 7 });
+  });
+
+  test('should report non-finite geometry as invalid_geometry instead of skipping it', () => {
+    const task = { id: 'task1', type: 'task' };
+    const run = {
+      elements: new Map([['task1', task]]),
+      flows: new Map([['flow1', { id: 'flow1', sourceRef: 'task1', targetRef: 'task1' }]]),
+      directions: {},
+      subProcessLayouts: new Map(),
+      planes: [{ rootId: null, elements: new Set(['task1']), lanes: new Set(), pools: new Set() }],
+      levelResults: [],
+      coordinates: new Map([['task1', { x: NaN, y: 100, width: 100, height: 80 }]]),
+      flowWaypoints: new Map([['flow1', [{ x: 0, y: 0 }, { x: Infinity, y: 0 }]]]),
+      laneBounds: new Map(),
+      poolBounds: new Map()
+    };
+
+    expect(collectDiagnostics(run)).toEqual([
+      expect.objectContaining({ severity: 'error', code: 'invalid_geometry', elementIds: ['task1'] }),
+      expect.objectContaining({ severity: 'error', code: 'invalid_geometry', flowIds: ['flow1'] })
+    ]);
+
+    // The metrics still leave the invalid geometry out
+    expect(calculateQualityMetrics(run)).toMatchObject({ totalEdgeLength: 0, overlaps: 0 });
+  });
+
+  test('should be silent by default and log through an injected logger', () => {
+    const inputXml = readFileSync(join(__dirname, '../../test-data/real-world/input-real-world-complex.bpmn'), 'utf-8');
+
+    const methods = ['log', 'info', 'debug', 'warn', 'error'];
+    const spies = methods.map(method => vi.spyOn(console, method).mockImplementation(() => {}));
+    try {
+      expect(layoutBPMN(inputXml).success).toBe(true);
+      for (const spy of spies) {
+        expect(spy).not.toHaveBeenCalled();
+      }
+    } finally {
+      spies.forEach(spy => spy.mockRestore());
+    }
+
+    const messages = [];
+    const logger = {};
+    for (const level of ['error', 'warn', 'info', 'debug']) {
+      logger[level] = message => messages.push({ level, message });
+    }
+
+    // Default level 'warn': collision report, no debug output
+    layoutBPMN(inputXml, { logger });
+    expect(messages).toContainEqual({ level: 'warn', message: '[validation] Flow f10 (element_intersection): Flow f10: Segment 1 intersects element task5' });
+    expect(messages.every(({ level }) => level === 'warn' || level === 'error')).toBe(true);
+
+    // Debug output only for the enabled categories
+    messages.length = 0;
+    layoutBPMN(inputXml, { logger, debug: ['merge'] });
+    expect(messages.some(({ level, message }) => level === 'debug' && message.startsWith('[merge] '))).toBe(true);
+    expect(messages.filter(({ level }) => level === 'debug').every(({ message }) => message.startsWith('[merge] '))).toBe(true);
+
+    messages.length = 0;
+    layoutBPMN(inputXml, { logger, logLevel: 'silent', debug: true });
+    expect(messages).toEqual([]);
+
+    expect(layoutBPMN(inputXml, { debug: ['unknown'] }).errors[0]).toContain('Unknown debug category');
+  });
+
+  test('should log debug categories to the console without a logger', () => {
+    const inputXml = readFileSync(join(__dirname, '../../test-data/real-world/input-real-world-complex.bpmn'), 'utf-8');
+
+    const debugSpy = vi.spyOn(console, 'debug').mockImplementation(() => {});
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    try {
+      expect(layoutBPMN(inputXml, { debug: ['merge'] }).success).toBe(true);
+      const messages = debugSpy.mock.calls.map(([message]) => message);
+      expect(messages.some(message => message.startsWith('[merge] '))).toBe(true);
+      expect(messages.every(message => message.startsWith('[merge] '))).toBe(true);
+      expect(warnSpy).toHaveBeenCalled();
+    } finally {
+      debugSpy.mockRestore();
+      warnSpy.mockRestore();
+    }
+  });
+
+    // TODO: Add error handling test when parser validation is stricter
   // test('should handle errors gracefully', () => {
   //   const invalidXml = '<invalid>xml</invalid>';
   //   const result = layoutBPMN(invalidXml);
@@ -0,0 +1,133 @@
+import { describe, test, expect, beforeAll, afterAll } from 'vitest';
+import express from 'express';
+import { createLayoutRouter } from '../../src/layout-service.js';
+import { layoutBPMN } from '../../src/index.js';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const xml = readFileSync(join(__dirname, '../../test-data/simple-3-lane.bpmn'), 'utf-8');
+
+/**
+ * Start an app with the layout service under /api on a free port
+ */
+function startService(options) {
+  const app = express();
+  app.use('/api', createLayoutRouter(options));
+  return new Promise(resolve => {
+    const server = app.listen(0, () => resolve({ server, url: `http://127.0.0.1:${server.address().port}/api` }));
+  });
+}
+
+describe('Integration: HTTP Layout Service', () => {
+  let service;
+  let slowService;
+  let smallService;
+
+  beforeAll(async () => {
+    service = await startService({ limit: '200kb' });
+    slowService = await startService({ timeout: 1 });
+    smallService = await startService({ memoryLimit: 1 });
+  });
+
+  afterAll(() => {
+    service.server.close();
+    slowService.server.close();
+    smallService.server.close();
+  });
+
+  test('should report health', async () => {
+    const response = await fetch(`${service.url}/health`);
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toMatchObject({ status: 'ok', version: expect.any(String), activeLayouts: 0 });
+  });
+
+  test('should lay out raw XML with config from the query', async () => {
+    const response = await fetch(`${service.url}/layout?laneOrientation=vertical`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/xml' },
+      body: xml
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toContain('application/xml');
+    expect(await response.text()).toBe(layoutBPMN(xml, { laneOrientation: 'vertical' }).bpmnXml);
+  }, 20000);
+
+  test('should return geometry and diagnostics as JSON', async () => {
+    const response = await fetch(`${service.url}/layout`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ bpmnXml: xml, config: { hideXorMergeGateways: false }, format: 'json' })
+    });
+    const result = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(result.success).toBe(true);
+    expect(result.layout.coordinates.task1).toMatchObject({ width: 100, height: 80 });
+    expect(result.diagnostics).toEqual([]);
+    expect(result.qualityMetrics.elementCount).toBe(6);
+  }, 20000);
+
+  test('should render an SVG preview', async () => {
+    const response = await fetch(`${service.url}/layout`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/xml', Accept: 'image/svg+xml' },
+      body: xml
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toContain('image/svg+xml');
+    expect(await response.text()).toContain('data-element-id="task1"');
+  }, 20000);
+
+  test('should accept a multipart file upload', async () => {
+    const form = new FormData();
+    form.append('bpmn', new Blob([xml], { type: 'application/xml' }), 'process.bpmn');
+    form.append('config', JSON.stringify({ laneOrientation: 'vertical' }));
+
+    const response = await fetch(`${service.url}/layout`, {
+      method: 'POST',
+      headers: { Accept: 'application/json' },
+      body: form
+    });
+    const result = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(result.layout.orientation).toBe('vertical');
+  }, 20000);
+
+  test('should reject invalid requests with JSON errors', async () => {
+    const post = (url, body, contentType = 'application/xml') => fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': contentType },
+      body
+    });
+
+    const empty = await post(`${service.url}/layout`, '');
+    expect(empty.status).toBe(400);
+    expect((await empty.json()).errors[0]).toContain('No BPMN XML');
+
+    const badConfig = await post(`${service.url}/layout?config=[1]`, xml);
+    expect(badConfig.status).toBe(400);
+
+    const tooLarge = await post(`${service.url}/layout`, xml + ' '.repeat(300 * 1024));
+    expect(tooLarge.status).toBe(413);
+
+    const invalid = await post(`${service.url}/layout`, '<invalid');
+    expect(invalid.status).toBe(422);
+    expect((await invalid.json()).success).toBe(false);
+
+    const timeout = await post(`${slowService.url}/layout`, xml);
+    expect(timeout.status).toBe(504);
+    expect((await timeout.json()).errors[0]).toContain('timed out');
+
+    const outOfMemory = await post(`${smallService.url}/layout`, xml);
+    expect(outOfMemory.status).toBe(503);
+    expect((await outOfMemory.json()).errors[0]).toContain('memory limit of 1MB');
+  }, 20000);
+});
@@ -0,0 +1,280 @@
+import { describe, test, expect } from 'vitest';
+import { BpmnModdle } from 'bpmn-moddle';
+import { layoutBPMN, computeLayout } from '../../src/index.js';
+import { applyLayoutToDefinitions, applyLayoutToModeler } from '../../src/model-adapter.js';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const readFixture = name => readFileSync(join(__dirname, '../../test-data', name), 'utf-8');
+
+// Config the adapter lays out with (only DI changes, merge gateways stay)
+const MODEL_CONFIG = { xorMergeGateways: true, hideXorMergeGateways: false };
+
+/**
+ * Parse BPMN XML into a bpmn-moddle definitions tree
+ */
+async function parseDefinitions(xml) {
+  const { rootElement } = await new BpmnModdle().fromXML(xml);
+  return rootElement;
+}
+
+/**
+ * All DI elements of a definitions tree by model element ID → {di, plane}
+ */
+function getDiElements(definitions) {
+  const diElements = new Map();
+  for (const diagram of definitions.diagrams) {
+    for (const di of diagram.plane.planeElement) {
+      diElements.set(di.bpmnElement.id, { di, plane: diagram.plane });
+    }
+  }
+  return diElements;
+}
+
+const toBounds = ({ x, y, width, height }) => ({ x, y, width, height });
+
+/**
+ * Shape bounds of the DI that layoutBPMN() generates for the same model and config
+ */
+async function getLayoutedBounds(xml, config) {
+  const definitions = await parseDefinitions(layoutBPMN(xml, { ...config, ...MODEL_CONFIG }).bpmnXml);
+  const bounds = new Map();
+  for (const [id, { di }] of getDiElements(definitions)) {
+    if (di.bounds) bounds.set(id, toBounds(di.bounds));
+  }
+  return bounds;
+}
+
+/**
+ * Stub of the bpmn-js services the adapter uses
+ * Every modeling call is a command; commands executed while another one runs belong to
+ * it and are undone with it (like the bpmn-js CommandStack).
+ * Shapes and connections are created from the DI of a definitions tree.
+ */
+function createModelerStub(definitions) {
+  const handlers = new Map();
+  const undoStack = [];
+  let running = null;
+
+  const commandStack = {
+    register(command, handler) {
+      if (handlers.has(command)) throw new Error(`Command ${command} is already registered`);
+      handlers.set(command, handler);
+    },
+    execute(command, context) {
+      const isOutermost = !running;
+      if (isOutermost) running = [];
+      const handler = handlers.get(command);
+      if (handler.preExecute) handler.preExecute(context);
+      if (handler.execute) handler.execute(context);
+      running.push({ command, context });
+      if (isOutermost) {
+        undoStack.push(running);
+        running = null;
+      }
+    },
+    undo() {
+      for (const { command, context } of undoStack.pop().reverse()) {
+        const handler = handlers.get(command);
+        if (handler.revert) handler.revert(context);
+      }
+    },
+    undoStack
+  };
+
+  commandStack.register('shape.move', {
+    execute: ({ shape, delta }) => { shape.x += delta.x; shape.y += delta.y; },
+    revert: ({ shape, delta }) => { shape.x -= delta.x; shape.y -= delta.y; }
+  });
+  commandStack.register('shape.resize', {
+    execute: context => {
+      context.oldBounds = toBounds(context.shape);
+      Object.assign(context.shape, context.bounds);
+    },
+    revert: ({ shape, oldBounds }) => Object.assign(shape, oldBounds)
+  });
+  commandStack.register('connection.updateWaypoints', {
+    execute: context => {
+      context.oldWaypoints = context.connection.waypoints;
+      context.connection.waypoints = context.waypoints;
+    },
+    revert: ({ connection, oldWaypoints }) => { connection.waypoints = oldWaypoints; }
+  });
+
+  const modeling = {
+    moveShape: (shape, delta) => commandStack.execute('shape.move', { shape, delta }),
+    resizeShape: (shape, bounds) => commandStack.execute('shape.resize', { shape, bounds }),
+    updateWaypoints: (connection, waypoints) => commandStack.execute('connection.updateWaypoints', { connection, waypoints })
+  };
+
+  const elements = new Map();
+  for (const diagram of definitions.diagrams) {
+    const root = { id: diagram.plane.bpmnElement.id, businessObject: diagram.plane.bpmnElement };
+    elements.set(root.id, root);
+    for (const di of diagram.plane.planeElement) {
+      const element = di.waypoint
+        ? { id: di.bpmnElement.id, parent: root, waypoints: di.waypoint.map(({ x, y }) => ({ x, y })) }
+        : { id: di.bpmnElement.id, parent: root, ...toBounds(di.bounds) };
+      if (di.label && di.label.bounds) {
+        element.label = { id: `${element.id}_label`, ...toBounds(di.label.bounds) };
+      }
+      elements.set(element.id, element);
+    }
+  }
+
+  const elementRegistry = {
+    get: id => elements.get(id),
+    filter: fn => Array.from(elements.values()).filter(fn)
+  };
+
+  return { elementRegistry, modeling, commandStack };
+}
+
+/**
+ * Geometry of all stub elements (shapes, waypoints and labels)
+ */
+function snapshotModeler({ elementRegistry }) {
+  return elementRegistry.filter(() => true).map(element => JSON.parse(JSON.stringify({
+    id: element.id,
+    bounds: element.waypoints ? null : toBounds(element),
+    waypoints: element.waypoints || null,
+    label: element.label ? toBounds(element.label) : null
+  })));
+}
+
+describe('Integration: Model Adapter', () => {
+  test('should update existing DI and create missing shapes and edges', async () => {
+    // task2 and flow3 lose their DI
+    const xml = readFixture('simple-3-lane-layouted.bpmn')
+      .replace(/<bpmndi:BPMNShape[^>]*bpmnElement="task2"[\s\S]*?<\/bpmndi:BPMNShape>/, '')
+      .replace(/<bpmndi:BPMNEdge[^>]*bpmnElement="flow3"[\s\S]*?<\/bpmndi:BPMNEdge>/, '');
+    const definitions = await parseDefinitions(xml);
+    const [plane] = definitions.diagrams.map(diagram => diagram.plane);
+    const task1Shape = getDiElements(definitions).get('task1').di;
+    expect(getDiElements(definitions).has('task2')).toBe(false);
+
+    const config = { laneOrientation: 'vertical' };
+    const { layout } = computeLayout(xml, { ...config, ...MODEL_CONFIG });
+    const expectedBounds = await getLayoutedBounds(xml, config);
+    const result = await applyLayoutToDefinitions(definitions, config);
+    expect(result).toEqual({ success: true, warnings: expect.any(Array) });
+
+    const diElements = getDiElements(definitions);
+
+    // Existing shape: same DI element, new bounds and label
+    expect(diElements.get('task1').di).toBe(task1Shape);
+    expect(toBounds(task1Shape.bounds)).toEqual(layout.coordinates.task1);
+    expect(toBounds(task1Shape.label.bounds)).toEqual(layout.labelBounds.task1);
+    const lane1Shape = diElements.get('lane1').di;
+    expect(toBounds(lane1Shape.bounds)).toEqual(expectedBounds.get('lane1'));
+    expect(lane1Shape.isHorizontal).toBe(false);
+
+    // Missing shape and edge: created on the plane, referencing the model element
+    const task2 = diElements.get('task2');
+    expect(task2.di).toMatchObject({ $type: 'bpmndi:BPMNShape', id: 'task2_di' });
+    expect(task2.di.bpmnElement.$type).toBe('bpmn:Task');
+    expect(task2.plane).toBe(plane);
+    expect(toBounds(task2.di.bounds)).toEqual(expectedBounds.get('task2'));
+
+    const flow3 = diElements.get('flow3');
+    expect(flow3.di).toMatchObject({ $type: 'bpmndi:BPMNEdge', id: 'flow3_di' });
+    expect(flow3.di.waypoint.map(({ x, y }) => ({ x, y }))).toEqual(layout.flowWaypoints.flow3);
+
+    // Same shapes as the DI of layoutBPMN
+    for (const [id, bounds] of expectedBounds) {
+      expect(toBounds(diElements.get(id).di.bounds), id).toEqual(bounds);
+    }
+  });
+
+  test('should move DI to the plane of its sub-process and create missing diagrams', async () => {
+    // Expanded layout: everything on the collaboration plane
+    const xml = layoutBPMN(readFixture('subprocess-nested.bpmn')).bpmnXml;
+    const definitions = await parseDefinitions(xml);
+    expect(definitions.diagrams).toHaveLength(1);
+    const mainPlane = definitions.diagrams[0].plane;
+    const taskPickShape = getDiElements(definitions).get('task_pick').di;
+
+    const result = await applyLayoutToDefinitions(definitions, { collapseSubProcesses: true });
+    expect(result.success).toBe(true);
+
+    // One diagram per collapsed sub-process, with unique IDs
+    const planes = definitions.diagrams.map(diagram => diagram.plane);
+    expect(planes.map(plane => plane.bpmnElement.id)).toEqual(['Collaboration_1', 'sub_fulfil', 'sub_ship']);
+    const diagramIds = definitions.diagrams.flatMap(diagram => [diagram.id, diagram.plane.id]);
+    expect(new Set(diagramIds).size).toBe(diagramIds.length);
+
+    // Content moved off the main plane (same DI element), the sub-process is drawn collapsed
+    const diElements = getDiElements(definitions);
+    expect(diElements.get('task_pick')).toEqual({ di: taskPickShape, plane: planes[1] });
+    expect(mainPlane.planeElement).not.toContain(taskPickShape);
+    expect(diElements.get('task_pack').plane).toBe(planes[2]);
+    expect(diElements.get('t1').plane).toBe(planes[2]);
+    expect(diElements.get('sub_fulfil')).toMatchObject({ plane: mainPlane, di: { isExpanded: false } });
+    expect(diElements.get('sub_ship')).toMatchObject({ plane: planes[1], di: { isExpanded: false } });
+  });
+
+  test('should report layout errors without changing the definitions', async () => {
+    const definitions = await parseDefinitions(readFixture('simple-3-lane-layouted.bpmn'));
+    const before = JSON.stringify(getDiElements(definitions).get('task1').di.bounds);
+
+    const result = await applyLayoutToDefinitions(definitions, { layoutMetrics: { elementWidth: -1 } });
+    expect(result).toEqual({ success: false, errors: ['Layout metric "elementWidth" must be a positive number'] });
+    expect(JSON.stringify(getDiElements(definitions).get('task1').di.bounds)).toBe(before);
+  });
+
+  test('should apply the layout to a modeler as one undoable command', async () => {
+    const xml = readFixture('simple-3-lane-layouted.bpmn');
+    const definitions = await parseDefinitions(xml);
+    const services = createModelerStub(definitions);
+    const before = snapshotModeler(services);
+
+    const config = { laneOrientation: 'vertical' };
+    const { layout } = computeLayout(xml, { ...config, ...MODEL_CONFIG });
+    const expectedBounds = await getLayoutedBounds(xml, config);
+    const result = await applyLayoutToModeler(services, config);
+    expect(result.success).toBe(true);
+
+    // Shapes, waypoints and label centers follow the layout
+    const { elementRegistry, commandStack } = services;
+    for (const [id, bounds] of expectedBounds) {
+      expect(toBounds(elementRegistry.get(id)), id).toEqual(bounds);
+    }
+    expect(elementRegistry.get('flow3').waypoints).toEqual(layout.flowWaypoints.flow3);
+    const label = elementRegistry.get('start1').label;
+    const labelBounds = layout.labelBounds.start1;
+    expect(label.x + label.width / 2).toBe(labelBounds.x + labelBounds.width / 2);
+
+    // One command for the whole layout, one undo restores everything
+    expect(commandStack.undoStack).toHaveLength(1);
+    expect(commandStack.undoStack[0].length).toBeGreaterThan(1);
+    commandStack.undo();
+    expect(snapshotModeler(services)).toEqual(before);
+
+    // The command is registered once per command stack
+    expect((await applyLayoutToModeler(services, config)).success).toBe(true);
+    expect(commandStack.undoStack).toHaveLength(1);
+    expect(toBounds(elementRegistry.get('task1'))).toEqual(expectedBounds.get('task1'));
+  });
+
+  test('should apply the layout to a modeler without command stack', async () => {
+    const definitions = await parseDefinitions(readFixture('simple-3-lane-layouted.bpmn'));
+    const { elementRegistry, modeling, commandStack } = createModelerStub(definitions);
+
+    const result = await applyLayoutToModeler({ elementRegistry, modeling }, { laneOrientation: 'vertical' });
+    expect(result.success).toBe(true);
+
+    // Every modeling call is its own command
+    expect(commandStack.undoStack.length).toBeGreaterThan(1);
+    expect(commandStack.undoStack.every(commands => commands.length === 1)).toBe(true);
+
+    const empty = { get: () => undefined, filter: () => [] };
+    expect(await applyLayoutToModeler({ elementRegistry: empty, modeling })).toEqual({
+      success: false,
+      errors: ['No process or collaboration found in the diagram']
+    });
+  });
+});
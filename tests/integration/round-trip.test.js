@@ -0,0 +1,148 @@
+import { describe, test, expect } from 'vitest';
+import { layoutBPMN } from '../../src/index.js';
+import { parseXMLDocument, getChildElements, getDescendantElements, NS } from '../../src/xml-parser.js';
+import { listFixtures, FIXTURES_DIR } from '../../scripts/visual-regression.js';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+
+// Attributes injectBPMNDI may add to <definitions> (DI namespaces, required targetNamespace)
+const ADDED_ROOT_ATTRIBUTES = ['xmlns:bpmndi', 'xmlns:dc', 'xmlns:di', 'targetNamespace'];
+
+/**
+ * Everything outside the DI: the text without the <definitions> start tag and the
+ * BPMNDiagram elements (whole lines), and the attributes of <definitions>
+ */
+function getSemanticPart(xml) {
+  // Some fixtures use the bpmndi prefix without declaring it
+  const root = parseXMLDocument(xml, { fallbackNamespaces: { bpmndi: NS.BPMNDI } }).root;
+  const cuts = [[root.start, root.contentStart]];
+  for (const diagram of getChildElements(root, NS.BPMNDI, 'BPMNDiagram')) {
+    const lineStart = xml.lastIndexOf('\n', diagram.start - 1) + 1;
+    const lineEnd = xml.indexOf('\n', diagram.end) + 1 || xml.length;
+    cuts.push(/^\s*$/.test(xml.slice(lineStart, diagram.start)) ? [lineStart, lineEnd] : [diagram.start, diagram.end]);
+  }
+
+  let text = '';
+  let position = 0;
+  for (const [start, end] of cuts.sort((a, b) => a[0] - b[0])) {
+    text += xml.slice(position, start);
+    position = end;
+  }
+  text += xml.slice(position);
+  return { text, rootAttributes: root.attributes };
+}
+
+function expectSameSemanticPart(inputXml, outputXml, label) {
+  const input = getSemanticPart(inputXml);
+  const output = getSemanticPart(outputXml);
+
+  // A collaboration or process without ID gets one for the plane to reference
+  const plane = getDescendantElements(parseXMLDocument(outputXml).root).find(node => node.localName === 'BPMNPlane');
+  const planeElement = plane.attributes.bpmnElement;
+  const addedId = !inputXml.includes(`id="${planeElement}"`) ? ` id="${planeElement}"` : '';
+  expect(output.text.replace(addedId, ''), label).toBe(input.text);
+  const addedOnly = { ...output.rootAttributes };
+  for (const [name, value] of Object.entries(input.rootAttributes)) {
+    expect(addedOnly[name], `${label}: <definitions ${name}>`).toBe(value);
+    delete addedOnly[name];
+  }
+  for (const name of Object.keys(addedOnly)) {
+    expect(ADDED_ROOT_ATTRIBUTES, `${label}: added <definitions ${name}>`).toContain(name);
+  }
+}
+
+const extensionsXml = [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<bpmn:definitions xmlns:bpmn="http://www.omg.org/spec/BPMN/20100524/MODEL" xmlns:zeebe="http://camunda.org/schema/zeebe/1.0"',
+  '    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" id="defs" targetNamespace="http://example.com">',
+  '  <bpmn:process id="Process_1" isExecutable="true">',
+  '    <bpmn:documentation>Orders &amp; returns\t(tabs, entities)</bpmn:documentation>',
+  '    <bpmn:laneSet id="ls"><bpmn:lane id="lane" name="Shop"><bpmn:flowNodeRef>start</bpmn:flowNodeRef>',
+  '      <bpmn:flowNodeRef>check</bpmn:flowNodeRef><bpmn:flowNodeRef>split</bpmn:flowNodeRef><bpmn:flowNodeRef>end</bpmn:flowNodeRef></bpmn:lane></bpmn:laneSet>',
+  '',
+  '    <!-- Start of the process -->',
+  '    <bpmn:startEvent id="start" name="Order &lt;received&gt;"/>',
+  '    <bpmn:serviceTask id="check" name="Check">',
+  '      <bpmn:extensionElements>',
+  '        <zeebe:taskDefinition type="check-order" retries="3" />',
+  '        <zeebe:ioMapping><zeebe:input source="=order.total" target="total"/></zeebe:ioMapping>',
+  '      </bpmn:extensionElements>',
+  '    </bpmn:serviceTask>',
+  '    <bpmn:exclusiveGateway id="split" default="toEnd"/>',
+  '    <bpmn:endEvent id="end"/>',
+  '    <bpmn:sequenceFlow id="f1" sourceRef="start" targetRef="check"/>',
+  '    <bpmn:sequenceFlow id="f2" sourceRef="check" targetRef="split"/>',
+  '    <bpmn:sequenceFlow id="toEnd" sourceRef="split" targetRef="end"/>',
+  '    <bpmn:sequenceFlow id="retry" sourceRef="split" targetRef="check">',
+  '      <bpmn:conditionExpression xsi:type="bpmn:tFormalExpression"><![CDATA[=total > 100 && retries < 3]]></bpmn:conditionExpression>',
+  '    </bpmn:sequenceFlow>',
+  '',
+  '',
+  '  </bpmn:process>',
+  '</bpmn:definitions>',
+  ''
+].join('\r\n');
+
+describe('Integration: Round-Trip of the Semantic XML', () => {
+  test('should only change the DI of every fixture', () => {
+    for (const fixture of listFixtures()) {
+      const inputXml = readFileSync(join(FIXTURES_DIR, fixture), 'utf-8');
+      for (const config of [{}, { hideXorMergeGateways: false }, { laneOrientation: 'vertical' }]) {
+        const result = layoutBPMN(inputXml, config);
+        if (!result.success) continue;
+        expectSameSemanticPart(inputXml, result.bpmnXml, fixture);
+      }
+    }
+  });
+
+  test('should keep documentation, extension elements, conditions, comments and line endings', () => {
+    const result = layoutBPMN(extensionsXml);
+
+    expect(result.success).toBe(true);
+    expectSameSemanticPart(extensionsXml, result.bpmnXml, 'extensions');
+    expect(result.bpmnXml).toContain('<![CDATA[=total > 100 && retries < 3]]>');
+    expect(result.bpmnXml).toContain('\r\n\r\n\r\n  </bpmn:process>');
+  });
+
+  test('should remove XOR merge gateways from the model only if pre-processing removes them', () => {
+    const fixture = 'real-world/input-employee-onboarding.bpmn';
+    const inputXml = readFileSync(join(FIXTURES_DIR, fixture), 'utf-8');
+    const inputNodes = getDescendantElements(parseXMLDocument(inputXml).root);
+    const merges = inputNodes.filter(node => node.localName === 'exclusiveGateway' &&
+      inputNodes.filter(other => other.localName === 'sequenceFlow' && other.attributes.targetRef === node.attributes.id).length > 1 &&
+      inputNodes.filter(other => other.localName === 'sequenceFlow' && other.attributes.sourceRef === node.attributes.id).length === 1);
+    expect(merges.length).toBeGreaterThan(0);
+
+    // Hidden merge gateways are only left out of the DI
+    const hidden = layoutBPMN(inputXml);
+    expect(hidden.success).toBe(true);
+    expectSameSemanticPart(inputXml, hidden.bpmnXml, fixture);
+    const hiddenNodes = getDescendantElements(parseXMLDocument(hidden.bpmnXml).root);
+    const shapeIds = new Set(hiddenNodes.filter(node => node.localName === 'BPMNShape').map(node => node.attributes.bpmnElement));
+    for (const merge of merges) expect(shapeIds.has(merge.attributes.id)).toBe(false);
+
+    for (const config of [{ xorMergeGateways: false }, { xorMergeGateways: false, hideXorMergeGateways: false }]) {
+      const result = layoutBPMN(inputXml, config);
+      expect(result.success).toBe(true);
+
+      const nodes = getDescendantElements(parseXMLDocument(result.bpmnXml).root);
+      const ids = new Set(nodes.map(node => node.attributes.id));
+      const refs = nodes.filter(node => ['incoming', 'outgoing', 'flowNodeRef'].includes(node.localName))
+        .map(node => node.children.map(child => child.value).join('').trim());
+      for (const merge of merges) {
+        expect(ids.has(merge.attributes.id)).toBe(false);
+        expect(refs).not.toContain(merge.attributes.id);
+      }
+      // Every reference points to an element that still exists
+      for (const ref of refs) expect(ids.has(ref), ref).toBe(true);
+      for (const flow of nodes.filter(node => node.localName === 'sequenceFlow')) {
+        expect(ids.has(flow.attributes.sourceRef) && ids.has(flow.attributes.targetRef), flow.attributes.id).toBe(true);
+      }
+
+      // No lines other than the removed ones change
+      const inputLines = new Set(getSemanticPart(inputXml).text.split('\n'));
+      const changed = getSemanticPart(result.bpmnXml).text.split('\n').filter(line => !inputLines.has(line));
+      for (const line of changed) expect(line).toMatch(/targetRef=|<bpmn:incoming>|<bpmn:collaboration id=/);
+    }
+  });
+});
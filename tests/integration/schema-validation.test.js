@@ -0,0 +1,187 @@
+import { describe, test, expect } from 'vitest';
+import { validateXML } from 'xmllint-wasm';
+import { layoutBPMN } from '../../src/index.js';
+import { parseXMLDocument, getDescendantElements, NS } from '../../src/xml-parser.js';
+import { listFixtures, FIXTURES_DIR } from '../../scripts/visual-regression.js';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// BPMN 2.0 schema (OMG XSDs as bundled with bpmn-moddle), BPMN20.xsd includes the others
+const SCHEMA_DIR = join(__dirname, '../schema');
+const [SCHEMA, ...SCHEMA_IMPORTS] = ['BPMN20.xsd', 'BPMNDI.xsd', 'DC.xsd', 'DI.xsd', 'Semantic.xsd']
+  .map(fileName => ({ fileName, contents: readFileSync(join(SCHEMA_DIR, fileName), 'utf-8') }));
+
+// Fixtures whose semantic part is already invalid (element order, unescaped '&', custom elements)
+const INVALID_INPUTS = [
+  'artifacts.bpmn',
+  'minimal-2lane-parallel.bpmn',
+  'test-variant-1.bpmn',
+  'test-variant-2.bpmn',
+  'real-world/output-itil-incident.bpmn',
+  'real-world/output-value-chain.bpmn',
+  'real-world/output-value-chain-v2.bpmn',
+  'real-world/output-value-chain-v3.bpmn',
+  'real-world/output-value-chain-v4.bpmn'
+];
+
+/**
+ * Validate documents against the BPMN 2.0 schema in one run
+ * @returns {Map} - fileName → error messages
+ */
+async function validate(documents) {
+  const { errors } = await validateXML({ xml: documents, schema: [SCHEMA], preload: SCHEMA_IMPORTS });
+  const errorsByFile = new Map(documents.map(({ fileName }) => [fileName, []]));
+  for (const error of errors) {
+    if (error.loc && errorsByFile.has(error.loc.fileName)) {
+      errorsByFile.get(error.loc.fileName).push(error.message);
+    }
+  }
+  return errorsByFile;
+}
+
+const collaborationXml = `<?xml version="1.0" encoding="UTF-8"?>
+<definitions xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL" id="defs">
+  <process id="Order_Process">
+    <laneSet id="ls">
+      <lane id="lane_a"><flowNodeRef>start</flowNodeRef><flowNodeRef>check</flowNodeRef><flowNodeRef>end</flowNodeRef></lane>
+      <lane id="lane_b"><flowNodeRef>task1</flowNodeRef><flowNodeRef>sub</flowNodeRef></lane>
+    </laneSet>
+    <startEvent id="start" />
+    <exclusiveGateway id="check" name="OK?" />
+    <task id="task1" name="Fix" />
+    <subProcess id="sub" name="Ship" />
+    <endEvent id="end" />
+    <sequenceFlow id="f1" sourceRef="start" targetRef="check" />
+    <sequenceFlow id="f2" sourceRef="check" targetRef="task1" name="no" />
+    <sequenceFlow id="f3" sourceRef="check" targetRef="sub" name="yes" />
+    <sequenceFlow id="f4" sourceRef="task1" targetRef="end" />
+    <sequenceFlow id="f5" sourceRef="sub" targetRef="end" />
+    <textAnnotation id="task1_di"><text>Not a DI ID</text></textAnnotation>
+  </process>
+  <collaboration>
+    <participant id="Shop_Pool" name="Shop" processRef="Order_Process" />
+  </collaboration>
+</definitions>`;
+
+describe('Integration: BPMN 2.0 Schema Validation', () => {
+  test('should produce schema-valid output for every valid fixture in both orientations', async () => {
+    const fixtures = listFixtures().filter(fixture => !INVALID_INPUTS.includes(fixture));
+    const documents = [];
+    for (const fixture of fixtures) {
+      const xml = readFileSync(join(FIXTURES_DIR, fixture), 'utf-8');
+      for (const laneOrientation of ['horizontal', 'vertical']) {
+        const result = layoutBPMN(xml, { laneOrientation });
+        if (result.success) documents.push({ fileName: `${laneOrientation}/${fixture}`, contents: result.bpmnXml });
+      }
+    }
+
+    expect(documents.length).toBeGreaterThan(60);
+    const errorsByFile = await validate(documents);
+    for (const [fileName, errors] of errorsByFile) {
+      expect(errors, fileName).toEqual([]);
+    }
+  });
+
+  test('should add no schema errors to already invalid fixtures', async () => {
+    const documents = [];
+    for (const fixture of INVALID_INPUTS) {
+      const xml = readFileSync(join(FIXTURES_DIR, fixture), 'utf-8');
+      const result = layoutBPMN(xml);
+      expect(result.success, fixture).toBe(true);
+      documents.push({ fileName: `input/${fixture}`, contents: xml }, { fileName: `output/${fixture}`, contents: result.bpmnXml });
+    }
+
+    const errorsByFile = await validate(documents);
+    for (const fixture of INVALID_INPUTS) {
+      expect(errorsByFile.get(`output/${fixture}`).length, fixture).toBeGreaterThan(0);
+      expect(errorsByFile.get(`output/${fixture}`).length, fixture)
+        .toBeLessThanOrEqual(errorsByFile.get(`input/${fixture}`).length);
+    }
+  });
+
+  test('should reference real model IDs and generate unique DI IDs', async () => {
+    const result = layoutBPMN(collaborationXml);
+    expect(result.success).toBe(true);
+
+    const errorsByFile = await validate([{ fileName: 'collaboration.bpmn', contents: result.bpmnXml }]);
+    expect(errorsByFile.get('collaboration.bpmn')).toEqual([]);
+
+    const document = parseXMLDocument(result.bpmnXml);
+    const nodes = getDescendantElements(document);
+    const ids = nodes.map(node => node.attributes.id).filter(Boolean);
+    expect(new Set(ids).size).toBe(ids.length);
+
+    // The collaboration had no ID: it gets one, and the plane references it
+    const collaboration = nodes.find(node => node.localName === 'collaboration');
+    const plane = nodes.find(node => node.localName === 'BPMNPlane');
+    expect(collaboration.attributes.id).toBe('Collaboration_1');
+    expect(plane.attributes.bpmnElement).toBe('Collaboration_1');
+    expect(plane.attributes.id).toBe('BPMNPlane_1');
+
+    const shapes = new Map(nodes
+      .filter(node => node.namespaceURI === NS.BPMNDI && (node.localName === 'BPMNShape' || node.localName === 'BPMNEdge'))
+      .map(node => [node.attributes.bpmnElement, node]));
+    expect(shapes.get('Shop_Pool').attributes.id).toBe('Shop_Pool_di');
+    expect(shapes.get('f1').attributes.id).toBe('f1_di');
+    expect(shapes.get('task1').attributes.id).toBe('task1_di_2'); // task1_di is the annotation
+    expect(shapes.get('check').attributes.isMarkerVisible).toBe('true');
+    expect(shapes.get('sub').attributes.isExpanded).toBe('false');
+
+    // Missing declarations and the required targetNamespace are added to <definitions>
+    expect(document.root.attributes['xmlns:bpmndi']).toBe(NS.BPMNDI);
+    expect(document.root.attributes['xmlns:dc']).toBe(NS.DC);
+    expect(document.root.attributes['xmlns:di']).toBe(NS.DI);
+    expect(document.root.attributes.targetNamespace).toBe('http://bpmn.io/schema/bpmn');
+  });
+
+  test('should replace the existing diagram and keep processes without pools on a process plane', async () => {
+    const inputXml = readFileSync(join(FIXTURES_DIR, 'simple-3-lane-layouted.bpmn'), 'utf-8');
+    const result = layoutBPMN(inputXml);
+    expect(result.success).toBe(true);
+
+    const nodes = getDescendantElements(parseXMLDocument(result.bpmnXml));
+    const process = nodes.find(node => node.localName === 'process');
+    const planes = nodes.filter(node => node.localName === 'BPMNPlane');
+    expect(planes).toHaveLength(1);
+    expect(planes[0].attributes.bpmnElement).toBe(process.attributes.id);
+    // The implicit pool of a lane-only process has no model element
+    expect(nodes.some(node => node.attributes.bpmnElement === 'default_pool')).toBe(false);
+  });
+
+  test('should produce schema-valid output with one diagram per plane', async () => {
+    const inputXml = readFileSync(join(FIXTURES_DIR, 'subprocess-nested.bpmn'), 'utf-8');
+    const result = layoutBPMN(inputXml, { collapseSubProcesses: true });
+    expect(result.success).toBe(true);
+
+    const errorsByFile = await validate([{ fileName: 'collapsed.bpmn', contents: result.bpmnXml }]);
+    expect(errorsByFile.get('collapsed.bpmn')).toEqual([]);
+
+    const nodes = getDescendantElements(parseXMLDocument(result.bpmnXml));
+    expect(nodes.filter(node => node.localName === 'BPMNPlane').map(plane => plane.attributes.id))
+      .toEqual(['BPMNPlane_1', 'BPMNPlane_2', 'BPMNPlane_3']);
+    const ids = nodes.map(node => node.attributes.id).filter(Boolean);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  test('should give vertical lanes finite bounds', () => {
+    const inputXml = readFileSync(join(FIXTURES_DIR, 'simple-3-lane.bpmn'), 'utf-8');
+    const result = layoutBPMN(inputXml, { laneOrientation: 'vertical' });
+    const nodes = getDescendantElements(parseXMLDocument(result.bpmnXml));
+
+    const laneShapes = nodes.filter(node => node.localName === 'BPMNShape' && node.attributes.isHorizontal === 'false');
+    expect(laneShapes).toHaveLength(3);
+    const laneBounds = laneShapes.map(shape => shape.children.find(child => child.localName === 'Bounds').attributes);
+    for (const bounds of laneBounds) {
+      expect(Object.values(bounds).map(Number).every(Number.isFinite)).toBe(true);
+      expect(Number(bounds.height)).toBeGreaterThan(0);
+    }
+    // Side by side, from the pool label down to the end of the flow
+    expect(laneBounds.map(bounds => Number(bounds.x))).toEqual([80, 230, 380]);
+    const bottoms = laneBounds.map(bounds => Number(bounds.y) + Number(bounds.height));
+    expect(new Set(bottoms).size).toBe(1);
+  });
+});
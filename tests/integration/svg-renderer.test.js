@@ -0,0 +1,119 @@
+import { describe, test, expect } from 'vitest';
+import { computeLayout, renderSVG } from '../../src/index.js';
+import { wrapText } from '../../src/svg-renderer.js';
+import { parseXMLDocument, getDescendantElements, getChildElements } from '../../src/xml-parser.js';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const shapesXml = `<?xml version="1.0" encoding="UTF-8"?>
+<bpmn:definitions xmlns:bpmn="http://www.omg.org/spec/BPMN/20100524/MODEL" id="Definitions_1">
+  <bpmn:process id="Process_1">
+    <bpmn:laneSet id="LaneSet_1">
+      <bpmn:lane id="lane1" name="Clerk">
+        <bpmn:flowNodeRef>start</bpmn:flowNodeRef>
+        <bpmn:flowNodeRef>review</bpmn:flowNodeRef>
+        <bpmn:flowNodeRef>decide</bpmn:flowNodeRef>
+        <bpmn:flowNodeRef>notify</bpmn:flowNodeRef>
+        <bpmn:flowNodeRef>end</bpmn:flowNodeRef>
+        <bpmn:flowNodeRef>cancelled</bpmn:flowNodeRef>
+      </bpmn:lane>
+    </bpmn:laneSet>
+    <bpmn:startEvent id="start" name="Order received">
+      <bpmn:messageEventDefinition id="med1"/>
+    </bpmn:startEvent>
+    <bpmn:userTask id="review" name="Review order">
+      <bpmn:standardLoopCharacteristics/>
+    </bpmn:userTask>
+    <bpmn:exclusiveGateway id="decide" name="Approved?" default="flow_yes"/>
+    <bpmn:serviceTask id="notify" name="Notify customers">
+      <bpmn:multiInstanceLoopCharacteristics isSequential="false"/>
+    </bpmn:serviceTask>
+    <bpmn:endEvent id="end" name="Done"/>
+    <bpmn:endEvent id="cancelled" name="Cancelled">
+      <bpmn:terminateEventDefinition id="ted1"/>
+    </bpmn:endEvent>
+    <bpmn:sequenceFlow id="flow1" sourceRef="start" targetRef="review"/>
+    <bpmn:sequenceFlow id="flow2" sourceRef="review" targetRef="decide"/>
+    <bpmn:sequenceFlow id="flow_yes" name="yes" sourceRef="decide" targetRef="notify"/>
+    <bpmn:sequenceFlow id="flow_no" name="no" sourceRef="decide" targetRef="cancelled"/>
+    <bpmn:sequenceFlow id="flow3" sourceRef="notify" targetRef="end"/>
+  </bpmn:process>
+</bpmn:definitions>`;
+
+/**
+ * Groups of the rendered SVG by data-element-id / data-label-id
+ */
+function getGroups(svg, attribute) {
+  const groups = {};
+  for (const node of getDescendantElements(parseXMLDocument(svg))) {
+    const id = node.attributes[attribute];
+    if (node.localName === 'g' && id) groups[id] = node;
+  }
+  return groups;
+}
+
+const childNames = node => getChildElements(node).map(child => child.localName);
+
+describe('Integration: SVG Renderer', () => {
+  test('should draw shapes, markers and flows of a layout', () => {
+    const { success, layout } = computeLayout(shapesXml);
+    expect(success).toBe(true);
+
+    const svg = renderSVG(layout);
+    const shapes = getGroups(svg, 'data-element-id');
+    const labels = getGroups(svg, 'data-label-id');
+
+    expect(Object.keys(shapes).sort()).toEqual([
+      'cancelled', 'decide', 'default_pool', 'end', 'flow1', 'flow2', 'flow3', 'flow_no', 'flow_yes', 'lane1', 'notify', 'review', 'start'
+    ]);
+    expect(Object.keys(labels).sort()).toEqual(['cancelled', 'decide', 'end', 'flow_no', 'flow_yes', 'start']);
+
+    // Flows are arrows along the phase3 waypoints (rounded to 2 decimals)
+    const round = value => Math.round(value * 100) / 100;
+    const points = layout.flowWaypoints.flow_no.map(({ x, y }) => `${round(x)},${round(y)}`).join(' ');
+    expect(svg).toContain(`<polyline points="${points}"`);
+    expect(svg).toContain('marker-end="url(#sequenceflow-end)"');
+
+    // Default flow slash, loop markers and event definitions
+    expect(childNames(shapes.flow_yes)).toEqual(['polyline', 'line']);
+    expect(childNames(shapes.flow_no)).toEqual(['polyline']);
+    expect(childNames(shapes.review).length).toBeGreaterThan(childNames(shapes.decide).length);
+    expect(childNames(shapes.cancelled)).toEqual(['circle', 'circle']);
+    expect(childNames(shapes.decide)).toEqual(['polygon', 'path']);
+
+    // Labels are wrapped inside their label bounds
+    expect(svg).toContain('>Order</tspan>');
+    expect(svg).toContain('>received</tspan>');
+  });
+
+  test('should fit the canvas around everything drawn', () => {
+    const { layout } = computeLayout(shapesXml, { laneOrientation: 'vertical' });
+    const svg = renderSVG(layout, { padding: 10 });
+    const [minX, minY, width, height] = /viewBox="([^"]+)"/.exec(svg)[1].split(' ').map(Number);
+
+    for (const box of Object.values(layout.coordinates)) {
+      expect(box.x).toBeGreaterThanOrEqual(minX + 10);
+      expect(box.y).toBeGreaterThanOrEqual(minY + 10);
+      expect(box.x + box.width).toBeLessThanOrEqual(minX + width - 10);
+      expect(box.y + box.height).toBeLessThanOrEqual(minY + height - 10);
+    }
+  });
+
+  test('should wrap text at word boundaries', () => {
+    expect(wrapText('Claim received', 56, 11)).toEqual(['Claim', 'received']);
+    expect(wrapText('First line\nSecond', 200, 12)).toEqual(['First line', 'Second']);
+    expect(wrapText('Supercalifragilistic', 40, 10)).toEqual(['Superca', 'lifragi', 'listic']);
+  });
+
+  test('should match the SVG snapshot of simple-3-lane.bpmn', async () => {
+    const xml = readFileSync(join(__dirname, '../../test-data/simple-3-lane.bpmn'), 'utf-8');
+    const svg = renderSVG(computeLayout(xml).layout);
+
+    expect(renderSVG(computeLayout(xml).layout)).toBe(svg);
+    await expect(svg).toMatchFileSnapshot('__snapshots__/simple-3-lane.svg');
+  });
+});
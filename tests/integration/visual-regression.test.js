@@ -0,0 +1,88 @@
+import { describe, test, expect } from 'vitest';
+import {
+  listFixtures, createSnapshot, compareSnapshots, runVisualRegression, BASELINE_DIR, FIXTURES_DIR
+} from '../../scripts/visual-regression.js';
+import { readFileSync, existsSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const readFixture = fixture => readFileSync(join(FIXTURES_DIR, fixture), 'utf-8');
+const clone = value => JSON.parse(JSON.stringify(value));
+
+describe('Integration: Visual Regression Harness', () => {
+  test('should have a baseline for every fixture', () => {
+    const fixtures = listFixtures();
+
+    expect(fixtures).toContain('simple-3-lane.bpmn');
+    expect(fixtures).toContain('real-world/input-4outputs.bpmn');
+    for (const fixture of fixtures) {
+      expect(existsSync(join(BASELINE_DIR, fixture.replace(/\.bpmn$/, '.json'))), fixture).toBe(true);
+    }
+  });
+
+  test('should report an identical layout as unchanged', () => {
+    const snapshot = createSnapshot(readFixture('simple-3-lane.bpmn'));
+    const comparison = compareSnapshots(clone(snapshot), snapshot);
+
+    expect(snapshot.metrics).toMatchObject({ edgeCrossings: 0, overlaps: 0, errors: 0 });
+    expect(comparison.status).toBe('unchanged');
+    expect(comparison.regressions).toEqual([]);
+    expect(comparison.changes).toEqual({ moved: [], resized: [], added: [], removed: [], rerouted: [] });
+  });
+
+  test('should flag worse metrics as regression and list moved elements', () => {
+    const current = createSnapshot(readFixture('simple-3-lane.bpmn'));
+    const baseline = clone(current);
+    baseline.layout.coordinates.task1.x -= 50;
+    baseline.layout.flowWaypoints.flow1.pop();
+    delete baseline.layout.coordinates.end1;
+    current.metrics.edgeCrossings = baseline.metrics.edgeCrossings + 2;
+    current.metrics.area = baseline.metrics.area * 1.5;
+
+    const comparison = compareSnapshots(baseline, current);
+
+    expect(comparison.status).toBe('regressed');
+    expect(comparison.regressions).toEqual([
+      `Edge crossings: ${baseline.metrics.edgeCrossings} → ${current.metrics.edgeCrossings}`,
+      `Area: ${baseline.metrics.area} → ${current.metrics.area}`
+    ]);
+    expect(comparison.changes.moved.map(change => change.id)).toEqual(['task1']);
+    expect(comparison.changes.rerouted).toEqual(['flow1']);
+    expect(comparison.changes.added).toEqual(['end1']);
+
+    // Fewer bends, nothing worse: improvement
+    const improved = clone(current);
+    improved.metrics = { ...baseline.metrics, bends: baseline.metrics.bends - 1 };
+    expect(compareSnapshots(baseline, improved).status).toBe('improved');
+
+    // A layout that fails where the baseline succeeded
+    const failed = compareSnapshots(baseline, createSnapshot('<invalid'));
+    expect(failed.status).toBe('regressed');
+    expect(failed.regressions[0]).toContain('Layout failed');
+  });
+
+  test('should store baselines and write an HTML report', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'bpmn-visual-'));
+    try {
+      const options = {
+        fixtures: ['simple-3-lane.bpmn', 'minimal-parallel-test.bpmn'],
+        baselineDir: join(dir, 'baseline'),
+        reportFile: join(dir, 'report.html')
+      };
+
+      const first = runVisualRegression({ ...options, update: true });
+      expect(first.results.map(result => result.comparison.status)).toEqual(['new', 'failed']);
+
+      const second = runVisualRegression(options);
+      expect(second.regressions).toBe(0);
+      expect(second.results.map(result => result.comparison.status)).toEqual(['unchanged', 'unchanged']);
+
+      const report = readFileSync(options.reportFile, 'utf-8');
+      expect(report).toContain('<h1>Visual Regression Report</h1>');
+      expect(report).toContain('simple-3-lane.bpmn');
+      expect(report.match(/<svg /g)).toHaveLength(2); // Baseline and current of the successful fixture
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -1,5 +1,11 @@
 import { describe, test, expect } from 'vitest';
 import { parseXML, validateBPMN, preProcess, detectBackEdges, phase1 } from '../../src/phase1.js';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
 
 describe('Phase 1: XML Parsing', () => {
   test('should parse valid BPMN XML with start event, task, and end event', () => {
@@ -105,6 +111,199 @@ describe('Phase 1: XML Parsing', () => {
     expect(result.lanes.get('lane1').elements).toContain('task1');
     expect(result.lanes.get('lane1').elements).toContain('task2');
   });
+
+  test('should parse documents using a default namespace', () => {
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+      <definitions xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL" id="defs">
+        <process id="Process_1">
+          <laneSet>
+            <lane id="lane1" name="Lane 1">
+              <flowNodeRef>start1</flowNodeRef>
+              <flowNodeRef>end1</flowNodeRef>
+            </lane>
+          </laneSet>
+          <startEvent id="start1" name="Start" />
+          <endEvent id="end1" name="End" />
+          <sequenceFlow id="flow1" sourceRef="start1" targetRef="end1" />
+        </process>
+      </definitions>
+    `;
+
+    const result = parseXML(xml);
+
+    expect(result.success).toBe(true);
+    expect(result.elements.size).toBe(2);
+    expect(result.flows.get('flow1').targetRef).toBe('end1');
+    expect(result.elements.get('start1').lane).toBe('lane1');
+  });
+
+  test('should parse documents using a non-standard prefix', () => {
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+      <semantic:definitions xmlns:semantic="http://www.omg.org/spec/BPMN/20100524/MODEL" id="defs">
+        <semantic:collaboration id="Collaboration_1">
+          <semantic:participant id="pool1" name="Pool" processRef="Process_1" />
+        </semantic:collaboration>
+        <semantic:process id="Process_1">
+          <semantic:laneSet>
+            <semantic:lane id="lane1" name="Lane 1">
+              <semantic:flowNodeRef>start1</semantic:flowNodeRef>
+              <semantic:flowNodeRef>end1</semantic:flowNodeRef>
+            </semantic:lane>
+          </semantic:laneSet>
+          <semantic:startEvent id="start1" name="Start">
+            <semantic:timerEventDefinition />
+          </semantic:startEvent>
+          <semantic:endEvent id="end1" name="End" />
+          <semantic:sequenceFlow id="flow1" sourceRef="start1" targetRef="end1" />
+        </semantic:process>
+      </semantic:definitions>
+    `;
+
+    const result = parseXML(xml);
+
+    expect(result.success).toBe(true);
+    expect(result.elements.get('start1').eventType).toBe('timer');
+    expect(result.pools.get('pool1').lanes).toEqual(['lane1']);
+    expect(result.lanes.get('lane1').poolId).toBe('pool1');
+  });
+
+  test('should handle entities, CDATA, comments and attribute order', () => {
+    const xml = `
+      <bpmn:definitions xmlns:bpmn="http://www.omg.org/spec/BPMN/20100524/MODEL">
+        <bpmn:process id="Process_1">
+          <!-- <bpmn:task id="commented" /> -->
+          <bpmn:task name="Check &amp; Approve&#10;Order" id="task1">
+            <bpmn:documentation><![CDATA[<bpmn:task id="fake" />]]></bpmn:documentation>
+          </bpmn:task>
+          <bpmn:task id='task2' name='Ship' />
+          <bpmn:sequenceFlow targetRef="task2" sourceRef="task1" id="flow1" />
+        </bpmn:process>
+      </bpmn:definitions>
+    `;
+
+    const result = parseXML(xml);
+
+    expect(result.success).toBe(true);
+    expect(result.elements.size).toBe(2);
+    expect(result.elements.get('task1').name).toBe('Check & Approve\nOrder');
+    expect(result.flows.get('flow1').sourceRef).toBe('task1');
+    expect(result.elements.get('task2').incoming).toEqual(['flow1']);
+  });
+
+  test('should report malformed XML', () => {
+    const xml = `
+      <bpmn:definitions>
+        <bpmn:process id="Process_1">
+          <bpmn:task id="task1">
+        </bpmn:process>
+      </bpmn:definitions>
+    `;
+
+    const result = parseXML(xml);
+
+    expect(result.success).toBe(false);
+    expect(result.errors[0]).toContain('Mismatched closing tag');
+  });
+
+  test('should record sub-process nesting and inherit the lane', () => {
+    const bpmnPath = join(__dirname, '../../test-data/subprocess-nested.bpmn');
+    const xml = readFileSync(bpmnPath, 'utf-8');
+
+    const result = parseXML(xml);
+
+    expect(result.success).toBe(true);
+    expect(result.elements.get('sub_fulfil').parentId).toBeUndefined();
+    expect(result.elements.get('task_pick').parentId).toBe('sub_fulfil');
+    expect(result.elements.get('task_pack').parentId).toBe('sub_ship');
+    expect(result.flows.get('t1').parentId).toBe('sub_ship');
+    expect(result.flows.get('f1').parentId).toBeUndefined();
+    expect(result.elements.get('task_pack').lane).toBe('lane_sales');
+  });
+
+  test('should extract data associations and not require lanes for artifacts', () => {
+    const bpmnPath = join(__dirname, '../../test-data/artifacts.bpmn');
+    const xml = readFileSync(bpmnPath, 'utf-8');
+
+    const result = parseXML(xml);
+
+    expect(result.success).toBe(true);
+    expect(result.flows.get('assoc_in_claim')).toMatchObject({
+      sourceRef: 'data_claim', targetRef: 'task_assess', type: 'dataInputAssociation'
+    });
+    expect(result.flows.get('assoc_out_claim')).toMatchObject({
+      sourceRef: 'task_register', targetRef: 'data_claim', type: 'dataOutputAssociation'
+    });
+    expect(result.elements.get('data_claim').lane).toBe('lane_expert');
+    expect(result.elements.get('task_register').outgoing).toEqual(['f2']);
+  });
+
+  test('should require lane assignments only in processes with lanes', () => {
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<bpmn:definitions xmlns:bpmn="http://www.omg.org/spec/BPMN/20100524/MODEL" id="defs">
+  <bpmn:process id="Flat">
+    <bpmn:startEvent id="s1"/>
+    <bpmn:endEvent id="e1"/>
+    <bpmn:sequenceFlow id="f1" sourceRef="s1" targetRef="e1"/>
+  </bpmn:process>
+  <bpmn:process id="Laned">
+    <bpmn:laneSet id="ls"><bpmn:lane id="lane1"><bpmn:flowNodeRef>s2</bpmn:flowNodeRef></bpmn:lane></bpmn:laneSet>
+    <bpmn:startEvent id="s2"/>
+    <bpmn:endEvent id="e2"/>
+    <bpmn:sequenceFlow id="f2" sourceRef="s2" targetRef="e2"/>
+  </bpmn:process>
+</bpmn:definitions>`;
+
+    const result = parseXML(xml);
+
+    expect(result.success).toBe(false);
+    expect(result.errors).toHaveLength(1);
+    expect(result.errors[0]).toContain('Element "e2"');
+    expect(result.elements.get('s1').lane).toBeUndefined();
+  });
+
+  test('should keep participants without process as black-box pools for message flows', () => {
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<bpmn:definitions xmlns:bpmn="http://www.omg.org/spec/BPMN/20100524/MODEL" id="defs">
+  <bpmn:collaboration id="c">
+    <bpmn:participant id="Customer" name="Customer"/>
+    <bpmn:participant id="Shop_Pool" name="Shop" processRef="Shop"/>
+    <bpmn:participant id="Bank" name="Bank"/>
+    <bpmn:messageFlow id="m1" sourceRef="Customer" targetRef="s1"/>
+    <bpmn:messageFlow id="m2" sourceRef="e1" targetRef="Bank"/>
+  </bpmn:collaboration>
+  <bpmn:process id="Shop">
+    <bpmn:startEvent id="s1"/>
+    <bpmn:endEvent id="e1"/>
+    <bpmn:sequenceFlow id="f1" sourceRef="s1" targetRef="e1"/>
+  </bpmn:process>
+</bpmn:definitions>`;
+
+    const result = parseXML(xml);
+
+    expect(result.success).toBe(true);
+    expect(result.pools.get('Customer')).toMatchObject({ processRef: null, blackBox: true, placement: 'before' });
+    expect(result.pools.get('Bank')).toMatchObject({ processRef: null, blackBox: true, placement: 'after' });
+    expect(result.pools.get('Shop_Pool').blackBox).toBeUndefined();
+    expect(result.flows.get('m1').sourceRef).toBe('Customer');
+
+    expect(validateBPMN(result).isValid).toBe(true);
+    const invalid = validateBPMN(parseXML(xml.replace('targetRef="Bank"', 'targetRef="Unknown"')));
+    expect(invalid.isValid).toBe(false);
+    expect(invalid.errors[0]).toContain("invalid targetRef 'Unknown'");
+  });
+
+  test('should read element sizes from existing DI and keep them only if configured', () => {
+    const bpmnPath = join(__dirname, '../../test-data/simple-3-lane-layouted.bpmn');
+    const xml = readFileSync(bpmnPath, 'utf-8')
+      .replace('<dc:Bounds x="600" y="265" width="100" height="80"/>', '<dc:Bounds x="600" y="265" width="180" height="120"/>');
+
+    const result = parseXML(xml);
+
+    expect(result.elements.get('task1').diBounds).toEqual({ x: 600, y: 265, width: 180, height: 120 });
+    expect(result.elements.get('xor1').diBounds).toMatchObject({ width: 50, height: 50 });
+    expect(preProcess(result, {}).elements.get('task1').layoutSize).toBeUndefined();
+    expect(preProcess(result, { preserveElementSizes: true }).elements.get('task1').layoutSize).toEqual({ width: 180, height: 120 });
+  });
 });
 
 describe('Phase 1: Validation', () => {
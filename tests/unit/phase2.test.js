@@ -1,6 +1,10 @@
 import { describe, test, expect } from 'vitest';
 import { phase1 } from '../../src/phase1.js';
 import { phase2 } from '../../src/phase2.js';
+import { minimizeCrossings, countCrossings } from '../../src/crossing-minimizer.js';
+import { getMatrixCell } from '../../src/flow-matrix.js';
+import { optimizeLaneOrder } from '../../src/lane-orderer.js';
+import { compactPositions } from '../../src/layout-compactor.js';
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
@@ -159,3 +163,209 @@ describe('Phase 2: Layer and Row Assignment (Snapshot-based)', () => {
     expect(endLayer).toBeGreaterThan(task2Layer);
   });
 });
+
+describe('Phase 2: Boundary Events', () => {
+  test('should place boundary events on their host and route exception flows along crossLane', () => {
+    const bpmnPath = join(__dirname, '../../test-data/real-world/input-online-order.bpmn');
+    const inputXml = readFileSync(bpmnPath, 'utf-8');
+
+    const phase1Result = phase1(inputXml, { laneOrientation: 'horizontal' });
+    expect(phase1Result.success).toBe(true);
+
+    const { graph, backEdges } = phase1Result;
+    const directions = { 
+      alongLane: 'right', 
+      oppAlongLane: 'left', 
+      crossLane: 'down', 
+      oppCrossLane: 'up' 
+    };
+
+    const phase2Result = phase2(
+      graph.elements, 
+      graph.flows, 
+      graph.lanes, 
+      directions, 
+      backEdges
+    );
+
+    const positions = phase2Result.positions;
+    const hostPos = positions.get('task_process_payment');
+    const boundaryPos = positions.get('boundary_payment_error');
+
+    // Boundary event shares the host's cell instead of getting its own layer
+    expect(boundaryPos.attachedTo).toBe('task_process_payment');
+    expect(boundaryPos.lane).toBe(hostPos.lane);
+    expect(boundaryPos.layer).toBe(hostPos.layer);
+    expect(boundaryPos.row).toBe(hostPos.row);
+
+    // Exception flow leaves the host border along crossLane
+    const flowInfo = phase2Result.flowInfos.get('flow_s9');
+    expect(flowInfo.isBoundaryFlow).toBe(true);
+    expect(flowInfo.source.exitSide).toBe('down');
+    expect(positions.get('task_cancel_order').layer).toBeGreaterThan(hostPos.layer);
+  });
+});
+
+describe('Phase 2: Crossing Minimization', () => {
+  const getVerticalIndex = pos => (pos.lane === 'lane2' ? 100 : 0) + pos.row;
+  const createPositions = () => new Map([
+    ['a', { lane: 'lane1', layer: 0, row: 0 }],
+    ['b', { lane: 'lane1', layer: 0, row: 1 }],
+    ['c', { lane: 'lane1', layer: 1, row: 0 }],
+    ['d', { lane: 'lane1', layer: 1, row: 1 }],
+    ['e', { lane: 'lane2', layer: 2, row: 0 }]
+  ]);
+  const flows = new Map([
+    ['f1', { sourceRef: 'a', targetRef: 'd', type: 'sequenceFlow' }],
+    ['f2', { sourceRef: 'b', targetRef: 'c', type: 'sequenceFlow' }],
+    ['f3', { sourceRef: 'c', targetRef: 'e', type: 'sequenceFlow' }]
+  ]);
+
+  test('should swap rows within a cell to remove crossings', () => {
+    const positions = createPositions();
+    const edges = [...flows.values()].map(({ sourceRef, targetRef }) => ({ sourceId: sourceRef, targetId: targetRef }));
+    expect(countCrossings(edges, positions, getVerticalIndex)).toBe(1);
+
+    const result = minimizeCrossings(positions, flows, new Map(), { getVerticalIndex, iterations: 4 });
+
+    expect(result).toEqual({ before: 1, after: 0 });
+    expect(positions.get('c').row).toBe(1);
+    expect(positions.get('d').row).toBe(0);
+    // Lanes and layers stay as assigned
+    expect(positions.get('c')).toMatchObject({ lane: 'lane1', layer: 1 });
+    expect(positions.get('a').row).toBe(0);
+  });
+
+  test('should keep rows of cells reserved for cross-lane flows', () => {
+    const positions = createPositions();
+    const matrix = new Map();
+    getMatrixCell(matrix, 'lane1', 0).hasFlow = true;
+    getMatrixCell(matrix, 'lane1', 1).hasFlow = true;
+
+    expect(minimizeCrossings(positions, flows, matrix, { getVerticalIndex, iterations: 4 })).toEqual({ before: 1, after: 1 });
+    expect(positions.get('a').row).toBe(0);
+    expect(positions.get('c').row).toBe(0);
+
+    expect(minimizeCrossings(createPositions(), flows, new Map(), { getVerticalIndex, iterations: 0 })).toEqual({ before: 1, after: 1 });
+  });
+});
+
+describe('Phase 2: Lane Ordering', () => {
+  // Pool with lanes A (children A1, A2), B, C: flows A1 → C, A2 → C, B → A1
+  const createLanes = () => new Map([
+    ['A', { id: 'A', poolId: 'pool', parentLane: null, childLanes: ['A1', 'A2'] }],
+    ['A1', { id: 'A1', poolId: 'pool', parentLane: 'A', childLanes: [] }],
+    ['A2', { id: 'A2', poolId: 'pool', parentLane: 'A', childLanes: [] }],
+    ['B', { id: 'B', poolId: 'pool', parentLane: null, childLanes: [] }],
+    ['C', { id: 'C', poolId: 'pool', parentLane: null, childLanes: [] }]
+  ]);
+  const createPools = () => new Map([['pool', { id: 'pool', lanes: ['A', 'B', 'C'] }]]);
+  const elementLanes = new Map([['a1', 'A1'], ['a2', 'A2'], ['b', 'B'], ['c', 'C']]);
+  const flows = new Map([
+    ['f1', { sourceRef: 'a1', targetRef: 'c' }],
+    ['f2', { sourceRef: 'a2', targetRef: 'c' }],
+    ['f3', { sourceRef: 'b', targetRef: 'a1' }]
+  ]);
+  const order = lanes => Array.from(lanes.keys());
+
+  test('should reorder sibling lanes and child lanes to shorten flows between lanes', () => {
+    const lanes = createLanes();
+    const pools = createPools();
+
+    const result = optimizeLaneOrder(lanes, pools, flows, elementLanes, { getLaneIndex: laneId => order(lanes).indexOf(laneId) });
+
+    expect(result).toEqual({ before: 7, after: 5 });
+    expect(order(lanes)).toEqual(['B', 'A', 'A1', 'A2', 'C']);
+    expect(pools.get('pool').lanes).toEqual(['B', 'A', 'C']);
+    expect(lanes.get('A').childLanes).toEqual(['A1', 'A2']);
+  });
+
+  test('should keep pinned lanes at their position', () => {
+    const lanes = createLanes();
+    const pools = createPools();
+
+    const result = optimizeLaneOrder(lanes, pools, flows, elementLanes, {
+      getLaneIndex: laneId => order(lanes).indexOf(laneId),
+      pinnedLanes: ['A']
+    });
+
+    // A stays first, its children and the other lanes still move
+    expect(order(lanes)).toEqual(['A', 'A2', 'A1', 'C', 'B']);
+    expect(lanes.get('A').childLanes).toEqual(['A2', 'A1']);
+    expect(result).toEqual({ before: 7, after: 5 });
+  });
+});
+
+describe('Phase 2: Compaction', () => {
+  const getVerticalIndex = pos => pos.row;
+  const createGraph = (flowList, types = {}) => {
+    const flows = new Map(flowList.map(([id, sourceRef, targetRef]) => [id, { id, sourceRef, targetRef, type: 'sequenceFlow' }]));
+    const flowInfos = new Map(flowList.map(([id]) => [id, { flowId: id, isBackFlow: false }]));
+    const elements = new Map();
+    for (const [, sourceRef, targetRef] of flowList) {
+      for (const elementId of [sourceRef, targetRef]) {
+        elements.set(elementId, { id: elementId, type: types[elementId] || 'task' });
+      }
+    }
+    return { flows, flowInfos, elements };
+  };
+
+  test('should shift elements next to their predecessors and remove unused layers', () => {
+    const positions = new Map([
+      ['a', { lane: 'lane1', layer: 0, row: 0 }],
+      ['b', { lane: 'lane1', layer: 3, row: 0 }],
+      ['c', { lane: 'lane1', layer: 5, row: 0 }],
+      ['start', { lane: 'lane1', layer: 7, row: 1 }],
+      ['d', { lane: 'lane1', layer: 8, row: 1 }]
+    ]);
+    const { flows, flowInfos, elements } = createGraph([['f1', 'a', 'b'], ['f2', 'b', 'c'], ['f3', 'start', 'd']]);
+
+    const result = compactPositions(positions, flows, flowInfos, elements, new Map(), { getVerticalIndex });
+
+    expect(result).toEqual({ shifted: ['b', 'c'], removedLayers: 4, removedRows: 0 });
+    expect([...positions.values()].map(pos => pos.layer)).toEqual([0, 1, 2, 3, 4]);
+  });
+
+  test('should not shift an element into a flow corridor', () => {
+    // The gateway output g → w runs down through layer 1, row 1 first
+    const createPositions = () => new Map([
+      ['s', { lane: 'lane1', layer: 0, row: 1 }],
+      ['g', { lane: 'lane1', layer: 1, row: 0 }],
+      ['w', { lane: 'lane1', layer: 2, row: 2 }],
+      ['t', { lane: 'lane1', layer: 3, row: 1 }]
+    ]);
+    const { flows, flowInfos, elements } = createGraph([['f1', 's', 't'], ['f2', 'g', 'w']], { g: 'exclusiveGateway' });
+
+    const positions = createPositions();
+    compactPositions(positions, flows, flowInfos, elements, new Map(), { getVerticalIndex });
+    expect(positions.get('t').layer).toBe(2);
+
+    // Cells reserved for a cross-lane flow stay free as well
+    const reserved = createPositions();
+    const matrix = new Map();
+    getMatrixCell(matrix, 'lane1', 2).hasFlow = true;
+    compactPositions(reserved, flows, flowInfos, elements, matrix, { getVerticalIndex });
+    expect(reserved.get('t').layer).toBe(3);
+  });
+
+  test('should shrink lanes and keep elements with a previous position', () => {
+    const createPositions = () => new Map([
+      ['a', { lane: 'lane1', layer: 0, row: 0 }],
+      ['b', { lane: 'lane1', layer: 1, row: 2 }],
+      ['c', { lane: 'lane1', layer: 2, row: 0 }],
+      ['d', { lane: 'lane2', layer: 4, row: 0 }]
+    ]);
+    const { flows, flowInfos, elements } = createGraph([['f1', 'a', 'b'], ['f2', 'b', 'c'], ['f3', 'c', 'd']]);
+
+    const positions = createPositions();
+    const result = compactPositions(positions, flows, flowInfos, elements, new Map(), { getVerticalIndex });
+    expect(positions.get('b')).toEqual({ lane: 'lane1', layer: 1, row: 0 });
+    expect(positions.get('d').layer).toBe(3);
+    expect(result.shifted).toEqual(['d']);
+
+    // Stable layout: kept elements stay, so do the rows and layers before them
+    const stable = createPositions();
+    compactPositions(stable, flows, flowInfos, elements, new Map(), { getVerticalIndex, keep: new Set(['b', 'd']) });
+    expect(stable).toEqual(createPositions());
+  });
+});
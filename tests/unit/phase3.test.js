@@ -1,7 +1,7 @@
 import { describe, test, expect } from 'vitest';
 import { phase1 } from '../../src/phase1.js';
-import { phase2 } from '../../src/phase2.js';
-import { phase3 } from '../../src/phase3.js';
+import { phase2, applyConfig } from '../../src/phase2.js';
+import { phase3, calculateLayerSizes, calculateElementCoordinates } from '../../src/phase3.js';
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
@@ -207,3 +207,134 @@ describe('Phase 3: Coordinate Calculation (Snapshot-based)', () => {
     }
   });
 });
+
+describe('Phase 3: Boundary Events', () => {
+  test('should place boundary events on the host border', () => {
+    const bpmnPath = join(__dirname, '../../test-data/real-world/input-online-order.bpmn');
+    const inputXml = readFileSync(bpmnPath, 'utf-8');
+
+    const phase1Result = phase1(inputXml, { laneOrientation: 'horizontal' });
+    const { graph, backEdges } = phase1Result;
+    const directions = { 
+      alongLane: 'right', 
+      oppAlongLane: 'left', 
+      crossLane: 'down', 
+      oppCrossLane: 'up' 
+    };
+
+    const phase2Result = phase2(graph.elements, graph.flows, graph.lanes, directions, backEdges);
+    const phase3Result = phase3(phase2Result, graph.elements, graph.lanes, directions, graph.pools, graph.flows);
+
+    const host = phase3Result.coordinates.get('task_process_payment');
+    const boundary = phase3Result.coordinates.get('boundary_payment_error');
+
+    // Event center sits on the bottom edge of the host, inside its horizontal extent
+    expect(boundary.width).toBe(36);
+    expect(boundary.y + boundary.height / 2).toBe(host.y + host.height);
+    expect(boundary.x).toBeGreaterThan(host.x);
+    expect(boundary.x + boundary.width).toBeLessThan(host.x + host.width);
+
+    // Exception flow starts at the bottom of the boundary event and heads down first
+    const waypoints = phase3Result.flowWaypoints.get('flow_s9');
+    expect(waypoints[0]).toEqual({ x: boundary.x + boundary.width / 2, y: boundary.y + boundary.height });
+    expect(waypoints[1].x).toBe(waypoints[0].x);
+    expect(waypoints[1].y).toBeGreaterThan(waypoints[0].y);
+  });
+});
+
+describe('Phase 3: Column Widths', () => {
+  test('should size each layer by its largest visible element and gateway labels', () => {
+    const node = (id, type, incoming, outgoing) => [id, { id, type, incoming, outgoing }];
+    const elements = new Map([
+      node('start', 'startEvent', [], ['f1']),
+      node('split', 'exclusiveGateway', ['f1'], ['f2', 'f3']),
+      node('taskA', 'task', ['f2'], ['f4']),
+      node('taskB', 'task', ['f3'], ['f5']),
+      node('merge', 'exclusiveGateway', ['f4', 'f5'], ['f6']),
+      node('end', 'endEvent', ['f6'], [])
+    ]);
+    const flow = (id, sourceRef, targetRef, name) => [id, { id, type: 'sequenceFlow', sourceRef, targetRef, name }];
+    const flows = new Map([
+      flow('f1', 'start', 'split'),
+      flow('f2', 'split', 'taskA', 'Approved by manager'),
+      flow('f3', 'split', 'taskB', 'No'),
+      flow('f4', 'taskA', 'merge'),
+      flow('f5', 'taskB', 'merge'),
+      flow('f6', 'merge', 'end')
+    ]);
+    const positions = new Map([
+      ['start', { lane: 'lane1', layer: 0, row: 0 }],
+      ['split', { lane: 'lane1', layer: 1, row: 0 }],
+      ['taskA', { lane: 'lane1', layer: 2, row: 0 }],
+      ['taskB', { lane: 'lane1', layer: 2, row: 1 }],
+      ['merge', { lane: 'lane1', layer: 3, row: 0 }],
+      ['end', { lane: 'lane1', layer: 4, row: 0 }]
+    ]);
+
+    // Element + 100px layerOffset; the gateway column fits the 143px label "Approved by manager"
+    // (gateway half + label on each side, minus the gap); the hidden merge gateway takes no space
+    const sizes = calculateLayerSizes(elements, positions, applyConfig({ variableColumnWidths: true }), flows);
+    expect(sizes).toEqual([136, 236, 200, 100, 136]);
+
+    // Visible merge gateway: gateway column
+    expect(calculateLayerSizes(elements, positions, applyConfig({ hideXorMergeGateways: false, variableColumnWidths: true }), flows)[3]).toBe(150);
+
+    // Metrics of the run: 120px elements leave an 80px gap
+    const customConfig = applyConfig({ variableColumnWidths: true, layoutMetrics: { elementWidth: 120 } });
+    expect(calculateLayerSizes(elements, positions, customConfig, flows)).toEqual([116, 256, 200, 80, 116]);
+
+    // Uniform columns: only oversized elements widen a column
+    expect(calculateLayerSizes(elements, positions, applyConfig(), flows)).toBeNull();
+  });
+
+  test('should place elements at the cumulative column offsets', () => {
+    const inputXml = readFileSync(join(__dirname, '../../test-data/real-world/input-mixed-gateway-outputs.bpmn'), 'utf-8');
+
+    const layout = config => {
+      const { graph, backEdges } = phase1(inputXml, { laneOrientation: 'horizontal' });
+      const directions = applyConfig(config);
+      const phase2Result = phase2(graph.elements, graph.flows, graph.lanes, directions, backEdges, [], graph.pools);
+      return { phase2Result, ...phase3(phase2Result, graph.elements, graph.lanes, directions, graph.pools, graph.flows) };
+    };
+    const uniform = layout({});
+    const variable = layout({ variableColumnWidths: true });
+
+    // Per layer: the leftmost and rightmost element edge
+    const columns = [];
+    for (const [elementId, coord] of variable.coordinates) {
+      const pos = variable.phase2Result.positions.get(elementId);
+      if (pos.attachedTo) continue;
+      const column = columns[pos.layer] || { left: Infinity, right: -Infinity };
+      columns[pos.layer] = { left: Math.min(column.left, coord.x), right: Math.max(column.right, coord.x + coord.width) };
+    }
+
+    // Neighbouring layers keep at least the layerOffset between their elements
+    const present = columns.filter(Boolean);
+    for (let i = 1; i < present.length; i++) {
+      expect(present[i].left - present[i - 1].right).toBeGreaterThanOrEqual(100);
+    }
+
+    // Narrow event and gateway columns make the layout shorter
+    const right = result => Math.max(...Array.from(result.coordinates.values(), coord => coord.x + coord.width));
+    expect(right(variable)).toBeLessThan(right(uniform));
+  });
+
+  test('should not pass column sizes on to later calls, not even from a failed run', () => {
+    const inputXml = readFileSync(join(__dirname, '../../test-data/real-world/input-mixed-gateway-outputs.bpmn'), 'utf-8');
+
+    const layout = (config, pools) => {
+      const { graph, backEdges } = phase1(inputXml, { laneOrientation: 'horizontal' });
+      const directions = applyConfig(config);
+      const phase2Result = phase2(graph.elements, graph.flows, graph.lanes, directions, backEdges, [], graph.pools);
+      return { graph, phase2Result, ...phase3(phase2Result, graph.elements, graph.lanes, directions, pools || graph.pools, graph.flows) };
+    };
+    const uniform = layout({});
+
+    // Variable columns, failing after the column sizes were calculated (invalid pool map)
+    expect(() => layout({ variableColumnWidths: true }, { invalid: true })).toThrow();
+
+    const { graph, phase2Result, laneBounds } = uniform;
+    const coordinates = calculateElementCoordinates(graph.elements, phase2Result.positions, laneBounds, applyConfig({}), graph.lanes);
+    expect(coordinates).toEqual(uniform.coordinates);
+  });
+});
@@ -3,16 +3,24 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { layoutBPMN } from './src/index.js';
+import { createLayoutRouter, parseQueryConfig } from './src/layout-service.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
-const PORT = 8007;
+const PORT = process.env.PORT || 8007;
 
 // Serve static files
 app.use(express.static('public'));
 
+// Layout service: POST /api/layout, GET /api/health (see src/layout-service.js)
+app.use('/api', createLayoutRouter({
+  timeout: Number(process.env.LAYOUT_TIMEOUT) || undefined,
+  maxConcurrent: Number(process.env.LAYOUT_MAX_CONCURRENT) || undefined,
+  limit: process.env.LAYOUT_BODY_LIMIT || undefined
+}));
+
 // API endpoint to get and layout BPMN
 app.get('/api/bpmn/:filename', async (req, res) => {
   try {
@@ -24,7 +32,7 @@ app.get('/api/bpmn/:filename', async (req, res) => {
     }
     
     const bpmnXml = fs.readFileSync(bpmnPath, 'utf-8');
-    const result = layoutBPMN(bpmnXml, { hideXorMergeGateways: true });
+    const result = layoutBPMN(bpmnXml, { hideXorMergeGateways: true, ...parseQueryConfig(req.query) });
     
     if (!result.success) {
       throw new Error(result.errors ? result.errors.join(', ') : 'Layout failed');